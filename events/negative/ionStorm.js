@@ -0,0 +1,18 @@
+/**
+ * Ion Storm negative event module.
+ * This module contains all data and functionality for the Ion Storm event.
+ * An ion storm lasts several turns and keeps damaging the electrical systems.
+ */
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
+
+export const ionStorm = defineEvent({
+  id: "ionStorm",
+  name: "Ion Storm",
+  description: "An ion storm engulfs the ship, frying its electrical systems!",
+
+  // 10 damage to electrical systems on each of 3 turns
+  duration: 3,
+  minTurn: 3,
+  requires: { tags: ["electrical"] },
+  effects: [{ type: "damage", amount: 10, target: { tag: "electrical" } }],
+});
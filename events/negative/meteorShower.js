@@ -3,28 +3,12 @@
  * This module contains all data and functionality for the Meteor Shower event.
  * A meteor shower damages the ship's hull and systems.
  */
-import { isSystemImmune } from "../../src/mechanics/damageModifiers.js";
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
 
-export const meteorShower = {
+export const meteorShower = defineEvent({
+  id: "meteorShower",
   description: "A meteor shower strikes the ship, damaging the hull!",
 
-  /**
-   * Applies the meteor shower effect to the game state.
-   * @param {Object} state - The current game state
-   * @returns {Object} The updated game state
-   */
-  apply(state) {
-    const updatedState = { ...state };
-    // Damage all systems by 30 points, but skip protected systems
-    updatedState.systems = updatedState.systems.map((system) => {
-      if (isSystemImmune(system.name, "negative_events", updatedState)) {
-        return system; // Protected system takes no damage
-      }
-      return {
-        ...system,
-        health: Math.max(0, system.health - 20),
-      };
-    });
-    return updatedState;
-  },
-};
+  // Damage all systems by 20 points (protected systems take no damage)
+  effects: [{ type: "damage", amount: 20, target: "all" }],
+});
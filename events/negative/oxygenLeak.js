@@ -3,31 +3,15 @@
  * This module contains all data and functionality for the Oxygen Leak event.
  * An oxygen leak rapidly depletes life support.
  */
-import { isSystemImmune } from "../../src/mechanics/damageModifiers.js";
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
 
-export const oxygenLeak = {
+export const oxygenLeak = defineEvent({
+  id: "oxygenLeak",
   description: "An oxygen leak is detected in the life support system!",
 
-  /**
-   * Applies the oxygen leak effect to the game state.
-   * @param {Object} state - The current game state
-   * @returns {Object} The updated game state
-   */
-  apply(state) {
-    const updatedState = { ...state };
-    // Find life support system and damage it heavily, but skip if protected
-    const lifeSupportIndex = updatedState.systems.findIndex(
-      (system) => system.name === "Life Support"
-    );
-    if (
-      lifeSupportIndex !== -1 &&
-      !isSystemImmune("Life Support", "negative_events", updatedState)
-    ) {
-      updatedState.systems[lifeSupportIndex].health = Math.max(
-        0,
-        updatedState.systems[lifeSupportIndex].health - 35
-      );
-    }
-    return updatedState;
-  },
-};
+  // Only drawn when the ship has life support
+  requires: { systems: ["Life Support"] },
+
+  // Damage life support heavily (unless it is protected)
+  effects: [{ type: "damage", amount: 35, target: { name: "Life Support" } }],
+});
@@ -5,7 +5,17 @@
  * Uses the system selection interface to let players choose which systems to repair.
  */
 
+import { GAME_EVENTS } from "../../src/core/eventBus.js";
+import { dispatch, setSystemHealth } from "../../src/core/store.js";
+import { getMaxHealth } from "../../src/mechanics/wear.js";
+import { getModuleId } from "../../src/setup/moduleIds.js";
+import { findSystemElement } from "../../src/core/ui/systemElements.js";
+
+// Event bus subscriptions that live while the systems to repair are being selected
+let selectionScope = null;
+
 export const motivated = {
+  id: "motivated",
   description:
     "Your crew is highly motivated! Select up to 2 systems to repair.",
 
@@ -25,47 +35,75 @@ export const motivated = {
     const { enterSystemSelectionMode } = await import(
       "../../src/mechanics/systemSelection.js"
     );
+    const { emitEffect } = await import(
+      "../../src/mechanics/presentationEffects.js"
+    );
 
-    // Callback function to repair selected systems
-    const repairCallback = async (selectedSystems, gameState) => {
-      // Create a copy of the game state to modify
-      const updatedState = { ...gameState };
-
-      // Repair selected systems to full health
-      selectedSystems.forEach((systemName) => {
-        const system = updatedState.systems.find((s) => s.name === systemName);
-        if (system) {
-          system.health = 100;
-        }
-      });
-
-      // Update message to reflect the repair
-      updatedState.message = `Motivated crew repaired ${selectedSystems.length} system(s) to full health!`;
-
-      return updatedState;
-    };
+    // The registry copy of this event carries `_modulePath`, which lets a saved
+    // game restore the selection and its owner
+    const eventModule = this || motivated;
 
     // Enter system selection mode for damaged systems only
-    const updatedState = await enterSystemSelectionMode(
+    let updatedState = await enterSystemSelectionMode(
       state,
       { systems: state.systems }, // Pass config with systems
       {
         allowedTypes: ["normal"], // Allow only normal system types
         multiSelect: true, // Allow multiple selection
         maxSelections: 2, // Limit to 2 systems
-        callback: repairCallback,
+        owner: eventModule, // Repairs in onSystemsSelected, filters in canSelectSystem
         message: "Select up to 2 systems to repair (damaged systems only)",
-        systemFilter: (system) => system.health < 100, // Only damaged systems
         showCancelButton: false, // No cancel button for positive events
-        associatedEvent: motivated, // Pass the event for display configuration
+        associatedEvent: eventModule, // Pass the event for display configuration
       }
     );
 
-    // Set up wrench display for motivated event
-    setupWrenchDisplay(updatedState);
+    // Ask the browser shell to set up the wrench display
+    updatedState = emitEffect(updatedState, "motivatedSelectionStarted");
 
     return updatedState;
   },
+
+  /**
+   * Repairs the systems picked in selection mode to full health
+   * @param {Array} selectedSystems - Names of the selected systems
+   * @param {Object} gameState - The current game state
+   * @returns {Object} The updated game state
+   */
+  onSystemsSelected(selectedSystems, gameState) {
+    // Repair selected systems to full health (capped at their maximum health)
+    const updatedState = dispatch(
+      { ...gameState },
+      ...selectedSystems.map((systemName) => setSystemHealth(systemName, 100))
+    );
+
+    // Update message to reflect the repair
+    updatedState.message = `Motivated crew repaired ${selectedSystems.length} system(s) to full health!`;
+
+    return updatedState;
+  },
+
+  /**
+   * Only damaged systems can be picked for repair
+   * @param {Object} system - The system to check
+   * @returns {boolean} True if the system is below its maximum health
+   */
+  canSelectSystem(system) {
+    return system.health < getMaxHealth(system);
+  },
+
+  /**
+   * Render presentation effects emitted by this event
+   * @param {Object} effect - The presentation effect
+   * @param {Object} gameState - The current game state
+   * @param {Object} config - The game configuration (carries the event bus)
+   */
+  renderEffect(effect, gameState, config) {
+    if (effect.type === "motivatedSelectionStarted") {
+      // Set up wrench display for motivated event
+      setupWrenchDisplay(gameState, config?.eventBus);
+    }
+  },
 };
 
 /**
@@ -107,51 +145,47 @@ function injectWrenchAnimationCSS() {
 /**
  * Set up wrench display for the motivated event
  * @param {Object} gameState - The current game state
+ * @param {EventBus} eventBus - The game's event bus
  */
-function setupWrenchDisplay(gameState) {
+function setupWrenchDisplay(gameState, eventBus) {
   // Inject CSS animation if not already present
   injectWrenchAnimationCSS();
 
-  // Remove any existing event listeners to prevent accumulation
-  document.removeEventListener("systemSelectionChanged", handleSystemSelection);
-  document.removeEventListener(
-    "systemSelectionConfirmed",
-    cleanupWrenchDisplay
-  );
-  document.removeEventListener(
-    "systemSelectionCancelled",
-    cleanupWrenchDisplay
-  );
-
-  // Add event listeners for system selection lifecycle
-  document.addEventListener("systemSelectionChanged", handleSystemSelection);
-  document.addEventListener("systemSelectionConfirmed", cleanupWrenchDisplay);
-  document.addEventListener("systemSelectionCancelled", cleanupWrenchDisplay);
+  // Drop listeners from a previous selection to prevent accumulation
+  disposeSelectionScope();
 
-  // Initially update wrench display based on current selection
-  updateWrenchDisplay(gameState.selectedSystems || []);
-}
+  // Listen for the selection lifecycle until the selection ends
+  if (eventBus) {
+    selectionScope = eventBus.createScope();
+    selectionScope.on(
+      GAME_EVENTS.SYSTEM_SELECTION_CHANGED,
+      ({ selectedSystems }) =>
+        updateWrenchDisplay(gameState.systems, selectedSystems)
+    );
+    selectionScope.on(
+      GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED,
+      cleanupWrenchDisplay
+    );
+    selectionScope.on(
+      GAME_EVENTS.SYSTEM_SELECTION_CANCELLED,
+      cleanupWrenchDisplay
+    );
+  }
 
-/**
- * Handle system selection change events to update wrench display
- * @param {CustomEvent} event - The system selection changed event
- */
-function handleSystemSelection(event) {
-  const selectedSystems = event.detail.selectedSystems;
-  updateWrenchDisplay(selectedSystems);
+  // Initially update wrench display based on current selection
+  updateWrenchDisplay(gameState.systems, gameState.selectedSystems || []);
 }
 
 /**
  * Update wrench display to show wrenches on selected systems
+ * @param {Array} systems - The systems in play
  * @param {Array} selectedSystems - Array of selected system names
  */
-function updateWrenchDisplay(selectedSystems) {
-  // Get all system elements
-  const allSystemElements = document.querySelectorAll("[data-system-name]");
-
-  allSystemElements.forEach((systemElement) => {
-    const systemName = systemElement.getAttribute("data-system-name");
-    const isSelected = selectedSystems.includes(systemName);
+function updateWrenchDisplay(systems, selectedSystems) {
+  (systems || []).forEach((system) => {
+    const systemElement = findSystemElement(systems, getModuleId(system));
+    if (!systemElement) return;
+    const isSelected = selectedSystems.includes(system.name);
     const existingWrench = systemElement.querySelector(
       ".motivated-wrench-overlay"
     );
@@ -215,13 +249,15 @@ function cleanupWrenchDisplay() {
   wrenches.forEach((wrench) => wrench.remove());
 
   // Remove event listeners
-  document.removeEventListener("systemSelectionChanged", handleSystemSelection);
-  document.removeEventListener(
-    "systemSelectionConfirmed",
-    cleanupWrenchDisplay
-  );
-  document.removeEventListener(
-    "systemSelectionCancelled",
-    cleanupWrenchDisplay
-  );
+  disposeSelectionScope();
+}
+
+/**
+ * Remove the listeners of the current selection, if any
+ */
+function disposeSelectionScope() {
+  if (selectionScope) {
+    selectionScope.dispose();
+    selectionScope = null;
+  }
 }
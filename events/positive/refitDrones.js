@@ -0,0 +1,17 @@
+/**
+ * Refit Drones positive event module.
+ * This module contains all data and functionality for the Refit Drones event.
+ * A swarm of salvage drones refits the most worn system, restoring the maximum
+ * health its repairs wore away (see src/mechanics/wear.js).
+ */
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
+
+export const refitDrones = defineEvent({
+  id: "refitDrones",
+  name: "Refit Drones",
+  description:
+    "A swarm of salvage drones docks and refits your most worn system!",
+
+  // Win back 30 capacity on the system that lost the most
+  effects: [{ type: "restore_capacity", amount: 30, target: "most_worn" }],
+});
@@ -3,21 +3,15 @@
  * This module contains all data and functionality for the Solar Flare event.
  * A solar flare provides a burst of energy that heals all systems.
  */
-export const solarFlare = {
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
+
+export const solarFlare = defineEvent({
+  id: "solarFlare",
   description: "A solar flare passes by, providing a burst of clean energy!",
 
-  /**
-   * Applies the solar flare effect to the game state.
-   * @param {Object} state - The current game state
-   * @returns {Object} The updated game state
-   */
-  apply(state) {
-    const updatedState = { ...state };
-    // Heal all systems by 20 points, capped at 100
-    updatedState.systems = updatedState.systems.map((system) => ({
-      ...system,
-      health: Math.min(100, system.health + 20),
-    }));
-    return updatedState;
-  },
-};
+  // Heal all systems by 20 points, capped at their maximum health, and charge the batteries
+  effects: [
+    { type: "heal", amount: 20, target: "all" },
+    { type: "grant_resources", resources: { energy: 2 } },
+  ],
+});
@@ -0,0 +1,24 @@
+/**
+ * Solar Wind positive event module.
+ * This module contains all data and functionality for the Solar Wind event.
+ * A calm solar wind shields the hull, slowing deterioration for a few turns.
+ */
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
+
+export const solarWind = defineEvent({
+  id: "solarWind",
+  name: "Solar Wind",
+  description: "A gentle solar wind sweeps the hull, slowing wear on all systems.",
+
+  // Each tick halves the next deterioration, for 2 turns
+  duration: 2,
+  effects: [
+    {
+      type: "add_modifier",
+      modifier: 0.5,
+      damageType: "deterioration",
+      turns: 1,
+      source: "solarWind",
+    },
+  ],
+});
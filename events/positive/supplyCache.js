@@ -1,21 +1,17 @@
 /**
  * Supply Cache positive event module.
  * This module contains all data and functionality for the Supply Cache event.
- * Discovering a supply cache provides resources to repair systems.
+ * Discovering a supply cache provides spare parts and repairs a system.
  */
-export const supplyCache = {
+import { defineEvent } from "../../src/mechanics/eventEffects.js";
+
+export const supplyCache = defineEvent({
+  id: "supplyCache",
   description: "You discover an abandoned supply cache with repair parts!",
 
-  /**
-   * Applies the supply cache effect to the game state.
-   * @param {Object} state - The current game state
-   * @returns {Object} The updated game state
-   */
-  apply(state) {
-    const updatedState = { ...state };
-    // Randomly select one system and fully repair it
-    const randomIndex = Math.floor(Math.random() * updatedState.systems.length);
-    updatedState.systems[randomIndex].health = 100;
-    return updatedState;
-  },
-};
+  // Stock up on spare parts and fully repair one random system
+  effects: [
+    { type: "grant_resources", resources: { parts: 3 } },
+    { type: "set_health", value: 100, target: "random" },
+  ],
+});
@@ -14,10 +14,10 @@ import {
 // Registry configuration - edit this when adding new components
 const registryConfig = {
   systems: [
-    "../../systems/lifeSupport.js",
-    "../../systems/power.js",
-    "../../systems/navigation.js",
-    "../../systems/shields.js",
+    "../../systems/lifeSupport.json",
+    "../../systems/power.json",
+    "../../systems/navigation.json",
+    "../../systems/shields.json",
     "../../systems/comms.js",
     "../../systems/protection.js",
   ],
@@ -26,11 +26,14 @@ const registryConfig = {
     "../../events/positive/supplyCache.js",
     "../../events/positive/alienSignal.js",
     "../../events/positive/motivated.js",
+    "../../events/positive/solarWind.js",
+    "../../events/positive/refitDrones.js",
   ],
   negativeEvents: [
     "../../events/negative/meteorShower.js",
     "../../events/negative/powerSurge.js",
     "../../events/negative/oxygenLeak.js",
+    "../../events/negative/ionStorm.js",
   ],
 };
 
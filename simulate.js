@@ -0,0 +1,126 @@
+/**
+ * Balance simulation entry point for the survival game.
+ * Runs the Monte Carlo balance simulator from Node:
+ *
+ *   node simulate.js --games 1000 --strategy fixLowestHealth --vary events
+ *
+ * Options:
+ *   --games <n>          Games per combination (default 1000)
+ *   --strategy <id>      Strategy playing the games (default fixLowestHealth)
+ *   --seed <seed>        Base seed; game i uses seed + i (default 1)
+ *   --systems <a,b,c>    Comma-separated system IDs (default all)
+ *   --events <a,b>       Comma-separated event IDs (default all)
+ *   --vary <mode>        none, events, systems or both (default none)
+ *   --event-chance <p>   Chance of an event each turn (default: the game's, 0.3)
+ *   --rules <json>       Win/lose rule specs, e.g. '[{"rule":"surviveTurns","turns":20}]'
+ *   --json               Print the report as JSON instead of tables
+ */
+
+import { loadGameModules } from "./registry.js";
+import {
+  buildCombinations,
+  runBalanceSimulation,
+  formatReportTable,
+} from "./src/simulation/balanceSimulator.js";
+import { getStrategy, STRATEGIES } from "./src/bots/strategies.js";
+
+/**
+ * Parses `--name value` and `--flag` command line arguments
+ * @param {Array} args - The command line arguments
+ * @returns {Object} The parsed options
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) continue;
+    const name = args[i].slice(2);
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      options[name] = true;
+    } else {
+      options[name] = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Splits a comma-separated option into a list
+ * @param {string|undefined} value - The option value
+ * @returns {Array|undefined} The list, or undefined when the option is not set
+ */
+function parseList(value) {
+  return typeof value === "string"
+    ? value.split(",").map((item) => item.trim()).filter(Boolean)
+    : undefined;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    process.stdout.write(
+      "Usage: node simulate.js [--games n] [--strategy id] [--seed s] " +
+        "[--systems id,id] [--events id,id] " +
+        "[--vary none|events|systems|both] " +
+        "[--event-chance p] [--rules json] [--json]\n" +
+        `Strategies: ${STRATEGIES.map((s) => s.id).join(", ")}\n`
+    );
+    return;
+  }
+
+  // Module loading and the turn sequence log to the console; keep output clean
+  const log = console.log;
+  console.log = () => {};
+
+  const games = parseInt(options.games || "1000", 10);
+  if (!Number.isInteger(games) || games <= 0) {
+    throw new Error("--games must be a positive integer");
+  }
+  const strategy = getStrategy(options.strategy || "fixLowestHealth");
+  const fullConfig = await loadGameModules();
+
+  const combinations = buildCombinations(fullConfig, {
+    systems: parseList(options.systems),
+    events: parseList(options.events),
+    vary: options.vary,
+  });
+
+  const report = await runBalanceSimulation(fullConfig, {
+    strategy,
+    games,
+    seed: options.seed || 1,
+    combinations,
+    settings: {
+      // Without the flag the game's configured chance applies
+      ...(options["event-chance"] !== undefined
+        ? { eventChance: parseFloat(options["event-chance"]) }
+        : {}),
+      // Win/lose rules (src/core/winLoseRules.js); the defaults when omitted
+      ...(typeof options.rules === "string"
+        ? { rules: JSON.parse(options.rules) }
+        : {}),
+    },
+    onProgress: options.json
+      ? null
+      : (completed, total) => {
+          if (completed % 100 === 0 || completed === total) {
+            process.stderr.write(`\rSimulated ${completed}/${total} games`);
+            if (completed === total) process.stderr.write("\n");
+          }
+        },
+  });
+
+  console.log = log;
+  process.stdout.write(
+    options.json
+      ? JSON.stringify(report, null, 2) + "\n"
+      : formatReportTable(report) + "\n"
+  );
+}
+
+main().catch((error) => {
+  console.error(`Simulation failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,306 @@
+/**
+ * Bot Strategies module for the survival game.
+ * A strategy (bot) plays the game by picking one of the legal player actions
+ * (see getLegalActions in src/core/playerActions.js). Strategies are plain objects:
+ *
+ *   { id, name, description, chooseAction(gameState, legalActions, context) }
+ *
+ * `chooseAction` returns one of `legalActions` (or a promise of one). The context
+ * holds the game `config` and the bot's own `rng`, seeded separately from the game
+ * so bots stay reproducible without consuming the game's numbers. The context lives
+ * for the whole game, so a strategy stores each draw's advanced `rng` back on it.
+ * Bots are used by the balance simulator (src/simulation/) and by autoplay on the
+ * game page (src/core/ui/autoplay.js).
+ */
+
+import {
+  applyPlayerAction,
+  getLegalActions,
+  PLAYER_ACTIONS,
+} from "../core/playerActions.js";
+import { takeEffects } from "../mechanics/presentationEffects.js";
+import { cloneState } from "../mechanics/stateHistory.js";
+import { createRngState, randomIndex, randomInt } from "../mechanics/rng.js";
+
+// Critical systems below this health are repaired before anything else
+const CRITICAL_HEALTH_THRESHOLD = 60;
+
+/**
+ * Creates the context passed to a strategy's chooseAction
+ * @param {Object} config - The game configuration
+ * @param {number|string} seed - Seed for the bot's own random numbers
+ * @returns {Object} The strategy context `{ config, rng }`
+ */
+export function createBotContext(config, seed) {
+  return { config, rng: createRngState(seed) };
+}
+
+/**
+ * Returns the action with the highest score (the first one on ties)
+ * @param {Array} actions - Candidate actions
+ * @param {Function} score - Scores an action
+ * @returns {Object|null} The best action
+ */
+function pickBest(actions, score) {
+  let best = null;
+  let bestScore = -Infinity;
+  actions.forEach((action) => {
+    const value = score(action);
+    if (best === null || value > bestScore) {
+      best = action;
+      bestScore = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Finds a system by name
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system name
+ * @returns {Object|undefined} The system
+ */
+function findSystem(gameState, systemName) {
+  return gameState.systems.find((system) => system.name === systemName);
+}
+
+/**
+ * Answers a pending system selection or interactive event, if there is one.
+ * Selections take as many systems as allowed, preferring the most damaged ones
+ * (and critical systems first when `preferCritical` is set).
+ * @param {Object} gameState - The current game state
+ * @param {Array} legalActions - The legal actions
+ * @param {boolean} preferCritical - Whether critical systems are picked first
+ * @returns {Object|null} The action resolving the pending choice, or null
+ */
+export function resolvePendingChoice(gameState, legalActions, preferCritical = false) {
+  if (gameState.systemSelectionMode) {
+    const confirms = legalActions.filter(
+      (action) => action.type === PLAYER_ACTIONS.CONFIRM_SELECTION
+    );
+    return (
+      pickBest(confirms, (action) => {
+        const systems = action.systems.map((name) => findSystem(gameState, name));
+        const critical = systems.filter((system) => system.critical).length;
+        const missingHealth = systems.reduce(
+          (total, system) => total + (100 - system.health),
+          0
+        );
+        return (
+          (preferCritical ? critical * 100000 : 0) +
+          systems.length * 1000 +
+          missingHealth
+        );
+      }) || legalActions[0]
+    );
+  }
+
+  if (gameState.interactiveEvent) {
+    return legalActions.find(
+      (action) => action.type === PLAYER_ACTIONS.CONFIRM_INTERACTIVE
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Returns the fix (or recover) action for the most damaged system. Overhauls are
+ * preferred over quick patches; maintenance restores no health and is left out.
+ * @param {Object} gameState - The current game state
+ * @param {Array} legalActions - The legal actions
+ * @param {Function} filter - Optional filter on the target system
+ * @returns {Object|null} The fix action
+ */
+function fixMostDamaged(gameState, legalActions, filter = () => true) {
+  const fixes = legalActions.filter(
+    (action) =>
+      ((action.type === PLAYER_ACTIONS.FIX &&
+        action.repair !== "maintenance") ||
+        action.type === PLAYER_ACTIONS.FORCE_RECOVERY) &&
+      filter(findSystem(gameState, action.systemName))
+  );
+  return pickBest(
+    fixes,
+    (action) =>
+      -findSystem(gameState, action.systemName).health * 2 +
+      (action.repair === "patch" ? 0 : 1)
+  );
+}
+
+/**
+ * Always fixes the system with the lowest health
+ */
+export const fixLowestHealth = {
+  id: "fixLowestHealth",
+  name: "Fix lowest health",
+  description: "Always repairs the most damaged system.",
+
+  chooseAction(gameState, legalActions) {
+    return (
+      resolvePendingChoice(gameState, legalActions) ||
+      fixMostDamaged(gameState, legalActions) ||
+      legalActions[0]
+    );
+  },
+};
+
+/**
+ * Keeps critical systems healthy first and spends Protection on them
+ */
+export const protectCritical = {
+  id: "protectCritical",
+  name: "Protect critical systems",
+  description:
+    "Repairs critical systems below 60 health first, shields them whenever possible, then repairs the most damaged system.",
+
+  chooseAction(gameState, legalActions) {
+    const pending = resolvePendingChoice(gameState, legalActions, true);
+    if (pending) return pending;
+
+    const criticalFix = fixMostDamaged(
+      gameState,
+      legalActions,
+      (system) => system.critical && system.health < CRITICAL_HEALTH_THRESHOLD
+    );
+    if (criticalFix) return criticalFix;
+
+    // Shielding keeps a critical system safe for turns, so use it as soon as it is ready
+    const hasCritical = gameState.systems.some((system) => system.critical);
+    const shield = legalActions.find(
+      (action) =>
+        action.type === PLAYER_ACTIONS.SYSTEM_ACTION &&
+        action.action === "activate"
+    );
+    if (hasCritical && shield) return shield;
+
+    return fixMostDamaged(gameState, legalActions) || legalActions[0];
+  },
+};
+
+/**
+ * Picks a random legal action
+ */
+export const randomBot = {
+  id: "random",
+  name: "Random",
+  description: "Picks any legal action at random.",
+
+  chooseAction(gameState, legalActions, context) {
+    const { value, state } = randomIndex(context, legalActions.length);
+    context.rng = state.rng;
+    return legalActions[value];
+  },
+};
+
+/**
+ * Scores a game state for the lookahead bot (higher is better)
+ * @param {Object} gameState - The game state to score
+ * @returns {number} The score
+ */
+function scoreState(gameState) {
+  if (gameState.gameOver) {
+    return gameState.win ? 1000000 : -1000000;
+  }
+
+  return gameState.systems
+    .filter((system) => system.type === "normal")
+    .reduce((score, system) => {
+      const weight = system.critical ? 2 : 1;
+      const failedPenalty = system.health <= 0 ? 50 : 0;
+      return score + weight * system.health - failedPenalty;
+    }, 0);
+}
+
+/**
+ * Plays an action on a copy of the state until the next turn has been played.
+ * Choices it leads to are answered like the fix lowest health bot would.
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @param {Object} action - The action to try
+ * @param {number} seed - Seed replacing the game's RNG, so the real future stays unknown
+ * @returns {Promise<Object>} The resulting game state
+ */
+async function playOut(gameState, config, action, seed) {
+  let state = { ...cloneState(gameState), rng: createRngState(seed) };
+  const startTurn = state.turn;
+
+  state = await applyPlayerAction(state, config, action);
+  for (let steps = 0; steps < 5; steps++) {
+    if (state.gameOver || state.turn > startTurn) break;
+    const legalActions = getLegalActions(state);
+    if (legalActions.length === 0) break;
+    state = await applyPlayerAction(
+      state,
+      config,
+      fixLowestHealth.chooseAction(state, legalActions)
+    );
+  }
+
+  return takeEffects(state).state;
+}
+
+/**
+ * Simulates the next turn for every action and picks the best average outcome
+ */
+export const lookahead = {
+  id: "lookahead",
+  name: "Lookahead",
+  description:
+    "Plays every action one turn ahead on a few sampled futures and picks the best result.",
+  samples: 3,
+
+  async chooseAction(gameState, legalActions, context) {
+    if (gameState.interactiveEvent) {
+      return resolvePendingChoice(gameState, legalActions);
+    }
+
+    const candidates = legalActions.filter(
+      (action) =>
+        action.type !== PLAYER_ACTIONS.CANCEL_SELECTION &&
+        action.type !== PLAYER_ACTIONS.CANCEL_INTERACTIVE
+    );
+    if (candidates.length <= 1) return candidates[0] || legalActions[0];
+
+    // Every candidate is tried against the same sampled futures
+    const seeds = [];
+    for (let i = 0; i < this.samples; i++) {
+      const { value, state } = randomInt(context, 0, 0xffffffff);
+      context.rng = state.rng;
+      seeds.push(value);
+    }
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const action of candidates) {
+      let total = 0;
+      for (const seed of seeds) {
+        total += scoreState(
+          await playOut(gameState, context.config, action, seed)
+        );
+      }
+      if (best === null || total > bestScore) {
+        best = action;
+        bestScore = total;
+      }
+    }
+    return best;
+  },
+};
+
+export const STRATEGIES = [fixLowestHealth, protectCritical, randomBot, lookahead];
+
+/**
+ * Finds a strategy by id
+ * @param {string} id - The strategy id
+ * @returns {Object} The strategy
+ */
+export function getStrategy(id) {
+  const strategy = STRATEGIES.find((s) => s.id === id);
+  if (!strategy) {
+    throw new Error(
+      `Unknown strategy '${id}'. Available: ${STRATEGIES.map((s) => s.id).join(", ")}`
+    );
+  }
+  return strategy;
+}
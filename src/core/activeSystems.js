@@ -5,6 +5,8 @@
  * They can define their own UI rendering, interaction handling, and update logic.
  */
 
+import { getModuleId } from "../setup/moduleIds.js";
+
 /**
  * Renders an active system element using the system's custom renderUI method
  * @param {Object} system - The system object with renderUI method
@@ -14,8 +16,8 @@
  */
 export function renderActiveSystem(system, container, gameState) {
   container.className = "system";
-  container.id = `system-${system.name.toLowerCase().replace(" ", "-")}`;
-  container.setAttribute("data-system-name", system.name);
+  container.id = `system-${getModuleId(system)}`;
+  container.setAttribute("data-system-id", getModuleId(system));
 
   // Check if system has a custom renderUI method
   if (typeof system.renderUI === "function") {
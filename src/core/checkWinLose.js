@@ -1,14 +1,19 @@
 /**
  * Check Win/Lose module for the survival game.
  * This module evaluates the current game state to determine if the game has ended.
- * The game is won if the player survives all 15 turns with systems intact.
- * The game is lost if ALL systems fail (reach 0 health) before the rescue arrives.
+ * The conditions are the win/lose rules of the game (src/core/winLoseRules.js):
+ * by default the game is lost when a critical system or every system fails, and won
+ * when the player survives until rescue arrives. The rule that ended the game is
+ * recorded on the state as `endedBy` so the game-over screen can name it.
  * This check is performed after each turn and after player actions.
  *
  * @param {Object} gameState - The current game state object.
+ * @param {Object} config - The game configuration (its `rules` and modules).
  * @returns {Object} The updated game state with win/lose flags set.
  */
-export function checkWinLose(gameState) {
+import { evaluateRules } from "./winLoseRules.js";
+
+export function checkWinLose(gameState, config = {}) {
   // Validate the gameState object
   if (!gameState || !gameState.systems || !Array.isArray(gameState.systems)) {
     throw new Error("Invalid gameState: systems array is required");
@@ -17,30 +22,23 @@ export function checkWinLose(gameState) {
   // Create a copy of the gameState to avoid mutation
   const updatedState = { ...gameState };
 
-  // Check for loss condition: ALL systems have 0 or less health
-  const allSystemsFailed = updatedState.systems.every(
-    (system) => system.health <= 0
-  );
-  if (allSystemsFailed) {
-    updatedState.gameOver = true;
-    updatedState.win = false;
-    updatedState.message = "All ship systems have failed! Game Over.";
+  // A game that has already ended keeps its result
+  if (updatedState.gameOver) {
     return updatedState;
   }
 
-  // Check for win condition: reached turn 15 without failure
-  if (updatedState.turn >= updatedState.maxTurns) {
+  const ending = evaluateRules(updatedState, config);
+  if (ending) {
+    const { id, outcome, description } = ending.rule;
     updatedState.gameOver = true;
-    updatedState.win = true;
-    updatedState.message = "Rescue has arrived! You survived! Congratulations!";
+    updatedState.win = outcome === "win";
+    updatedState.message = ending.message;
+    updatedState.endedBy = { id, outcome, description };
     return updatedState;
   }
 
-  // Game continues if no win or lose condition is met
-  // Preserve gameOver if already set (e.g., by Life Support failure)
-  if (!updatedState.gameOver) {
-    updatedState.gameOver = false;
-  }
+  // Game continues if no rule ends it
+  updatedState.gameOver = false;
   updatedState.win = false;
 
   // Return the updated game state
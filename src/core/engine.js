@@ -0,0 +1,77 @@
+/**
+ * Engine module for the survival game.
+ * This module is the entry point of the headless game engine: everything needed to
+ * create and play a game without a browser (game state creation, the turn sequence,
+ * fixes, the repair queue, force recovery, system selection and events). Nothing reachable from here
+ * touches the DOM; presentation is emitted as effects on `gameState.pendingEffects`
+ * and rendered by the browser shell (src/core/ui/effectRenderer.js).
+ */
+
+import { createGameState } from "./gameState.js";
+import { deteriorateSystems } from "../mechanics/deteriorateSystems.js";
+import { dispatchHook } from "../mechanics/lifecycleHooks.js";
+import { checkWinLose } from "./checkWinLose.js";
+import { refillActionPoints } from "../mechanics/actionPoints.js";
+
+/**
+ * Creates a new game and applies the initial turn 1 deterioration
+ * (with the `onTurnStart` and deterioration lifecycle hooks, then the win/lose rules)
+ * and gives the player the first turn's action points
+ * @param {Object} config - The game configuration object
+ * @returns {Promise<Object>} The game state ready for the player's first action
+ */
+export async function startGame(config) {
+  let gameState = await createGameState(config);
+
+  // Apply initial deterioration for turn 1
+  gameState = await dispatchHook("onTurnStart", gameState, config);
+  gameState = await dispatchHook("beforeDeterioration", gameState, config);
+  gameState = await deteriorateSystems(gameState);
+  gameState = await dispatchHook("afterDeterioration", gameState, config);
+  gameState = checkWinLose(gameState, config);
+  return refillActionPoints(gameState, config);
+}
+
+export { createGameState };
+export { deteriorateSystems };
+export {
+  executeTurnSequence,
+  executeCustomSequence,
+} from "./sequenceOrder.js";
+export {
+  applyPlayerAction,
+  createFixAction,
+  getLegalActions,
+  getActionCost,
+  checkPlayerAction,
+  PLAYER_ACTIONS,
+} from "./playerActions.js";
+export { handleNormalInteraction } from "./normalSystems.js";
+export { handleActiveInteraction } from "./activeSystems.js";
+export { fixSystem } from "../mechanics/fixSystem.js";
+export { attemptForceRecovery } from "../mechanics/forceRecovery.js";
+export {
+  advanceRepairs,
+  isUnderRepair,
+  getRepairDuration,
+} from "../mechanics/repairQueue.js";
+export {
+  selectSystem,
+  confirmSystemSelection,
+  cancelSystemSelection,
+} from "../mechanics/systemSelection.js";
+export {
+  confirmInteractiveEvent,
+  cancelInteractiveEvent,
+} from "../mechanics/interactiveEvents.js";
+export { takeEffects } from "../mechanics/presentationEffects.js";
+export { dispatchHook, LIFECYCLE_HOOKS } from "../mechanics/lifecycleHooks.js";
+export { serializeGame, deserializeGame } from "./saveGame.js";
+export { checkWinLose };
+export {
+  createRule,
+  resolveRules,
+  evaluateRules,
+  RULE_TYPES,
+  DEFAULT_RULES,
+} from "./winLoseRules.js";
@@ -0,0 +1,186 @@
+/**
+ * Event Bus module for the survival game.
+ * Game signals (system selection, interactive event choices, damage modifier
+ * changes...) go through an event bus created for each game instead of global
+ * `document` CustomEvents. The bus is handed to modules on `config.eventBus`
+ * (like `config.registry`) and disposed when the game is retried or left, so
+ * listeners from a finished game never fire in the next one.
+ *
+ * Listeners are called as `listener(payload, type)`. Subscribe to `"*"` to receive
+ * every event (e.g. for logging). Modules that listen only for a while (during a
+ * selection, for example) should use a scope and dispose it when done.
+ */
+
+/**
+ * Game events and the payload fields each one requires
+ */
+export const GAME_EVENTS = {
+  SYSTEM_SELECTED: "systemSelected", // { systemName }
+  SYSTEM_SELECTION_CHANGED: "systemSelectionChanged", // { selectedSystems }
+  SYSTEM_SELECTION_CONFIRMED: "systemSelectionConfirmed", // {}
+  SYSTEM_SELECTION_CANCELLED: "systemSelectionCancelled", // {}
+  INTERACTIVE_EVENT_COMPLETED: "interactiveEventCompleted", // { action }
+  DAMAGE_MODIFIERS_UPDATED: "damageModifiersUpdated", // { previousModifiers, currentModifiers, gameState }
+  UI_UPDATED: "uiUpdated", // {}
+};
+
+const REQUIRED_PAYLOAD_FIELDS = {
+  systemSelected: ["systemName"],
+  systemSelectionChanged: ["selectedSystems"],
+  systemSelectionConfirmed: [],
+  systemSelectionCancelled: [],
+  interactiveEventCompleted: ["action"],
+  damageModifiersUpdated: ["previousModifiers", "currentModifiers"],
+  uiUpdated: [],
+};
+
+export const WILDCARD = "*";
+
+let nextGameId = 1;
+
+/**
+ * Per-game event bus with typed events, wildcard listeners and scoped cleanup
+ */
+export class EventBus {
+  constructor() {
+    this.gameId = nextGameId++;
+    this.listeners = new Map();
+    this.disposed = false;
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - A GAME_EVENTS value, or "*" for every event
+   * @param {Function} listener - Called with (payload, type)
+   * @returns {Function} Unsubscribes the listener
+   */
+  on(type, listener) {
+    validateType(type, true);
+    if (this.disposed) {
+      console.warn(`Ignoring ${type} subscription on a finished game`);
+      return () => {};
+    }
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} type - A GAME_EVENTS value, or "*"
+   * @param {Function} listener - Called with (payload, type)
+   * @returns {Function} Unsubscribes the listener
+   */
+  once(type, listener) {
+    const unsubscribe = this.on(type, (payload, eventType) => {
+      unsubscribe();
+      listener(payload, eventType);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Unsubscribe a listener
+   * @param {string} type - The event type it was subscribed to
+   * @param {Function} listener - The listener
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    this.listeners.set(
+      type,
+      listeners.filter((l) => l !== listener)
+    );
+  }
+
+  /**
+   * Emit an event to its listeners, then to wildcard listeners. Listener errors are
+   * logged, including rejections of async listeners, and never stop delivery.
+   * @param {string} type - A GAME_EVENTS value
+   * @param {Object} payload - The event payload
+   */
+  emit(type, payload = {}) {
+    validateType(type, false);
+    const missing = REQUIRED_PAYLOAD_FIELDS[type].filter(
+      (field) => !(field in payload)
+    );
+    if (missing.length > 0) {
+      throw new Error(`${type} payload is missing: ${missing.join(", ")}`);
+    }
+    if (this.disposed) return;
+
+    const listeners = [
+      ...(this.listeners.get(type) || []),
+      ...(this.listeners.get(WILDCARD) || []),
+    ];
+    const reportError = (error) =>
+      console.error(`Error in ${type} listener:`, error);
+    listeners.forEach((listener) => {
+      try {
+        const result = listener(payload, type);
+        if (result && typeof result.catch === "function") {
+          result.catch(reportError);
+        }
+      } catch (error) {
+        reportError(error);
+      }
+    });
+  }
+
+  /**
+   * Create a group of subscriptions that can be removed together
+   * @returns {Object} Scope with `on`, `once` and `dispose`
+   */
+  createScope() {
+    const unsubscribers = [];
+    return {
+      on: (type, listener) => {
+        const unsubscribe = this.on(type, listener);
+        unsubscribers.push(unsubscribe);
+        return unsubscribe;
+      },
+      once: (type, listener) => {
+        const unsubscribe = this.once(type, listener);
+        unsubscribers.push(unsubscribe);
+        return unsubscribe;
+      },
+      dispose: () => {
+        unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+      },
+    };
+  }
+
+  /**
+   * Remove every listener and stop delivering events (the game is over or retried)
+   */
+  dispose() {
+    this.listeners.clear();
+    this.disposed = true;
+  }
+
+  /**
+   * Number of listeners currently subscribed (all types)
+   */
+  get listenerCount() {
+    let count = 0;
+    this.listeners.forEach((listeners) => {
+      count += listeners.length;
+    });
+    return count;
+  }
+}
+
+/**
+ * Throws for event types that are not part of GAME_EVENTS
+ * @param {string} type - The event type
+ * @param {boolean} allowWildcard - Whether "*" is accepted
+ */
+function validateType(type, allowWildcard) {
+  if (allowWildcard && type === WILDCARD) return;
+  if (!(type in REQUIRED_PAYLOAD_FIELDS)) {
+    throw new Error(`Unknown game event: ${type}`);
+  }
+}
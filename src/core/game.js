@@ -3,7 +3,15 @@
  * This module initializes the game by loading configuration based on user selections,
  * setting up the initial state, and attaching event listeners to the UI buttons.
  * It serves as the entry point for the game page.
- * The game uses a modular architecture with separate concerns for maintainability.
+ * The game uses a modular architecture with separate concerns for maintainability:
+ * game logic runs in the headless engine (src/core/engine.js) and this module acts as
+ * the browser shell, rendering the state and presentation effects after every engine call.
+ * Every rendered state is autosaved (src/core/saveGame.js) so a run can be continued later.
+ * Game signals go through a per-game event bus (src/core/eventBus.js) on `config.eventBus`,
+ * which is replaced when the game is retried so no listener outlives its game.
+ * The selections and difficulty chosen on the setup page arrive in the URL and are
+ * resolved into the game config by src/setup/gameConfig.js; the difficulty is shown
+ * in the header.
  */
 export async function initializeGame() {
   try {
@@ -14,74 +22,189 @@ export async function initializeGame() {
     }
     // Import required modules
     const { loadGameModules } = await import("../../registry.js");
-    const { createGameState } = await import("./gameState.js");
-    const { updateUI } = await import("./updateUI.js");
-
-    // Get URL parameters for selected systems and events
+    const {
+      startGame,
+      selectSystem,
+      applyPlayerAction,
+      createFixAction,
+      getLegalActions,
+      PLAYER_ACTIONS,
+    } = await import("./engine.js");
+    const { presentState } = await import("./ui/effectRenderer.js");
+    const { updateUndoButton } = await import("./ui/undoButton.js");
+    const { initializeAutoplayControls } = await import("./ui/autoplay.js");
+    const { showEventOdds, renderEventOdds } = await import(
+      "./ui/eventOdds.js"
+    );
+    const { removeInteractivePopup } = await import("./ui/interactivePopup.js");
+    const { toggleRepairMenu, closeRepairMenus } = await import(
+      "./ui/repairMenu.js"
+    );
+    const { EventBus, GAME_EVENTS, WILDCARD } = await import("./eventBus.js");
+    const { STRATEGIES, createBotContext } = await import(
+      "../bots/strategies.js"
+    );
+    const { addLogEntry } = await import("../mechanics/eventLog.js");
+    const { StateHistory } = await import("../mechanics/stateHistory.js");
+    const { selectionsFromParams, resolveGameConfig } = await import(
+      "../setup/gameConfig.js"
+    );
+    const { renderDifficultyBadge } = await import("./ui/difficultyBadge.js");
+    const { findModule } = await import("../setup/moduleIds.js");
+    const {
+      saveGame,
+      hasSavedGame,
+      getSavedGameSummary,
+      loadSavedGame,
+      clearSavedGame,
+    } = await import("./saveGame.js");
+
+    // Get URL parameters for selected systems, events, difficulty and seed
     const urlParams = new URLSearchParams(window.location.search);
-    const selectedSystems = urlParams.get("systems")?.split(",") || [];
-    const selectedEvents =
-      urlParams.get("events")?.split("|").map(decodeURIComponent) || [];
+    const selections = selectionsFromParams(urlParams);
+    // Debug views (event odds) for designers
+    if (urlParams.has("debug")) {
+      showEventOdds();
+    }
 
     // Load full game configuration using new registry system
     const fullConfig = await loadGameModules();
 
-    // Filter config based on user selections
-    const config = filterConfigBySelections(
-      fullConfig,
-      selectedSystems,
-      selectedEvents
-    );
-    console.log("Filtered config loaded:", config);
-    console.log("Selected systems:", selectedSystems);
-    console.log("Selected events:", selectedEvents);
+    // Resolve the game config from the user selections (the difficulty
+    // includes the number of undo steps kept, 0 disabling undo)
+    let config = resolveGameConfig(fullConfig, selections);
+    console.log("Resolved config loaded:", config);
+    console.log("Selected systems:", selections.systems);
+    console.log("Selected events:", selections.events);
+
+    // Offer to continue a saved run before starting a new one
+    let gameState = null;
+    if (hasSavedGame() && (await askToContinue(getSavedGameSummary()))) {
+      const savedGame = await loadSavedGame(fullConfig.registry);
+      if (savedGame) {
+        ({ gameState, config } = savedGame);
+        console.log("Saved game restored:", gameState);
+      }
+    }
+    const resumed = gameState !== null;
+    renderDifficultyBadge(config.difficulty);
 
-    // Create initial game state
-    let gameState = await createGameState(config);
-    console.log("Initial game state:", gameState);
+    // Event bus for this game (set after a restore, which replaces the config)
+    let eventBus = new EventBus();
+    config.eventBus = eventBus;
 
-    // Apply initial deterioration for turn 1
-    const { deteriorateSystems } = await import(
-      "../mechanics/deteriorateSystems.js"
-    );
-    gameState = await deteriorateSystems(gameState);
+    // Create initial game state and apply initial deterioration for turn 1
+    if (!resumed) {
+      gameState = await startGame(config);
+      console.log("Initial game state:", gameState);
+    }
+    console.log("Game seed:", gameState.rng.seed);
+
+    // Snapshots taken before each player action, for undo
+    const history = new StateHistory(config.undoLimit);
+
+    // Autoplay controls (set up below, once the game state exists)
+    let autoplay = null;
+
+    // Render the state after every engine call and autosave the run
+    // (a finished run has nothing left to continue). Open repair menus show
+    // the costs of the previous state, so they are closed.
+    const present = (state) => {
+      closeRepairMenus();
+      const presentedState = presentState(state, config);
+      if (presentedState.gameOver) {
+        clearSavedGame();
+      } else {
+        saveGame(presentedState, config);
+      }
+      updateUndoButton(history, presentedState);
+      renderEventOdds(presentedState, config);
+      if (autoplay) autoplay.update(presentedState);
+      return presentedState;
+    };
+
+    // Log the seed so a run can be reproduced from a bug report
+    if (resumed) {
+      gameState = addLogEntry(gameState, "Saved game resumed");
+    }
+    gameState = addLogEntry(gameState, `Seed: ${gameState.rng.seed}`);
 
     // Update UI with initial state (after deterioration)
-    updateUI(gameState, config);
-
-    // Listen for interactive event completion
-    document.addEventListener("interactiveEventCompleted", (event) => {
-      gameState = event.detail.updatedState;
+    gameState = present(gameState);
+
+    // Autoplay: the chosen bot plays through the same player actions (so its
+    // moves are recorded for replays and can be undone like the player's)
+    const botContext = createBotContext(config, gameState.rng.seed);
+    autoplay = initializeAutoplayControls(STRATEGIES, async (strategy) => {
+      const legalActions = getLegalActions(gameState);
+      if (legalActions.length === 0) return false;
+
+      const action = await strategy.chooseAction(
+        gameState,
+        legalActions,
+        botContext
+      );
+      if (
+        action.type === PLAYER_ACTIONS.FIX ||
+        action.type === PLAYER_ACTIONS.FORCE_RECOVERY ||
+        action.type === PLAYER_ACTIONS.SYSTEM_ACTION ||
+        action.type === PLAYER_ACTIONS.CANCEL_REPAIR ||
+        action.type === PLAYER_ACTIONS.MOVE_REPAIR ||
+        action.type === PLAYER_ACTIONS.END_TURN
+      ) {
+        history.push(gameState);
+      }
+      if (gameState.interactiveEvent) {
+        removeInteractivePopup();
+      }
+
+      gameState = present(await applyPlayerAction(gameState, config, action));
+      return !gameState.gameOver;
     });
+    autoplay.update(gameState);
 
-    // Listen for system selection events
-    document.addEventListener("systemSelected", async (event) => {
-      const { selectSystem } = await import("../mechanics/systemSelection.js");
-      gameState = selectSystem(gameState, event.detail.systemName);
+    // Subscribe the shell to the game signals of a (new) event bus
+    const subscribeGameEvents = (bus) => {
+      // Trace every game event while debugging
+      bus.on(WILDCARD, (payload, type) => {
+        console.debug(`[game ${bus.gameId}] ${type}`, payload);
+      });
 
-      // Update UI with the new state
-      updateUI(gameState, config);
+      // Listen for interactive event choices (confirmInteractive/cancelInteractive actions)
+      bus.on(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, async ({ action }) => {
+        gameState = await applyPlayerAction(gameState, config, action);
+        gameState = present(gameState);
+      });
+
+      // Listen for system selection events
+      bus.on(GAME_EVENTS.SYSTEM_SELECTED, async ({ systemName }) => {
+        gameState = selectSystem(gameState, systemName);
 
-      // Dispatch custom event with current selection state
-      const selectionEvent = new CustomEvent("systemSelectionChanged", {
-        detail: { selectedSystems: gameState.selectedSystems || [] },
+        // Update UI with the new state
+        gameState = present(gameState);
+
+        // Let selection indicators know about the current selection
+        bus.emit(GAME_EVENTS.SYSTEM_SELECTION_CHANGED, {
+          selectedSystems: gameState.selectedSystems || [],
+        });
       });
-      document.dispatchEvent(selectionEvent);
-    });
 
-    document.addEventListener("systemSelectionConfirmed", async (event) => {
-      const { confirmSystemSelection } = await import(
-        "../mechanics/systemSelection.js"
-      );
-      gameState = await confirmSystemSelection(gameState);
-    });
+      bus.on(GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED, async () => {
+        gameState = await applyPlayerAction(gameState, config, {
+          type: PLAYER_ACTIONS.CONFIRM_SELECTION,
+          systems: gameState.selectedSystems || [],
+        });
+        gameState = present(gameState);
+      });
 
-    document.addEventListener("systemSelectionCancelled", async (event) => {
-      const { cancelSystemSelection } = await import(
-        "../mechanics/systemSelection.js"
-      );
-      gameState = await cancelSystemSelection(gameState);
-    });
+      bus.on(GAME_EVENTS.SYSTEM_SELECTION_CANCELLED, async () => {
+        gameState = await applyPlayerAction(gameState, config, {
+          type: PLAYER_ACTIONS.CANCEL_SELECTION,
+        });
+        gameState = present(gameState);
+      });
+    };
+    subscribeGameEvents(eventBus);
 
     // Use event delegation for system interactions (attaches to container that doesn't change)
     const systemsContainer = document.querySelector(".systems-container");
@@ -90,22 +213,46 @@ export async function initializeGame() {
         // Handle different types of system interactions
         const target = event.target;
 
-        // Check for fix buttons (normal systems). Use `closest` so clicks
-        // on child elements (icons/spans inside the button) are also handled.
+        // Check for repairs picked in a repair menu, then for fix buttons
+        // (normal systems). Use `closest` so clicks on child elements
+        // (icons/spans inside the button) are also handled.
+        const repairOption =
+          target.closest && target.closest(".repair-option");
         const fixButton = target.closest && target.closest(".fix-button");
-        if (fixButton) {
+        if (repairOption) {
           event.preventDefault();
-          const systemName = fixButton.dataset.system;
-
-          // Import normal systems handler
-          const { handleNormalInteraction } = await import(
-            "./normalSystems.js"
-          );
-          gameState = await handleNormalInteraction(
-            systemName,
-            gameState,
-            config
+          const system = findModule(
+            gameState.systems,
+            repairOption.closest(".system").dataset.systemId
           );
+          if (system) {
+            history.push(gameState);
+            gameState = await applyPlayerAction(
+              gameState,
+              config,
+              createFixAction(
+                gameState,
+                system.name,
+                repairOption.dataset.repair
+              )
+            );
+          }
+        } else if (fixButton) {
+          event.preventDefault();
+          const system = findModule(gameState.systems, fixButton.dataset.system);
+
+          // Force recover a failed system, otherwise pick a repair in its menu
+          if (system && system.health <= 0) {
+            history.push(gameState);
+            gameState = await applyPlayerAction(
+              gameState,
+              config,
+              createFixAction(gameState, system.name)
+            );
+          } else if (system) {
+            toggleRepairMenu(fixButton.closest(".system"), system, gameState);
+            return;
+          }
         }
         // Check for active system interactions (custom buttons/actions)
         else if (
@@ -114,65 +261,133 @@ export async function initializeGame() {
         ) {
           event.preventDefault();
           const systemElement = target.closest(".system");
-          const systemId = systemElement.id
-            .replace("system-", "")
-            .replace(/-/g, " ");
           const action = target.getAttribute("data-action");
 
           // Find the system object
-          const system = gameState.systems.find(
-            (sys) => sys.name.toLowerCase() === systemId.toLowerCase()
+          const system = findModule(
+            gameState.systems,
+            systemElement.dataset.systemId
           );
           if (system && system.type === "active") {
-            // Import active systems handler
-            const { handleActiveInteraction } = await import(
-              "./activeSystems.js"
-            );
-            gameState = await handleActiveInteraction(
-              system,
+            history.push(gameState);
+            gameState = await applyPlayerAction(gameState, config, {
+              type: PLAYER_ACTIONS.SYSTEM_ACTION,
+              systemName: system.name,
               action,
-              gameState,
-              config
-            );
+            });
           }
         }
 
-        // Update UI after any interaction
-        const { updateUI } = await import("./updateUI.js");
-        updateUI(gameState, config);
+        // Render the state and effects after any interaction
+        gameState = present(gameState);
+      });
+
+      // Clicking anywhere else closes an open repair menu
+      document.addEventListener("click", (event) => {
+        if (!event.target.closest(".repair-menu, .fix-button")) {
+          closeRepairMenus();
+        }
+      });
+    }
+
+    // Repair queue controls: move a queued repair up or down, or cancel it
+    const repairQueuePanel = document.getElementById("repair-queue");
+    if (repairQueuePanel) {
+      repairQueuePanel.addEventListener("click", async (event) => {
+        const control = event.target.closest("[data-queue-action]");
+        if (!control || control.disabled) return;
+
+        const systemName = control.closest(".repair-queue-entry").dataset
+          .queuedSystem;
+        const index = (gameState.repairQueue || []).findIndex(
+          (entry) => entry.systemName === systemName
+        );
+        const { queueAction } = control.dataset;
+        history.push(gameState);
+        gameState = present(
+          await applyPlayerAction(
+            gameState,
+            config,
+            queueAction === "cancel"
+              ? { type: PLAYER_ACTIONS.CANCEL_REPAIR, systemName }
+              : {
+                  type: PLAYER_ACTIONS.MOVE_REPAIR,
+                  systemName,
+                  position: queueAction === "up" ? index - 1 : index + 1,
+                }
+          )
+        );
       });
     }
 
     // Attach button functionalities
+    const endTurnButton = document.getElementById("end-turn-button");
+    const undoButton = document.getElementById("undo-button");
     const retryButton = document.getElementById("retry-button");
     const setupButton = document.getElementById("setup-button");
     const abandonButton = document.getElementById("abandon-button");
 
+    // End Turn button functionality: run the turn sequence. Action points left
+    // are lost: the next turn starts with a fresh budget
+    if (endTurnButton) {
+      endTurnButton.addEventListener("click", async () => {
+        if (gameState.gameOver || gameState.interactiveMode) return;
+
+        history.push(gameState);
+        gameState = present(
+          await applyPlayerAction(gameState, config, {
+            type: PLAYER_ACTIONS.END_TURN,
+          })
+        );
+      });
+    }
+
+    // Undo button functionality: restore the state before the last action,
+    // including its event log and RNG cursor
+    if (undoButton) {
+      undoButton.addEventListener("click", () => {
+        const previousState = history.undo();
+        if (!previousState) return;
+
+        gameState = present({
+          ...previousState,
+          message: "Last action undone.",
+        });
+        console.log("Undo: restored turn", gameState.turn);
+      });
+    }
+
+    // Replay button functionality: open the finished run in the replay viewer.
+    // The link carries the whole replay, so it can be shared as-is.
+    const replayButton = document.getElementById("replay-button");
+    if (replayButton) {
+      replayButton.addEventListener("click", async () => {
+        const { createReplay, encodeReplay, LAST_REPLAY_KEY } = await import(
+          "../replay/replayFormat.js"
+        );
+        const replay = createReplay(gameState, config);
+        try {
+          localStorage.setItem(LAST_REPLAY_KEY, JSON.stringify(replay));
+        } catch (error) {
+          console.warn("Could not store the last replay:", error);
+        }
+        window.open(`replay.html#${encodeReplay(replay)}`, "_blank");
+      });
+    }
+
     // Retry button functionality
     if (retryButton) {
       retryButton.addEventListener("click", async () => {
-        // Reset game state
-        gameState = await createGameState(config);
+        // Drop every listener of the finished game and start a fresh bus
+        eventBus.dispose();
+        eventBus = new EventBus();
+        config.eventBus = eventBus;
+        subscribeGameEvents(eventBus);
 
-        // Reset the systems update tracking to allow deterioration on turn 1
-        const { resetSystemsUpdateTracking } = await import(
-          "../mechanics/deteriorateSystems.js"
-        );
-        resetSystemsUpdateTracking();
-
-        // Apply initial deterioration for turn 1
-        gameState = await deteriorateSystems(gameState);
-
-        // Clear event log and reset to initial state
-        const eventLogContent = document.getElementById("event-log-content");
-        if (eventLogContent) {
-          eventLogContent.innerHTML = `
-            <div class="event-item">
-              <span class="event-time">Turn 1</span>
-              <span class="event-text">Game started</span>
-            </div>
-          `;
-        }
+        // Reset game state and apply initial deterioration for turn 1
+        gameState = await startGame(config);
+        gameState = addLogEntry(gameState, `Seed: ${gameState.rng.seed}`);
+        history.clear();
 
         // Re-enable buttons and remove game-over class
         const allButtons = systemsContainer.querySelectorAll("button");
@@ -184,7 +399,7 @@ export async function initializeGame() {
         });
 
         // Update UI
-        updateUI(gameState, config);
+        gameState = present(gameState);
 
         console.log("Game restarted");
       });
@@ -193,6 +408,7 @@ export async function initializeGame() {
     // Setup button functionality
     if (setupButton) {
       setupButton.addEventListener("click", () => {
+        eventBus.dispose();
         window.location.href = "setup.html";
       });
     }
@@ -200,6 +416,9 @@ export async function initializeGame() {
     // Abandon button functionality
     if (abandonButton) {
       abandonButton.addEventListener("click", () => {
+        // An abandoned run cannot be continued
+        clearSavedGame();
+        eventBus.dispose();
         window.location.href = "index.html";
       });
     }
@@ -227,30 +446,30 @@ export async function initializeGame() {
 }
 
 /**
- * Filters the full configuration based on user selections from setup.
- * @param {Object} fullConfig - The complete game configuration
- * @param {Array} selectedSystems - Array of selected system names
- * @param {Array} selectedEvents - Array of selected event descriptions
- * @returns {Object} Filtered configuration with only selected items
+ * Shows the continue prompt for a saved run and waits for the player's choice.
+ * @param {Object|null} summary - Saved game summary ({turn, maxTurns, savedAt})
+ * @returns {Promise<boolean>} True if the player chose to continue the saved run
  */
-function filterConfigBySelections(fullConfig, selectedSystems, selectedEvents) {
-  // Filter systems
-  const filteredSystems = fullConfig.systems.filter((system) =>
-    selectedSystems.includes(system.name)
-  );
-
-  // Filter events
-  const filteredPositiveEvents = fullConfig.positiveEvents.filter((event) =>
-    selectedEvents.includes(event.description)
-  );
-
-  const filteredNegativeEvents = fullConfig.negativeEvents.filter((event) =>
-    selectedEvents.includes(event.description)
-  );
-
-  return {
-    systems: filteredSystems,
-    positiveEvents: filteredPositiveEvents,
-    negativeEvents: filteredNegativeEvents,
-  };
+function askToContinue(summary) {
+  const prompt = document.getElementById("continue-prompt");
+  const continueButton = document.getElementById("continue-button");
+  const newGameButton = document.getElementById("new-game-button");
+  if (!prompt || !continueButton || !newGameButton) {
+    return Promise.resolve(false);
+  }
+
+  const details = document.getElementById("continue-details");
+  if (details && summary) {
+    details.textContent = `Saved run at turn ${summary.turn} / ${summary.maxTurns}`;
+  }
+  prompt.classList.remove("hidden");
+
+  return new Promise((resolve) => {
+    const choose = (choice) => {
+      prompt.classList.add("hidden");
+      resolve(choice);
+    };
+    continueButton.addEventListener("click", () => choose(true), { once: true });
+    newGameButton.addEventListener("click", () => choose(false), { once: true });
+  });
 }
@@ -3,9 +3,22 @@
  * This module is responsible for creating and managing the initial game state.
  * It takes the configuration object and initializes the game with default values.
  * The game state includes the current turn, system statuses, and other game variables.
- *
+ */
+
+import { createRngState, randomInt } from "../mechanics/rng.js";
+import { getRescueTurns } from "../setup/gameConfig.js";
+import { createResourceState } from "../mechanics/resources.js";
+import {
+  createActionPointState,
+  refillActionPoints,
+} from "../mechanics/actionPoints.js";
+import { MAX_HEALTH } from "../mechanics/wear.js";
+import { createRepairQueueState } from "../mechanics/repairQueue.js";
+
+/**
+ * Creates the initial game state
  * @param {Object} config - The game configuration object containing systems and events.
- * @returns {Object} The initial game state object.
+ * @returns {Promise<Object>} The initial game state object.
  */
 export async function createGameState(config) {
   // Validate the config object to ensure it has the required properties
@@ -13,6 +26,10 @@ export async function createGameState(config) {
     throw new Error("Invalid config: systems array is required");
   }
 
+  // Seed the run's random number generator (config.seed reproduces a run)
+  // Each draw below returns an advanced copy of the holder, carried to the next
+  let rngHolder = { rng: createRngState(config.seed) };
+
   // Clone the systems from config and add health property
   const systems = config.systems.map((system) => {
     // Normal systems start with random health between 50-100 by default
@@ -23,32 +40,60 @@ export async function createGameState(config) {
         ? config.initialHealthRange
         : { min: 50, max: 100 };
 
-    const initialHealth =
-      system.type === "normal"
-        ? Math.floor(Math.random() * (healthRange.max - healthRange.min + 1)) + healthRange.min
-        : 100; // Active and passive systems start at 100%
+    let initialHealth = 100; // Active and passive systems start at 100%
+    if (system.type === "normal") {
+      const draw = randomInt(rngHolder, healthRange.min, healthRange.max);
+      rngHolder = draw.state;
+      initialHealth = draw.value;
+    }
 
     return {
       ...system,
       health: initialHealth,
-      lastFixedTurn: 0, // Track when system was last fixed (0 = never fixed)
+      lastFixedTurn: 0, // Track when system was last overhauled (0 = never fixed)
+      maxHealth: MAX_HEALTH, // Worn down by repairs (see src/mechanics/wear.js)
     };
   });
 
-  // Calculate max turns based on number of systems (5 turns per system)
-  const maxTurns = systems.length * 5;
+  // Calculate max turns based on number of systems (5 turns per system by
+  // default, `config.turnsPerSystem` sets it for a difficulty)
+  const maxTurns = getRescueTurns(systems.length, config.turnsPerSystem);
+
+  // Starting resources and stockpile limits (see resources.js)
+  const { resources, resourceLimits } = createResourceState(config);
+
+  // Action point costs; the points are given once the systems are set up
+  const { actionPoints, actionPointBudget, actionPointCosts } =
+    createActionPointState(config);
+
+  // Multi-turn repairs and the crews working on them (see repairQueue.js)
+  const { repairQueue, repairCrews } = createRepairQueueState(config);
 
   // Initialize the game state object
   let gameState = {
     turn: 1, // Start at turn 1
-    maxTurns: maxTurns, // Total turns until rescue (5 per system)
+    maxTurns: maxTurns, // Total turns until rescue (turnsPerSystem per system)
     systems: systems, // Array of system objects with health
     gameOver: false, // Flag to indicate if the game has ended
     win: false, // Flag to indicate if the player won
     message:
       "Welcome to the survival game! Maintain your systems until rescue arrives.", // Current game message
-    damageModifiers: [], // Array of active damage modifiers {systemName, modifier, type, turnsLeft}
+    damageModifiers: [], // Array of active damage modifiers {systemId, systemName, modifier, type, turnsLeft}
     deteriorationCount: 0, // Counter for deterioration cycles, independent of turn manipulation
+    rng: rngHolder.rng, // Seeded RNG state {seed, cursor}; every random roll draws from it
+    lastDeteriorationCount: -1, // Last deterioration cycle processed (prevents double-calling)
+    pendingEffects: [], // Presentation effects waiting for the browser shell to render them
+    eventLog: [{ turn: 1, text: "Game started" }], // Event log entries {turn, text}
+    eventHistory: [], // Fired events {turn, cycle, event, description, positive}
+    activeEvents: [], // Running multi-turn events (see activeEvents.js)
+    resources, // Spare parts and energy {parts, energy} paying for actions
+    resourceLimits, // Most of each resource the ship can hold
+    actionPoints, // Action points left this turn (see actionPoints.js)
+    actionPointBudget, // Action points the turn started with
+    actionPointCosts, // Action points per action {patch, overhaul, maintenance, refit, forceRecovery, systemAction}
+    repairQueue, // Multi-turn repairs {systemName, repair, turns, progress, paid}
+    repairCrews, // Repairs at the front of the queue worked on each turn
+    actionLog: [], // Player actions applied so far (see playerActions.js), used for replays
   };
 
   // Initialize active and passive systems
@@ -62,6 +107,10 @@ export async function createGameState(config) {
     }
   }
 
+  // The first turn's action points (startGame refills them after turn 1's
+  // deterioration)
+  gameState = refillActionPoints(gameState, config);
+
   // Additional initialization logic can be added here if needed
   // For example, setting up event probabilities or other state variables
 
@@ -2,9 +2,52 @@
  * Normal Systems Parser module for the survival game.
  * This module handles all functionality for systems classified as "normal".
  * Normal systems have health bars, fix buttons, and standard deterioration mechanics.
+ * The fix button opens the system's repair menu (see src/core/ui/repairMenu.js), or
+ * force recovers a failed system. The capacity repairs wore away (see
+ * src/mechanics/wear.js) is drawn as a hatched segment at the end of the health bar.
  * This parser provides UI rendering, interaction handling, and state updates for normal systems.
  */
 
+import { getModuleId } from "../setup/moduleIds.js";
+import { getSystemCost } from "../mechanics/resources.js";
+import { DEFAULT_REPAIR } from "../mechanics/repairTypes.js";
+import { getMaxHealth, MAX_HEALTH } from "../mechanics/wear.js";
+import { formatCostHtml } from "./ui/resourceHud.js";
+
+/**
+ * The cost shown on the fix button: force recovering a failed system. The repair
+ * menu shows the cost of each repair.
+ * @param {Object} system - The system object
+ * @returns {string} The cost HTML
+ */
+function fixCostHtml(system) {
+  return system.health <= 0
+    ? formatCostHtml(getSystemCost(system, "forceRecovery"))
+    : "";
+}
+
+/**
+ * The health text of a system: its health out of its maximum health
+ * @param {Object} system - The system object
+ * @returns {string} The text
+ */
+function healthText(system) {
+  return `Health: ${system.health}/${getMaxHealth(system)}`;
+}
+
+/**
+ * Sizes the hatched segment showing the capacity a system lost to wear
+ * @param {HTMLElement} systemElement - The system element
+ * @param {Object} system - The system object
+ */
+function updateWornSegment(systemElement, system) {
+  const worn = systemElement.querySelector(".health-bar-worn");
+  if (!worn) return;
+  const lost = MAX_HEALTH - getMaxHealth(system);
+  worn.style.width = `${lost}%`;
+  worn.title = lost > 0 ? `${lost} capacity lost to wear` : "";
+}
+
 /**
  * Renders a normal system element with health bar and fix button
  * @param {Object} system - The system object
@@ -13,8 +56,8 @@
  */
 export function renderNormalSystem(system, container) {
   container.className = "system";
-  container.id = `system-${system.name.toLowerCase().replace(" ", "-")}`;
-  container.setAttribute("data-system-name", system.name);
+  container.id = `system-${getModuleId(system)}`;
+  container.setAttribute("data-system-id", getModuleId(system));
 
   // Get system icon
   const icon = system.icon;
@@ -28,22 +71,25 @@ export function renderNormalSystem(system, container) {
     <div class="health-bar-container">
       <div class="health-bar"></div>
       <div class="health-bar-overlay"></div>
+      <div class="health-bar-worn"></div>
     </div>
-    <div class="health-text">Health: ${system.health}/100</div>
+    <div class="health-text">${healthText(system)}</div>
     <div class="caveat">${system.caveat}</div>
     <button class="fix-button${
       system.disableFixButton ? " fix-button-disabled" : ""
-    }" data-system="${system.name}"${
+    }" data-system="${getModuleId(system)}"${
     system.disableFixButton ? " disabled" : ""
   }>
       <i class="fas fa-wrench"></i> <span class="fix-button-text">${
-        system.health <= 0 ? "Recover" : "Fix"
+        system.health <= 0 ? "Recover" : "Repair"
       }</span>
+      <span class="fix-button-cost">${fixCostHtml(system)}</span>
     </button>
   `;
 
   // Update health bar styling
   updateHealthBarStyling(container, system.health);
+  updateWornSegment(container, system);
 
   // Cache frequently used element references to avoid repeated querySelector calls
   const healthBar = container.querySelector(".health-bar");
@@ -83,7 +129,7 @@ export function updateNormalSystemElement(systemElement, system) {
   // Update health text
   const healthTextRef = systemElement._refs?.healthText || systemElement.querySelector(".health-text");
   if (healthTextRef) {
-    healthTextRef.textContent = `Health: ${system.health}/100`;
+    healthTextRef.textContent = healthText(system);
   }
 
   // Update caveat text (in case it changed)
@@ -92,12 +138,14 @@ export function updateNormalSystemElement(systemElement, system) {
     caveatRef.textContent = system.caveat;
   }
 
-  // Update button text based on health
+  // Update button text and cost based on health
   const fixButtonRef = systemElement._refs?.fixButton || systemElement.querySelector(".fix-button");
   if (fixButtonRef) {
-    const buttonText = system.health <= 0 ? "Recover" : "Fix";
+    const buttonText = system.health <= 0 ? "Recover" : "Repair";
     const textSpan = fixButtonRef.querySelector(".fix-button-text");
     if (textSpan) textSpan.textContent = buttonText;
+    const costSpan = fixButtonRef.querySelector(".fix-button-cost");
+    if (costSpan) costSpan.innerHTML = fixCostHtml(system);
 
     if (system.disableFixButton) {
       fixButtonRef.setAttribute("disabled", "disabled");
@@ -110,19 +158,27 @@ export function updateNormalSystemElement(systemElement, system) {
 
   // Update critical system warning styling
   updateHealthBarStyling(systemElement, system.health);
+  updateWornSegment(systemElement, system);
 }
 
 /**
- * Handles interaction with a normal system (fix button click)
+ * Handles interaction with a normal system (a repair picked in its menu). The turn
+ * goes on: applyPlayerAction ends it once the action points are used up.
  * @param {string} systemName - The name of the system
  * @param {Object} gameState - The current game state
  * @param {Object} config - The game configuration
+ * @param {string} repair - The repair type (see src/mechanics/repairTypes.js)
  * @returns {Promise<Object>} The updated game state
  */
-export async function handleNormalInteraction(systemName, gameState, config) {
+export async function handleNormalInteraction(
+  systemName,
+  gameState,
+  config,
+  repair = DEFAULT_REPAIR
+) {
   // Import required modules dynamically to avoid circular dependencies
   const { fixSystem } = await import("../mechanics/fixSystem.js");
-  const { executeTurnSequence } = await import("./sequenceOrder.js");
+  const { dispatchHook } = await import("../mechanics/lifecycleHooks.js");
 
   let updatedState = { ...gameState };
 
@@ -149,19 +205,21 @@ export async function handleNormalInteraction(systemName, gameState, config) {
         config
       );
     } else {
-      // Normal fix for alive system
-      // Step 1: Fix the selected system
-      updatedState = fixSystem(updatedState, systemName);
-
-      // Step 2-7: Execute the standard turn progression sequence
-      updatedState = await executeTurnSequence(updatedState, config);
+      // Repair of an alive system
+      updatedState = fixSystem(updatedState, systemName, repair);
+      updatedState = await dispatchHook("onFix", updatedState, config, {
+        systemName,
+        repair,
+      });
     }
 
     // Log the action
     if (isSystemDead) {
       console.log(`Force recovery attempted on ${systemName}`);
     } else {
-      console.log(`Turn ${updatedState.turn} completed`);
+      console.log(
+        `${systemName} repaired (${repair}) on turn ${updatedState.turn}`
+      );
     }
   } catch (error) {
     console.error("Error handling normal system interaction:", error);
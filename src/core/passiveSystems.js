@@ -5,6 +5,8 @@
  * They can update game state and respond to events without player interaction.
  */
 
+import { getModuleId } from "../setup/moduleIds.js";
+
 /**
  * Renders a passive system element (minimal UI, no interactive elements)
  * @param {Object} system - The system object
@@ -13,8 +15,8 @@
  */
 export function renderPassiveSystem(system, container) {
   container.className = "system passive-system";
-  container.id = `system-${system.name.toLowerCase().replace(" ", "-")}`;
-  container.setAttribute("data-system-name", system.name);
+  container.id = `system-${getModuleId(system)}`;
+  container.setAttribute("data-system-id", getModuleId(system));
 
   // Get system icon
   const icon = system.icon || "fas fa-eye";
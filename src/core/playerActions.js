@@ -0,0 +1,473 @@
+/**
+ * Player Actions module for the survival game.
+ * Every decision a player can make is described as a plain, JSON-safe action object
+ * and applied through `applyPlayerAction`. Applied actions are recorded in
+ * `gameState.actionLog`; together with the seed and the selected systems and events
+ * that is enough to replay a run (see src/replay/).
+ *
+ * Actions:
+ * - `{ type: "fix", systemName, repair }` — repair a normal system (`repair` is a
+ *   repair type, see src/mechanics/repairTypes.js; an overhaul when omitted)
+ * - `{ type: "forceRecovery", systemName }` — attempt to recover a failed system
+ * - `{ type: "systemAction", systemName, action }` — active system interaction
+ * - `{ type: "confirmSelection", systems }` — confirm a system selection
+ * - `{ type: "cancelSelection" }` — cancel a system selection
+ * - `{ type: "confirmInteractive", eventData }` — confirm an interactive event
+ * - `{ type: "cancelInteractive" }` — cancel an interactive event
+ * - `{ type: "cancelRepair", systemName }` — take a repair out of the repair queue
+ * - `{ type: "moveRepair", systemName, position }` — move a queued repair (0 is
+ *   worked on first)
+ * - `{ type: "endTurn" }` — end the turn and run the turn sequence
+ *
+ * Repairs, force recoveries and active system actions cost action points (see
+ * src/mechanics/actionPoints.js) and may cost resources (see
+ * src/mechanics/resources.js). The turn sequence runs once the turn's action points
+ * are used up, or when the player ends the turn. Actions the player cannot afford,
+ * and repairs the system does not support or that would do nothing, are refused with
+ * a message and not recorded (see `checkPlayerAction`). Overhauls and refits of
+ * badly damaged systems can take several turns: they are paid when ordered and wait
+ * in the repair queue (see src/mechanics/repairQueue.js).
+ *
+ * `getLegalActions` lists the actions available in a game state, which is what
+ * automated players (src/bots/) choose from.
+ */
+
+import { handleNormalInteraction } from "./normalSystems.js";
+import { handleActiveInteraction } from "./activeSystems.js";
+import { attemptForceRecovery } from "../mechanics/forceRecovery.js";
+import {
+  selectSystem,
+  confirmSystemSelection,
+  cancelSystemSelection,
+  isSystemSelectable,
+} from "../mechanics/systemSelection.js";
+import {
+  confirmInteractiveEvent,
+  cancelInteractiveEvent,
+} from "../mechanics/interactiveEvents.js";
+import {
+  getSystemCost,
+  checkActionCost,
+  spendResources,
+} from "../mechanics/resources.js";
+import {
+  getActionPointCost,
+  checkActionPoints,
+  spendActionPoints,
+} from "../mechanics/actionPoints.js";
+import {
+  REPAIR_TYPES,
+  DEFAULT_REPAIR,
+  getSupportedRepairs,
+  checkRepair,
+} from "../mechanics/repairTypes.js";
+import {
+  getRepairDuration,
+  findQueuedRepair,
+  queueRepair,
+  cancelRepair,
+  moveRepair,
+} from "../mechanics/repairQueue.js";
+import { emitEffect } from "../mechanics/presentationEffects.js";
+
+export const PLAYER_ACTIONS = {
+  FIX: "fix",
+  FORCE_RECOVERY: "forceRecovery",
+  SYSTEM_ACTION: "systemAction",
+  CONFIRM_SELECTION: "confirmSelection",
+  CANCEL_SELECTION: "cancelSelection",
+  CONFIRM_INTERACTIVE: "confirmInteractive",
+  CANCEL_INTERACTIVE: "cancelInteractive",
+  CANCEL_REPAIR: "cancelRepair",
+  MOVE_REPAIR: "moveRepair",
+  END_TURN: "endTurn",
+};
+
+/**
+ * Creates the action for repairing a normal system from its fix button.
+ * Failed systems (health 0) are force recovered instead of fixed.
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The name of the system
+ * @param {string} repair - The repair type (an overhaul by default)
+ * @returns {Object} A fix or forceRecovery action
+ */
+export function createFixAction(
+  gameState,
+  systemName,
+  repair = DEFAULT_REPAIR
+) {
+  const system = gameState.systems.find((s) => s.name === systemName);
+  const isSystemDead = system && system.health <= 0;
+
+  return isSystemDead
+    ? { type: PLAYER_ACTIONS.FORCE_RECOVERY, systemName }
+    : { type: PLAYER_ACTIONS.FIX, systemName, repair };
+}
+
+/**
+ * The resources and action points an action costs. Repairs cost what their repair
+ * type costs, and fixing a failed system costs a force recovery. Actions that would
+ * be refused anyway (nothing to recover, an unknown repair type, an active action
+ * the system does not offer right now, a pending choice) cost nothing.
+ * @param {Object} gameState - The current game state
+ * @param {Object} action - The player action
+ * @returns {Object|null} `{ cost, actionPoints, label }` (label: "overhaul Power"),
+ * or null if free
+ */
+export function getActionCost(gameState, action) {
+  if (gameState.interactiveMode || gameState.gameOver) return null;
+  const system = gameState.systems.find((s) => s.name === action.systemName);
+  if (!system) return null;
+
+  switch (action.type) {
+    case PLAYER_ACTIONS.FIX:
+    case PLAYER_ACTIONS.FORCE_RECOVERY: {
+      const recovering = system.health <= 0;
+      if (action.type === PLAYER_ACTIONS.FORCE_RECOVERY && !recovering) {
+        return null;
+      }
+      const repair = action.repair || DEFAULT_REPAIR;
+      if (!recovering && !REPAIR_TYPES[repair]) return null;
+      const kind = recovering ? "forceRecovery" : repair;
+      return {
+        cost: getSystemCost(system, kind),
+        actionPoints: getActionPointCost(gameState, kind),
+        label: `${recovering ? "recover" : REPAIR_TYPES[repair].verb} ${
+          system.name
+        }`,
+      };
+    }
+
+    case PLAYER_ACTIONS.SYSTEM_ACTION:
+      if (
+        typeof system.getAvailableActions === "function" &&
+        !system.getAvailableActions(gameState).includes(action.action)
+      ) {
+        return null;
+      }
+      return {
+        cost: getSystemCost(system, action.action),
+        actionPoints: getActionPointCost(gameState, "systemAction"),
+        label: `${action.action} ${system.name}`,
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether the player can take an action right now: a repair must be one the
+ * system supports and that would do something, on a system that is not in the
+ * repair queue, then the action points and the resources must cover its cost.
+ * Queue actions need the system's repair to be queued. Refused actions come with
+ * the message explaining why.
+ * @param {Object} gameState - The current game state
+ * @param {Object} action - The player action
+ * @returns {Object} `{ allowed, message }`
+ */
+export function checkPlayerAction(gameState, action) {
+  const system = gameState.systems.find((s) => s.name === action.systemName);
+  const queued = findQueuedRepair(gameState, action.systemName);
+  if (
+    (action.type === PLAYER_ACTIONS.CANCEL_REPAIR ||
+      action.type === PLAYER_ACTIONS.MOVE_REPAIR) &&
+    !queued
+  ) {
+    return {
+      allowed: false,
+      message: `${action.systemName} is not in the repair queue.`,
+    };
+  }
+  if (action.type === PLAYER_ACTIONS.FIX && queued) {
+    return {
+      allowed: false,
+      message: `${action.systemName} is already in the repair queue.`,
+    };
+  }
+  if (action.type === PLAYER_ACTIONS.FIX && system && system.health > 0) {
+    const { available, message } = checkRepair(
+      gameState,
+      system,
+      action.repair || DEFAULT_REPAIR
+    );
+    if (!available) return { allowed: false, message };
+  }
+
+  const actionCost = getActionCost(gameState, action);
+  if (!actionCost) return { allowed: true, message: null };
+
+  const points = checkActionPoints(
+    gameState,
+    actionCost.actionPoints,
+    actionCost.label
+  );
+  const { affordable, message } = points.affordable
+    ? checkActionCost(gameState, actionCost.cost, actionCost.label)
+    : points;
+  return { allowed: affordable, message };
+}
+
+/**
+ * Runs the turn sequence to end the player's turn
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Promise<Object>} The game state of the next turn
+ */
+async function endTurn(gameState, config) {
+  const { executeTurnSequence } = await import("./sequenceOrder.js");
+  return executeTurnSequence(gameState, config);
+}
+
+/**
+ * Lists the actions a player can take in the current game state.
+ * While a selection is pending, every allowed set of selectable systems is offered
+ * (plus cancel when the selection can be cancelled); while an interactive event is
+ * pending, only its confirm and cancel choices are. Otherwise the player can make
+ * each repair a normal system supports (or recover it once failed) and use the
+ * actions active systems report through `getAvailableActions(gameState)`, as far as
+ * the action points and resources allow, cancel queued repairs, or end the turn.
+ * Moving queued repairs only changes their order, so it is not listed.
+ * @param {Object} gameState - The current game state
+ * @returns {Array} The legal actions (empty once the game is over)
+ */
+export function getLegalActions(gameState) {
+  if (gameState.gameOver) return [];
+
+  if (gameState.systemSelectionMode) {
+    const options = gameState.systemSelectionOptions;
+    const selectable = gameState.systems
+      .filter((system) => isSystemSelectable(gameState, system))
+      .map((system) => system.name);
+    const maxSelections = options.multiSelect
+      ? options.maxSelections || selectable.length
+      : 1;
+
+    const actions = selectionsUpTo(selectable, maxSelections).map(
+      (systems) => ({ type: PLAYER_ACTIONS.CONFIRM_SELECTION, systems })
+    );
+    if (options.showCancelButton) {
+      actions.push({ type: PLAYER_ACTIONS.CANCEL_SELECTION });
+    } else if (actions.length === 0) {
+      // Nothing can be picked and the selection cannot be cancelled
+      actions.push({ type: PLAYER_ACTIONS.CONFIRM_SELECTION, systems: [] });
+    }
+    return actions;
+  }
+
+  if (gameState.interactiveEvent) {
+    return [
+      { type: PLAYER_ACTIONS.CONFIRM_INTERACTIVE, eventData: {} },
+      { type: PLAYER_ACTIONS.CANCEL_INTERACTIVE },
+    ];
+  }
+
+  const actions = [];
+  gameState.systems.forEach((system) => {
+    if (system.type === "normal" && system.health <= 0) {
+      actions.push(createFixAction(gameState, system.name));
+    } else if (system.type === "normal") {
+      getSupportedRepairs(system).forEach((repair) => {
+        actions.push(createFixAction(gameState, system.name, repair));
+      });
+    } else if (
+      system.type === "active" &&
+      typeof system.getAvailableActions === "function"
+    ) {
+      system.getAvailableActions(gameState).forEach((action) => {
+        actions.push({
+          type: PLAYER_ACTIONS.SYSTEM_ACTION,
+          systemName: system.name,
+          action,
+        });
+      });
+    }
+  });
+  (gameState.repairQueue || []).forEach((entry) => {
+    actions.push({
+      type: PLAYER_ACTIONS.CANCEL_REPAIR,
+      systemName: entry.systemName,
+    });
+  });
+  return [
+    ...actions.filter((action) => checkPlayerAction(gameState, action).allowed),
+    { type: PLAYER_ACTIONS.END_TURN },
+  ];
+}
+
+/**
+ * Returns every non-empty selection of up to `max` names, in order
+ * @param {Array} names - The selectable names
+ * @param {number} max - The maximum selection size
+ * @returns {Array} The selections
+ */
+function selectionsUpTo(names, max) {
+  const selections = [];
+  const extend = (start, current) => {
+    if (current.length > 0) selections.push(current);
+    if (current.length === max) return;
+    for (let i = start; i < names.length; i++) {
+      extend(i + 1, [...current, names[i]]);
+    }
+  };
+  extend(0, []);
+  return selections;
+}
+
+/**
+ * Applies a player action to the game state and records it in `actionLog`
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @param {Object} action - The player action
+ * @returns {Promise<Object>} The updated game state
+ */
+export async function applyPlayerAction(gameState, config, action) {
+  let updatedState;
+
+  // Refused actions only change the message
+  const { allowed, message } = checkPlayerAction(gameState, action);
+  if (!allowed) {
+    return emitEffect({ ...gameState, message }, "shakeSystem", {
+      systemName: action.systemName,
+    });
+  }
+
+  // Pay for the action up front
+  let paidState = gameState;
+  const actionCost = getActionCost(gameState, action);
+  if (actionCost) {
+    paidState = spendActionPoints(
+      spendResources(gameState, actionCost.cost),
+      actionCost.actionPoints
+    );
+  }
+  // Confirming a selection completes the action that paid for it
+  const spentActionPoints = actionCost
+    ? actionCost.actionPoints > 0
+    : action.type === PLAYER_ACTIONS.CONFIRM_SELECTION &&
+      gameState.systemSelectionOptions?.refundActionPoints > 0;
+
+  switch (action.type) {
+    case PLAYER_ACTIONS.FIX: {
+      const repair = action.repair || DEFAULT_REPAIR;
+      const system = gameState.systems.find(
+        (s) => s.name === action.systemName
+      );
+      // Long repairs wait in the repair queue, paid for up front
+      updatedState =
+        getRepairDuration(system, repair) > 1
+          ? queueRepair(
+              paidState,
+              action.systemName,
+              repair,
+              actionCost ? actionCost.cost : {}
+            )
+          : await handleNormalInteraction(
+              action.systemName,
+              paidState,
+              config,
+              repair
+            );
+      break;
+    }
+
+    case PLAYER_ACTIONS.FORCE_RECOVERY:
+      updatedState = await attemptForceRecovery(
+        action.systemName,
+        paidState,
+        config
+      );
+      break;
+
+    case PLAYER_ACTIONS.SYSTEM_ACTION: {
+      const system = gameState.systems.find(
+        (s) => s.name === action.systemName
+      );
+      if (!system || system.type !== "active") {
+        throw new Error(`Active system '${action.systemName}' not found`);
+      }
+      updatedState = await handleActiveInteraction(
+        system,
+        action.action,
+        paidState,
+        config
+      );
+
+      // A selection the action started refunds its cost when cancelled
+      if (
+        actionCost &&
+        updatedState.systemSelectionMode &&
+        !gameState.systemSelectionMode
+      ) {
+        updatedState = {
+          ...updatedState,
+          systemSelectionOptions: {
+            ...updatedState.systemSelectionOptions,
+            refund: actionCost.cost,
+            refundActionPoints: actionCost.actionPoints,
+          },
+        };
+      }
+      break;
+    }
+
+    case PLAYER_ACTIONS.CONFIRM_SELECTION: {
+      // Rebuild the selection from the recorded list, then confirm it
+      let selectionState = { ...gameState, selectedSystems: [] };
+      (action.systems || []).forEach((systemName) => {
+        selectionState = selectSystem(selectionState, systemName);
+      });
+      updatedState = await confirmSystemSelection(selectionState);
+      break;
+    }
+
+    case PLAYER_ACTIONS.CANCEL_SELECTION:
+      updatedState = cancelSystemSelection(gameState);
+      break;
+
+    case PLAYER_ACTIONS.CONFIRM_INTERACTIVE:
+      updatedState = confirmInteractiveEvent(
+        gameState,
+        config,
+        action.eventData || {}
+      );
+      break;
+
+    case PLAYER_ACTIONS.CANCEL_INTERACTIVE:
+      updatedState = cancelInteractiveEvent(gameState);
+      break;
+
+    case PLAYER_ACTIONS.CANCEL_REPAIR:
+      updatedState = cancelRepair(gameState, action.systemName);
+      break;
+
+    case PLAYER_ACTIONS.MOVE_REPAIR:
+      updatedState = moveRepair(gameState, action.systemName, action.position);
+      break;
+
+    case PLAYER_ACTIONS.END_TURN:
+      // The turn cannot end while a selection or interactive event is pending;
+      // the refused action is not recorded
+      if (gameState.interactiveMode || gameState.gameOver) return gameState;
+      updatedState = await endTurn(gameState, config);
+      break;
+
+    default:
+      throw new Error(`Unknown player action: ${action.type}`);
+  }
+
+  // The turn ends by itself once an action has used up its action points
+  if (
+    spentActionPoints &&
+    updatedState.actionPoints <= 0 &&
+    !updatedState.interactiveMode &&
+    !updatedState.gameOver
+  ) {
+    updatedState = await endTurn(updatedState, config);
+  }
+
+  return {
+    ...updatedState,
+    actionLog: [...(gameState.actionLog || []), { ...action }],
+  };
+}
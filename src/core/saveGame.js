@@ -0,0 +1,230 @@
+/**
+ * Save Game module for the survival game.
+ * This module saves the full game state (and the configuration it was started with)
+ * to localStorage and restores it later, so closing the tab does not lose the run.
+ *
+ * Systems and events are module objects that carry functions, so they cannot be
+ * JSON-stringified as-is. Every object loaded by the ModuleRegistry is stamped with
+ * its `id`, `_modulePath` and `_moduleType`; such objects are saved as a module
+ * reference plus their data fields (health, lastFixedTurn...) and rehydrated through
+ * the registry when the game is loaded. The reference is the module ID, so moving a
+ * module file keeps saves loadable. Other functions (legacy selection callbacks) are
+ * dropped.
+ */
+
+import { emitEffect } from "../mechanics/presentationEffects.js";
+
+export const SAVE_KEY = "projectApollo.savedGame";
+export const SAVE_VERSION = 1;
+
+/**
+ * Returns the default storage (localStorage), or null when it is unavailable
+ * @returns {Storage|null} The storage object
+ */
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (error) {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or class instance)
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Converts a value into JSON-safe data, replacing registry modules with references
+ * @param {*} value - The value to serialize
+ * @returns {*} The serialized value
+ */
+function serializeValue(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => typeof item !== "function")
+      .map((item) => serializeValue(item));
+  }
+
+  if (!isPlainObject(value)) {
+    // Class instances (e.g. the ModuleRegistry) are not part of a save
+    return value !== null && typeof value === "object" ? undefined : value;
+  }
+
+  const data = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === "function" || key === "_loadedAt") continue;
+    if (key === "_modulePath" || key === "_moduleType") continue;
+    const serialized = serializeValue(item);
+    if (serialized !== undefined) {
+      data[key] = serialized;
+    }
+  }
+
+  if (value._modulePath) {
+    return {
+      $module: value.id,
+      $type: value._moduleType,
+      // Fallback for modules the registry did not index (loaded on their own)
+      $path: value._modulePath,
+      data,
+    };
+  }
+
+  return data;
+}
+
+/**
+ * Restores serialized data, loading referenced modules through the registry
+ * @param {*} value - The serialized value
+ * @param {Object} registry - ModuleRegistry instance used to load modules
+ * @returns {Promise<*>} The rehydrated value
+ */
+async function rehydrateValue(value, registry) {
+  if (Array.isArray(value)) {
+    return await Promise.all(value.map((item) => rehydrateValue(item, registry)));
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  if (value.$module) {
+    // Saves made before module IDs reference the module path in `$module`
+    const module =
+      registry.getModuleById(value.$module) ||
+      (await registry.loadModule(value.$path || value.$module, value.$type));
+    if (!module) {
+      throw new Error(`Cannot rehydrate module ${value.$module}`);
+    }
+    return { ...module, ...(await rehydrateValue(value.data, registry)) };
+  }
+
+  const restored = {};
+  for (const [key, item] of Object.entries(value)) {
+    restored[key] = await rehydrateValue(item, registry);
+  }
+  return restored;
+}
+
+/**
+ * Serializes a game into a JSON-safe save object
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration the run was started with
+ * @returns {Object} The save object
+ */
+export function serializeGame(gameState, config) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    config: serializeValue({ ...config, registry: undefined, eventBus: undefined }),
+    gameState: serializeValue({ ...gameState, pendingEffects: [] }),
+  };
+}
+
+/**
+ * Rebuilds a game from a save object, rehydrating module behavior via the registry
+ * @param {Object} saveData - The save object created by serializeGame
+ * @param {Object} registry - ModuleRegistry instance used to load modules
+ * @returns {Promise<{gameState: Object, config: Object}>} The restored game
+ */
+export async function deserializeGame(saveData, registry) {
+  if (!saveData || saveData.version !== SAVE_VERSION) {
+    throw new Error("Unsupported save version");
+  }
+
+  const config = await rehydrateValue(saveData.config, registry);
+  let gameState = await rehydrateValue(saveData.gameState, registry);
+  gameState.pendingEffects = [];
+
+  // Re-open a pending interactive event popup
+  if (gameState.interactiveEvent) {
+    gameState = emitEffect(gameState, "interactiveEventShown");
+  }
+
+  return { gameState, config: { ...config, registry } };
+}
+
+/**
+ * Saves the game to storage
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @param {Storage} storage - Storage to write to (defaults to localStorage)
+ * @returns {boolean} True if the game was saved
+ */
+export function saveGame(gameState, config, storage = getDefaultStorage()) {
+  if (!storage) return false;
+
+  try {
+    storage.setItem(SAVE_KEY, JSON.stringify(serializeGame(gameState, config)));
+    return true;
+  } catch (error) {
+    console.error("Failed to save game:", error);
+    return false;
+  }
+}
+
+/**
+ * Checks whether a saved game exists
+ * @param {Storage} storage - Storage to read from (defaults to localStorage)
+ * @returns {boolean} True if a save exists
+ */
+export function hasSavedGame(storage = getDefaultStorage()) {
+  return !!storage && storage.getItem(SAVE_KEY) !== null;
+}
+
+/**
+ * Reads basic information about the saved game without rehydrating it
+ * @param {Storage} storage - Storage to read from (defaults to localStorage)
+ * @returns {Object|null} `{ turn, maxTurns, savedAt }` or null if there is no valid save
+ */
+export function getSavedGameSummary(storage = getDefaultStorage()) {
+  if (!hasSavedGame(storage)) return null;
+
+  try {
+    const saveData = JSON.parse(storage.getItem(SAVE_KEY));
+    return {
+      turn: saveData.gameState.turn,
+      maxTurns: saveData.gameState.maxTurns,
+      savedAt: saveData.savedAt,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Loads and rehydrates the saved game
+ * @param {Object} registry - ModuleRegistry instance used to load modules
+ * @param {Storage} storage - Storage to read from (defaults to localStorage)
+ * @returns {Promise<{gameState: Object, config: Object}|null>} The restored game, or null
+ */
+export async function loadSavedGame(registry, storage = getDefaultStorage()) {
+  if (!hasSavedGame(storage)) return null;
+
+  try {
+    const saveData = JSON.parse(storage.getItem(SAVE_KEY));
+    return await deserializeGame(saveData, registry);
+  } catch (error) {
+    console.error("Failed to load saved game:", error);
+    clearSavedGame(storage);
+    return null;
+  }
+}
+
+/**
+ * Deletes the saved game
+ * @param {Storage} storage - Storage to clear (defaults to localStorage)
+ */
+export function clearSavedGame(storage = getDefaultStorage()) {
+  if (storage) {
+    storage.removeItem(SAVE_KEY);
+  }
+}
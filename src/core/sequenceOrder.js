@@ -5,19 +5,46 @@
  * testability, maintainability, and flexibility.
  *
  * The standard turn sequence is:
- * 1. Advance Turn
- * 2. Apply System Deterioration
- * 3. Check Win/Lose conditions
- * 4. Trigger Random Event (if game not over)
- * 5. Final Win/Lose check
- * 6. Update UI
+ * 1. Advance Turn, collect the turn's resource income (see
+ *    src/mechanics/resources.js), then the `onTurnStart` hook
+ * 2. `beforeDeterioration` hook
+ * 3. Apply System Deterioration (`onSystemFailed` for systems it failed)
+ * 4. `afterDeterioration` hook
+ * 5. Work on the repair queue, completing finished repairs (see
+ *    src/mechanics/repairQueue.js)
+ * 6. Check Win/Lose conditions
+ * 7. Tick running multi-turn events if game not over (see
+ *    src/mechanics/activeEvents.js), then check Win/Lose again
+ * 8. Trigger Random Event if game not over (`beforeEvent`, `onSystemFailed`
+ *    and `afterEvent` hooks, see src/mechanics/triggerEvent.js)
+ * 9. Final Win/Lose check
+ * 10. `onTurnEnd` hook
+ * 11. Refill the player's action points for the new turn (see
+ *     src/mechanics/actionPoints.js)
+ *
+ * Lifecycle hooks are documented in src/mechanics/lifecycleHooks.js.
+ *
+ * The sequence is part of the headless engine: it never touches the DOM.
+ * Anything the player should see is emitted as a presentation effect
+ * (see src/mechanics/presentationEffects.js) and rendered by the browser shell.
  */
 
 import { deteriorateSystems } from "../mechanics/deteriorateSystems.js";
-import { triggerEvent } from "../mechanics/triggerEvent.js";
+import {
+  triggerEvent,
+  tickActiveEvents,
+} from "../mechanics/triggerEvent.js";
 import { checkWinLose } from "./checkWinLose.js";
-import { updateUI } from "./updateUI.js";
-import { updateDamageModifiers } from "../mechanics/damageModifiers.js";
+import { emitEffect } from "../mechanics/presentationEffects.js";
+import { addLogEntry } from "../mechanics/eventLog.js";
+import { collectResourceIncome } from "../mechanics/resources.js";
+import { refillActionPoints } from "../mechanics/actionPoints.js";
+import { advanceRepairs } from "../mechanics/repairQueue.js";
+import {
+  dispatchHook,
+  snapshotHealth,
+  dispatchSystemFailures,
+} from "../mechanics/lifecycleHooks.js";
 
 /**
  * Abstract Command interface
@@ -50,12 +77,87 @@ class AdvanceTurnCommand extends Command {
   }
 }
 
+/**
+ * Command to add the per-turn resource income
+ */
+class CollectResourcesCommand extends Command {
+  async execute(context) {
+    return {
+      ...context,
+      gameState: collectResourceIncome(context.gameState, context.config),
+    };
+  }
+}
+
+/**
+ * Command to give the player the action points of the turn about to be played
+ */
+class RefillActionPointsCommand extends Command {
+  async execute(context) {
+    return {
+      ...context,
+      gameState: refillActionPoints(context.gameState, context.config),
+    };
+  }
+}
+
 /**
  * Command to apply system deterioration with damage modifiers
  */
 class DeteriorateSystemsCommand extends Command {
   async execute(context) {
-    const updatedState = await deteriorateSystems(context.gameState);
+    const healthBefore = snapshotHealth(context.gameState);
+    let updatedState = await deteriorateSystems(context.gameState);
+    updatedState = await dispatchSystemFailures(
+      healthBefore,
+      updatedState,
+      context.config,
+      "deterioration"
+    );
+
+    return {
+      ...context,
+      gameState: updatedState,
+    };
+  }
+}
+
+/**
+ * Command to work one turn on the queued multi-turn repairs
+ */
+class AdvanceRepairsCommand extends Command {
+  async execute(context) {
+    let updatedState = context.gameState;
+
+    if ((updatedState.repairQueue || []).length) {
+      updatedState = await advanceRepairs(updatedState, context.config);
+    }
+
+    return {
+      ...context,
+      gameState: updatedState,
+    };
+  }
+}
+
+/**
+ * Command to dispatch a lifecycle hook to every module implementing it
+ */
+class DispatchHookCommand extends Command {
+  /**
+   * @param {string} hookName - The lifecycle hook to dispatch
+   */
+  constructor(hookName) {
+    super();
+    this.hookName = hookName;
+  }
+
+  async execute(context) {
+    const updatedState = await dispatchHook(
+      this.hookName,
+      context.gameState,
+      context.config
+    );
 
     return {
       ...context,
@@ -69,7 +171,25 @@ class DeteriorateSystemsCommand extends Command {
  */
 class CheckWinLoseCommand extends Command {
   async execute(context) {
-    const updatedState = checkWinLose(context.gameState);
+    const updatedState = checkWinLose(context.gameState, context.config);
+
+    return {
+      ...context,
+      gameState: updatedState,
+    };
+  }
+}
+
+/**
+ * Command to apply the next tick of running multi-turn events
+ */
+class TickActiveEventsCommand extends Command {
+  async execute(context) {
+    let updatedState = context.gameState;
+
+    if (!updatedState.gameOver && (updatedState.activeEvents || []).length) {
+      updatedState = await tickActiveEvents(updatedState, context.config);
+    }
 
     return {
       ...context,
@@ -91,6 +211,14 @@ class TriggerEventCommand extends Command {
       const eventResult = await triggerEvent(updatedState, context.config);
       updatedState = eventResult.state;
       triggeredEvent = eventResult.event;
+
+      // Log the event and let the browser shell show a toast
+      if (triggeredEvent) {
+        updatedState = addLogEntry(updatedState, triggeredEvent.description);
+        updatedState = emitEffect(updatedState, "eventTriggered", {
+          event: triggeredEvent,
+        });
+      }
     }
 
     return {
@@ -101,25 +229,6 @@ class TriggerEventCommand extends Command {
   }
 }
 
-/**
- * Command to update the UI with current game state
- */
-class UpdateUICommand extends Command {
-  async execute(context) {
-    const uiOptions = {};
-
-    // Add event logging and toast if an event was triggered
-    if (context.triggeredEvent) {
-      uiOptions.eventToLog = context.triggeredEvent.description;
-      uiOptions.showToast = context.triggeredEvent;
-    }
-
-    updateUI(context.gameState, context.config, uiOptions);
-
-    return context;
-  }
-}
-
 /**
  * Invoker class that manages and executes the command sequence
  */
@@ -181,11 +290,19 @@ class StandardTurnInvoker extends TurnSequenceInvoker {
    */
   setupStandardSequence() {
     this.addCommand(new AdvanceTurnCommand());
+    this.addCommand(new CollectResourcesCommand());
+    this.addCommand(new DispatchHookCommand("onTurnStart"));
+    this.addCommand(new DispatchHookCommand("beforeDeterioration"));
     this.addCommand(new DeteriorateSystemsCommand());
+    this.addCommand(new DispatchHookCommand("afterDeterioration"));
+    this.addCommand(new AdvanceRepairsCommand());
+    this.addCommand(new CheckWinLoseCommand());
+    this.addCommand(new TickActiveEventsCommand());
     this.addCommand(new CheckWinLoseCommand());
     this.addCommand(new TriggerEventCommand());
     this.addCommand(new CheckWinLoseCommand());
-    this.addCommand(new UpdateUICommand());
+    this.addCommand(new DispatchHookCommand("onTurnEnd"));
+    this.addCommand(new RefillActionPointsCommand());
   }
 }
 
@@ -242,9 +359,13 @@ export async function executeCustomSequence(
 export {
   Command,
   AdvanceTurnCommand,
+  CollectResourcesCommand,
+  RefillActionPointsCommand,
   DeteriorateSystemsCommand,
+  AdvanceRepairsCommand,
+  DispatchHookCommand,
   CheckWinLoseCommand,
+  TickActiveEventsCommand,
   TriggerEventCommand,
-  UpdateUICommand,
   TurnSequenceInvoker,
 };
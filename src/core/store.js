@@ -0,0 +1,200 @@
+/**
+ * Store module for the survival game.
+ * Changes to the nested parts of the game state (systems, damage modifiers) are
+ * dispatched as actions and applied by pure reducers instead of being written in
+ * place. Mechanics spread the top level of the state, but nested objects are shared
+ * with the previous state; writing into them would also change that state (the
+ * `stateBeforeEvent` an event's hooks receive, the snapshots kept for undo...).
+ *
+ * Reducers never modify the state they receive. They return a new state in which
+ * every changed branch is a new object and unchanged branches are shared, so a
+ * state, once created, never changes:
+ *
+ *   updatedState = dispatch(updatedState, damageSystem("Life Support", 35));
+ *
+ * `freezeState` deep-freezes a state; tests use it to catch in-place writes, which
+ * throw on frozen objects in ES modules.
+ */
+
+/**
+ * State actions and their payloads
+ */
+export const STATE_ACTIONS = {
+  UPDATE_SYSTEM: "updateSystem", // { systemName, changes }
+  SET_SYSTEM_HEALTH: "setSystemHealth", // { systemName, health }
+  DAMAGE_SYSTEM: "damageSystem", // { systemName, amount }
+  ADD_DAMAGE_MODIFIER: "addDamageModifier", // { modifier }
+};
+
+/**
+ * Creates an action that merges fields into a system
+ * @param {string} systemName - The system to update
+ * @param {Object} changes - Fields to set on the system
+ * @returns {Object} The action
+ */
+export function updateSystem(systemName, changes) {
+  return { type: STATE_ACTIONS.UPDATE_SYSTEM, systemName, changes };
+}
+
+/**
+ * Creates an action that sets a system's health (never below 0, never above its
+ * `maxHealth`)
+ * @param {string} systemName - The system to update
+ * @param {number} health - The new health
+ * @returns {Object} The action
+ */
+export function setSystemHealth(systemName, health) {
+  return { type: STATE_ACTIONS.SET_SYSTEM_HEALTH, systemName, health };
+}
+
+/**
+ * Creates an action that lowers a system's health (never below 0)
+ * @param {string} systemName - The system to damage
+ * @param {number} amount - Health points to remove
+ * @returns {Object} The action
+ */
+export function damageSystem(systemName, amount) {
+  return { type: STATE_ACTIONS.DAMAGE_SYSTEM, systemName, amount };
+}
+
+/**
+ * Creates an action that adds a damage modifier
+ * @param {Object} modifier - {systemId, systemName, modifier, type, turnsLeft, source}
+ * @returns {Object} The action
+ */
+export function addModifier(modifier) {
+  return { type: STATE_ACTIONS.ADD_DAMAGE_MODIFIER, modifier };
+}
+
+/**
+ * Reducer for `gameState.systems`
+ * @param {Array} systems - The current systems
+ * @param {Object} action - The dispatched action
+ * @returns {Array} The same array if nothing changed, otherwise a new one
+ */
+function systemsReducer(systems, action) {
+  let changeSystem;
+  switch (action.type) {
+    case STATE_ACTIONS.UPDATE_SYSTEM:
+      changeSystem = (system) => ({ ...system, ...action.changes });
+      break;
+    case STATE_ACTIONS.SET_SYSTEM_HEALTH:
+      // Health never exceeds the system's maximum (see src/mechanics/wear.js)
+      changeSystem = (system) => ({
+        ...system,
+        health: Math.max(
+          0,
+          Math.min(
+            typeof system.maxHealth === "number" ? system.maxHealth : 100,
+            action.health
+          )
+        ),
+      });
+      break;
+    case STATE_ACTIONS.DAMAGE_SYSTEM:
+      changeSystem = (system) => ({
+        ...system,
+        health: Math.max(0, system.health - action.amount),
+      });
+      break;
+    default:
+      return systems;
+  }
+
+  const index = (systems || []).findIndex(
+    (system) => system.name === action.systemName
+  );
+  if (index === -1) {
+    return systems; // Unknown systems are ignored, like a missing system in play
+  }
+
+  const nextSystems = [...systems];
+  nextSystems[index] = changeSystem(systems[index]);
+  return nextSystems;
+}
+
+/**
+ * Reducer for `gameState.damageModifiers`
+ * @param {Array} damageModifiers - The current damage modifiers
+ * @param {Object} action - The dispatched action
+ * @returns {Array} The same array if nothing changed, otherwise a new one
+ */
+function damageModifiersReducer(damageModifiers, action) {
+  switch (action.type) {
+    case STATE_ACTIONS.ADD_DAMAGE_MODIFIER:
+      return [...(damageModifiers || []), { ...action.modifier }];
+    default:
+      return damageModifiers;
+  }
+}
+
+// State branch => reducer owning it
+const REDUCERS = {
+  systems: systemsReducer,
+  damageModifiers: damageModifiersReducer,
+};
+
+/**
+ * Applies an action to a game state without modifying it
+ * @param {Object} gameState - The current game state
+ * @param {Object} action - The action (see STATE_ACTIONS)
+ * @returns {Object} The next game state (the same object if nothing changed)
+ */
+export function rootReducer(gameState, action) {
+  let nextState = gameState;
+  for (const [key, reducer] of Object.entries(REDUCERS)) {
+    const branch = reducer(gameState[key], action);
+    if (branch !== gameState[key]) {
+      if (nextState === gameState) {
+        nextState = { ...gameState };
+      }
+      nextState[key] = branch;
+    }
+  }
+  return nextState;
+}
+
+/**
+ * Dispatches one or more actions to a game state
+ * @param {Object} gameState - The current game state
+ * @param {...Object} actions - Actions to apply, in order
+ * @returns {Object} The next game state
+ */
+export function dispatch(gameState, ...actions) {
+  return actions.reduce((state, action) => {
+    if (!action || !Object.values(STATE_ACTIONS).includes(action.type)) {
+      throw new Error(`Unknown state action: ${action && action.type}`);
+    }
+    return rootReducer(state, action);
+  }, gameState);
+}
+
+/**
+ * Deep-freezes the plain objects and arrays of a state. Registry modules referenced
+ * from the state (selection owners, interactive events...) belong to the config and
+ * are left alone; the state's own systems are frozen.
+ * @param {Object} gameState - The state to freeze
+ * @returns {Object} The same state, frozen
+ */
+export function freezeState(gameState) {
+  freezeValue(gameState);
+  (gameState.systems || []).forEach((system) => freezeValue(system, true));
+  return gameState;
+}
+
+/**
+ * Freezes a value and everything it holds
+ * @param {*} value - The value to freeze
+ * @param {boolean} ownModule - Freeze the value even if it is a registry module
+ */
+function freezeValue(value, ownModule = false) {
+  if (value === null || typeof value !== "object" || Object.isFrozen(value)) {
+    return;
+  }
+  if (value._modulePath && !ownModule) {
+    return; // Shared with the config
+  }
+
+  Object.freeze(value);
+  Object.values(value).forEach((item) => freezeValue(item));
+}
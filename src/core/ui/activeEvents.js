@@ -0,0 +1,40 @@
+/**
+ * Active Events UI module for the survival game.
+ * Shows the multi-turn events that are still running (`gameState.activeEvents`)
+ * as status badges with their remaining duration.
+ */
+
+/**
+ * Render the running multi-turn events
+ * @param {Object} gameState - The current game state
+ */
+export function renderActiveEvents(gameState) {
+  const container = document.getElementById("active-events");
+  if (!container) return;
+
+  const activeEvents = gameState.activeEvents || [];
+  container.innerHTML = "";
+  container.classList.toggle("hidden", activeEvents.length === 0);
+
+  activeEvents.forEach((entry) => {
+    const badge = document.createElement("div");
+    badge.className = `active-event ${entry.positive ? "positive" : "negative"}`;
+    badge.title = entry.description;
+
+    const icon = document.createElement("i");
+    icon.className = entry.positive ? "fas fa-sun" : "fas fa-bolt";
+
+    const name = document.createElement("span");
+    name.className = "active-event-name";
+    name.textContent = entry.name;
+
+    const remaining = document.createElement("span");
+    remaining.className = "active-event-turns";
+    remaining.textContent = `${entry.turnsLeft} turn${
+      entry.turnsLeft === 1 ? "" : "s"
+    } left`;
+
+    badge.append(icon, name, remaining);
+    container.appendChild(badge);
+  });
+}
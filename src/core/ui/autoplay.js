@@ -0,0 +1,110 @@
+/**
+ * Autoplay UI module for the survival game.
+ * Lets a bot (src/bots/strategies.js) play the game at a chosen speed so designers
+ * can watch strategies play. The controls pick the bot and the delay between steps;
+ * the game shell supplies `playStep(strategy)`, which applies one bot action and
+ * resolves to false once the game cannot continue. Any click outside the controls
+ * hands control back to the player.
+ */
+
+export const AUTOPLAY_SPEEDS = [
+  { label: "Slow", delay: 1500 },
+  { label: "Normal", delay: 700 },
+  { label: "Fast", delay: 250 },
+  { label: "Turbo", delay: 50 },
+];
+const DEFAULT_SPEED_INDEX = 1;
+
+/**
+ * Set up the autoplay controls
+ * @param {Array} strategies - The bots the player can choose from
+ * @param {Function} playStep - Applies one bot action: async (strategy) => boolean
+ * @returns {Object} Controller with `stop()` and `update(gameState)`
+ */
+export function initializeAutoplayControls(strategies, playStep) {
+  const controls = document.getElementById("autoplay-controls");
+  const toggleButton = document.getElementById("autoplay-button");
+  const strategySelect = document.getElementById("autoplay-strategy");
+  const speedSelect = document.getElementById("autoplay-speed");
+
+  let running = false;
+  let timer = null;
+
+  const controller = {
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+      renderToggleButton();
+    },
+
+    update(gameState) {
+      if (gameState.gameOver) controller.stop();
+      if (toggleButton) toggleButton.disabled = !!gameState.gameOver;
+    },
+  };
+
+  if (!controls || !toggleButton || !strategySelect || !speedSelect) {
+    return controller;
+  }
+
+  strategies.forEach((strategy) => {
+    const option = document.createElement("option");
+    option.value = strategy.id;
+    option.textContent = strategy.name;
+    option.title = strategy.description || "";
+    strategySelect.appendChild(option);
+  });
+
+  AUTOPLAY_SPEEDS.forEach((speed, index) => {
+    const option = document.createElement("option");
+    option.value = speed.delay;
+    option.textContent = speed.label;
+    option.selected = index === DEFAULT_SPEED_INDEX;
+    speedSelect.appendChild(option);
+  });
+
+  function renderToggleButton() {
+    toggleButton.innerHTML = running
+      ? '<i class="fas fa-pause"></i> Stop'
+      : '<i class="fas fa-robot"></i> Autoplay';
+    toggleButton.classList.toggle("running", running);
+  }
+
+  function scheduleStep() {
+    timer = setTimeout(async () => {
+      if (!running) return;
+      const strategy = strategies.find((s) => s.id === strategySelect.value);
+      const canContinue = await playStep(strategy);
+      if (!canContinue) {
+        controller.stop();
+      } else if (running) {
+        scheduleStep();
+      }
+    }, Number(speedSelect.value));
+  }
+
+  toggleButton.addEventListener("click", () => {
+    if (running) {
+      controller.stop();
+      return;
+    }
+    running = true;
+    renderToggleButton();
+    scheduleStep();
+  });
+
+  // The player taking an action stops the bot
+  document.addEventListener(
+    "click",
+    (event) => {
+      if (running && event.isTrusted && !controls.contains(event.target)) {
+        controller.stop();
+      }
+    },
+    true
+  );
+
+  renderToggleButton();
+  return controller;
+}
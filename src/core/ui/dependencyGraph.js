@@ -0,0 +1,174 @@
+/**
+ * Dependency Graph UI module for the survival game.
+ * Draws the systems' influences and dependencies (see
+ * src/mechanics/dependencies.js) as an SVG graph: one node per system, colored by
+ * health, and an arrow per edge. Edges that apply their effect now are highlighted
+ * and listed under the graph, so players can see why a system decays faster.
+ */
+
+import {
+  getDependencyEdges,
+  getDependencyNodes,
+  isEdgeActive,
+} from "../../mechanics/dependencies.js";
+import { isUnderRepair } from "../../mechanics/repairQueue.js";
+
+const SIZE = 220;
+const NODE_RADIUS = 16;
+
+// Keeps the SVG attributes short
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * The health class of a node
+ * @param {Object|undefined} system - The system, undefined when not aboard
+ * @returns {string} The class
+ */
+function healthClass(system) {
+  if (!system) return "missing";
+  if (system.health <= 0) return "failed";
+  if (system.health < 30) return "critical";
+  if (system.health < 60) return "damaged";
+  return "healthy";
+}
+
+/**
+ * Positions the nodes on a circle
+ * @param {Array} nodes - The graph nodes
+ * @returns {Object} name => { x, y }
+ */
+function layoutNodes(nodes) {
+  const center = SIZE / 2;
+  const radius = SIZE / 2 - NODE_RADIUS - 14;
+  const positions = {};
+  nodes.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / nodes.length - Math.PI / 2;
+    positions[node.name] = {
+      x: round(center + radius * Math.cos(angle)),
+      y: round(center + radius * Math.sin(angle)),
+    };
+  });
+  return positions;
+}
+
+/**
+ * An edge's line, shortened so the arrow stops at the target node
+ * @param {Object} from - The source position
+ * @param {Object} to - The target position
+ * @returns {Object} `{ x1, y1, x2, y2 }`
+ */
+function edgeLine(from, to) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+  const dx = (to.x - from.x) / length;
+  const dy = (to.y - from.y) / length;
+  return {
+    x1: round(from.x + dx * NODE_RADIUS),
+    y1: round(from.y + dy * NODE_RADIUS),
+    x2: round(to.x - dx * (NODE_RADIUS + 4)),
+    y2: round(to.y - dy * (NODE_RADIUS + 4)),
+  };
+}
+
+/**
+ * Short node label: the system's initials
+ * @param {string} name - The system name
+ * @returns {string} The label
+ */
+function initials(name) {
+  return name
+    .split(/\s+/)
+    .map((word) => word[0])
+    .join("")
+    .slice(0, 3)
+    .toUpperCase();
+}
+
+/**
+ * Render the dependency graph panel
+ * @param {Object} gameState - The current game state
+ */
+export function renderDependencyGraph(gameState) {
+  const panel = document.getElementById("dependency-graph");
+  const content = document.getElementById("dependency-graph-content");
+  if (!panel || !content) return;
+
+  const edges = getDependencyEdges(gameState.systems);
+  panel.classList.toggle("hidden", edges.length === 0);
+  if (edges.length === 0) {
+    content.innerHTML = "";
+    return;
+  }
+
+  const nodes = getDependencyNodes(gameState.systems);
+  const positions = layoutNodes(nodes);
+  const active = edges.filter((edge) => isEdgeActive(gameState, edge));
+
+  const lines = edges
+    .map((edge) => {
+      const { x1, y1, x2, y2 } = edgeLine(
+        positions[edge.from],
+        positions[edge.to]
+      );
+      const isActive = active.includes(edge);
+      return `
+        <line class="dependency-edge ${edge.kind}${isActive ? " active" : ""}"
+          x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"
+          marker-end="url(#dependency-arrow${isActive ? "-active" : ""})">
+          <title>${edge.from} → ${edge.to}: ${edge.label}${
+        isActive ? " (active)" : ""
+      }</title>
+        </line>`;
+    })
+    .join("");
+
+  const circles = nodes
+    .map((node) => {
+      const system = gameState.systems.find((s) => s.name === node.name);
+      const { x, y } = positions[node.name];
+      const offline = system && isUnderRepair(gameState, system.name);
+      const status = system
+        ? `${system.health} health${offline ? ", under repair" : ""}`
+        : "not aboard";
+      return `
+        <g class="dependency-node ${healthClass(system)}${
+        offline ? " offline" : ""
+      }" data-system-id="${node.id}">
+          <circle cx="${x}" cy="${y}" r="${NODE_RADIUS}"></circle>
+          <text x="${x}" y="${y}">${initials(node.name)}</text>
+          <title>${node.name} (${status})</title>
+        </g>`;
+    })
+    .join("");
+
+  const reasons = active.length
+    ? active
+        .map(
+          (edge) => `
+        <li class="dependency-reason ${edge.kind}">
+          <strong>${edge.to}</strong> ← ${edge.from}: ${edge.label}
+        </li>`
+        )
+        .join("")
+    : `<li class="dependency-reason none">
+        No system is affecting another.
+      </li>`;
+
+  content.innerHTML = `
+    <svg class="dependency-svg" viewBox="0 0 ${SIZE} ${SIZE}" role="img"
+      aria-label="System dependency graph">
+      <defs>
+        <marker id="dependency-arrow" viewBox="0 0 10 10" refX="8" refY="5"
+          markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path class="dependency-arrow" d="M 0 0 L 10 5 L 0 10 z"></path>
+        </marker>
+        <marker id="dependency-arrow-active" viewBox="0 0 10 10" refX="8"
+          refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path class="dependency-arrow active" d="M 0 0 L 10 5 L 0 10 z"></path>
+        </marker>
+      </defs>
+      ${lines}
+      ${circles}
+    </svg>
+    <ul class="dependency-reasons">${reasons}</ul>
+  `;
+}
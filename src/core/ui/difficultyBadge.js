@@ -0,0 +1,20 @@
+/**
+ * Difficulty Badge UI module for the survival game.
+ * Shows the run's difficulty (`config.difficulty`, see src/setup/difficulty.js)
+ * in the game header.
+ */
+
+/**
+ * Render the difficulty badge
+ * @param {Object} difficulty - `{ id, label }` of the run's difficulty
+ */
+export function renderDifficultyBadge(difficulty) {
+  const badge = document.getElementById("difficulty-badge");
+  if (!badge) return;
+
+  badge.classList.toggle("hidden", !difficulty);
+  if (!difficulty) return;
+
+  badge.className = `difficulty-badge ${difficulty.id}`;
+  badge.innerHTML = `<i class="fas fa-tachometer-alt"></i> ${difficulty.label}`;
+}
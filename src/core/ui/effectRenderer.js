@@ -0,0 +1,111 @@
+/**
+ * Effect Renderer UI module for the survival game.
+ * The browser shell around the headless engine: drains the presentation effects
+ * queued on the game state, refreshes the UI and renders each effect.
+ * Effect types the shell does not know are offered to every loaded module that
+ * implements `renderEffect(effect, gameState, config)`.
+ */
+
+import { takeEffects } from "../../mechanics/presentationEffects.js";
+import { GAME_EVENTS } from "../eventBus.js";
+import { updateUI } from "../updateUI.js";
+import { showEventToast } from "./toast.js";
+import { renderInteractivePopup } from "./interactivePopup.js";
+import { findSystemElement } from "./systemElements.js";
+
+/**
+ * Render the current game state and all of its pending presentation effects
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Object} The game state with its effects drained
+ */
+export function presentState(gameState, config = null) {
+  const { effects, state } = takeEffects(gameState);
+
+  updateUI(state, config);
+
+  effects.forEach((effect) => {
+    try {
+      renderEffect(effect, state, config);
+    } catch (error) {
+      console.error(`Error rendering effect ${effect.type}:`, error);
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Render a single presentation effect
+ * @param {Object} effect - The effect to render
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ */
+function renderEffect(effect, gameState, config) {
+  switch (effect.type) {
+    case "eventTriggered":
+      // The event itself is already in gameState.eventLog
+      showEventToast(effect.event, config);
+      break;
+    case "toast":
+      showEventToast(effect.event, config);
+      break;
+    case "shakeSystem":
+      shakeSystemElement(gameState, effect.systemName);
+      break;
+    case "damageModifiersUpdated":
+      config?.eventBus?.emit(GAME_EVENTS.DAMAGE_MODIFIERS_UPDATED, {
+        previousModifiers: effect.previousModifiers,
+        currentModifiers: effect.currentModifiers,
+        gameState,
+      });
+      break;
+    case "interactiveEventShown":
+      if (gameState.interactiveEvent) {
+        renderInteractivePopup(
+          gameState.interactiveEvent.event,
+          config,
+          gameState
+        );
+      }
+      break;
+    default:
+      renderModuleEffect(effect, gameState, config);
+      break;
+  }
+}
+
+/**
+ * Offer a module-specific effect to every module that can render effects
+ * @param {Object} effect - The effect to render
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ */
+function renderModuleEffect(effect, gameState, config) {
+  const modules = [
+    ...(gameState.systems || []),
+    ...((config && config.positiveEvents) || []),
+    ...((config && config.negativeEvents) || []),
+  ];
+
+  modules.forEach((module) => {
+    if (typeof module.renderEffect === "function") {
+      module.renderEffect(effect, gameState, config);
+    }
+  });
+}
+
+/**
+ * Play the shake animation on a system element
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The name of the system to shake
+ */
+function shakeSystemElement(gameState, systemName) {
+  const systemElement = findSystemElement(gameState.systems, systemName);
+  if (systemElement) {
+    systemElement.classList.add("shake");
+    setTimeout(() => {
+      systemElement.classList.remove("shake");
+    }, 500);
+  }
+}
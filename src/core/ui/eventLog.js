@@ -1,8 +1,37 @@
 /**
  * Event Log UI module for the survival game.
- * Handles adding events to the event log display.
+ * Handles rendering the game state's event log (`gameState.eventLog`).
  */
 
+// Log entries currently on screen, so renders only append new entries
+let renderedEntries = [];
+
+/**
+ * Render the event log from the game state.
+ * New entries are appended; if the log was replaced (undo, retry, loading a save)
+ * the whole log is rebuilt.
+ * @param {Object} gameState - The current game state
+ */
+export function renderEventLog(gameState) {
+  const eventLogContent = document.getElementById("event-log-content");
+  const entries = gameState.eventLog || [];
+  if (!eventLogContent) return;
+
+  const isAppendOnly =
+    renderedEntries.length <= entries.length &&
+    renderedEntries.every((entry, index) => entry === entries[index]);
+
+  if (!isAppendOnly) {
+    eventLogContent.innerHTML = "";
+    renderedEntries = [];
+  }
+
+  entries
+    .slice(renderedEntries.length)
+    .forEach((entry) => addEventToLog(entry.text, entry.turn));
+  renderedEntries = [...entries];
+}
+
 /**
  * Add an event to the event log
  * @param {string} eventText - The event description to log
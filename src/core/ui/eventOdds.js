@@ -0,0 +1,63 @@
+/**
+ * Event Odds UI module for the survival game.
+ * Debug panel (shown with `?debug` in the game URL) listing the effective
+ * probability of each event on the next event roll, which happens on the turn
+ * after the current one. Events that cannot fire are listed with the reason.
+ */
+
+import { getEventProbabilities } from "../../mechanics/eventTable.js";
+
+/**
+ * Show the event odds panel
+ */
+export function showEventOdds() {
+  const panel = document.getElementById("event-odds");
+  if (panel) panel.classList.remove("hidden");
+}
+
+/**
+ * Render the event odds for the next event roll
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ */
+export function renderEventOdds(gameState, config) {
+  const panel = document.getElementById("event-odds");
+  const content = document.getElementById("event-odds-content");
+  const title = document.getElementById("event-odds-turn");
+  if (!panel || !content || panel.classList.contains("hidden")) return;
+
+  // The next roll happens after the turn advances
+  const nextRoll = {
+    ...gameState,
+    turn: gameState.turn + 1,
+    deteriorationCount: (gameState.deteriorationCount || 0) + 1,
+  };
+  const rows = getEventProbabilities(nextRoll, config);
+  const noEvent = 1 - rows.reduce((sum, row) => sum + row.probability, 0);
+
+  if (title) title.textContent = `turn ${nextRoll.turn}`;
+  content.innerHTML = "";
+  [...rows, { description: "No event", probability: noEvent, eligible: true }]
+    .forEach((row) => {
+      const item = document.createElement("div");
+      item.className = "event-odds-item";
+      if (!row.eligible) item.classList.add("ineligible");
+      if (row.positive !== undefined) {
+        item.classList.add(row.positive ? "positive" : "negative");
+      }
+
+      const name = document.createElement("span");
+      name.className = "event-odds-name";
+      name.textContent = row.description;
+      name.title = row.reason || "";
+
+      const value = document.createElement("span");
+      value.className = "event-odds-value";
+      value.textContent = row.eligible
+        ? `${(row.probability * 100).toFixed(1)}%`
+        : row.reason;
+
+      item.append(name, value);
+      content.appendChild(item);
+    });
+}
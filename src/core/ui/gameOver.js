@@ -17,6 +17,7 @@ export function updateGameOverState(gameState) {
     // Show game over message
     const gameOverTitle = document.getElementById("game-over-title");
     const gameOverMessage = document.getElementById("game-over-message");
+    const gameOverRule = document.getElementById("game-over-rule");
     const winIcon = document.querySelector(".win-icon");
     const loseIcon = document.querySelector(".lose-icon");
 
@@ -36,6 +37,11 @@ export function updateGameOverState(gameState) {
         if (winIcon) winIcon.style.display = "none";
         if (loseIcon) loseIcon.style.display = "block";
       }
+
+      // Name the win/lose rule that ended the game
+      if (gameOverRule) {
+        gameOverRule.textContent = describeEnding(gameState);
+      }
     }
 
     // Enable retry and setup buttons when game is over
@@ -56,8 +62,9 @@ export function updateGameOverState(gameState) {
   if (abandonButton) abandonButton.disabled = false;
 
   // Update button states based on game over status
+  // (buttons marked data-keep-enabled, e.g. replay controls, manage their own state)
   const buttons = document.querySelectorAll(
-    "button:not(#retry-button):not(#setup-button):not(#abandon-button)"
+    "button:not(#retry-button):not(#setup-button):not(#abandon-button):not(#undo-button):not([data-keep-enabled])"
   );
   buttons.forEach((button) => {
     button.disabled = gameState.gameOver;
@@ -70,3 +77,15 @@ export function updateGameOverState(gameState) {
     }
   });
 }
+
+/**
+ * Describe the win/lose rule that ended the game
+ * @param {Object} gameState - The finished game state
+ * @returns {string} e.g. "Rule broken: Keep critical systems alive"
+ */
+export function describeEnding(gameState) {
+  const rule = gameState.endedBy;
+  if (!rule) return "";
+  const label = rule.outcome === "win" ? "Rule met" : "Rule broken";
+  return `${label}: ${rule.description}`;
+}
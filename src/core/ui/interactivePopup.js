@@ -0,0 +1,146 @@
+/**
+ * Interactive Popup UI module for the survival game.
+ * Renders the popup for interactive events on the top-left with dynamic content
+ * and confirm/cancel buttons, and hands the player's choice to the game shell as a
+ * player action (see src/core/playerActions.js) on the game's event bus.
+ */
+
+import { GAME_EVENTS } from '../eventBus.js';
+
+/**
+ * Render the interactive popup with dynamic content.
+ * @param {Object} interactiveEvent - The interactive event object.
+ * @param {Object} config - The game configuration object.
+ * @param {Object} gameState - The current game state object.
+ */
+export function renderInteractivePopup(interactiveEvent, config, gameState) {
+  // Remove existing popup if any
+  removeInteractivePopup();
+  const eventBus = config?.eventBus;
+
+  // Create popup container
+  const popup = document.createElement('div');
+  popup.id = 'interactive-popup';
+  popup.className = 'interactive-popup';
+
+  // Create popup content
+  const content = document.createElement('div');
+  content.className = 'interactive-popup-content';
+
+  // Add event title
+  const title = document.createElement('h4');
+  title.className = 'interactive-popup-title';
+  title.textContent = interactiveEvent.title || 'Interactive Event';
+  content.appendChild(title);
+
+  // Add dynamic content area
+  const contentArea = document.createElement('div');
+  contentArea.className = 'interactive-content-area';
+
+  // Render event-specific content
+  if (interactiveEvent.renderContent) {
+    contentArea.innerHTML = interactiveEvent.renderContent(gameState, config);
+  } else {
+    contentArea.innerHTML = '<p>No content available for this interactive event.</p>';
+  }
+
+  content.appendChild(contentArea);
+
+  // Create button container
+  const buttonContainer = document.createElement('div');
+  buttonContainer.className = 'interactive-button-container';
+
+  // Add confirm button (always present)
+  const confirmButton = document.createElement('button');
+  confirmButton.className = 'interactive-confirm-button';
+  confirmButton.innerHTML = '<i class="fas fa-check"></i> Confirm';
+  confirmButton.addEventListener('click', () => {
+    handleConfirmClick(eventBus);
+  });
+  buttonContainer.appendChild(confirmButton);
+
+  // Add cancel button if enabled for this event
+  if (interactiveEvent.showCancel !== false) {
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'interactive-cancel-button';
+    cancelButton.innerHTML = '<i class="fas fa-times"></i> Cancel';
+    cancelButton.addEventListener('click', () => {
+      handleCancelClick(eventBus);
+    });
+    buttonContainer.appendChild(cancelButton);
+  }
+
+  content.appendChild(buttonContainer);
+  popup.appendChild(content);
+
+  // Add to DOM
+  document.body.appendChild(popup);
+
+  // Trigger animation
+  setTimeout(() => {
+    popup.classList.add('active');
+  }, 10);
+}
+
+/**
+ * Remove the interactive popup from the DOM.
+ */
+export function removeInteractivePopup() {
+  const popup = document.getElementById('interactive-popup');
+  if (popup) {
+    popup.remove();
+  }
+}
+
+/**
+ * Handle confirm button click.
+ * @param {EventBus} eventBus - The game's event bus.
+ */
+function handleConfirmClick(eventBus) {
+  // Get event data from the popup before removing it
+  const eventData = getEventDataFromPopup();
+  removeInteractivePopup();
+
+  dispatchInteractiveChoice(eventBus, { type: 'confirmInteractive', eventData });
+}
+
+/**
+ * Handle cancel button click.
+ * @param {EventBus} eventBus - The game's event bus.
+ */
+function handleCancelClick(eventBus) {
+  removeInteractivePopup();
+
+  dispatchInteractiveChoice(eventBus, { type: 'cancelInteractive' });
+}
+
+/**
+ * Hand the player's choice to the game shell, which applies and records it.
+ * @param {EventBus} eventBus - The game's event bus.
+ * @param {Object} action - The confirmInteractive or cancelInteractive player action.
+ */
+function dispatchInteractiveChoice(eventBus, action) {
+  if (eventBus) {
+    eventBus.emit(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, { action });
+  }
+}
+
+/**
+ * Extract event data from the interactive popup.
+ * @returns {Object} The event data object.
+ */
+function getEventDataFromPopup() {
+  const popup = document.getElementById('interactive-popup');
+  if (!popup) return {};
+
+  // Get selected systems (for motivated event)
+  const selectedSystems = [];
+  const systemCheckboxes = popup.querySelectorAll('.system-selection-checkbox:checked');
+  systemCheckboxes.forEach(checkbox => {
+    selectedSystems.push(checkbox.dataset.system);
+  });
+
+  return {
+    selectedSystems: selectedSystems
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Repair Menu UI module for the survival game.
+ * The fix button of a normal system opens a small menu listing the repairs the
+ * system supports (see src/mechanics/repairTypes.js), each with what it does and
+ * what it costs, and how many turns it takes when it goes to the repair queue (see
+ * src/mechanics/repairQueue.js). Repairs the player cannot make right now are
+ * disabled, with the reason as tooltip. Picking one is handled by the game shell (src/core/game.js),
+ * which plays the repair's fix action.
+ */
+
+import {
+  REPAIR_TYPES,
+  getSupportedRepairs,
+} from "../../mechanics/repairTypes.js";
+import {
+  createFixAction,
+  getActionCost,
+  checkPlayerAction,
+} from "../playerActions.js";
+import { getRepairDuration } from "../../mechanics/repairQueue.js";
+import { formatCostHtml } from "./resourceHud.js";
+
+/**
+ * Closes every open repair menu
+ */
+export function closeRepairMenus() {
+  document.querySelectorAll(".repair-menu").forEach((menu) => menu.remove());
+}
+
+/**
+ * Opens the repair menu of a system under its fix button, or closes it if it is
+ * already open
+ * @param {HTMLElement} systemElement - The system's element
+ * @param {Object} system - The system
+ * @param {Object} gameState - The current game state
+ */
+export function toggleRepairMenu(systemElement, system, gameState) {
+  const open = systemElement.querySelector(".repair-menu");
+  closeRepairMenus();
+  if (open) return;
+
+  const menu = document.createElement("div");
+  menu.className = "repair-menu";
+  menu.setAttribute("role", "menu");
+
+  getSupportedRepairs(system).forEach((repair) => {
+    const repairType = REPAIR_TYPES[repair];
+    const action = createFixAction(gameState, system.name, repair);
+    const actionCost = getActionCost(gameState, action);
+    const { allowed, message } = checkPlayerAction(gameState, action);
+    const turns = getRepairDuration(system, repair);
+    const description =
+      turns > 1
+        ? `${repairType.description} · ${turns} turns offline`
+        : repairType.description;
+
+    const option = document.createElement("button");
+    option.className = "repair-option";
+    option.setAttribute("role", "menuitem");
+    option.dataset.repair = repair;
+    option.disabled = !allowed;
+    option.title = allowed ? description : message;
+    option.innerHTML = `
+      <i class="${repairType.icon}"></i>
+      <span class="repair-option-text">
+        <span class="repair-option-label">${repairType.label}</span>
+        <span class="repair-option-description">${description}</span>
+      </span>
+      <span class="repair-option-cost">${
+        actionCost
+          ? formatCostHtml(actionCost.cost, actionCost.actionPoints)
+          : ""
+      }</span>
+    `;
+    menu.appendChild(option);
+  });
+
+  systemElement.appendChild(menu);
+}
@@ -0,0 +1,112 @@
+/**
+ * Repair Queue UI module for the survival game.
+ * Shows the multi-turn repairs waiting in `gameState.repairQueue` (see
+ * src/mechanics/repairQueue.js) with their progress, and marks the systems that
+ * are under repair (offline) or waiting for a crew. Each entry has buttons to move
+ * it up or down the queue and to cancel it; the game shell (src/core/game.js)
+ * turns clicks on them (`data-queue-action`) into moveRepair and cancelRepair
+ * actions.
+ */
+
+import { REPAIR_TYPES } from "../../mechanics/repairTypes.js";
+import { isUnderRepair } from "../../mechanics/repairQueue.js";
+import { describeResources } from "../../mechanics/resources.js";
+import { getElementSystem } from "./systemElements.js";
+
+/**
+ * A queue control button
+ * @param {string} queueAction - "up", "down" or "cancel"
+ * @param {string} icon - Font Awesome icon classes
+ * @param {string} title - The tooltip
+ * @param {boolean} disabled - Whether the button is disabled
+ * @returns {HTMLButtonElement} The button
+ */
+function controlButton(queueAction, icon, title, disabled = false) {
+  const button = document.createElement("button");
+  button.className = `repair-queue-control ${queueAction}`;
+  button.dataset.queueAction = queueAction;
+  button.title = title;
+  button.disabled = disabled;
+  button.innerHTML = `<i class="${icon}"></i>`;
+  return button;
+}
+
+/**
+ * Render the repair queue panel and the repair state of the system elements
+ * @param {Object} gameState - The current game state
+ */
+export function renderRepairQueue(gameState) {
+  const queue = gameState.repairQueue || [];
+
+  // Systems under repair are offline; the others in the queue wait for a crew
+  document.querySelectorAll(".system[data-system-id]").forEach((element) => {
+    const system = getElementSystem(gameState.systems, element);
+    if (!system) return;
+    const systemName = system.name;
+    const queued = queue.some((entry) => entry.systemName === systemName);
+    const underRepair = isUnderRepair(gameState, systemName);
+    element.classList.toggle("under-repair", underRepair);
+    element.classList.toggle("repair-waiting", queued && !underRepair);
+  });
+
+  const panel = document.getElementById("repair-queue");
+  const content = document.getElementById("repair-queue-content");
+  if (!panel || !content) return;
+
+  panel.classList.toggle("hidden", queue.length === 0);
+  content.innerHTML = "";
+
+  queue.forEach((entry, index) => {
+    const repairType = REPAIR_TYPES[entry.repair];
+    const underRepair = isUnderRepair(gameState, entry.systemName);
+
+    const item = document.createElement("div");
+    item.className = `repair-queue-entry ${
+      underRepair ? "in-progress" : "waiting"
+    }`;
+    item.dataset.queuedSystem = entry.systemName;
+
+    const position = document.createElement("span");
+    position.className = "repair-queue-position";
+    position.textContent = `${index + 1}`;
+
+    const details = document.createElement("div");
+    details.className = "repair-queue-details";
+    details.innerHTML = `
+      <span class="repair-queue-name">
+        <i class="${repairType.icon}"></i> ${repairType.label} of ${
+      entry.systemName
+    }
+      </span>
+      <span class="repair-queue-status">${
+        underRepair ? "Under repair (offline)" : "Waiting for a crew"
+      } · ${entry.progress}/${entry.turns} turns</span>
+      <div class="repair-queue-progress">
+        <div class="repair-queue-progress-bar" style="width: ${
+          (entry.progress / entry.turns) * 100
+        }%"></div>
+      </div>
+    `;
+
+    const refund = describeResources(entry.paid || {});
+    const controls = document.createElement("div");
+    controls.className = "repair-queue-controls";
+    controls.append(
+      controlButton("up", "fas fa-arrow-up", "Move up", index === 0),
+      controlButton(
+        "down",
+        "fas fa-arrow-down",
+        "Move down",
+        index === queue.length - 1
+      ),
+      controlButton(
+        "cancel",
+        "fas fa-times",
+        refund === "nothing" ? "Cancel" : `Cancel (refunds ${refund})`
+      )
+    );
+
+    item.append(position, details, controls);
+    content.appendChild(item);
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Resource HUD UI module for the survival game.
+ * Shows the action points left this turn (`gameState.actionPoints`, see
+ * src/mechanics/actionPoints.js) and the player's resources (`gameState.resources`,
+ * see src/mechanics/resources.js) next to the turn display.
+ */
+
+import { RESOURCE_TYPES } from "../../mechanics/resources.js";
+
+const ACTION_POINTS_ICON = "fas fa-running";
+
+/**
+ * Short HTML for a cost (icon and amount per resource, then the action points), used
+ * on action buttons
+ * @param {Object} cost - Amount per resource type
+ * @param {number} actionPoints - Action points the action costs
+ * @returns {string} The HTML (empty when free)
+ */
+export function formatCostHtml(cost, actionPoints = 0) {
+  const resources = Object.entries(cost)
+    .filter(([, amount]) => amount > 0)
+    .map(
+      ([type, amount]) =>
+        `<span class="cost ${type}" title="${RESOURCE_TYPES[type].label}">${amount} <i class="${RESOURCE_TYPES[type].icon}"></i></span>`
+    )
+    .join("");
+  return actionPoints > 0
+    ? `${resources}<span class="cost action-points" title="Action Points">${actionPoints} <i class="${ACTION_POINTS_ICON}"></i></span>`
+    : resources;
+}
+
+/**
+ * HTML of one HUD entry
+ * @param {string} className - Classes of the entry
+ * @param {string} icon - Font Awesome icon classes
+ * @param {string} label - The entry's label
+ * @param {string} value - The value shown ("3 / 10")
+ * @returns {string} The HTML
+ */
+function hudEntryHtml(className, icon, label, value) {
+  return `
+      <div class="resource ${className}" title="${label}">
+        <i class="${icon}"></i>
+        <span class="resource-label">${label}</span>
+        <span class="resource-value">${value}</span>
+      </div>`;
+}
+
+/**
+ * Render the resource HUD (action points first)
+ * @param {Object} gameState - The current game state object
+ */
+export function renderResourceHud(gameState) {
+  const hud = document.getElementById("resource-hud");
+  if (!hud) return;
+
+  const resources = gameState.resources || {};
+  const limits = gameState.resourceLimits || {};
+  const actionPoints = gameState.actionPoints || 0;
+
+  hud.innerHTML =
+    hudEntryHtml(
+      actionPoints === 0 ? "action-points spent" : "action-points",
+      ACTION_POINTS_ICON,
+      "Action Points",
+      `${actionPoints} / ${gameState.actionPointBudget || 0}`
+    ) +
+    Object.entries(RESOURCE_TYPES)
+      .map(([type, { label, icon }]) =>
+        hudEntryHtml(type, icon, label, `${resources[type] || 0} / ${limits[type]}`)
+      )
+      .join("");
+}
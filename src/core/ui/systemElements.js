@@ -0,0 +1,34 @@
+/**
+ * System Elements UI module for the survival game.
+ * System elements are marked with their module ID (`data-system-id`, see
+ * src/setup/moduleIds.js), so renaming a system does not break the UI that looks
+ * them up. The game state refers to systems by name; these helpers find the
+ * element of a system from its name or ID.
+ */
+
+import { findModule, getModuleId } from "../../setup/moduleIds.js";
+
+/**
+ * Find the element of a system
+ * @param {Array} systems - The systems in play
+ * @param {string} systemRef - The system's ID or name
+ * @returns {HTMLElement|null} The system element
+ */
+export function findSystemElement(systems, systemRef) {
+  const system = findModule(systems, systemRef);
+  if (!system) return null;
+  return document.querySelector(
+    `.system[data-system-id="${getModuleId(system)}"]`
+  );
+}
+
+/**
+ * Find the system shown by an element
+ * @param {Array} systems - The systems in play
+ * @param {HTMLElement} element - A system element
+ * @returns {Object|undefined} The system
+ */
+export function getElementSystem(systems, element) {
+  const systemId = element.dataset.systemId;
+  return systemId ? findModule(systems, systemId) : undefined;
+}
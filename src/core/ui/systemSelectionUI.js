@@ -1,12 +1,20 @@
 /**
  * System Selection UI module for the survival game.
  * Handles rendering and managing system selection mode UI elements.
+ * Clicks are reported on the game's event bus (`config.eventBus`).
  */
 
+import { isSystemSelectable } from "../../mechanics/systemSelection.js";
+import { GAME_EVENTS } from "../eventBus.js";
+import { getElementSystem } from "./systemElements.js";
+
 /**
  * Render system selection mode UI
  */
 export function renderSystemSelectionMode(gameState, config) {
+  // Bound now, so controls left over from a finished game cannot reach the next one
+  const eventBus = config?.eventBus;
+
   document.body.classList.add("system-selection-active");
 
   let overlay = document.getElementById("system-selection-overlay");
@@ -60,43 +68,34 @@ export function renderSystemSelectionMode(gameState, config) {
   // Use onclick assignment to avoid adding duplicate listeners on subsequent renders
   if (confirmBtn) {
     confirmBtn.onclick = () => {
-      const event = new CustomEvent("systemSelectionConfirmed");
-      document.dispatchEvent(event);
+      eventBus?.emit(GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED);
     };
   }
 
   if (cancelBtn) {
     cancelBtn.onclick = () => {
-      const event = new CustomEvent("systemSelectionCancelled");
-      document.dispatchEvent(event);
+      eventBus?.emit(GAME_EVENTS.SYSTEM_SELECTION_CANCELLED);
     };
   }
 
-  updateSystemSelectability(gameState);
+  updateSystemSelectability(gameState, eventBus);
 }
 
 /**
  * Update system elements to be selectable based on current selection mode
+ * @param {Object} gameState - The current game state
+ * @param {EventBus} eventBus - The game's event bus, which receives `systemSelected`
  */
-export function updateSystemSelectability(gameState) {
+export function updateSystemSelectability(gameState, eventBus) {
   const systems = document.querySelectorAll(".system");
-  const options = gameState.systemSelectionOptions;
   const selectedSystems = gameState.selectedSystems || [];
 
-  // Build a map of systems by name to avoid O(n^2) find calls
-  const systemMap = new Map();
-  (gameState.systems || []).forEach((s) => systemMap.set(s.name, s));
-
   systems.forEach((systemEl) => {
-    const systemName = systemEl.dataset.systemName;
-    if (!systemName) return;
-
-    const system = systemMap.get(systemName);
+    const system = getElementSystem(gameState.systems, systemEl);
     if (!system) return;
+    const systemName = system.name;
 
-    const isAllowed =
-      options.allowedTypes.includes(system.type || "normal") &&
-      (!options.systemFilter || options.systemFilter(system));
+    const isAllowed = isSystemSelectable(gameState, system);
 
     systemEl.classList.toggle("system-selectable", isAllowed);
 
@@ -107,10 +106,7 @@ export function updateSystemSelectability(gameState) {
 
     if (isAllowed && !systemEl.hasSystemSelectionHandler) {
       const handler = () => {
-        const event = new CustomEvent("systemSelected", {
-          detail: { systemName },
-        });
-        document.dispatchEvent(event);
+        eventBus?.emit(GAME_EVENTS.SYSTEM_SELECTED, { systemName });
       };
       systemEl.addEventListener("click", handler);
       systemEl.systemSelectionHandler = handler;
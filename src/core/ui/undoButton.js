@@ -0,0 +1,20 @@
+/**
+ * Undo Button UI module for the survival game.
+ * Handles the undo button state. The button is hidden when undo is disabled and
+ * stays usable after game over, so a losing misclick can still be taken back.
+ */
+
+/**
+ * Update the undo button from the state history
+ * @param {Object} history - The StateHistory holding undo snapshots
+ * @param {Object} gameState - The current game state
+ */
+export function updateUndoButton(history, gameState) {
+  const undoButton = document.getElementById("undo-button");
+  if (!undoButton) return;
+
+  undoButton.style.display = history.enabled ? "" : "none";
+  // Undo is unavailable while a selection or interactive event is pending
+  undoButton.disabled = !history.canUndo() || !!gameState.interactiveMode;
+  undoButton.title = `${history.size} undo step${history.size !== 1 ? "s" : ""} available`;
+}
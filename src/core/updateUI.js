@@ -20,14 +20,19 @@ import { updatePassiveSystemElement } from "./passiveSystems.js";
 
 // Import specialized UI modules
 import { updateTurnDisplay } from "./ui/turnDisplay.js";
+import { renderResourceHud } from "./ui/resourceHud.js";
 import { updateMessageDisplay } from "./ui/messageDisplay.js";
 import { updateGameOverState } from "./ui/gameOver.js";
-import { addEventToLog } from "./ui/eventLog.js";
+import { addEventToLog, renderEventLog } from "./ui/eventLog.js";
+import { renderActiveEvents } from "./ui/activeEvents.js";
+import { renderRepairQueue } from "./ui/repairQueue.js";
+import { renderDependencyGraph } from "./ui/dependencyGraph.js";
 import { showEventToast } from "./ui/toast.js";
 import {
   renderSystemSelectionMode,
   removeSystemSelectionUI,
 } from "./ui/systemSelectionUI.js";
+import { GAME_EVENTS } from "./eventBus.js";
 
 // Cache frequently used DOM elements to avoid querying every update
 let cachedSystemsContainer = null;
@@ -39,8 +44,9 @@ export function updateUI(gameState, config = null, options = {}) {
     throw new Error("Invalid gameState: gameState is required");
   }
 
-  // Update turn display and progress
+  // Update turn display, progress and resources
   updateTurnDisplay(gameState);
+  renderResourceHud(gameState);
 
   // Update message display
   updateMessageDisplay(gameState);
@@ -77,11 +83,18 @@ export function updateUI(gameState, config = null, options = {}) {
     }
   }
 
+  // Update running multi-turn events, the repair queue, the dependency graph
+  // and the event log
+  renderActiveEvents(gameState);
+  renderRepairQueue(gameState);
+  renderDependencyGraph(gameState);
+  renderEventLog(gameState);
+
   // Update game over state and button management
   updateGameOverState(gameState);
 
-  // Dispatch event for systems to update their overlays
-  document.dispatchEvent(new CustomEvent("uiUpdated"));
+  // Let systems update their overlays
+  config?.eventBus?.emit(GAME_EVENTS.UI_UPDATED);
 
   // Handle system selection mode
   if (gameState.systemSelectionMode) {
@@ -0,0 +1,230 @@
+/**
+ * Win/Lose Rules module for the survival game.
+ * The conditions that end a game are rule objects instead of checks hard-coded in
+ * checkWinLose. A rule has an `outcome` ("win" or "lose"), a `description` shown on
+ * the game-over screen and `check(gameState, config)`, which returns a truthy value
+ * (true, or a message for the player) when the rule ends the game.
+ *
+ * The game config declares its rules as JSON-safe specs, so saves and replays keep
+ * them (DEFAULT_RULES apply when `config.rules` is not set):
+ *
+ *   config.rules = [
+ *     { rule: "keepCriticalSystemsAlive" },
+ *     { rule: "maxFailedSystems", count: 2 },
+ *     { rule: "surviveTurns" },
+ *   ];
+ *
+ * Specs are composable with `allOf` / `anyOf`. Systems and events in play can add
+ * rules by implementing `winLoseRules(config)`, which returns specs or rule objects.
+ * Lose rules are checked before win rules, so losing on the rescue turn is a loss.
+ */
+
+export const RULE_OUTCOMES = {
+  WIN: "win",
+  LOSE: "lose",
+};
+
+/**
+ * Rule specs used when the config declares none
+ */
+export const DEFAULT_RULES = [
+  { rule: "keepCriticalSystemsAlive" },
+  { rule: "keepAnySystemAlive" },
+  { rule: "surviveTurns" },
+];
+
+/**
+ * Turn on which rescue arrives for a spec (defaults to the game's maxTurns)
+ * @param {Object} spec - The rule spec
+ * @param {Object} gameState - The current game state
+ * @returns {number} The rescue turn
+ */
+function rescueTurn(spec, gameState) {
+  return typeof spec.turns === "number" ? spec.turns : gameState.maxTurns;
+}
+
+/**
+ * Rule types available to `config.rules`: spec => rule
+ */
+export const RULE_TYPES = {
+  surviveTurns: (spec) => ({
+    outcome: RULE_OUTCOMES.WIN,
+    description:
+      typeof spec.turns === "number"
+        ? `Survive ${spec.turns} turns`
+        : "Survive until rescue arrives",
+    check: (gameState) =>
+      gameState.turn >= rescueTurn(spec, gameState) &&
+      "Rescue has arrived! You survived! Congratulations!",
+  }),
+
+  keepCriticalSystemsAlive: () => ({
+    outcome: RULE_OUTCOMES.LOSE,
+    description: "Keep critical systems alive",
+    check: (gameState) => {
+      const failed = gameState.systems.find(
+        (system) => system.critical && system.health <= 0
+      );
+      return failed && `${failed.name} has failed! Game Over.`;
+    },
+  }),
+
+  keepAnySystemAlive: () => ({
+    outcome: RULE_OUTCOMES.LOSE,
+    description: "Keep at least one system running",
+    check: (gameState) =>
+      gameState.systems.every((system) => system.health <= 0) &&
+      "All ship systems have failed! Game Over.",
+  }),
+
+  maxFailedSystems: (spec) => ({
+    outcome: RULE_OUTCOMES.LOSE,
+    description: `No more than ${spec.count} failed system${
+      spec.count === 1 ? "" : "s"
+    }`,
+    check: (gameState) => {
+      const failed = gameState.systems.filter((system) => system.health <= 0);
+      return (
+        failed.length > spec.count &&
+        `${failed.length} systems have failed! Game Over.`
+      );
+    },
+  }),
+
+  averageHealthAtRescue: (spec) => ({
+    outcome: RULE_OUTCOMES.LOSE,
+    description: `Average health of at least ${spec.min} at rescue`,
+    check: (gameState) => {
+      if (gameState.turn < rescueTurn(spec, gameState)) return false;
+      const normalSystems = gameState.systems.filter(
+        (system) => system.type === "normal"
+      );
+      if (normalSystems.length === 0) return false;
+      const average =
+        normalSystems.reduce((sum, system) => sum + system.health, 0) /
+        normalSystems.length;
+      return (
+        average < spec.min &&
+        `Rescue found the ship too damaged (average health ${Math.round(
+          average
+        )}, needed ${spec.min}). Game Over.`
+      );
+    },
+  }),
+
+  allOf: (spec) => {
+    const rules = spec.rules.map((nested) => createRule(nested));
+    return {
+      outcome: spec.outcome,
+      description: rules.map((rule) => rule.description).join(" and "),
+      check: (gameState, config) => {
+        let result = false;
+        for (const rule of rules) {
+          result = rule.check(gameState, config);
+          if (!result) return false;
+        }
+        return result;
+      },
+    };
+  },
+
+  anyOf: (spec) => {
+    const rules = spec.rules.map((nested) => createRule(nested));
+    return {
+      outcome: spec.outcome,
+      description: rules.map((rule) => rule.description).join(" or "),
+      check: (gameState, config) => {
+        for (const rule of rules) {
+          const result = rule.check(gameState, config);
+          if (result) return result;
+        }
+        return false;
+      },
+    };
+  },
+};
+
+/**
+ * Builds a rule from a spec (`{ rule: "surviveTurns", turns: 20 }`). Objects that
+ * already have a `check` function are used as they are.
+ * @param {Object} spec - The rule spec or rule object
+ * @returns {Object} The rule `{ id, outcome, description, check }`
+ */
+export function createRule(spec) {
+  if (!spec || typeof spec !== "object") {
+    throw new Error("Invalid win/lose rule: expected an object");
+  }
+
+  let rule;
+  if (typeof spec.check === "function") {
+    if (!spec.id) {
+      throw new Error("Invalid win/lose rule: rule objects need an id");
+    }
+    rule = { ...spec };
+  } else {
+    const factory = RULE_TYPES[spec.rule];
+    if (!factory) {
+      throw new Error(`Unknown win/lose rule: ${spec.rule}`);
+    }
+    rule = { id: spec.rule, ...factory(spec) };
+  }
+
+  // Specs can reword their description or set a combinator's outcome
+  if (spec.description) rule.description = spec.description;
+  if (spec.outcome) rule.outcome = spec.outcome;
+
+  if (!Object.values(RULE_OUTCOMES).includes(rule.outcome)) {
+    throw new Error(
+      `Win/lose rule ${rule.id} needs an outcome of "win" or "lose"`
+    );
+  }
+  return rule;
+}
+
+/**
+ * Collects the rules of a game: the config's rules (or the defaults) followed by
+ * rules contributed by the systems and events in play
+ * @param {Object} config - The game configuration
+ * @returns {Array} The rules
+ */
+export function resolveRules(config = {}) {
+  const specs = [...(config.rules || DEFAULT_RULES)];
+
+  const modules = [
+    ...(config.systems || []),
+    ...(config.positiveEvents || []),
+    ...(config.negativeEvents || []),
+  ];
+  modules.forEach((module) => {
+    if (typeof module.winLoseRules === "function") {
+      specs.push(...(module.winLoseRules(config) || []));
+    }
+  });
+
+  return specs.map((spec) => createRule(spec));
+}
+
+/**
+ * Finds the rule that ends the game, lose rules first
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Object|null} `{ rule, message }`, or null if the game goes on
+ */
+export function evaluateRules(gameState, config = {}) {
+  const rules = resolveRules(config);
+  const ordered = [
+    ...rules.filter((rule) => rule.outcome === RULE_OUTCOMES.LOSE),
+    ...rules.filter((rule) => rule.outcome === RULE_OUTCOMES.WIN),
+  ];
+
+  for (const rule of ordered) {
+    const result = rule.check(gameState, config);
+    if (result) {
+      return {
+        rule,
+        message: typeof result === "string" ? result : rule.description,
+      };
+    }
+  }
+  return null;
+}
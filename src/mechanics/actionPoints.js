@@ -0,0 +1,158 @@
+/**
+ * Action Points module for the survival game.
+ * Each turn the player gets a budget of action points (`gameState.actionPoints`,
+ * out of `gameState.actionPointBudget`). Fixes, force recoveries and active system
+ * actions draw from it; the turn ends once the points are used up, or when the
+ * player ends it:
+ *
+ *   config.actionPointsPerTurn = 1;  // Base budget of every turn
+ *   config.actionPointCosts = {
+ *     patch: 0, overhaul: 1, maintenance: 1, refit: 1, // Per repair type (see
+ *     // repairTypes.js); all fit the base budget
+ *     forceRecovery: 1,
+ *     systemAction: 1,
+ *   };
+ *
+ * Systems can grant or drain points with `actionPointBonus(gameState)`, returning
+ * the points they add (negative to drain). System manifests declare it as data
+ * (see src/setup/systemManifest.js); Power grants one while at 50 health or more:
+ *
+ *   "actionPoints": [{ "amount": 1, "when": { "healthAtLeast": 50 } }]
+ *
+ * Systems under repair are offline and grant nothing (see repairQueue.js).
+ * The budget is worked out when a turn's sequence ends, for the turn the player is
+ * about to play. The costs are kept in `gameState.actionPointCosts`, so the legal
+ * actions can be listed from the state alone.
+ */
+
+import { isUnderRepair } from "./repairQueue.js";
+
+export const ACTION_POINT_DEFAULTS = {
+  actionPointsPerTurn: 1,
+  actionPointCosts: {
+    patch: 0,
+    overhaul: 1,
+    maintenance: 1,
+    refit: 1,
+    forceRecovery: 1,
+    systemAction: 1,
+  },
+};
+
+/**
+ * The action point state a game starts with (the points themselves are given by
+ * `refillActionPoints`)
+ * @param {Object} config - The game configuration
+ * @returns {Object} `{ actionPoints, actionPointBudget, actionPointCosts }`
+ */
+export function createActionPointState(config) {
+  return {
+    actionPoints: 0,
+    actionPointBudget: 0,
+    actionPointCosts: {
+      ...ACTION_POINT_DEFAULTS.actionPointCosts,
+      ...((config && config.actionPointCosts) || {}),
+    },
+  };
+}
+
+/**
+ * The action point cost of a kind of action
+ * @param {Object} gameState - The current game state
+ * @param {string} kind - A repair type, forceRecovery or systemAction
+ * @returns {number} The cost
+ */
+export function getActionPointCost(gameState, kind) {
+  const costs =
+    gameState.actionPointCosts || ACTION_POINT_DEFAULTS.actionPointCosts;
+  return costs[kind] || 0;
+}
+
+/**
+ * The action points the player gets this turn: the base budget plus what the
+ * systems in play grant or drain
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {number} The budget (never negative)
+ */
+export function getActionPointBudget(gameState, config) {
+  const base =
+    config && typeof config.actionPointsPerTurn === "number"
+      ? config.actionPointsPerTurn
+      : ACTION_POINT_DEFAULTS.actionPointsPerTurn;
+
+  // Systems under repair are offline and grant nothing (see repairQueue.js)
+  const bonus = gameState.systems.reduce((total, system) => {
+    if (typeof system.actionPointBonus !== "function") return total;
+    if (isUnderRepair(gameState, system.name)) return total;
+    return total + (system.actionPointBonus(gameState) || 0);
+  }, 0);
+  return Math.max(0, base + bonus);
+}
+
+/**
+ * Gives the player the full budget for the turn about to be played
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Object} The updated game state
+ */
+export function refillActionPoints(gameState, config) {
+  const budget = getActionPointBudget(gameState, config);
+  return { ...gameState, actionPoints: budget, actionPointBudget: budget };
+}
+
+/**
+ * Removes action points
+ * @param {Object} gameState - The current game state
+ * @param {number} amount - The points to spend
+ * @returns {Object} The updated game state
+ */
+export function spendActionPoints(gameState, amount) {
+  return {
+    ...gameState,
+    actionPoints: Math.max(0, (gameState.actionPoints || 0) - amount),
+  };
+}
+
+/**
+ * Gives back action points (e.g. for a cancelled selection)
+ * @param {Object} gameState - The current game state
+ * @param {number} amount - The points to give back
+ * @returns {Object} The updated game state
+ */
+export function refundActionPoints(gameState, amount) {
+  return {
+    ...gameState,
+    actionPoints: (gameState.actionPoints || 0) + amount,
+  };
+}
+
+/**
+ * Describes a number of action points ("1 action point")
+ * @param {number} amount - The points
+ * @returns {string} The description
+ */
+export function describeActionPoints(amount) {
+  return `${amount} action ${amount === 1 ? "point" : "points"}`;
+}
+
+/**
+ * Checks whether the player has the action points for an action. Unaffordable
+ * actions come with the message explaining why they were refused.
+ * @param {Object} gameState - The current game state
+ * @param {number} amount - The points the action costs
+ * @param {string} actionLabel - What the points pay for ("overhaul Power")
+ * @returns {Object} `{ affordable, message }`
+ */
+export function checkActionPoints(gameState, amount, actionLabel) {
+  const available = gameState.actionPoints || 0;
+  if (available >= amount) {
+    return { affordable: true, message: null };
+  }
+  return {
+    affordable: false,
+    message: `Not enough action points to ${actionLabel}: needs ${describeActionPoints(
+      amount
+    )}, you have ${describeActionPoints(available)}. End the turn to continue.`,
+  };
+}
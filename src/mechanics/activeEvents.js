@@ -0,0 +1,79 @@
+/**
+ * Active Events module for the survival game.
+ * Events with a `duration` (in turns) keep acting after the turn they fired on.
+ * The firing counts as their first tick; every following turn `tickActiveEvents`
+ * (src/mechanics/triggerEvent.js) applies them again, until the duration is used up:
+ *
+ *   defineEvent({
+ *     name: "Ion Storm",
+ *     description: "An ion storm batters the ship's electrical systems!",
+ *     duration: 3,
+ *     effects: [{ type: "damage", amount: 10, target: { tag: "electrical" } }],
+ *   });
+ *
+ * Running events are kept in `gameState.activeEvents` as `{ event, name,
+ * description, positive, duration, turnsLeft, startedTurn }`, where `event` is the
+ * event key (see eventTable.js) used to find the module in the config.
+ */
+
+import { getEventKey } from "./eventTable.js";
+
+/**
+ * Whether an event lasts longer than the turn it fires on
+ * @param {Object} event - The event module
+ * @returns {boolean} True for multi-turn events
+ */
+export function isPersistentEvent(event) {
+  return typeof event.duration === "number" && event.duration > 1;
+}
+
+/**
+ * Finds the running entry of an event
+ * @param {Object} gameState - The current game state
+ * @param {Object} event - The event module
+ * @returns {Object|undefined} The active event entry
+ */
+export function findActiveEvent(gameState, event) {
+  const key = getEventKey(event);
+  return (gameState.activeEvents || []).find((entry) => entry.event === key);
+}
+
+/**
+ * Starts tracking a multi-turn event that has just fired (its first tick)
+ * @param {Object} gameState - The current game state
+ * @param {Object} event - The event that fired
+ * @param {boolean} isPositive - Whether it came from the positive pool
+ * @returns {Object} The updated game state
+ */
+export function startActiveEvent(gameState, event, isPositive) {
+  if (!isPersistentEvent(event)) return gameState;
+
+  return {
+    ...gameState,
+    activeEvents: [
+      ...(gameState.activeEvents || []),
+      {
+        event: getEventKey(event),
+        name: event.name || event.description,
+        description: event.description,
+        positive: isPositive,
+        duration: event.duration,
+        turnsLeft: event.duration - 1,
+        startedTurn: gameState.turn,
+      },
+    ],
+  };
+}
+
+/**
+ * Finds the module of an active event entry in the config
+ * @param {Object} entry - The active event entry
+ * @param {Object} config - The game configuration
+ * @returns {Object|undefined} The event module
+ */
+export function resolveActiveEvent(entry, config) {
+  return [
+    ...(config.positiveEvents || []),
+    ...(config.negativeEvents || []),
+  ].find((event) => getEventKey(event) === entry.event);
+}
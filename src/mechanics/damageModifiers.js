@@ -2,12 +2,44 @@
  * Damage Modifiers module for the survival game.
  * This module handles damage reduction and protection modifiers that can be applied to systems.
  * Modifiers can protect against deterioration and negative events.
+ * Modifiers target a system by its module ID (`systemId`, see moduleIds.js) and keep
+ * its name for display; functions taking a system accept either.
  */
 
+import { emitEffect } from "./presentationEffects.js";
+import { dispatch, addModifier } from "../core/store.js";
+import { findModule, getModuleId } from "../setup/moduleIds.js";
+
+/**
+ * Resolves a system reference ("all", an ID or a name) to the ID modifiers target
+ * @param {string} systemRef - The system ID or name
+ * @param {Object} gameState - The current game state
+ * @returns {string} The system ID ("all" for global modifiers)
+ */
+function resolveSystemId(systemRef, gameState) {
+  if (systemRef === "all") return "all";
+  const system = findModule(gameState.systems, systemRef);
+  return system ? getModuleId(system) : systemRef;
+}
+
+/**
+ * Checks whether a modifier targets a system ID. Modifiers saved before they
+ * carried `systemId` are matched by name.
+ * @param {Object} modifier - The damage modifier
+ * @param {string} systemId - The system ID
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True if the modifier targets the system
+ */
+function targetsSystem(modifier, systemId, gameState) {
+  const target =
+    modifier.systemId || resolveSystemId(modifier.systemName, gameState);
+  return target === systemId;
+}
+
 /**
  * Adds a damage modifier to the game state
  * @param {Object} gameState - The current game state
- * @param {string} systemName - The name of the system to protect
+ * @param {string} systemRef - The ID or name of the system to protect, or "all"
  * @param {number} modifier - Damage modifier (0 = immune, 0.5 = 50% reduction, etc.)
  * @param {string} type - Type of damage to modify ('deterioration', 'negative_events', or 'all')
  * @param {number} turnsLeft - How many turns the modifier lasts
@@ -16,29 +48,27 @@
  */
 export function addDamageModifier(
   gameState,
-  systemName,
+  systemRef,
   modifier,
   type,
   turnsLeft,
   source = null
 ) {
-  const updatedState = { ...gameState };
-
-  // Initialize damageModifiers array if it doesn't exist
-  if (!updatedState.damageModifiers) {
-    updatedState.damageModifiers = [];
-  }
-
-  // Add the new modifier
-  updatedState.damageModifiers.push({
-    systemName,
-    modifier,
-    type,
-    turnsLeft,
-    source,
-  });
-
-  return updatedState;
+  const systemId = resolveSystemId(systemRef, gameState);
+  const system = findModule(gameState.systems, systemId);
+
+  // Add the new modifier (to a new array, earlier states keep theirs)
+  return dispatch(
+    { ...gameState },
+    addModifier({
+      systemId,
+      systemName: system ? system.name : systemRef,
+      modifier,
+      type,
+      turnsLeft,
+      source,
+    })
+  );
 }
 
 /**
@@ -47,7 +77,7 @@ export function addDamageModifier(
  * @returns {Object} The updated game state
  */
 export function updateDamageModifiers(gameState) {
-  const updatedState = { ...gameState };
+  let updatedState = { ...gameState };
 
   if (!updatedState.damageModifiers) {
     updatedState.damageModifiers = [];
@@ -65,21 +95,17 @@ export function updateDamageModifiers(gameState) {
     }))
     .filter((modifier) => modifier.turnsLeft > 0);
 
-  // Emit event for systems that need to respond to modifier changes
+  // Emit effect for systems that need to respond to modifier changes
   if (
     previousModifiers.length !== updatedState.damageModifiers.length ||
     JSON.stringify(previousModifiers) !==
       JSON.stringify(updatedState.damageModifiers)
   ) {
-    // Dispatch custom event for damage modifier changes
-    const event = new CustomEvent("damageModifiersUpdated", {
-      detail: {
-        previousModifiers,
-        currentModifiers: updatedState.damageModifiers,
-        gameState: updatedState,
-      },
+    // The browser shell re-dispatches this as a `damageModifiersUpdated` event
+    updatedState = emitEffect(updatedState, "damageModifiersUpdated", {
+      previousModifiers,
+      currentModifiers: updatedState.damageModifiers,
     });
-    document.dispatchEvent(event);
   }
 
   return updatedState;
@@ -87,15 +113,16 @@ export function updateDamageModifiers(gameState) {
 
 /**
  * Gets the effective damage modifier for a system and damage type
- * @param {string} systemName - The name of the system
+ * @param {string} systemRef - The ID or name of the system
  * @param {string} damageType - The type of damage ('deterioration' or 'negative_events')
  * @param {Object} gameState - The current game state
  * @returns {number} The damage modifier (0 = immune, 1 = full damage)
  */
-export function getDamageModifier(systemName, damageType, gameState) {
+export function getDamageModifier(systemRef, damageType, gameState) {
   if (!gameState.damageModifiers) {
     return 1; // Full damage by default
   }
+  const systemId = resolveSystemId(systemRef, gameState);
 
   // Find all applicable modifiers for this system and damage type
   // Support global modifiers targeting `all` so shields and similar systems
@@ -103,7 +130,8 @@ export function getDamageModifier(systemName, damageType, gameState) {
   const applicableModifiers = gameState.damageModifiers.filter((modifier) => {
     // Allow modifiers targeted at the specific system or globally at "all"
     const targetMatch =
-      modifier.systemName === systemName || modifier.systemName === "all";
+      modifier.systemName === "all" ||
+      targetsSystem(modifier, systemId, gameState);
     const typeMatch = modifier.type === damageType || modifier.type === "all";
     return targetMatch && typeMatch;
   });
@@ -120,34 +148,67 @@ export function getDamageModifier(systemName, damageType, gameState) {
   );
 }
 
+/**
+ * The damage left once a modifier applies. Every damage path (deterioration,
+ * events, manifest effects, dependency edges) reduces damage this way: the
+ * reduced share, `floor(damage * modifier)`, comes off the damage.
+ * @param {number} damage - The base damage
+ * @param {number} modifier - The damage modifier (0 = immune, 1 = full damage)
+ * @returns {number} The damage taken
+ */
+export function reduceDamage(damage, modifier) {
+  if (modifier === 0) return 0; // Immune
+  if (modifier >= 1) return damage; // Full damage
+  return damage - Math.floor(damage * modifier);
+}
+
 /**
  * Checks if a system is immune to a specific damage type
- * @param {string} systemName - The name of the system
+ * @param {string} systemRef - The ID or name of the system
  * @param {string} damageType - The type of damage ('deterioration' or 'negative_events')
  * @param {Object} gameState - The current game state
  * @returns {boolean} True if the system is immune
  */
-export function isSystemImmune(systemName, damageType, gameState) {
-  const modifier = getDamageModifier(systemName, damageType, gameState);
+export function isSystemImmune(systemRef, damageType, gameState) {
+  const modifier = getDamageModifier(systemRef, damageType, gameState);
   return modifier === 0;
 }
 
+/**
+ * Checks if a system has a damage modifier from a source
+ * @param {Object} gameState - The current game state
+ * @param {string} systemRef - The ID or name of the system
+ * @param {string} source - The source identifier (e.g., 'maintenance')
+ * @returns {boolean} True if such a modifier targets the system
+ */
+export function hasDamageModifier(gameState, systemRef, source) {
+  const systemId = resolveSystemId(systemRef, gameState);
+  return (gameState.damageModifiers || []).some(
+    (modifier) =>
+      modifier.source === source && targetsSystem(modifier, systemId, gameState)
+  );
+}
+
 /**
  * Removes all damage modifiers for a specific system
  * @param {Object} gameState - The current game state
- * @param {string} systemName - The name of the system
+ * @param {string} systemRef - The ID or name of the system
+ * @param {string} source - Optional: only remove the modifiers from this source
  * @returns {Object} The updated game state
  */
-export function removeDamageModifiers(gameState, systemName) {
+export function removeDamageModifiers(gameState, systemRef, source = null) {
   const updatedState = { ...gameState };
 
   if (!updatedState.damageModifiers) {
     return updatedState;
   }
+  const systemId = resolveSystemId(systemRef, gameState);
 
-  // Remove all modifiers for the specified system
+  // Remove all modifiers for the specified system (from the source, if given)
   updatedState.damageModifiers = updatedState.damageModifiers.filter(
-    (modifier) => modifier.systemName !== systemName
+    (modifier) =>
+      !targetsSystem(modifier, systemId, gameState) ||
+      (source !== null && modifier.source !== source)
   );
 
   return updatedState;
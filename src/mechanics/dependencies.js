@@ -0,0 +1,302 @@
+/**
+ * Dependencies module for the survival game.
+ * Systems declare how they affect each other as edges of a dependency graph:
+ *
+ * - `influences` — edges from the declaring system to others. The effect applies to
+ *   every target while the `when` conditions hold for the declaring system's
+ *   health ("all systems depend on Power"):
+ *
+ *     "influences": [
+ *       { "to": "all", "effect": "damage", "amount": 5,
+ *         "when": { "healthBelow": 50 }, "label": "Low power" }
+ *     ]
+ *
+ * - `dependsOn` — edges from another system to the declaring one. The effect
+ *   applies to the declaring system while the dependency is not met: the other
+ *   system is missing, failed, under repair or outside its `when` conditions
+ *   ("Navigation depends on Comms"):
+ *
+ *     "dependsOn": [
+ *       { "system": "comms", "effect": "delayRescue",
+ *         "chances": [{ "chance": 0.5, "when": { "healthBelow": 51 } }] }
+ *     ]
+ *
+ * `to` is "all" (every other system), a system ID or name, or a list of them.
+ * `effect` names one of DEPENDENCY_EFFECTS or, in JS modules, is a function
+ * `(gameState, target, edge) => gameState`. Conditions are the manifest ones (see
+ * CONDITIONS in src/setup/systemManifest.js).
+ *
+ * The engine evaluates a system's edges each deterioration cycle, right after the
+ * system's own deterioration (see deteriorationUtils.js). A system that skipped its
+ * deterioration, or is offline under repair, applies none of its edges.
+ */
+
+import { conditionsHold, CONDITIONS } from "../setup/systemManifest.js";
+import { findModule, getModuleId } from "../setup/moduleIds.js";
+import { calculateModifiedDamage } from "./deteriorationUtils.js";
+import { isUnderRepair } from "./repairQueue.js";
+import { random } from "./rng.js";
+import { dispatch, damageSystem } from "../core/store.js";
+
+/**
+ * Named edge effects: type => apply(gameState, target, edge), returning the
+ * updated state
+ */
+export const DEPENDENCY_EFFECTS = {
+  /**
+   * Extra deterioration damage (`amount`), reduced by the target's deterioration
+   * damage modifiers
+   */
+  damage(gameState, target, edge) {
+    const actualDamage = calculateModifiedDamage(
+      target,
+      edge.amount,
+      gameState
+    );
+    return actualDamage > 0
+      ? dispatch(gameState, damageSystem(target.name, actualDamage))
+      : gameState;
+  },
+
+  /**
+   * Rolls back the turn, delaying the rescue, with the chance of the first
+   * `chances` entry whose `when` holds for the target's health (none: 0). Always
+   * draws a random number, so the seeded sequence does not depend on health.
+   */
+  delayRescue(gameState, target, edge) {
+    const health = gameState.systems.find(
+      (sys) => sys.name === target.name
+    ).health;
+    const entry = edge.chances.find((option) => conditionsHold(option, health));
+    const chance = entry ? entry.chance : 0;
+
+    const { value, state } = random(gameState);
+    const updatedState = { ...state };
+    if (value < chance) {
+      updatedState.turn = Math.max(1, updatedState.turn - 1);
+    }
+    return updatedState;
+  },
+};
+
+// Fields each named effect needs: [field, check, description]
+const EFFECT_FIELDS = {
+  damage: [["amount", (value) => typeof value === "number", "a numeric"]],
+  delayRescue: [
+    [
+      "chances",
+      (value) =>
+        Array.isArray(value) &&
+        value.every((entry) => entry && typeof entry.chance === "number"),
+      "a list of numeric",
+    ],
+  ],
+};
+
+/**
+ * Checks a system's `influences` and `dependsOn` and throws a descriptive error
+ * for the first problem
+ * @param {Object} system - The system module
+ */
+export function validateDependencies(system) {
+  const label = system.name || "System";
+  const fail = (problem) => {
+    throw new Error(`${label}: ${problem}`);
+  };
+
+  const checkEdge = (edge, name) => {
+    if (!edge || typeof edge !== "object") fail(`${name} must be an object`);
+    if (typeof edge.effect === "string") {
+      if (!DEPENDENCY_EFFECTS[edge.effect]) {
+        fail(`${name} has unknown effect ${edge.effect}`);
+      }
+      for (const [field, check, description] of EFFECT_FIELDS[edge.effect]) {
+        if (!check(edge[field])) fail(`${name} needs ${description} ${field}`);
+      }
+    } else if (typeof edge.effect !== "function") {
+      fail(`${name} needs an effect`);
+    }
+    const chances = Array.isArray(edge.chances) ? edge.chances : [];
+    [edge, ...chances].forEach((entry) => {
+      Object.keys(entry.when || {}).forEach((condition) => {
+        if (!CONDITIONS[condition]) {
+          fail(`${name} has unknown condition ${condition}`);
+        }
+      });
+    });
+  };
+
+  ["influences", "dependsOn"].forEach((field) => {
+    if (system[field] !== undefined && !Array.isArray(system[field])) {
+      fail(`${field} must be an array`);
+    }
+  });
+  (system.influences || []).forEach((edge, index) => {
+    checkEdge(edge, `influence ${index}`);
+    const targets = Array.isArray(edge.to) ? edge.to : [edge.to];
+    if (!targets.length || targets.some((t) => typeof t !== "string")) {
+      fail(`influence ${index} needs "to": "all", a system or a list`);
+    }
+  });
+  (system.dependsOn || []).forEach((edge, index) => {
+    checkEdge(edge, `dependency ${index}`);
+    if (typeof edge.system !== "string" || !edge.system) {
+      fail(`dependency ${index} needs a system`);
+    }
+  });
+}
+
+/**
+ * The systems an influence applies to
+ * @param {Array} systems - The systems in play
+ * @param {Object} source - The declaring system
+ * @param {Object} edge - The influence
+ * @returns {Array} The target systems
+ */
+function influenceTargets(systems, source, edge) {
+  if (edge.to === "all") {
+    return systems.filter((system) => system.name !== source.name);
+  }
+  return (Array.isArray(edge.to) ? edge.to : [edge.to])
+    .map((ref) => findModule(systems, ref))
+    .filter((target) => target && target.name !== source.name);
+}
+
+/**
+ * Every edge of the dependency graph between the systems in play. Dependencies on
+ * systems that are not aboard are kept, with `missing: true`.
+ * @param {Array} systems - The systems in play
+ * @returns {Array} Edges `{ from, to, kind, label, declaredBy, edge, missing? }`,
+ * `from` and `to` being system names and `kind` "influence" or "dependency"
+ */
+export function getDependencyEdges(systems) {
+  const edges = [];
+  for (const system of systems || []) {
+    for (const edge of system.influences || []) {
+      for (const target of influenceTargets(systems, system, edge)) {
+        edges.push({
+          from: system.name,
+          to: target.name,
+          kind: "influence",
+          label: edge.label || `${system.name} affects ${target.name}`,
+          declaredBy: system.name,
+          edge,
+        });
+      }
+    }
+    for (const edge of system.dependsOn || []) {
+      const source = findModule(systems, edge.system);
+      edges.push({
+        from: source ? source.name : edge.system,
+        to: system.name,
+        kind: "dependency",
+        label: edge.label || `${system.name} depends on ${edge.system}`,
+        declaredBy: system.name,
+        edge,
+        ...(source ? {} : { missing: true }),
+      });
+    }
+  }
+  return edges;
+}
+
+/**
+ * Whether a dependency is met: its system is aboard, working, not under repair and
+ * within the edge's `when` conditions
+ * @param {Object} gameState - The current game state
+ * @param {Object} edge - The `dependsOn` entry
+ * @returns {boolean} True when the dependency is met
+ */
+export function isDependencyMet(gameState, edge) {
+  const source = findModule(gameState.systems, edge.system);
+  return Boolean(
+    source &&
+      source.health > 0 &&
+      !isUnderRepair(gameState, source.name) &&
+      conditionsHold(edge, source.health)
+  );
+}
+
+/**
+ * Whether a graph edge (from getDependencyEdges) would apply its effect now
+ * @param {Object} gameState - The current game state
+ * @param {Object} graphEdge - The graph edge
+ * @returns {boolean} True when the edge is active
+ */
+export function isEdgeActive(gameState, graphEdge) {
+  if (isUnderRepair(gameState, graphEdge.declaredBy)) return false;
+  if (graphEdge.kind === "dependency") {
+    return !isDependencyMet(gameState, graphEdge.edge);
+  }
+  const source = gameState.systems.find((s) => s.name === graphEdge.from);
+  return Boolean(source) && conditionsHold(graphEdge.edge, source.health);
+}
+
+/**
+ * Applies one edge's effect to a target
+ * @param {Object} gameState - The current game state
+ * @param {Object} target - The target system
+ * @param {Object} edge - The declared edge
+ * @returns {Object} The updated game state
+ */
+function applyEdge(gameState, target, edge) {
+  const effect =
+    typeof edge.effect === "function"
+      ? edge.effect
+      : DEPENDENCY_EFFECTS[edge.effect];
+  return effect(gameState, target, edge);
+}
+
+/**
+ * Evaluates the edges a system declares, after its own deterioration
+ * @param {Object} system - The system whose edges are evaluated
+ * @param {Object} gameState - The current game state
+ * @returns {Object} The updated game state
+ */
+export function applyDependencies(system, gameState) {
+  let updatedState = gameState;
+  const current = () =>
+    updatedState.systems.find((sys) => sys.name === system.name);
+  if (!current() || isUnderRepair(updatedState, system.name)) {
+    return updatedState;
+  }
+
+  for (const edge of system.influences || []) {
+    if (!conditionsHold(edge, current().health)) continue;
+    for (const target of influenceTargets(
+      updatedState.systems,
+      system,
+      edge
+    )) {
+      updatedState = applyEdge(updatedState, target, edge);
+    }
+  }
+  for (const edge of system.dependsOn || []) {
+    if (!isDependencyMet(updatedState, edge)) {
+      updatedState = applyEdge(updatedState, current(), edge);
+    }
+  }
+
+  return updatedState;
+}
+
+/**
+ * The graph's nodes: the systems in play, plus the missing systems others depend
+ * on. Used by the dependency graph panel.
+ * @param {Array} systems - The systems in play
+ * @returns {Array} Nodes `{ name, id, missing? }`
+ */
+export function getDependencyNodes(systems) {
+  const nodes = (systems || []).map((system) => ({
+    name: system.name,
+    id: getModuleId(system),
+  }));
+  getDependencyEdges(systems)
+    .filter((edge) => edge.missing)
+    .forEach((edge) => {
+      if (!nodes.some((node) => node.name === edge.from)) {
+        nodes.push({ name: edge.from, id: edge.from, missing: true });
+      }
+    });
+  return nodes;
+}
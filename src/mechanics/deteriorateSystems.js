@@ -4,18 +4,13 @@
  * Each system type handles its own logic through dedicated parsers.
  * This simulates the natural decay of systems without maintenance and handles dynamic updates.
  * The deterioration happens at the start of each turn before player actions.
+ * The last processed cycle is tracked on the game state (`lastDeteriorationCount`)
+ * so concurrent games, retries and headless runs never share tracking.
  *
  * @param {Object} gameState - The current game state object containing systems array.
+ * @param {boolean} force - Run a deterioration cycle even if this cycle was already processed.
  * @returns {Object} The updated game state after deterioration has been applied.
  */
-
-// Track the last deterioration cycle to prevent double-calling
-let lastDeteriorationCount = -1;
-
-export function resetSystemsUpdateTracking() {
-  lastDeteriorationCount = -1;
-}
-
 export async function deteriorateSystems(gameState, force = false) {
   // Input validation: Ensure gameState exists and has a valid systems array
   if (!gameState || !gameState.systems || !Array.isArray(gameState.systems)) {
@@ -26,9 +21,14 @@ export async function deteriorateSystems(gameState, force = false) {
   let updatedState = { ...gameState };
 
   // Only update systems if this is a new deterioration cycle or if forced
+  const lastDeteriorationCount =
+    typeof gameState.lastDeteriorationCount === "number"
+      ? gameState.lastDeteriorationCount
+      : -1;
+
   if (force || gameState.deteriorationCount > lastDeteriorationCount) {
     if (!force) {
-      lastDeteriorationCount = gameState.deteriorationCount;
+      updatedState.lastDeteriorationCount = gameState.deteriorationCount;
     }
 
     // Process each system based on its type
@@ -62,13 +62,6 @@ export async function deteriorateSystems(gameState, force = false) {
 
     // Update damage modifiers (remove expired ones)
     updatedState = updateDamageModifiers(updatedState);
-
-    // Trigger UI update for active systems after damage modifier changes
-    const { updateUI } = await import("../core/updateUI.js");
-    updateUI(updatedState, null, {
-      skipSystemSelection: true,
-      skipEventLog: true,
-    });
   }
 
   // Update the game's message to inform the player about deterioration
@@ -88,4 +81,4 @@ export async function deteriorateSystems(gameState, force = false) {
 import { updateNormalSystem } from "../core/normalSystems.js";
 import { updateActiveSystem } from "../core/activeSystems.js";
 import { updatePassiveSystem } from "../core/passiveSystems.js";
-import { getDamageModifier, updateDamageModifiers } from "./damageModifiers.js";
+import { updateDamageModifiers } from "./damageModifiers.js";
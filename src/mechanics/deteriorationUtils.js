@@ -2,9 +2,15 @@
  * Deterioration Utilities module for the survival game.
  * This module provides shared utilities for applying system deterioration
  * with damage modifiers. Consolidates duplicate logic from system parsers.
+ * Systems under repair are offline (see repairQueue.js): they only take part of
+ * their own deterioration damage, without its side effects. Online systems then
+ * apply the dependency edges they declare (see dependencies.js).
  */
 
-import { getDamageModifier } from "./damageModifiers.js";
+import { getDamageModifier, reduceDamage } from "./damageModifiers.js";
+import { isUnderRepair, UNDER_REPAIR_DETERIORATION } from "./repairQueue.js";
+import { applyDependencies } from "./dependencies.js";
+import { dispatch, damageSystem, setSystemHealth } from "../core/store.js";
 
 /**
  * Apply deterioration to a single system with damage modifier support
@@ -37,6 +43,15 @@ export function applySystemDeterioration(
     return updatedState;
   }
 
+  if (isUnderRepair(updatedState, system.name)) {
+    return deteriorateOffline(
+      system,
+      updatedState,
+      deteriorateFunction,
+      modifier
+    );
+  }
+
   // Call the system's deteriorate method with proper 'this' binding
   updatedState = deteriorateFunction.call(system, updatedState);
 
@@ -52,35 +67,51 @@ export function applySystemDeterioration(
       const damageTaken = originalHealth - newHealth;
 
       // Apply modifier to damage
-      const modifiedDamage = Math.floor(damageTaken * modifier);
-      const actualDamage = damageTaken - modifiedDamage;
+      const actualDamage = reduceDamage(damageTaken, modifier);
 
-      updatedState.systems[systemIndex].health = Math.max(
-        0,
-        originalHealth - actualDamage
+      updatedState = dispatch(
+        updatedState,
+        setSystemHealth(system.name, originalHealth - actualDamage)
       );
     }
   }
 
-  // Check for critical system failure
-  const finalSystemIndex = updatedState.systems.findIndex(
-    (sys) => sys.name === system.name
-  );
-
-  if (finalSystemIndex !== -1) {
-    const finalHealth = updatedState.systems[finalSystemIndex].health;
-
-    // Critical systems cause game over when they fail
-    if (system.critical && finalHealth <= 0 && !updatedState.gameOver) {
-      updatedState.gameOver = true;
-      updatedState.win = false;
-      updatedState.message = `${system.name} has failed! Game Over.`;
-    }
-  }
+  // Influences and dependencies act on the health after deterioration
+  updatedState = applyDependencies(system, updatedState);
 
+  // Critical system failures end the game through the win/lose rules
+  // (see src/core/winLoseRules.js), checked after the deterioration phase
   return updatedState;
 }
 
+/**
+ * Deteriorates a system under repair. Its deteriorate method only runs to measure
+ * the damage the system takes; everything else it does (damage to other systems,
+ * extra turns, modifiers...) is dropped, since the system is offline.
+ * @param {Object} system - The system object to deteriorate
+ * @param {Object} gameState - The current game state
+ * @param {Function} deteriorateFunction - The system's deteriorate method
+ * @param {number} modifier - The system's deterioration damage modifier
+ * @returns {Object} Updated game state after deterioration
+ */
+function deteriorateOffline(system, gameState, deteriorateFunction, modifier) {
+  const findHealth = (state) =>
+    state.systems.find((sys) => sys.name === system.name).health;
+  const damageTaken =
+    findHealth(gameState) -
+    findHealth(deteriorateFunction.call(system, { ...gameState }));
+
+  // Same modifier reduction as online systems, then the under-repair share
+  const modifiedDamage = reduceDamage(damageTaken, modifier);
+  return dispatch(
+    gameState,
+    damageSystem(
+      system.name,
+      Math.ceil(modifiedDamage * UNDER_REPAIR_DETERIORATION)
+    )
+  );
+}
+
 /**
  * Apply deterioration to multiple systems using their deteriorate methods
  * @param {Array} systems - Array of system objects to deteriorate
@@ -120,7 +151,7 @@ export function shouldSystemDeteriorate(system, gameState) {
  * @param {number} baseDamage - The base damage amount
  * @param {Object} gameState - The current game state
  * @param {string} damageType - Type of damage ('deterioration' or 'negative_events')
- * @returns {number} The modified damage amount
+ * @returns {number} The modified damage amount (see reduceDamage)
  */
 export function calculateModifiedDamage(
   system,
@@ -129,15 +160,5 @@ export function calculateModifiedDamage(
   damageType = "deterioration"
 ) {
   const modifier = getDamageModifier(system.name, damageType, gameState);
-
-  if (modifier === 0) {
-    return 0; // Immune
-  }
-
-  if (modifier >= 1) {
-    return baseDamage; // Full damage
-  }
-
-  // Apply damage reduction
-  return Math.floor(baseDamage * modifier);
+  return reduceDamage(baseDamage, modifier);
 }
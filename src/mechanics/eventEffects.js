@@ -0,0 +1,317 @@
+/**
+ * Event Effects module for the survival game.
+ * Events can describe what they do as a list of effects instead of hand-coding
+ * `apply`. The effects are interpreted here, so immunity and damage modifiers are
+ * applied the same way for every event:
+ *
+ *   export const powerSurge = defineEvent({
+ *     description: "A power surge overloads the electrical systems!",
+ *     effects: [
+ *       { type: "damage", amount: 30, target: { name: "Power" } },
+ *       { type: "damage", amount: 15, target: { select: "all", exclude: ["Power"] } },
+ *     ],
+ *   });
+ *
+ * Operations (EFFECT_OPERATIONS): damage, heal, set_health, add_modifier,
+ * restore_capacity, random_target and grant_resources. Each but grant_resources
+ * takes a `target` selector (TARGET_SELECTORS): "all", "lowest_health",
+ * "most_worn", "random", `{ name }` or `{ tag }`, optionally with `exclude`.
+ * The ModuleRegistry turns events written purely as effects (JSON files or objects
+ * without `apply`) into event modules with `defineEvent`.
+ */
+
+import {
+  getDamageModifier,
+  addDamageModifier,
+  reduceDamage,
+} from "./damageModifiers.js";
+import { randomIndex } from "./rng.js";
+import { gainResources, validateResourceAmounts } from "./resources.js";
+import { getMaxHealth, restoreCapacity } from "./wear.js";
+import { dispatch, damageSystem, setSystemHealth } from "../core/store.js";
+
+/**
+ * Tags a system answers to in `{ tag }` selectors: its own `tags`, its type and
+ * "critical" for critical systems
+ * @param {Object} system - The system
+ * @returns {string[]} The system's tags
+ */
+export function getSystemTags(system) {
+  return [
+    ...(system.tags || []),
+    system.type,
+    ...(system.critical ? ["critical"] : []),
+  ];
+}
+
+/**
+ * Target selectors: select => pick(candidates, selector, drawIndex), returning the
+ * chosen systems. `drawIndex(length)` draws an index from the game's RNG; "random"
+ * uses it.
+ */
+export const TARGET_SELECTORS = {
+  all: (candidates) => candidates,
+  name: (candidates, selector) => {
+    const names = [].concat(selector.name);
+    return candidates.filter((system) => names.includes(system.name));
+  },
+  tag: (candidates, selector) =>
+    candidates.filter((system) =>
+      getSystemTags(system).includes(selector.tag)
+    ),
+  lowest_health: (candidates) =>
+    candidates.length === 0
+      ? []
+      : [
+          candidates.reduce((lowest, system) =>
+            system.health < lowest.health ? system : lowest
+          ),
+        ],
+  most_worn: (candidates) =>
+    candidates.length === 0
+      ? []
+      : [
+          candidates.reduce((worn, system) =>
+            getMaxHealth(system) < getMaxHealth(worn) ? system : worn
+          ),
+        ],
+  random: (candidates, selector, drawIndex) =>
+    candidates.length === 0 ? [] : [candidates[drawIndex(candidates.length)]],
+};
+
+/**
+ * Normalizes a target ("all", { name: "Power" }...) to `{ select, ... }`
+ * @param {string|Object} target - The effect's target (defaults to "all")
+ * @returns {Object} The selector
+ */
+function normalizeTarget(target = "all") {
+  if (typeof target === "string") return { select: target };
+  if (target.select) return target;
+  if (target.name !== undefined) return { ...target, select: "name" };
+  if (target.tag !== undefined) return { ...target, select: "tag" };
+  return { ...target, select: "all" };
+}
+
+/**
+ * Resolves an effect's target to the names of the systems it affects
+ * @param {Object} gameState - The current game state
+ * @param {string|Object} target - The effect's target
+ * @returns {Object} `{ targets, state }`: the targeted system names and the
+ *   state with its RNG advanced by the selector's draws
+ */
+export function selectTargets(gameState, target) {
+  const selector = normalizeTarget(target);
+  const candidates = (gameState.systems || []).filter(
+    (system) => !(selector.exclude || []).includes(system.name)
+  );
+  let state = gameState;
+  const drawIndex = (length) => {
+    const draw = randomIndex(state, length);
+    state = draw.state;
+    return draw.value;
+  };
+  const targets = TARGET_SELECTORS[selector.select](
+    candidates,
+    selector,
+    drawIndex
+  ).map((system) => system.name);
+  return { targets, state };
+}
+
+const findSystem = (gameState, name) =>
+  gameState.systems.find((system) => system.name === name);
+
+/**
+ * Effect operations: type => apply(gameState, effect, targets), returning the
+ * updated state. `targets` are the names chosen by the effect's selector.
+ */
+export const EFFECT_OPERATIONS = {
+  /**
+   * Deals `amount` damage, reduced by each target's damage modifiers for
+   * `damageType` (default "negative_events"); immune systems take none
+   */
+  damage(gameState, effect, targets) {
+    const damageType = effect.damageType || "negative_events";
+    let updatedState = gameState;
+    for (const name of targets) {
+      const modifier = getDamageModifier(name, damageType, updatedState);
+      if (modifier === 0) continue; // Immune
+
+      // Same reduction as hand-coded events get in triggerEvent
+      const actualDamage = reduceDamage(effect.amount, modifier);
+      updatedState = dispatch(updatedState, damageSystem(name, actualDamage));
+    }
+    return updatedState;
+  },
+
+  /** Restores `amount` health, capped at each target's maximum health */
+  heal(gameState, effect, targets) {
+    return dispatch(
+      gameState,
+      ...targets.map((name) => {
+        const system = findSystem(gameState, name);
+        return setSystemHealth(
+          name,
+          Math.min(getMaxHealth(system), system.health + effect.amount)
+        );
+      })
+    );
+  },
+
+  /** Sets health to `value` (0..100, capped at each target's maximum health) */
+  set_health(gameState, effect, targets) {
+    return dispatch(
+      gameState,
+      ...targets.map((name) =>
+        setSystemHealth(
+          name,
+          Math.min(getMaxHealth(findSystem(gameState, name)), effect.value)
+        )
+      )
+    );
+  },
+
+  /** Adds a damage modifier (`modifier`, `damageType`, `turns`, `source`) */
+  add_modifier(gameState, effect, targets) {
+    return targets.reduce(
+      (state, name) =>
+        addDamageModifier(
+          state,
+          name,
+          effect.modifier,
+          effect.damageType || "all",
+          effect.turns,
+          effect.source || null
+        ),
+      gameState
+    );
+  },
+
+  /** Restores `amount` of the maximum health repairs wore away (see wear.js) */
+  restore_capacity(gameState, effect, targets) {
+    return targets.reduce(
+      (state, name) => restoreCapacity(state, name, effect.amount),
+      gameState
+    );
+  },
+
+  /** Adds `resources` (`{ parts, energy }`) up to the limits; ignores targets */
+  grant_resources(gameState, effect) {
+    return gainResources(gameState, effect.resources);
+  },
+
+  /** Picks one system from `target` and applies the nested `effects` to it */
+  random_target(gameState, effect, targets) {
+    if (targets.length === 0) return gameState;
+    const { value, state } = randomIndex(gameState, targets.length);
+    return applyEffects(state, effect.effects, [targets[value]]);
+  },
+};
+
+// Fields each operation needs: type => [field, check]
+const REQUIRED_FIELDS = {
+  damage: [["amount", "number"]],
+  heal: [["amount", "number"]],
+  set_health: [["value", "number"]],
+  add_modifier: [
+    ["modifier", "number"],
+    ["turns", "number"],
+  ],
+  restore_capacity: [["amount", "number"]],
+  random_target: [["effects", "array"]],
+  grant_resources: [["resources", "object"]],
+};
+
+/**
+ * Checks a list of effects and throws a descriptive error for the first problem
+ * @param {Array} effects - The effects
+ * @param {string} label - Name used in error messages
+ */
+export function validateEffects(effects, label = "Event") {
+  if (!Array.isArray(effects) || effects.length === 0) {
+    throw new Error(`${label}: effects must be a non-empty array`);
+  }
+
+  effects.forEach((effect, index) => {
+    const fail = (problem) => {
+      throw new Error(`${label}: effect ${index} ${problem}`);
+    };
+    if (!effect || !EFFECT_OPERATIONS[effect.type]) {
+      fail(`has unknown type ${effect && effect.type}`);
+    }
+    for (const [field, kind] of REQUIRED_FIELDS[effect.type]) {
+      const ok =
+        kind === "array"
+          ? Array.isArray(effect[field])
+          : typeof effect[field] === kind;
+      if (!ok) fail(`(${effect.type}) needs ${field}`);
+    }
+    if (effect.target !== undefined) {
+      const selector = normalizeTarget(effect.target);
+      if (!TARGET_SELECTORS[selector.select]) {
+        fail(`has unknown target ${selector.select}`);
+      }
+    }
+    if (effect.type === "random_target") {
+      validateEffects(effect.effects, `${label}: effect ${index}`);
+    }
+    if (effect.type === "grant_resources") {
+      validateResourceAmounts(effect.resources, `${label}: effect ${index}`);
+    }
+  });
+}
+
+/**
+ * Applies effects to a game state in order
+ * @param {Object} gameState - The current game state
+ * @param {Array} effects - The effects to apply
+ * @param {string[]} targets - Fixed targets (used by random_target); by default
+ *   each effect selects its own
+ * @returns {Object} The updated game state
+ */
+export function applyEffects(gameState, effects, targets = null) {
+  let updatedState = { ...gameState };
+  for (const effect of effects) {
+    let selected = targets;
+    if (!selected) {
+      const selection = selectTargets(updatedState, effect.target);
+      selected = selection.targets;
+      updatedState = selection.state;
+    }
+    const effectTargets = selected.filter((name) =>
+      findSystem(updatedState, name)
+    );
+    updatedState = EFFECT_OPERATIONS[effect.type](
+      updatedState,
+      effect,
+      effectTargets
+    );
+  }
+  return updatedState;
+}
+
+/**
+ * Builds an event module from a description and its effects
+ * @param {Object} definition - `{ description, effects, ...other properties }`
+ * @returns {Object} The event with an `apply(state)` that runs the effects
+ */
+export function defineEvent(definition) {
+  validateEffects(
+    definition && definition.effects,
+    (definition && definition.description) || "Event"
+  );
+  const { effects } = definition;
+
+  return {
+    ...definition,
+
+    /**
+     * Applies the event's effects to the game state.
+     * @param {Object} state - The current game state
+     * @returns {Object} The updated game state
+     */
+    apply(state) {
+      return applyEffects(state, effects);
+    },
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Event Log module for the survival game.
+ * The event log is part of the game state (`gameState.eventLog`), so it is saved
+ * with the game and restored by undo. The browser shell renders it from the state
+ * (see src/core/ui/eventLog.js).
+ *
+ * Entry shape: `{ turn: number, text: string }`
+ */
+
+/**
+ * Adds an entry to the game's event log
+ * @param {Object} gameState - The current game state
+ * @param {string} text - The text to log
+ * @returns {Object} The updated game state with the entry appended
+ */
+export function addLogEntry(gameState, text) {
+  return {
+    ...gameState,
+    eventLog: [...(gameState.eventLog || []), { turn: gameState.turn, text }],
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Event Requirements module for the survival game.
+ * Events can declare what the ship needs for them to make sense. An event whose
+ * requirements do not hold is not drawn (see eventTable.js):
+ *
+ *   {
+ *     description: "An oxygen leak is detected in the life support system!",
+ *     requires: {
+ *       systems: ["Life Support"],                    // Systems in the game
+ *       tags: ["electrical"],                         // A system with each tag
+ *       health: { "Life Support": { healthAtLeast: 20 } }, // Health conditions
+ *       condition: (gameState) => gameState.turn > 5, // Any predicate
+ *     },
+ *   }
+ *
+ * Health conditions are `healthBelow` and `healthAtLeast`, as in system manifests.
+ * `getSetupWarning` checks the requirements that only depend on the chosen systems,
+ * so the setup screen can flag events that can never fire.
+ */
+
+import { getSystemTags } from "./eventEffects.js";
+
+/**
+ * Conditions usable in `requires.health`: condition => [test(health, value), label]
+ */
+export const HEALTH_CONDITIONS = {
+  healthBelow: [(health, value) => health < value, "below"],
+  healthAtLeast: [(health, value) => health >= value, "at least"],
+};
+
+const REQUIREMENT_KEYS = ["systems", "tags", "health", "condition"];
+
+/**
+ * Checks an event's `requires` and throws a descriptive error for the first problem
+ * @param {Object} requires - The event's requirements
+ * @param {string} label - Name used in error messages
+ */
+export function validateRequirements(requires, label = "Event") {
+  const fail = (problem) => {
+    throw new Error(`${label}: requires ${problem}`);
+  };
+  if (!requires || typeof requires !== "object") fail("must be an object");
+
+  Object.keys(requires).forEach((key) => {
+    if (!REQUIREMENT_KEYS.includes(key)) fail(`has unknown key ${key}`);
+  });
+  ["systems", "tags"].forEach((key) => {
+    if (requires[key] !== undefined && !Array.isArray(requires[key])) {
+      fail(`${key} must be an array`);
+    }
+  });
+  Object.entries(requires.health || {}).forEach(([system, conditions]) => {
+    Object.keys(conditions || {}).forEach((condition) => {
+      if (!HEALTH_CONDITIONS[condition]) {
+        fail(`health of ${system} has unknown condition ${condition}`);
+      }
+    });
+  });
+  if (
+    requires.condition !== undefined &&
+    typeof requires.condition !== "function"
+  ) {
+    fail("condition must be a function");
+  }
+}
+
+/**
+ * Finds the requirement the chosen systems can never meet
+ * @param {Object} requires - The event's requirements
+ * @param {Array} systems - The systems in the game
+ * @returns {string|null} The reason, or null if the systems allow the event
+ */
+function findMissingSystem(requires, systems) {
+  const names = systems.map((system) => system.name);
+  const needed = [
+    ...(requires.systems || []),
+    ...Object.keys(requires.health || {}),
+  ];
+  const missing = needed.find((name) => !names.includes(name));
+  if (missing) return `Needs ${missing}`;
+
+  const tags = systems.flatMap((system) => getSystemTags(system));
+  const missingTag = (requires.tags || []).find((tag) => !tags.includes(tag));
+  if (missingTag) return `Needs a system tagged ${missingTag}`;
+
+  return null;
+}
+
+/**
+ * Checks whether an event's requirements hold in a game state
+ * @param {Object} event - The event module
+ * @param {Object} gameState - The current game state
+ * @returns {Object} `{ met, reason }` (reason explains an unmet requirement)
+ */
+export function checkEventRequirements(event, gameState) {
+  const requires = event.requires;
+  if (!requires) return { met: true, reason: null };
+
+  const systems = gameState.systems || [];
+  const missing = findMissingSystem(requires, systems);
+  if (missing) return { met: false, reason: missing };
+
+  for (const [name, conditions] of Object.entries(requires.health || {})) {
+    const health = systems.find((system) => system.name === name).health;
+    for (const [condition, value] of Object.entries(conditions)) {
+      const [test, label] = HEALTH_CONDITIONS[condition];
+      if (!test(health, value)) {
+        return {
+          met: false,
+          reason: `Needs ${name} health ${label} ${value}`,
+        };
+      }
+    }
+  }
+
+  if (requires.condition && !requires.condition(gameState)) {
+    return { met: false, reason: "Condition not met" };
+  }
+  return { met: true, reason: null };
+}
+
+/**
+ * Explains why an event can never fire with the chosen systems
+ * @param {Object} event - The event module
+ * @param {Array} systems - The chosen systems
+ * @returns {string|null} The warning, or null if the event can fire
+ */
+export function getSetupWarning(event, systems) {
+  if (!event.requires) return null;
+  return findMissingSystem(event.requires, systems || []);
+}
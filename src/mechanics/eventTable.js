@@ -0,0 +1,212 @@
+/**
+ * Event Table module for the survival game.
+ * Once `triggerEvent` has decided that a positive or negative event happens, the
+ * event is drawn from that pool by weight. Events can limit when they are drawn:
+ *
+ *   {
+ *     description: "A meteor shower strikes the ship, damaging the hull!",
+ *     weight: 2,          // Relative chance within its pool (default 1)
+ *     cooldown: 3,        // Turns after firing before it can fire again (default 0)
+ *     maxOccurrences: 2,  // Times it can fire per run (default unlimited)
+ *     minTurn: 3,         // Earliest eligible turn (default 1)
+ *     maxTurn: 20,        // Latest eligible turn (default unlimited)
+ *   }
+ *
+ * Fired events are kept in `gameState.eventHistory` as `{ turn, cycle, event,
+ * description, positive }`. Cooldowns count deterioration cycles (`cycle`), which
+ * Navigation's turn rollbacks do not undo. A multi-turn event cannot be drawn again
+ * while it is running (see activeEvents.js), and an event whose `requires` do not
+ * hold for the current ship is not drawn (see eventRequirements.js).
+ */
+
+import { random } from "./rng.js";
+import { checkEventRequirements } from "./eventRequirements.js";
+
+export const EVENT_TABLE_DEFAULTS = {
+  weight: 1,
+  cooldown: 0,
+  maxOccurrences: Infinity,
+  minTurn: 1,
+  maxTurn: Infinity,
+};
+
+/**
+ * Key an event is recorded under in the history
+ * @param {Object} event - The event module
+ * @returns {string} Its module ID, or its description for unregistered events
+ */
+export function getEventKey(event) {
+  return event.id || event._modulePath || event.description;
+}
+
+/**
+ * Reads an event's table settings, with defaults
+ * @param {Object} event - The event module
+ * @returns {Object} `{ weight, cooldown, maxOccurrences, minTurn, maxTurn }`
+ */
+function tableSettings(event) {
+  const settings = { ...EVENT_TABLE_DEFAULTS };
+  Object.keys(settings).forEach((key) => {
+    if (typeof event[key] === "number") settings[key] = event[key];
+  });
+  return settings;
+}
+
+/**
+ * Checks whether an event can be drawn on the state's turn
+ * @param {Object} event - The event module
+ * @param {Object} gameState - The current game state
+ * @returns {Object} `{ eligible, reason }` (reason explains an ineligible event)
+ */
+export function getEventEligibility(event, gameState) {
+  const settings = tableSettings(event);
+  const key = getEventKey(event);
+  const occurrences = (gameState.eventHistory || []).filter(
+    (entry) => entry.event === key
+  );
+  const cycle = gameState.deteriorationCount || 0;
+
+  if (settings.weight <= 0) {
+    return { eligible: false, reason: "Weight 0" };
+  }
+  const requirements = checkEventRequirements(event, gameState);
+  if (!requirements.met) {
+    return { eligible: false, reason: requirements.reason };
+  }
+  const active = (gameState.activeEvents || []).find(
+    (entry) => entry.event === key
+  );
+  if (active) {
+    return {
+      eligible: false,
+      reason: `Active (${active.turnsLeft} turn${
+        active.turnsLeft === 1 ? "" : "s"
+      } left)`,
+    };
+  }
+  if (gameState.turn < settings.minTurn) {
+    return { eligible: false, reason: `From turn ${settings.minTurn}` };
+  }
+  if (gameState.turn > settings.maxTurn) {
+    return { eligible: false, reason: `Until turn ${settings.maxTurn}` };
+  }
+  if (occurrences.length >= settings.maxOccurrences) {
+    return {
+      eligible: false,
+      reason: `Limit reached (${occurrences.length}/${settings.maxOccurrences})`,
+    };
+  }
+  const last = occurrences[occurrences.length - 1];
+  if (last && cycle - last.cycle <= settings.cooldown) {
+    const turnsLeft = settings.cooldown - (cycle - last.cycle) + 1;
+    return {
+      eligible: false,
+      reason: `Cooling down (${turnsLeft} turn${turnsLeft === 1 ? "" : "s"})`,
+    };
+  }
+  return { eligible: true, reason: null };
+}
+
+/**
+ * Lists the events of a pool that can be drawn on the state's turn
+ * @param {Array} events - The event pool
+ * @param {Object} gameState - The current game state
+ * @returns {Array} The eligible events
+ */
+export function getEligibleEvents(events, gameState) {
+  return (events || []).filter(
+    (event) => getEventEligibility(event, gameState).eligible
+  );
+}
+
+/**
+ * Draws one eligible event by weight. With equal weights this is the same draw as
+ * `randomIndex`, so seeds keep their events.
+ * @param {Object} gameState - The current game state
+ * @param {Array} events - The event pool
+ * @returns {Object} `{ event, state }`: the drawn event (null if none is
+ *   eligible) and the state with its RNG advanced
+ */
+export function pickWeightedEvent(gameState, events) {
+  const eligible = getEligibleEvents(events, gameState);
+  if (eligible.length === 0) return { event: null, state: gameState };
+
+  const totalWeight = eligible.reduce(
+    (sum, event) => sum + tableSettings(event).weight,
+    0
+  );
+  const { value, state } = random(gameState);
+  let roll = value * totalWeight;
+  for (const event of eligible) {
+    roll -= tableSettings(event).weight;
+    if (roll < 0) return { event, state };
+  }
+  return { event: eligible[eligible.length - 1], state };
+}
+
+/**
+ * Records a fired event in the history
+ * @param {Object} gameState - The current game state
+ * @param {Object} event - The event that fired
+ * @param {boolean} isPositive - Whether it came from the positive pool
+ * @returns {Object} The updated game state
+ */
+export function recordEventOccurrence(gameState, event, isPositive) {
+  return {
+    ...gameState,
+    eventHistory: [
+      ...(gameState.eventHistory || []),
+      {
+        turn: gameState.turn,
+        cycle: gameState.deteriorationCount || 0,
+        event: getEventKey(event),
+        description: event.description,
+        positive: isPositive,
+      },
+    ],
+  };
+}
+
+/**
+ * Effective probability of each event firing on the state's turn, combining the
+ * event chance, the positive/negative split and the weights of eligible events
+ * @param {Object} gameState - The game state of the turn to evaluate
+ * @param {Object} config - The game configuration
+ * @returns {Array} Rows `{ event, description, positive, weight, eligible, reason,
+ *   probability }`, positive events first
+ */
+export function getEventProbabilities(gameState, config) {
+  const eventChance =
+    typeof config.eventChance === "number" ? config.eventChance : 0.3;
+  const positiveProbability =
+    typeof config.positiveEventProbability === "number"
+      ? config.positiveEventProbability
+      : 0.5;
+
+  const rowsFor = (events, positive) => {
+    const poolChance =
+      eventChance * (positive ? positiveProbability : 1 - positiveProbability);
+    const totalWeight = getEligibleEvents(events, gameState).reduce(
+      (sum, event) => sum + tableSettings(event).weight,
+      0
+    );
+    return (events || []).map((event) => {
+      const { eligible, reason } = getEventEligibility(event, gameState);
+      const { weight } = tableSettings(event);
+      return {
+        event: getEventKey(event),
+        description: event.description,
+        positive,
+        weight,
+        eligible,
+        reason,
+        probability: eligible ? (poolChance * weight) / totalWeight : 0,
+      };
+    });
+  };
+
+  return [
+    ...rowsFor(config.positiveEvents, true),
+    ...rowsFor(config.negativeEvents, false),
+  ];
+}
@@ -1,15 +1,21 @@
 /**
  * Fix System module for the survival game.
  * This module handles repairing a specific ship system.
- * When a player chooses to fix a system, it calls the system's fix function.
- * Fixing a system is the main player action each turn.
- * Only one system can be fixed per turn due to limited resources.
+ * When a player chooses to fix a system, the chosen repair type is applied (see
+ * src/mechanics/repairTypes.js): an overhaul calls the system's fix function, a
+ * quick patch restores some health and maintenance protects the system from the
+ * next deterioration.
+ * Repairs are paid for with action points and resources (see playerActions.js).
  *
  * @param {Object} gameState - The current game state object.
  * @param {string} systemName - The name of the system to fix.
+ * @param {string} repair - The repair type (an overhaul by default).
  * @returns {Object} The updated game state after fixing the system.
  */
-export function fixSystem(gameState, systemName) {
+import { dispatch, updateSystem } from "../core/store.js";
+import { applyRepair, DEFAULT_REPAIR, REPAIR_TYPES } from "./repairTypes.js";
+
+export function fixSystem(gameState, systemName, repair = DEFAULT_REPAIR) {
   // Validate inputs
   if (!gameState || !gameState.systems) {
     throw new Error("Invalid gameState: systems array is required");
@@ -26,22 +32,20 @@ export function fixSystem(gameState, systemName) {
     throw new Error(`System '${systemName}' not found`);
   }
 
-  // Call the system's fix function
-  const updatedState = system.fix(gameState);
+  // Apply the repair; it sets the game message describing it
+  let updatedState = applyRepair(gameState, system, repair);
 
-  // Update the system's lastFixedTurn to current turn
-  const systemIndex = updatedState.systems.findIndex(
-    (sys) => sys.name === systemName
-  );
-  if (systemIndex !== -1) {
-    updatedState.systems[systemIndex].lastFixedTurn = updatedState.turn;
+  // Full repairs update the system's lastFixedTurn to current turn, which skips
+  // its next deterioration
+  if (REPAIR_TYPES[repair].fullRepair) {
+    updatedState = dispatch(
+      updatedState,
+      updateSystem(systemName, { lastFixedTurn: updatedState.turn })
+    );
   }
 
-  // Update the game message to reflect the repair
-  updatedState.message = `${systemName} has been repaired to full health.`;
-
   // Log the repair action for debugging
-  console.log(`System fixed: ${systemName} to 100 health`);
+  console.log(`System fixed: ${systemName} (${repair})`);
 
   // Return the updated game state
   return updatedState;
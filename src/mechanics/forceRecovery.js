@@ -1,9 +1,17 @@
 /**
  * Force Recovery module for the survival game.
  * This module handles the force recovery mechanic for dead systems.
- * Provides a low chance revival without disrupting normal game flow.
+ * Provides a low chance revival without disrupting normal game flow. Like a fix, an
+ * attempt uses the player's action points rather than ending the turn. A revived
+ * system loses FORCE_RECOVERY_WEAR of its maximum health (see wear.js).
  */
 
+import { random } from "./rng.js";
+import { emitEffect } from "./presentationEffects.js";
+import { dispatchHook } from "./lifecycleHooks.js";
+import { dispatch, setSystemHealth } from "../core/store.js";
+import { FORCE_RECOVERY_WEAR, wearSystem } from "./wear.js";
+
 /**
  * Attempts force recovery on a dead system
  * @param {string} systemName - The name of the system to attempt recovery on
@@ -34,32 +42,32 @@ export async function attemptForceRecovery(systemName, gameState, config) {
     return gameState;
   }
 
-  // Force recovery attempt - low chance revival
-  const recoverySuccess = Math.random() < 0.1; // 10% chance
+  // Force recovery attempt - low chance revival (10% by default,
+  // `config.forceRecoveryChance` sets it for a difficulty)
+  const recoveryChance =
+    config && typeof config.forceRecoveryChance === "number"
+      ? config.forceRecoveryChance
+      : 0.1;
+  const recoveryRoll = random(updatedState);
+  updatedState = recoveryRoll.state;
+  const recoverySuccess = recoveryRoll.value < recoveryChance;
 
   if (recoverySuccess) {
-    // Successful recovery: restore to 50% health
-    targetSystem.health = 50;
+    // Successful recovery: restore to 50% health, at the cost of some capacity
+    updatedState = wearSystem(updatedState, systemName, FORCE_RECOVERY_WEAR);
+    updatedState = dispatch(updatedState, setSystemHealth(systemName, 50));
     updatedState.message = `${systemName} force recovery successful! Restored to 50% health.`;
+    updatedState = await dispatchHook("onFix", updatedState, config, {
+      systemName,
+      forceRecovery: true,
+    });
   } else {
     // Failed recovery
     updatedState.message = `${systemName} force recovery failed. System remains offline.`;
 
-    // Trigger shake animation on the system element
-    const systemElement = document.querySelector(
-      `[data-system-name="${systemName}"]`
-    );
-    if (systemElement) {
-      systemElement.classList.add("shake");
-      setTimeout(() => {
-        systemElement.classList.remove("shake");
-      }, 500);
-    }
+    // Ask the browser shell to shake the system element
+    updatedState = emitEffect(updatedState, "shakeSystem", { systemName });
   }
 
-  // Execute the standard turn progression sequence
-  const { executeTurnSequence } = await import("../core/sequenceOrder.js");
-  updatedState = await executeTurnSequence(updatedState, config);
-
   return updatedState;
 }
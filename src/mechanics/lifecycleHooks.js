@@ -0,0 +1,132 @@
+/**
+ * Lifecycle Hooks module for the survival game.
+ * Any registered module (systems in play and the configured events) can implement
+ * named hooks that the turn sequence dispatches at fixed points of a turn:
+ *
+ * 1. `onTurnStart` — after the turn counter advances
+ * 2. `beforeDeterioration` — before systems deteriorate
+ * 3. `onSystemFailed` — for each system deterioration brought to 0 health
+ * 4. `afterDeterioration` — after deterioration and damage modifier expiry
+ * 5. `beforeEvent` — after an event is picked, before it is applied
+ * 6. `onSystemFailed` — for each system the event brought to 0 health
+ * 7. `afterEvent` — after the event and its damage modifiers are applied
+ * 8. `onTurnEnd` — after the final win/lose check
+ *
+ * `onFix` runs when the player repairs a system (its details name the `repair` type,
+ * see repairTypes.js) or a force recovery succeeds, before the turn sequence. Every
+ * hook is called as `hook(gameState, context)` with
+ * `context = { config, ...details }` and returns the updated game state.
+ *
+ * Systems under repair are offline (see repairQueue.js) and receive no hooks.
+ */
+
+import { isUnderRepair } from "./repairQueue.js";
+
+export const LIFECYCLE_HOOKS = [
+  "onTurnStart",
+  "beforeDeterioration",
+  "afterDeterioration",
+  "beforeEvent",
+  "afterEvent",
+  "onFix",
+  "onSystemFailed",
+  "onTurnEnd",
+];
+
+/**
+ * Lists the modules that can receive hooks: systems in play (except those under
+ * repair), then events
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Array} The modules
+ */
+function getHookModules(gameState, config) {
+  return [
+    ...(gameState.systems || []).filter(
+      (system) => !isUnderRepair(gameState, system.name)
+    ),
+    ...((config && config.positiveEvents) || []),
+    ...((config && config.negativeEvents) || []),
+  ];
+}
+
+/**
+ * Dispatches a lifecycle hook to every module that implements it
+ * @param {string} hookName - One of LIFECYCLE_HOOKS
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @param {Object} details - Extra context for the hook (event, systemName...)
+ * @returns {Promise<Object>} The updated game state
+ */
+export async function dispatchHook(hookName, gameState, config, details = {}) {
+  if (!LIFECYCLE_HOOKS.includes(hookName)) {
+    throw new Error(`Unknown lifecycle hook: ${hookName}`);
+  }
+
+  let updatedState = { ...gameState };
+  const context = { config, ...details };
+
+  for (const module of getHookModules(gameState, config)) {
+    if (typeof module[hookName] !== "function") continue;
+
+    try {
+      const result = await module[hookName](updatedState, context);
+      if (result && typeof result === "object") {
+        updatedState = result;
+      } else {
+        console.warn(
+          `${module.name || module.description} ${hookName} did not return a valid game state`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error in ${module.name || module.description} ${hookName}:`,
+        error
+      );
+    }
+  }
+
+  return updatedState;
+}
+
+/**
+ * Records the health of every system, to detect failures after a step.
+ * @param {Object} gameState - The current game state
+ * @returns {Object} Map of system name to health
+ */
+export function snapshotHealth(gameState) {
+  const health = {};
+  gameState.systems.forEach((system) => {
+    health[system.name] = system.health;
+  });
+  return health;
+}
+
+/**
+ * Dispatches `onSystemFailed` for every system that dropped to 0 health
+ * @param {Object} healthBefore - Health snapshot taken before the step
+ * @param {Object} gameState - The game state after the step
+ * @param {Object} config - The game configuration
+ * @param {string} cause - What failed the systems ("deterioration" or "event")
+ * @returns {Promise<Object>} The updated game state
+ */
+export async function dispatchSystemFailures(
+  healthBefore,
+  gameState,
+  config,
+  cause
+) {
+  let updatedState = gameState;
+
+  const failedSystems = gameState.systems.filter(
+    (system) => healthBefore[system.name] > 0 && system.health <= 0
+  );
+  for (const system of failedSystems) {
+    updatedState = await dispatchHook("onSystemFailed", updatedState, config, {
+      systemName: system.name,
+      cause,
+    });
+  }
+
+  return updatedState;
+}
@@ -0,0 +1,41 @@
+/**
+ * Presentation Effects module for the survival game.
+ * Game logic never touches the DOM. Instead it emits presentation effects
+ * (shake a system, log an event, show a toast, open a popup...) onto the game state
+ * as a list. The browser shell drains that list after every engine call and renders it;
+ * headless runs (Node tests, simulations) can inspect or simply discard it.
+ *
+ * Effect shape: `{ type: string, ...payload }`
+ */
+
+/**
+ * Emits a presentation effect onto the game state
+ * @param {Object} gameState - The current game state
+ * @param {string} type - Effect type (e.g., 'shakeSystem', 'eventTriggered')
+ * @param {Object} payload - Additional effect data
+ * @returns {Object} The updated game state with the effect queued
+ */
+export function emitEffect(gameState, type, payload = {}) {
+  const updatedState = { ...gameState };
+
+  updatedState.pendingEffects = [
+    ...(gameState.pendingEffects || []),
+    { type, ...payload },
+  ];
+
+  return updatedState;
+}
+
+/**
+ * Takes all queued presentation effects off the game state
+ * @param {Object} gameState - The current game state
+ * @returns {{effects: Array, state: Object}} The drained effects and the state without them
+ */
+export function takeEffects(gameState) {
+  const effects = gameState.pendingEffects || [];
+
+  return {
+    effects,
+    state: { ...gameState, pendingEffects: [] },
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Repair Queue module for the survival game.
+ * Systems can declare how long an overhaul or a refit takes (their `repairDuration`)
+ * depending on how damaged they are. The first entry whose `when` conditions hold
+ * for the system's health gives the turns (see CONDITIONS in
+ * src/setup/systemManifest.js); without a match the repair is instant:
+ *
+ *   "repairDuration": [
+ *     { "turns": 3, "when": { "healthBelow": 25 } },
+ *     { "turns": 2, "when": { "healthBelow": 50 } }
+ *   ]
+ *
+ * Longer repairs are paid when ordered and wait in `gameState.repairQueue` as
+ * `{ systemName, repair, turns, progress, paid }`. Each turn the crews work on the
+ * first entries (`config.repairCrews`, 1 by default, kept in
+ * `gameState.repairCrews`), right after deterioration; a repair is applied once its
+ * progress reaches its turns.
+ *
+ * A system being worked on is under repair: it is offline and only takes
+ * UNDER_REPAIR_DETERIORATION of its deterioration damage. Its side effects are
+ * suspended (Power's low-power penalty, Comms' extra turns and cover for
+ * Navigation, its action points, its lifecycle hooks...). Systems waiting further down the queue keep
+ * running. The player can reorder the queue and cancel entries; a cancelled repair
+ * gives back the resources it cost, not its action points. A system that fails
+ * drops out of the queue.
+ */
+
+import { conditionsHold, CONDITIONS } from "../setup/systemManifest.js";
+import { REPAIR_TYPES } from "./repairTypes.js";
+import { fixSystem } from "./fixSystem.js";
+import { gainResources, describeResources } from "./resources.js";
+import { dispatchHook } from "./lifecycleHooks.js";
+import { addLogEntry } from "./eventLog.js";
+
+// Share of deterioration damage a system under repair still takes
+export const UNDER_REPAIR_DETERIORATION = 0.5;
+
+/**
+ * The turns a repair takes on a system in its current state
+ * @param {Object} system - The system
+ * @param {string} repair - The repair type
+ * @returns {number} The turns (1 for instant repairs)
+ */
+export function getRepairDuration(system, repair) {
+  const repairType = REPAIR_TYPES[repair];
+  if (!repairType || !repairType.queued || !system) return 1;
+
+  const match = (system.repairDuration || []).find((entry) =>
+    conditionsHold(entry, system.health)
+  );
+  return match ? match.turns : 1;
+}
+
+/**
+ * Checks a system's declared `repairDuration` and throws a descriptive error if
+ * invalid
+ * @param {Array} durations - The duration entries
+ * @param {string} label - Name used in error messages
+ */
+export function validateRepairDuration(durations, label = "System") {
+  if (!Array.isArray(durations)) {
+    throw new Error(`${label}: repairDuration must be an array`);
+  }
+  durations.forEach((entry, index) => {
+    if (!entry || !Number.isInteger(entry.turns) || entry.turns < 1) {
+      throw new Error(
+        `${label}: repair duration ${index} needs a whole number of turns`
+      );
+    }
+    Object.keys(entry.when || {}).forEach((condition) => {
+      if (!CONDITIONS[condition]) {
+        throw new Error(
+          `${label}: repair duration ${index} has unknown condition ${condition}`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * The queue entry of a system
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @returns {Object|undefined} The entry
+ */
+export function findQueuedRepair(gameState, systemName) {
+  return (gameState.repairQueue || []).find(
+    (entry) => entry.systemName === systemName
+  );
+}
+
+/**
+ * The repair queue state a game starts with. The crews are kept on the state, so
+ * whether a system is under repair can be told from the state alone.
+ * @param {Object} config - The game configuration
+ * @returns {Object} `{ repairQueue, repairCrews }`
+ */
+export function createRepairQueueState(config) {
+  return {
+    repairQueue: [],
+    repairCrews:
+      config && Number.isInteger(config.repairCrews)
+        ? Math.max(1, config.repairCrews)
+        : 1,
+  };
+}
+
+/**
+ * Whether a system is being worked on (offline): one of the first entries of the
+ * queue, one per crew
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @returns {boolean} True while the system is under repair
+ */
+export function isUnderRepair(gameState, systemName) {
+  return (gameState.repairQueue || [])
+    .slice(0, gameState.repairCrews || 1)
+    .some((entry) => entry.systemName === systemName);
+}
+
+/**
+ * Puts a paid multi-turn repair at the end of the queue
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system to repair
+ * @param {string} repair - The repair type
+ * @param {Object} paid - The resources the repair cost (refunded on cancel)
+ * @returns {Object} The updated game state
+ */
+export function queueRepair(gameState, systemName, repair, paid = {}) {
+  const system = gameState.systems.find((s) => s.name === systemName);
+  const turns = getRepairDuration(system, repair);
+  const repairQueue = [
+    ...(gameState.repairQueue || []),
+    { systemName, repair, turns, progress: 0, paid: { ...paid } },
+  ];
+  const position = repairQueue.length;
+  const label = REPAIR_TYPES[repair].label;
+
+  return {
+    ...gameState,
+    repairQueue,
+    message:
+      position <= (gameState.repairCrews || 1)
+        ? `${label} of ${systemName} started: ${turns} turns, offline until done.`
+        : `${label} of ${systemName} queued (#${position}): ${turns} turns.`,
+  };
+}
+
+/**
+ * Removes a system's repair from the queue and gives back its resources
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @returns {Object} The updated game state
+ */
+export function cancelRepair(gameState, systemName) {
+  const entry = findQueuedRepair(gameState, systemName);
+  if (!entry) {
+    return {
+      ...gameState,
+      message: `${systemName} is not in the repair queue.`,
+    };
+  }
+
+  const updatedState = gainResources(
+    {
+      ...gameState,
+      repairQueue: gameState.repairQueue.filter((e) => e !== entry),
+    },
+    entry.paid
+  );
+  const cancelled = `${REPAIR_TYPES[entry.repair].label} of ${systemName} cancelled`;
+  const refunded = describeResources(entry.paid);
+  updatedState.message =
+    refunded === "nothing"
+      ? `${cancelled}.`
+      : `${cancelled} (refunded ${refunded}).`;
+  return updatedState;
+}
+
+/**
+ * Moves a system's repair to another place in the queue
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @param {number} position - The new index (0 is worked on first), clamped to
+ * the queue
+ * @returns {Object} The updated game state
+ */
+export function moveRepair(gameState, systemName, position) {
+  const entry = findQueuedRepair(gameState, systemName);
+  if (!entry) {
+    return {
+      ...gameState,
+      message: `${systemName} is not in the repair queue.`,
+    };
+  }
+
+  const repairQueue = gameState.repairQueue.filter((e) => e !== entry);
+  const index = Math.max(0, Math.min(repairQueue.length, position));
+  repairQueue.splice(index, 0, entry);
+  return {
+    ...gameState,
+    repairQueue,
+    message: `${systemName} moved to #${index + 1} in the repair queue.`,
+  };
+}
+
+/**
+ * Works one turn on the repairs at the front of the queue and applies the ones
+ * that are done. Systems that failed drop out first.
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Promise<Object>} The updated game state
+ */
+export async function advanceRepairs(gameState, config) {
+  let updatedState = gameState;
+  const crews = updatedState.repairCrews || 1;
+
+  // A failed system needs a force recovery; its repair is abandoned
+  const failed = (updatedState.repairQueue || []).filter((entry) => {
+    const system = updatedState.systems.find(
+      (s) => s.name === entry.systemName
+    );
+    return !system || system.health <= 0;
+  });
+  for (const entry of failed) {
+    updatedState = addLogEntry(
+      {
+        ...updatedState,
+        repairQueue: updatedState.repairQueue.filter((e) => e !== entry),
+      },
+      `${REPAIR_TYPES[entry.repair].label} of ${entry.systemName} abandoned: the system failed`
+    );
+  }
+
+  // The crews work on the first entries
+  const queue = (updatedState.repairQueue || []).map((entry, index) =>
+    index < crews ? { ...entry, progress: entry.progress + 1 } : entry
+  );
+  const done = queue.filter((entry) => entry.progress >= entry.turns);
+  updatedState = {
+    ...updatedState,
+    repairQueue: queue.filter((entry) => entry.progress < entry.turns),
+  };
+
+  for (const entry of done) {
+    const { message } = updatedState;
+    updatedState = fixSystem(updatedState, entry.systemName, entry.repair);
+    updatedState = addLogEntry(
+      { ...updatedState, message },
+      `${REPAIR_TYPES[entry.repair].label} of ${entry.systemName} complete`
+    );
+    updatedState = await dispatchHook("onFix", updatedState, config, {
+      systemName: entry.systemName,
+      repair: entry.repair,
+      queued: true,
+    });
+  }
+
+  return updatedState;
+}
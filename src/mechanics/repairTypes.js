@@ -0,0 +1,233 @@
+/**
+ * Repair Types module for the survival game.
+ * A normal system can be repaired in several ways (`REPAIR_TYPES`):
+ *
+ * - `patch` — a quick patch: +30 health, and no action point by default
+ * - `overhaul` — the system's own `fix` (full health). Like fixes always did, it
+ *   skips the next deterioration (`lastFixedTurn`, see deteriorationUtils.js),
+ *   then takes half deterioration damage for 2 more cycles
+ * - `maintenance` — no repair, but the next deterioration does half damage
+ * - `refit` — restores the capacity repairs wore away, and full health
+ *
+ * Repairs wear the system first (their `wear`, see src/mechanics/wear.js), so the
+ * health they restore is capped at the system's lowered maximum. Overhauls and
+ * refits of badly damaged systems can take several turns (their `repairDuration`,
+ * see src/mechanics/repairQueue.js).
+ *
+ * Systems support all of them unless they declare `repairs`, and can price each one
+ * in their `costs` (see src/mechanics/resources.js):
+ *
+ *   {
+ *     name: "Shields",
+ *     repairs: ["overhaul", "maintenance"],
+ *     costs: { overhaul: { parts: 3 } },
+ *   }
+ *
+ * A fix action names its repair (`{ type: "fix", systemName, repair }`); without one
+ * it is an overhaul. The resistance of overhauls and maintenance is a damage
+ * modifier (see src/mechanics/damageModifiers.js) that repeating the repair
+ * replaces instead of stacking.
+ */
+
+import { dispatch, setSystemHealth } from "../core/store.js";
+import { getMaxHealth, wearSystem, restoreCapacity } from "./wear.js";
+import {
+  addDamageModifier,
+  hasDamageModifier,
+  removeDamageModifiers,
+} from "./damageModifiers.js";
+
+export const REPAIR_TYPES = {
+  patch: {
+    label: "Quick Patch",
+    verb: "patch",
+    icon: "fas fa-band-aid",
+    description: "+30 health, wears 3 capacity",
+    amount: 30,
+    wear: 3,
+
+    /**
+     * Patching a system at full health would do nothing
+     */
+    check(gameState, system) {
+      return system.health >= getMaxHealth(system)
+        ? `${system.name} is already at full health.`
+        : null;
+    },
+
+    apply(gameState, system) {
+      const health = Math.min(
+        getMaxHealth(system),
+        system.health + this.amount
+      );
+      return {
+        ...dispatch(gameState, setSystemHealth(system.name, health)),
+        message: `${system.name} patched to ${health} health.`,
+      };
+    },
+  },
+
+  overhaul: {
+    label: "Overhaul",
+    verb: "overhaul",
+    icon: "fas fa-tools",
+    description: "Full health, then half deterioration for 2 turns",
+    fullRepair: true, // Sets lastFixedTurn
+    queued: true, // Takes the system's repairDuration (see repairQueue.js)
+    wear: 2,
+    modifier: 0.5,
+    turns: 3, // The first cycle is skipped anyway
+
+    check() {
+      return null;
+    },
+
+    apply(gameState, system) {
+      let updatedState = { ...system.fix(gameState) };
+      updatedState = removeDamageModifiers(
+        updatedState,
+        system.name,
+        "overhaul"
+      );
+      updatedState = addDamageModifier(
+        updatedState,
+        system.name,
+        this.modifier,
+        "deterioration",
+        this.turns,
+        "overhaul"
+      );
+      return {
+        ...updatedState,
+        message: `${system.name} has been overhauled to full health.`,
+      };
+    },
+  },
+
+  maintenance: {
+    label: "Maintenance",
+    verb: "maintain",
+    icon: "fas fa-oil-can",
+    description: "Halves the next deterioration",
+    modifier: 0.5,
+
+    /**
+     * Maintenance does not stack: the next deterioration is halved once
+     */
+    check(gameState, system) {
+      return hasDamageModifier(gameState, system.name, "maintenance")
+        ? `${system.name} is already maintained for the next deterioration.`
+        : null;
+    },
+
+    apply(gameState, system) {
+      const updatedState = addDamageModifier(
+        gameState,
+        system.name,
+        this.modifier,
+        "deterioration",
+        1, // Expires right after the next deterioration
+        "maintenance"
+      );
+      return {
+        ...updatedState,
+        message: `${system.name} maintained: its next deterioration is halved.`,
+      };
+    },
+  },
+
+  refit: {
+    label: "Refit",
+    verb: "refit",
+    icon: "fas fa-cogs",
+    description: "Restores lost capacity and full health",
+    queued: true,
+
+    /**
+     * Only worn systems have capacity to restore
+     */
+    check(gameState, system) {
+      return getMaxHealth(system) >= 100
+        ? `${system.name} shows no wear to refit.`
+        : null;
+    },
+
+    apply(gameState, system) {
+      const updatedState = restoreCapacity(gameState, system.name);
+      return {
+        ...dispatch(updatedState, setSystemHealth(system.name, 100)),
+        message: `${system.name} has been refitted to full capacity.`,
+      };
+    },
+  },
+};
+
+// The repair of fix actions that do not name one
+export const DEFAULT_REPAIR = "overhaul";
+
+/**
+ * The repair types a system supports, in menu order
+ * @param {Object} system - The system
+ * @returns {Array} The repair type names
+ */
+export function getSupportedRepairs(system) {
+  return system && Array.isArray(system.repairs)
+    ? [...system.repairs]
+    : Object.keys(REPAIR_TYPES);
+}
+
+/**
+ * Checks whether a repair can be made on a system right now. Refused repairs come
+ * with the message explaining why.
+ * @param {Object} gameState - The current game state
+ * @param {Object} system - The system
+ * @param {string} repair - The repair type
+ * @returns {Object} `{ available, message }`
+ */
+export function checkRepair(gameState, system, repair) {
+  const repairType = REPAIR_TYPES[repair];
+  if (!repairType || !getSupportedRepairs(system).includes(repair)) {
+    return {
+      available: false,
+      message: `${system.name} does not support ${
+        repairType ? repairType.label : repair
+      }.`,
+    };
+  }
+  const message = repairType.check(gameState, system);
+  return { available: !message, message };
+}
+
+/**
+ * Applies a repair to a system, after the wear it causes. The repair is not
+ * checked, see `checkRepair`.
+ * @param {Object} gameState - The current game state
+ * @param {Object} system - The system
+ * @param {string} repair - The repair type
+ * @returns {Object} The updated game state (with a message describing the repair)
+ */
+export function applyRepair(gameState, system, repair) {
+  const repairType = REPAIR_TYPES[repair];
+  if (!repairType) {
+    throw new Error(`Unknown repair type: ${repair}`);
+  }
+  const wornState = wearSystem(gameState, system.name, repairType.wear);
+  const wornSystem = wornState.systems.find(({ name }) => name === system.name);
+  return repairType.apply(wornState, wornSystem || system);
+}
+
+/**
+ * Checks a system's declared `repairs` and throws a descriptive error if invalid
+ * @param {Array} repairs - The repair type names
+ * @param {string} label - Name used in error messages
+ */
+export function validateRepairs(repairs, label = "System") {
+  if (!Array.isArray(repairs) || repairs.length === 0) {
+    throw new Error(`${label}: repairs must be a non-empty array`);
+  }
+  repairs.forEach((repair) => {
+    if (!REPAIR_TYPES[repair]) {
+      throw new Error(`${label}: unknown repair type ${repair}`);
+    }
+  });
+}
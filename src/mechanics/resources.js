@@ -0,0 +1,210 @@
+/**
+ * Resources module for the survival game.
+ * Repairs and abilities are paid for with resources kept in `gameState.resources`
+ * (`{ parts, energy }`, see RESOURCE_TYPES). Every turn adds the income, up to
+ * the limits; positive events can grant more (the `grant_resources` effect):
+ *
+ *   config.startingResources = { parts: 5, energy: 2 };
+ *   config.resourceIncome = { parts: 1, energy: 1 };  // Added each turn
+ *   config.resourceLimits = { parts: 10, energy: 5 }; // Stockpile limits
+ *
+ * By default a quick patch or maintenance costs 1 spare part, an overhaul 2, a
+ * refit 4 and a force recovery 2 (see src/mechanics/repairTypes.js). Systems can declare their
+ * own costs, keyed by action (a repair type, `forceRecovery` or an active system's
+ * action):
+ *
+ *   { name: "Life Support", costs: { overhaul: { parts: 3 } } }
+ *   { name: "Protection", costs: { activate: { energy: 2 } } }
+ *
+ * Active system actions without a declared cost are free. `applyPlayerAction`
+ * refuses actions the player cannot afford (see `checkActionCost`).
+ */
+
+export const RESOURCE_TYPES = {
+  parts: {
+    label: "Spare Parts",
+    unit: ["spare part", "spare parts"], // Singular and plural
+    icon: "fas fa-cogs",
+  },
+  energy: {
+    label: "Energy",
+    unit: ["energy", "energy"],
+    icon: "fas fa-bolt",
+  },
+};
+
+export const RESOURCE_DEFAULTS = {
+  startingResources: { parts: 5, energy: 2 },
+  resourceIncome: { parts: 1, energy: 1 },
+  resourceLimits: { parts: 10, energy: 5 },
+};
+
+// Costs of the normal system actions when a system does not declare its own
+export const DEFAULT_COSTS = {
+  patch: { parts: 1 },
+  overhaul: { parts: 2 },
+  maintenance: { parts: 1 },
+  refit: { parts: 4 },
+  forceRecovery: { parts: 2 },
+};
+
+/**
+ * Reads a resource setting from the config, with defaults for missing resources
+ * @param {Object} config - The game configuration
+ * @param {string} key - startingResources, resourceIncome or resourceLimits
+ * @returns {Object} Amount per resource type
+ */
+function readSetting(config, key) {
+  return { ...RESOURCE_DEFAULTS[key], ...((config && config[key]) || {}) };
+}
+
+/**
+ * Checks a cost or amount object and throws a descriptive error for the first problem
+ * @param {Object} amounts - Amount per resource type
+ * @param {string} label - Name used in error messages
+ */
+export function validateResourceAmounts(amounts, label = "Resources") {
+  if (!amounts || typeof amounts !== "object") {
+    throw new Error(`${label} must be an object`);
+  }
+  Object.entries(amounts).forEach(([type, amount]) => {
+    if (!RESOURCE_TYPES[type]) {
+      throw new Error(`${label} has unknown resource ${type}`);
+    }
+    if (typeof amount !== "number" || amount < 0) {
+      throw new Error(`${label} of ${type} must be a non-negative number`);
+    }
+  });
+}
+
+/**
+ * Checks a system's declared `costs` and throws a descriptive error if invalid
+ * @param {Object} costs - Cost per action
+ * @param {string} label - Name used in error messages
+ */
+export function validateCosts(costs, label = "System") {
+  if (!costs || typeof costs !== "object") {
+    throw new Error(`${label}: costs must be an object`);
+  }
+  Object.entries(costs).forEach(([action, cost]) => {
+    validateResourceAmounts(cost, `${label}: cost of ${action}`);
+  });
+}
+
+/**
+ * The resource state a game starts with
+ * @param {Object} config - The game configuration
+ * @returns {Object} `{ resources, resourceLimits }`
+ */
+export function createResourceState(config) {
+  const limits = readSetting(config, "resourceLimits");
+  const starting = readSetting(config, "startingResources");
+  const resources = {};
+  Object.keys(RESOURCE_TYPES).forEach((type) => {
+    resources[type] = Math.min(starting[type] || 0, limits[type]);
+  });
+  return { resources, resourceLimits: limits };
+}
+
+/**
+ * The cost of a system action
+ * @param {Object} system - The system
+ * @param {string} action - A repair type, forceRecovery or an active system's action
+ * @returns {Object} Amount per resource type (empty when free)
+ */
+export function getSystemCost(system, action) {
+  const declared = system && system.costs && system.costs[action];
+  return { ...(declared || DEFAULT_COSTS[action] || {}) };
+}
+
+/**
+ * Whether the player has the resources for a cost
+ * @param {Object} gameState - The current game state
+ * @param {Object} cost - Amount per resource type
+ * @returns {boolean} True if every amount is available
+ */
+export function canAfford(gameState, cost) {
+  const resources = gameState.resources || {};
+  return Object.entries(cost).every(
+    ([type, amount]) => (resources[type] || 0) >= amount
+  );
+}
+
+/**
+ * Describes amounts in words ("2 spare parts, 1 energy")
+ * @param {Object} amounts - Amount per resource type
+ * @returns {string} The description ("nothing" when empty)
+ */
+export function describeResources(amounts) {
+  const parts = Object.entries(amounts)
+    .filter(([, amount]) => amount > 0)
+    .map(([type, amount]) => {
+      const [singular, plural] = RESOURCE_TYPES[type].unit;
+      return `${amount} ${amount === 1 ? singular : plural}`;
+    });
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
+
+/**
+ * Removes a cost from the player's resources
+ * @param {Object} gameState - The current game state
+ * @param {Object} cost - Amount per resource type
+ * @returns {Object} The updated game state
+ */
+export function spendResources(gameState, cost) {
+  const resources = { ...(gameState.resources || {}) };
+  Object.entries(cost).forEach(([type, amount]) => {
+    resources[type] = Math.max(0, (resources[type] || 0) - amount);
+  });
+  return { ...gameState, resources };
+}
+
+/**
+ * Adds resources, up to the game's limits
+ * @param {Object} gameState - The current game state
+ * @param {Object} amounts - Amount per resource type
+ * @returns {Object} The updated game state
+ */
+export function gainResources(gameState, amounts) {
+  const limits = gameState.resourceLimits || RESOURCE_DEFAULTS.resourceLimits;
+  const resources = { ...(gameState.resources || {}) };
+  Object.entries(amounts).forEach(([type, amount]) => {
+    resources[type] = Math.min(limits[type], (resources[type] || 0) + amount);
+  });
+  return { ...gameState, resources };
+}
+
+/**
+ * Adds the per-turn income (run by the turn sequence)
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Object} The updated game state
+ */
+export function collectResourceIncome(gameState, config) {
+  return gainResources(gameState, readSetting(config, "resourceIncome"));
+}
+
+/**
+ * Checks whether the player can pay for an action. Unaffordable actions come
+ * with the message explaining why they were refused.
+ * @param {Object} gameState - The current game state
+ * @param {Object} cost - Amount per resource type
+ * @param {string} actionLabel - What the cost pays for ("fix Power")
+ * @returns {Object} `{ affordable, message }`
+ */
+export function checkActionCost(gameState, cost, actionLabel) {
+  if (canAfford(gameState, cost)) {
+    return { affordable: true, message: null };
+  }
+  // Only mention the resources the action needs
+  const available = {};
+  Object.keys(cost).forEach((type) => {
+    available[type] = (gameState.resources || {})[type] || 0;
+  });
+  return {
+    affordable: false,
+    message: `Not enough resources to ${actionLabel}: needs ${describeResources(
+      cost
+    )}, you have ${describeResources(available)}.`,
+  };
+}
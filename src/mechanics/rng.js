@@ -0,0 +1,117 @@
+/**
+ * Seeded Random Number Generator module for the survival game.
+ * This module provides a deterministic pseudo-random number generator whose state
+ * (a seed plus a cursor) is stored on the game state as `gameState.rng`.
+ * Every random decision in the game draws from it, so a seed fully reproduces a run.
+ *
+ * The generator is counter based (mulberry32 keyed by seed and cursor), which means
+ * the value at any cursor position can be computed without replaying earlier draws.
+ */
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Generates a fresh random seed for a new run
+ * @returns {number} An unsigned 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * Normalizes a seed value into an unsigned 32-bit integer.
+ * Numeric strings are parsed as numbers, other strings are hashed (FNV-1a)
+ * so human-friendly seeds like "meteor-run" can be shared.
+ * @param {number|string} seed - The seed to normalize
+ * @returns {number} An unsigned 32-bit seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  if (typeof seed === "string" && seed.trim() !== "") {
+    const trimmed = seed.trim();
+    if (/^\d+$/.test(trimmed)) {
+      return Number(trimmed) >>> 0;
+    }
+
+    let hash = 2166136261;
+    for (let i = 0; i < trimmed.length; i++) {
+      hash ^= trimmed.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  throw new Error("Invalid seed: must be a number or a non-empty string");
+}
+
+/**
+ * Creates the RNG state stored on `gameState.rng`
+ * @param {number|string} [seed] - Optional seed (a random one is generated if omitted)
+ * @returns {Object} The RNG state `{ seed, cursor }`
+ */
+export function createRngState(seed) {
+  return {
+    seed: seed === undefined || seed === null ? generateSeed() : normalizeSeed(seed),
+    cursor: 0,
+  };
+}
+
+/**
+ * Computes the pseudo-random value at a given cursor position
+ * @param {number} seed - The normalized seed
+ * @param {number} cursor - The draw index
+ * @returns {number} A float in [0, 1)
+ */
+function valueAt(seed, cursor) {
+  let t = (seed + Math.imul(cursor + 1, 0x6d2b79f5)) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+}
+
+/**
+ * Draws the next random number from the game state's RNG. The state is not
+ * changed: the returned `state` is a copy with the cursor advanced, and callers
+ * carry it forward in place of the one they passed. States without an RNG (e.g.
+ * hand-built test states) fall back to `Math.random()` and are returned as is.
+ * @param {Object} gameState - The game state holding `rng`
+ * @returns {Object} `{ value, state }`: a float in [0, 1) and the advanced state
+ */
+export function random(gameState) {
+  if (!gameState || !gameState.rng) {
+    return { value: Math.random(), state: gameState };
+  }
+
+  const { seed, cursor } = gameState.rng;
+  return {
+    value: valueAt(seed, cursor),
+    state: { ...gameState, rng: { ...gameState.rng, cursor: cursor + 1 } },
+  };
+}
+
+/**
+ * Draws a random integer between min and max (both inclusive)
+ * @param {Object} gameState - The game state holding `rng`
+ * @param {number} min - Lowest possible value
+ * @param {number} max - Highest possible value
+ * @returns {Object} `{ value, state }`: the random integer and the advanced state
+ */
+export function randomInt(gameState, min, max) {
+  const { value, state } = random(gameState);
+  return { value: Math.floor(value * (max - min + 1)) + min, state };
+}
+
+/**
+ * Draws a random index into a collection of the given length
+ * @param {Object} gameState - The game state holding `rng`
+ * @param {number} length - Collection length
+ * @returns {Object} `{ value, state }`: an index in [0, length) and the advanced
+ *   state
+ */
+export function randomIndex(gameState, length) {
+  const { value, state } = random(gameState);
+  return { value: Math.floor(value * length), state };
+}
@@ -0,0 +1,115 @@
+/**
+ * State History module for the survival game.
+ * This module keeps a bounded history of game state snapshots for undo.
+ * Snapshots are stored in a ring buffer: once `limit` snapshots are held, taking a
+ * new one overwrites the oldest. A limit of 0 disables undo (hardcore runs).
+ *
+ * Snapshots are deep copies, so later changes to the live state (including in-place
+ * changes by modules that bypass the store, see src/core/store.js) never leak into
+ * the history. The RNG cursor and the
+ * event log live on the game state and are restored with it.
+ */
+
+export const DEFAULT_UNDO_LIMIT = 10;
+
+/**
+ * Deep copies a game state. Arrays and plain objects are copied; functions and
+ * other values (module methods, class instances) are shared by reference.
+ * @param {*} value - The value to copy
+ * @returns {*} The copied value
+ */
+export function cloneState(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => cloneState(item));
+  }
+
+  if (value !== null && typeof value === "object") {
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = cloneState(item);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * Bounded undo history of game state snapshots
+ */
+export class StateHistory {
+  /**
+   * @param {number} limit - Maximum number of snapshots kept (0 disables undo)
+   */
+  constructor(limit = DEFAULT_UNDO_LIMIT) {
+    this.limit = Number.isFinite(limit)
+      ? Math.max(0, Math.floor(limit))
+      : DEFAULT_UNDO_LIMIT;
+    this.clear();
+  }
+
+  /**
+   * Whether undo is enabled at all
+   * @returns {boolean} True if the history can hold snapshots
+   */
+  get enabled() {
+    return this.limit > 0;
+  }
+
+  /**
+   * Number of snapshots currently held
+   * @returns {number} The number of undo steps available
+   */
+  get size() {
+    return this.count;
+  }
+
+  /**
+   * Take a snapshot of the state before a player action
+   * @param {Object} gameState - The game state to snapshot
+   */
+  push(gameState) {
+    if (!this.enabled) return;
+
+    this.buffer[this.head] = cloneState(gameState);
+    this.head = (this.head + 1) % this.limit;
+    this.count = Math.min(this.count + 1, this.limit);
+  }
+
+  /**
+   * Check whether a snapshot is available
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.count > 0;
+  }
+
+  /**
+   * Remove and return the most recent snapshot
+   * @returns {Object|null} The game state before the last action, or null
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+
+    this.head = (this.head - 1 + this.limit) % this.limit;
+    const snapshot = this.buffer[this.head];
+    this.buffer[this.head] = undefined;
+    this.count--;
+
+    return snapshot;
+  }
+
+  /**
+   * Drop all snapshots (e.g. when a new game starts)
+   */
+  clear() {
+    this.buffer = new Array(this.limit);
+    this.head = 0;
+    this.count = 0;
+  }
+}
@@ -1,4 +1,19 @@
-import { updateUI } from "../core/updateUI.js";
+/**
+ * System Selection module for the survival game.
+ * This module holds the selection-mode state machine used by active systems and
+ * events that ask the player to pick systems. It only updates the game state;
+ * the browser shell renders the selection overlay from `systemSelectionMode`.
+ *
+ * The module that asks for a selection should pass itself as `owner` and implement
+ * `onSystemsSelected(selectedSystems, gameState)` (and optionally
+ * `canSelectSystem(system, gameState)`). Unlike `callback`/`systemFilter` closures,
+ * an owner survives saving and reloading the game.
+ */
+
+import { emitEffect } from "./presentationEffects.js";
+import { addLogEntry } from "./eventLog.js";
+import { gainResources, describeResources } from "./resources.js";
+import { refundActionPoints, describeActionPoints } from "./actionPoints.js";
 
 /**
  * Enter system selection mode with type-based filtering and customizable options.
@@ -14,18 +29,17 @@ export function enterSystemSelectionMode(gameState, config, options = {}) {
     allowedTypes: options.allowedTypes,
     multiSelect: options.multiSelect || false,
     maxSelections: options.maxSelections || null,
-    callback: options.callback || null,
+    owner: options.owner || null, // Module handling the selection (onSystemsSelected/canSelectSystem)
+    callback: options.callback || null, // Legacy closure; not restored when a saved game is loaded
     message: options.message || "Select systems...",
-    systemFilter: options.systemFilter || null,
+    systemFilter: options.systemFilter || null, // Legacy closure; not restored when a saved game is loaded
     showCancelButton: options.showCancelButton !== false,
     associatedEvent: options.associatedEvent || null, // Event that triggered this selection
-    config: config, // Store config for later use in confirmSystemSelection
   };
   updatedState.selectedSystems = [];
   updatedState.message = options.message || "Select systems...";
   updatedState.interactiveMode = true;
 
-  updateUI(updatedState, config);
   return updatedState;
 }
 
@@ -38,10 +52,29 @@ export function exitSystemSelectionMode(gameState) {
   updatedState.systemSelectionOptions = null;
   updatedState.selectedSystems = null;
   updatedState.interactiveMode = false;
-  removeSelectionUI();
   return updatedState;
 }
 
+/**
+ * Check whether a system can be picked in the current selection mode.
+ * @param {Object} gameState - The current game state
+ * @param {Object} system - The system to check
+ * @returns {boolean} True if the system is selectable
+ */
+export function isSystemSelectable(gameState, system) {
+  const options = gameState.systemSelectionOptions;
+  if (!gameState.systemSelectionMode || !options) return false;
+
+  if (!options.allowedTypes.includes(system.type || "normal")) return false;
+
+  const owner = options.owner;
+  if (owner && typeof owner.canSelectSystem === "function") {
+    return owner.canSelectSystem(system, gameState);
+  }
+
+  return !options.systemFilter || options.systemFilter(system);
+}
+
 /**
  * Handle system selection/deselection.
  */
@@ -90,12 +123,21 @@ export async function confirmSystemSelection(gameState) {
   if (!gameState.systemSelectionMode) return gameState;
 
   const selectedSystems = gameState.selectedSystems || [];
+  const owner = gameState.systemSelectionOptions.owner;
   const callback = gameState.systemSelectionOptions.callback;
   const associatedEvent = gameState.systemSelectionOptions.associatedEvent;
-  const config = gameState.systemSelectionOptions.config; // Get stored config
   let updatedState = { ...gameState };
 
-  if (callback && typeof callback === "function") {
+  if (owner && typeof owner.onSystemsSelected === "function") {
+    try {
+      const result = await owner.onSystemsSelected(selectedSystems, updatedState);
+      if (result && typeof result === "object") {
+        updatedState = result;
+      }
+    } catch (error) {
+      console.error("Error in system selection owner:", error);
+    }
+  } else if (callback && typeof callback === "function") {
     try {
       const result = await callback(selectedSystems, updatedState);
       if (result && typeof result === "object") {
@@ -112,19 +154,19 @@ export async function confirmSystemSelection(gameState) {
   }
 
   // Check if this was triggered by an event with display configuration
-  const uiOptions = {};
   if (associatedEvent && associatedEvent.display) {
     if (associatedEvent.display.logEvent) {
-      uiOptions.eventToLog = updatedState.message;
+      updatedState = addLogEntry(updatedState, updatedState.message);
     }
     if (associatedEvent.display.showToast) {
-      uiOptions.showToast = {
-        description: updatedState.message,
-        isPositive: associatedEvent.isPositive,
-      };
+      updatedState = emitEffect(updatedState, "toast", {
+        event: {
+          description: updatedState.message,
+          isPositive: associatedEvent.isPositive,
+        },
+      });
     }
   }
-  updateUI(updatedState, config, uiOptions);
   return updatedState;
 }
 
@@ -134,28 +176,23 @@ export async function confirmSystemSelection(gameState) {
 export function cancelSystemSelection(gameState) {
   if (!gameState.systemSelectionMode) return gameState;
 
-  const updatedState = exitSystemSelectionMode(gameState);
+  // Give back what the action that started the selection cost (see playerActions.js)
+  const refund = gameState.systemSelectionOptions?.refund;
+  const refundPoints = gameState.systemSelectionOptions?.refundActionPoints;
+  let updatedState = exitSystemSelectionMode(gameState);
   updatedState.message = "System selection cancelled";
-  updateUI(updatedState);
-  return updatedState;
-}
 
-/**
- * Remove selection UI elements from the DOM.
- */
-function removeSelectionUI() {
-  // Remove selection overlay
-  const overlay = document.getElementById("system-selection-overlay");
-  if (overlay) {
-    overlay.remove();
+  const refunded = [];
+  if (refund && Object.values(refund).some((amount) => amount > 0)) {
+    updatedState = gainResources(updatedState, refund);
+    refunded.push(describeResources(refund));
   }
-
-  // Remove selection controls
-  const controls = document.getElementById("system-selection-controls");
-  if (controls) {
-    controls.remove();
+  if (refundPoints) {
+    updatedState = refundActionPoints(updatedState, refundPoints);
+    refunded.push(describeActionPoints(refundPoints));
   }
-
-  // Remove selection classes from body
-  document.body.classList.remove("system-selection-active");
+  if (refunded.length > 0) {
+    updatedState.message += ` (refunded ${refunded.join(", ")})`;
+  }
+  return updatedState;
 }
@@ -4,12 +4,26 @@
  * Events can occur at the start of each turn with a certain probability.
  * Positive events help the player, while negative events hinder progress.
  * The event system adds unpredictability and strategic depth to the game.
+ * The event is drawn by weight from the events of its pool that are eligible this
+ * turn (cooldowns, occurrence limits and turn windows, see eventTable.js), and
+ * recorded in `gameState.eventHistory`. Events with a `duration` keep acting on the
+ * following turns through `tickActiveEvents` (see activeEvents.js).
  *
  * @param {Object} gameState - The current game state object.
  * @param {Object} config - The game configuration containing events arrays.
  * @returns {Object} The updated game state after applying any triggered event.
  */
-import { getDamageModifier } from "./damageModifiers.js";
+import { getDamageModifier, reduceDamage } from "./damageModifiers.js";
+import { random } from "./rng.js";
+import { pickWeightedEvent, recordEventOccurrence } from "./eventTable.js";
+import { startActiveEvent, resolveActiveEvent } from "./activeEvents.js";
+import { addLogEntry } from "./eventLog.js";
+import { dispatch, setSystemHealth } from "../core/store.js";
+import {
+  dispatchHook,
+  snapshotHealth,
+  dispatchSystemFailures,
+} from "./lifecycleHooks.js";
 export async function triggerEvent(gameState, config) {
   // Validate inputs
   if (!gameState || !config) {
@@ -26,42 +40,42 @@ export async function triggerEvent(gameState, config) {
     typeof config.eventChance === "number" ? config.eventChance : 0.3;
 
   // Check if an event should trigger
-  if (Math.random() < eventChance) {
+  const eventRoll = random(updatedState);
+  updatedState = eventRoll.state;
+  if (eventRoll.value < eventChance) {
     // Determine if it's positive or negative (default 50/50 chance)
     // Can be overridden by `config.positiveEventProbability` (0..1)
     const positiveProbability =
       typeof config.positiveEventProbability === "number"
         ? config.positiveEventProbability
         : 0.5;
-    const isPositive = Math.random() < positiveProbability;
-    let selectedEvent;
-
-    if (
-      isPositive &&
-      config.positiveEvents &&
-      config.positiveEvents.length > 0
-    ) {
-      // Select a random positive event
-      const randomIndex = Math.floor(
-        Math.random() * config.positiveEvents.length
-      );
-      selectedEvent = config.positiveEvents[randomIndex];
-    } else if (
-      !isPositive &&
-      config.negativeEvents &&
-      config.negativeEvents.length > 0
-    ) {
-      // Select a random negative event
-      const randomIndex = Math.floor(
-        Math.random() * config.negativeEvents.length
-      );
-      selectedEvent = config.negativeEvents[randomIndex];
-    }
+    const poolRoll = random(updatedState);
+    updatedState = poolRoll.state;
+    const isPositive = poolRoll.value < positiveProbability;
+
+    // Draw an event from the pool by weight, skipping events that are cooling
+    // down, used up or outside their turns (see eventTable.js)
+    const draw = pickWeightedEvent(
+      updatedState,
+      isPositive ? config.positiveEvents : config.negativeEvents
+    );
+    updatedState = draw.state;
+    const selectedEvent = draw.event;
 
     // Apply the selected event if one was chosen
     if (selectedEvent) {
       // Add isPositive flag to the event for UI detection
       selectedEvent.isPositive = isPositive;
+      updatedState = recordEventOccurrence(
+        updatedState,
+        selectedEvent,
+        isPositive
+      );
+
+      // Let modules prepare for the event (e.g. raise shields)
+      updatedState = await dispatchHook("beforeEvent", updatedState, config, {
+        event: selectedEvent,
+      });
 
       // Check if this is an interactive event
       if (selectedEvent.interactive) {
@@ -88,42 +102,28 @@ export async function triggerEvent(gameState, config) {
         // Update the message to describe the event
         updatedState.message = selectedEvent.description;
 
-        // Apply the event's effect to the game state
-        const stateAfterEventApplication = await selectedEvent.apply(
-          updatedState
+        // Apply the event (the first tick of a multi-turn event)
+        updatedState = await applyEventEffect(
+          updatedState,
+          selectedEvent,
+          isPositive,
+          config,
+          {
+            number: 1,
+            duration: selectedEvent.duration || 1,
+            turnsLeft: (selectedEvent.duration || 1) - 1,
+          }
+        );
+        updatedState = startActiveEvent(
+          updatedState,
+          selectedEvent,
+          isPositive
         );
 
-        // Apply damage modifiers for negative events
-        if (!isPositive) {
-          updatedState = applyDamageModifiersToEvent(
-            stateAfterEventApplication,
-            updatedState,
-            selectedEvent
-          );
-        } else {
-          updatedState = stateAfterEventApplication;
-        }
-
-        // Check for critical system failures after event damage
-        for (const system of updatedState.systems) {
-          if (system.critical && system.health <= 0 && !updatedState.gameOver) {
-            updatedState.gameOver = true;
-            updatedState.message = `${system.name} has failed! Game Over.`;
-            break; // Only need to check until first critical failure
-          }
-        }
-
-        // Allow systems to react to the event
-        for (const system of updatedState.systems) {
-          if (system.onEvent) {
-            updatedState = system.onEvent(
-              updatedState,
-              selectedEvent,
-              config,
-              stateBeforeEvent
-            );
-          }
-        }
+        updatedState = await dispatchHook("afterEvent", updatedState, config, {
+          event: selectedEvent,
+          stateBeforeEvent,
+        });
 
         // Store the triggered event for return
         triggeredEvent = selectedEvent;
@@ -131,6 +131,9 @@ export async function triggerEvent(gameState, config) {
         // Log the event for debugging
         console.log("Event triggered:", selectedEvent.description);
       }
+    } else {
+      // Every event of the pool is cooling down, used up or out of its turns
+      updatedState.message = "No unusual events this turn.";
     }
   } else {
     // No event triggered, update message accordingly
@@ -145,12 +148,99 @@ export async function triggerEvent(gameState, config) {
 }
 
 /**
- * Applies damage modifiers to negative event effects
- * @param {Object} stateAfterEvent - State after event application
- * @param {Object} stateBeforeEvent - State before event application
- * @param {Object} event - The event that was applied
- * @returns {Object} The updated game state with damage modifiers applied
+ * Applies the next tick of every running multi-turn event (see activeEvents.js).
+ * Each tick runs like a fired event: damage modifiers, `onSystemFailed` and the
+ * systems' `onEvent(state, event, config, stateBeforeEvent, tick)` handlers apply.
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration
+ * @returns {Promise<Object>} The updated game state
+ */
+export async function tickActiveEvents(gameState, config) {
+  let updatedState = { ...gameState };
+  const remaining = [];
+
+  for (const entry of gameState.activeEvents || []) {
+    const event = resolveActiveEvent(entry, config);
+    if (!event || updatedState.gameOver) continue;
+
+    const tick = {
+      number: entry.duration - entry.turnsLeft + 1,
+      duration: entry.duration,
+      turnsLeft: entry.turnsLeft - 1,
+    };
+    updatedState = await applyEventEffect(
+      updatedState,
+      event,
+      entry.positive,
+      config,
+      tick
+    );
+    updatedState = addLogEntry(
+      updatedState,
+      `${entry.name} continues (${tick.number}/${tick.duration})`
+    );
+
+    if (tick.turnsLeft > 0) {
+      remaining.push({ ...entry, turnsLeft: tick.turnsLeft });
+    }
+  }
+
+  return { ...updatedState, activeEvents: remaining };
+}
+
+/**
+ * Applies an event's effect: the event's `apply(state, tick)`, damage modifiers
+ * for hand-coded negative events, `onSystemFailed` and the systems' `onEvent`
+ * @param {Object} gameState - The current game state
+ * @param {Object} event - The event to apply
+ * @param {boolean} isPositive - Whether it came from the positive pool
+ * @param {Object} config - The game configuration
+ * @param {Object} tick - `{ number, duration, turnsLeft }` of the application
+ * @returns {Promise<Object>} The updated game state
  */
+async function applyEventEffect(gameState, event, isPositive, config, tick) {
+  let updatedState = { ...gameState };
+  const stateBeforeEvent = { ...updatedState };
+  const healthBefore = snapshotHealth(updatedState);
+
+  // Apply the event's effect to the game state
+  const stateAfterEventApplication = await event.apply(updatedState, tick);
+
+  // Apply damage modifiers for hand-coded negative events (events written
+  // as effects already had them applied by the interpreter)
+  if (!isPositive && !event.effects) {
+    updatedState = applyDamageModifiersToEvent(
+      stateAfterEventApplication,
+      updatedState,
+      event
+    );
+  } else {
+    updatedState = stateAfterEventApplication;
+  }
+
+  updatedState = await dispatchSystemFailures(
+    healthBefore,
+    updatedState,
+    config,
+    "event"
+  );
+
+  // Allow systems to react to the event (and to each tick of a multi-turn event)
+  for (const system of updatedState.systems) {
+    if (system.onEvent) {
+      updatedState = system.onEvent(
+        updatedState,
+        event,
+        config,
+        stateBeforeEvent,
+        tick
+      );
+    }
+  }
+
+  return updatedState;
+}
+
 /**
  * Applies damage modifiers to negative event effects
  * @param {Object} stateAfterEvent - State after event application
@@ -178,14 +268,16 @@ function applyDamageModifiersToEvent(stateAfterEvent, stateBeforeEvent, event) {
 
       if (modifier === 0) {
         // System is immune - restore full health
-        updatedState.systems[i].health = originalHealth;
+        updatedState = dispatch(
+          updatedState,
+          setSystemHealth(system.name, originalHealth)
+        );
       } else if (modifier < 1) {
         // Apply damage reduction
-        const modifiedDamage = Math.floor(damageTaken * modifier);
-        const actualDamage = damageTaken - modifiedDamage;
-        updatedState.systems[i].health = Math.max(
-          0,
-          originalHealth - actualDamage
+        const actualDamage = reduceDamage(damageTaken, modifier);
+        updatedState = dispatch(
+          updatedState,
+          setSystemHealth(system.name, originalHealth - actualDamage)
         );
       }
       // If modifier is 1, no change needed (full damage)
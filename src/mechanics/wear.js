@@ -0,0 +1,88 @@
+/**
+ * Wear module for the survival game.
+ * Every system has a maximum health (`maxHealth`, 100 when new) that repairs wear
+ * down: a quick patch costs a little capacity, an overhaul less (see the `wear` of
+ * each repair in src/mechanics/repairTypes.js) and a successful force recovery the
+ * most. Health never goes above the maximum; the store caps it (see
+ * src/core/store.js), so fixes, heals and events all respect wear.
+ *
+ * Capacity never drops below MIN_MAX_HEALTH, so a force recovery (50 health) always
+ * fits. A refit (a repair type) or the Refit Drones event restores it.
+ */
+
+import { dispatch, updateSystem } from "../core/store.js";
+
+export const MAX_HEALTH = 100;
+export const MIN_MAX_HEALTH = 50;
+
+// Capacity lost by a successful force recovery
+export const FORCE_RECOVERY_WEAR = 10;
+
+/**
+ * A system's maximum health
+ * @param {Object} system - The system
+ * @returns {number} Its maximum health (100 for systems that never wore)
+ */
+export function getMaxHealth(system) {
+  return system && typeof system.maxHealth === "number"
+    ? system.maxHealth
+    : MAX_HEALTH;
+}
+
+/**
+ * Sets a system's maximum health (kept within MIN_MAX_HEALTH..MAX_HEALTH) and
+ * lowers its health to fit
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @param {number} maxHealth - The new maximum health
+ * @returns {Object} The updated game state
+ */
+export function setMaxHealth(gameState, systemName, maxHealth) {
+  const system = (gameState.systems || []).find(
+    (system) => system.name === systemName
+  );
+  if (!system) return gameState;
+
+  const capacity = Math.max(
+    MIN_MAX_HEALTH,
+    Math.min(MAX_HEALTH, Math.round(maxHealth))
+  );
+  return dispatch(
+    gameState,
+    updateSystem(systemName, {
+      maxHealth: capacity,
+      health: Math.min(system.health, capacity),
+    })
+  );
+}
+
+/**
+ * Wears a system: its maximum health drops by `amount`
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @param {number} amount - Capacity lost
+ * @returns {Object} The updated game state
+ */
+export function wearSystem(gameState, systemName, amount) {
+  if (!amount) return gameState;
+  const system = (gameState.systems || []).find(
+    (system) => system.name === systemName
+  );
+  if (!system) return gameState;
+  return setMaxHealth(gameState, systemName, getMaxHealth(system) - amount);
+}
+
+/**
+ * Restores a system's lost capacity, all of it by default
+ * @param {Object} gameState - The current game state
+ * @param {string} systemName - The system
+ * @param {number} amount - Capacity restored
+ * @returns {Object} The updated game state
+ */
+export function restoreCapacity(gameState, systemName, amount = MAX_HEALTH) {
+  const system = (gameState.systems || []).find(
+    (system) => system.name === systemName
+  );
+  if (!system) return gameState;
+  return setMaxHealth(gameState, systemName, getMaxHealth(system) + amount);
+}
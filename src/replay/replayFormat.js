@@ -0,0 +1,140 @@
+/**
+ * Replay Format module for the survival game.
+ * A replay is everything needed to re-run a game deterministically: the seed, the
+ * selected systems and events (module IDs), the remaining game settings and the
+ * ordered list of player actions (`gameState.actionLog`, see src/core/playerActions.js).
+ * Replays are plain JSON and can be shared as a link (`replay.html#<code>`).
+ *
+ * Replays recorded before action points used a `wait` action to run the turn
+ * sequence. It is read as `endTurn`, which does the same.
+ */
+
+import { findModule, getModuleId } from "../setup/moduleIds.js";
+
+export const REPLAY_VERSION = 1;
+export const LAST_REPLAY_KEY = "projectApollo.lastReplay";
+
+// Config keys that are stored as selections (or not at all) rather than as settings
+const NON_SETTING_KEYS = [
+  "systems",
+  "positiveEvents",
+  "negativeEvents",
+  "registry",
+  "eventBus",
+  "seed",
+];
+
+// Action types renamed since replays were first recorded: old => current
+const LEGACY_ACTION_TYPES = {
+  wait: "endTurn",
+};
+
+/**
+ * Creates a replay from a game in progress or a finished game
+ * @param {Object} gameState - The current game state
+ * @param {Object} config - The game configuration the run was started with
+ * @returns {Object} The replay object
+ */
+export function createReplay(gameState, config) {
+  const settings = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (NON_SETTING_KEYS.includes(key) || typeof value === "function") continue;
+    settings[key] = value;
+  }
+
+  return {
+    version: REPLAY_VERSION,
+    recordedAt: new Date().toISOString(),
+    seed: gameState.rng.seed,
+    systems: config.systems.map(getModuleId),
+    events: [...config.positiveEvents, ...config.negativeEvents].map(
+      getModuleId
+    ),
+    settings: JSON.parse(JSON.stringify(settings)),
+    actions: gameState.actionLog || [],
+    result: {
+      turn: gameState.turn,
+      maxTurns: gameState.maxTurns,
+      gameOver: gameState.gameOver,
+      win: gameState.win,
+      endedBy: gameState.endedBy || null,
+    },
+  };
+}
+
+/**
+ * Encodes a replay as a URL-safe code
+ * @param {Object} replay - The replay object
+ * @returns {string} The base64url encoded replay
+ */
+export function encodeReplay(replay) {
+  const bytes = new TextEncoder().encode(JSON.stringify(replay));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes a replay code (or a full replay link, or raw replay JSON)
+ * @param {string} text - The replay code, link or JSON
+ * @returns {Object} The replay object
+ */
+export function decodeReplay(text) {
+  let trimmed = String(text).trim();
+
+  let replay;
+  if (trimmed.startsWith("{")) {
+    replay = JSON.parse(trimmed);
+  } else {
+    // Accept full links: only the part after '#' is the code
+    if (trimmed.includes("#")) {
+      trimmed = trimmed.slice(trimmed.indexOf("#") + 1);
+    }
+    const binary = atob(trimmed.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    replay = JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.actions)) {
+    throw new Error("Unsupported replay format");
+  }
+
+  return {
+    ...replay,
+    actions: replay.actions.map((action) =>
+      action && LEGACY_ACTION_TYPES[action.type]
+        ? { ...action, type: LEGACY_ACTION_TYPES[action.type] }
+        : action
+    ),
+  };
+}
+
+/**
+ * Builds the game configuration a replay was recorded with. Replays recorded before
+ * module IDs list system names and event descriptions, which are still matched.
+ * @param {Object} replay - The replay object
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @returns {Promise<Object>} The game configuration for the replay
+ */
+export async function buildReplayConfig(replay, fullConfig) {
+  const { previewGameConfig } = await import("../setup/gameConfig.js");
+
+  const { config } = previewGameConfig(fullConfig, {
+    systems: replay.systems,
+    events: replay.events,
+    settings: replay.settings,
+    seed: replay.seed,
+  });
+
+  const missingSystems = replay.systems.filter(
+    (ref) => !findModule(config.systems, ref)
+  );
+  if (missingSystems.length > 0) {
+    throw new Error(`Replay uses unknown systems: ${missingSystems.join(", ")}`);
+  }
+
+  return config;
+}
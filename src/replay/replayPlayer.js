@@ -0,0 +1,82 @@
+/**
+ * Replay Player module for the survival game.
+ * Re-runs a replay through the headless engine and returns one frame per step:
+ * the starting state followed by the state after each recorded player action.
+ * Frames keep the presentation effects of their step so a viewer can render them.
+ * Each frame's state is a deep copy, so later steps can never change earlier frames.
+ */
+
+import {
+  startGame,
+  applyPlayerAction,
+  takeEffects,
+  PLAYER_ACTIONS,
+} from "../core/engine.js";
+import { cloneState } from "../mechanics/stateHistory.js";
+import { REPAIR_TYPES, DEFAULT_REPAIR } from "../mechanics/repairTypes.js";
+
+/**
+ * Re-runs a replay and collects its frames
+ * @param {Object} replay - The replay object
+ * @param {Object} config - The game configuration built for the replay
+ * @returns {Promise<Array>} Frames `{ state, effects, action }`; the first frame has no action
+ */
+export async function buildReplayFrames(replay, config) {
+  const frames = [];
+
+  let drained = takeEffects(await startGame(config));
+  frames.push({
+    state: cloneState(drained.state),
+    effects: drained.effects,
+    action: null,
+  });
+
+  for (const action of replay.actions) {
+    const nextState = await applyPlayerAction(drained.state, config, action);
+    drained = takeEffects(nextState);
+    frames.push({ state: cloneState(drained.state), effects: drained.effects, action });
+  }
+
+  return frames;
+}
+
+/**
+ * Describes a replay action for display
+ * @param {Object|null} action - The player action
+ * @returns {string} A short description
+ */
+export function describeAction(action) {
+  if (!action) return "Game start";
+
+  switch (action.type) {
+    case PLAYER_ACTIONS.FIX: {
+      // Replays recorded before repair types have no `repair`: an overhaul
+      const repairType = REPAIR_TYPES[action.repair || DEFAULT_REPAIR];
+      return repairType
+        ? `${repairType.label}: ${action.systemName}`
+        : `Fix ${action.systemName} (${action.repair})`;
+    }
+    case PLAYER_ACTIONS.FORCE_RECOVERY:
+      return `Force recovery on ${action.systemName}`;
+    case PLAYER_ACTIONS.SYSTEM_ACTION:
+      return `${action.systemName}: ${action.action}`;
+    case PLAYER_ACTIONS.CONFIRM_SELECTION:
+      return `Select ${(action.systems || []).join(", ") || "nothing"}`;
+    case PLAYER_ACTIONS.CANCEL_SELECTION:
+      return "Cancel selection";
+    case PLAYER_ACTIONS.CONFIRM_INTERACTIVE:
+      return "Confirm event";
+    case PLAYER_ACTIONS.CANCEL_INTERACTIVE:
+      return "Cancel event";
+    case PLAYER_ACTIONS.CANCEL_REPAIR:
+      return `Cancel ${action.systemName} repair`;
+    case PLAYER_ACTIONS.MOVE_REPAIR:
+      return `Move ${action.systemName} repair to queue position ${
+        action.position + 1
+      }`;
+    case PLAYER_ACTIONS.END_TURN:
+      return "End turn";
+    default:
+      return action.type;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Replay Viewer module for the survival game.
+ * Entry point of the replay page. It loads a replay from the URL hash (or the last
+ * finished run), re-runs it through the headless engine and lets the player step
+ * through it with play/pause/step controls and a turn scrubber.
+ */
+
+// Presentation effects worth showing while watching (popups and selection controls are not)
+const REPLAY_EFFECTS = ["eventTriggered", "toast", "shakeSystem"];
+const PLAYBACK_INTERVAL_MS = 1000;
+
+export async function initializeReplay() {
+  const loadingOverlay = document.getElementById("loading-overlay");
+  try {
+    // Import required modules
+    const { loadGameModules } = await import("../../registry.js");
+    const {
+      decodeReplay,
+      encodeReplay,
+      buildReplayConfig,
+      LAST_REPLAY_KEY,
+    } = await import("./replayFormat.js");
+    const { buildReplayFrames, describeAction } = await import(
+      "./replayPlayer.js"
+    );
+    const { presentState } = await import("../core/ui/effectRenderer.js");
+
+    attachLoaderControls(decodeReplay, encodeReplay);
+
+    const replay = readReplay(decodeReplay, LAST_REPLAY_KEY);
+    if (!replay) {
+      setMessage("No replay loaded. Paste a replay link or code to watch it.");
+      return;
+    }
+
+    // Re-run the replay through the engine
+    const fullConfig = await loadGameModules();
+    const config = await buildReplayConfig(replay, fullConfig);
+    const frames = await buildReplayFrames(replay, config);
+    console.log(`Replay loaded: ${frames.length - 1} actions`);
+
+    renderSummary(replay, config);
+
+    // DOM elements
+    const playButton = document.getElementById("replay-play");
+    const stepBackButton = document.getElementById("replay-step-back");
+    const stepForwardButton = document.getElementById("replay-step-forward");
+    const scrubber = document.getElementById("replay-scrubber");
+    const stepLabel = document.getElementById("replay-step-label");
+    const actionLabel = document.getElementById("replay-action-label");
+
+    const lastFrame = frames.length - 1;
+    let currentFrame = 0;
+    let playTimer = null;
+
+    scrubber.max = String(lastFrame);
+
+    /**
+     * Render a frame; effects (toasts, shakes) are only shown when stepping forward
+     */
+    function showFrame(index, { withEffects = false } = {}) {
+      currentFrame = Math.max(0, Math.min(lastFrame, index));
+      const frame = frames[currentFrame];
+      const effects = withEffects
+        ? frame.effects.filter((effect) => REPLAY_EFFECTS.includes(effect.type))
+        : [];
+
+      presentState({ ...frame.state, pendingEffects: effects }, config);
+
+      scrubber.value = String(currentFrame);
+      stepLabel.textContent = `Step ${currentFrame} / ${lastFrame} · Turn ${frame.state.turn}`;
+      actionLabel.textContent = describeAction(frame.action);
+      stepBackButton.disabled = currentFrame === 0;
+      stepForwardButton.disabled = currentFrame === lastFrame;
+    }
+
+    function pause() {
+      clearInterval(playTimer);
+      playTimer = null;
+      playButton.innerHTML = `<i class="fas fa-play"></i>`;
+      playButton.title = "Play";
+    }
+
+    function play() {
+      if (currentFrame === lastFrame) {
+        showFrame(0);
+      }
+      playButton.innerHTML = `<i class="fas fa-pause"></i>`;
+      playButton.title = "Pause";
+      playTimer = setInterval(() => {
+        showFrame(currentFrame + 1, { withEffects: true });
+        if (currentFrame === lastFrame) {
+          pause();
+        }
+      }, PLAYBACK_INTERVAL_MS);
+    }
+
+    playButton.addEventListener("click", () => {
+      if (playTimer) {
+        pause();
+      } else {
+        play();
+      }
+    });
+
+    stepBackButton.addEventListener("click", () => {
+      pause();
+      showFrame(currentFrame - 1);
+    });
+
+    stepForwardButton.addEventListener("click", () => {
+      pause();
+      showFrame(currentFrame + 1, { withEffects: true });
+    });
+
+    scrubber.addEventListener("input", () => {
+      pause();
+      showFrame(Number(scrubber.value));
+    });
+
+    showFrame(0);
+  } catch (error) {
+    console.error("Failed to initialize replay:", error);
+    setMessage("Error loading replay. Check the replay link and try again.");
+  } finally {
+    // Hide loading overlay
+    if (loadingOverlay) {
+      loadingOverlay.classList.add("hidden");
+    }
+  }
+}
+
+/**
+ * Read the replay from the URL hash, falling back to the last finished run
+ * @param {Function} decodeReplay - Replay decoder
+ * @param {string} lastReplayKey - localStorage key of the last replay
+ * @returns {Object|null} The replay, or null if none is available
+ */
+function readReplay(decodeReplay, lastReplayKey) {
+  const code = window.location.hash.slice(1);
+  if (code) {
+    return decodeReplay(code);
+  }
+
+  const lastReplay = localStorage.getItem(lastReplayKey);
+  return lastReplay ? decodeReplay(lastReplay) : null;
+}
+
+/**
+ * Attach the paste/load and copy link controls
+ * @param {Function} decodeReplay - Replay decoder
+ * @param {Function} encodeReplay - Replay encoder
+ */
+function attachLoaderControls(decodeReplay, encodeReplay) {
+  const input = document.getElementById("replay-input");
+  const loadButton = document.getElementById("replay-load-button");
+  const copyButton = document.getElementById("replay-copy-button");
+
+  if (loadButton && input) {
+    loadButton.addEventListener("click", () => {
+      try {
+        const replay = decodeReplay(input.value);
+        window.location.hash = encodeReplay(replay);
+        window.location.reload();
+      } catch (error) {
+        console.error("Invalid replay:", error);
+        setMessage("That is not a valid replay link or code.");
+      }
+    });
+  }
+
+  if (copyButton) {
+    copyButton.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(window.location.href);
+        setMessage("Replay link copied to the clipboard.");
+      } catch (error) {
+        console.error("Failed to copy replay link:", error);
+      }
+    });
+  }
+}
+
+/**
+ * Render the replay summary panel
+ * @param {Object} replay - The replay object
+ * @param {Object} config - The replay's game configuration
+ */
+function renderSummary(replay, config) {
+  const summary = document.getElementById("replay-summary");
+  if (!summary) return;
+
+  const { result } = replay;
+  const outcome = !result.gameOver
+    ? "In progress"
+    : result.win
+    ? "Survived"
+    : "Failed";
+
+  // Replays come from shared links, so build the summary as text only
+  summary.innerHTML = "";
+  [
+    `Seed: ${replay.seed}`,
+    `Result: ${outcome} (turn ${result.turn} / ${result.maxTurns})`,
+    ...(result.endedBy ? [`Ended by: ${result.endedBy.description}`] : []),
+    `Actions: ${replay.actions.length}`,
+    `Systems: ${config.systems.map((system) => system.name).join(", ")}`,
+  ].forEach((line) => {
+    const row = document.createElement("div");
+    row.textContent = line;
+    summary.appendChild(row);
+  });
+}
+
+/**
+ * Show a message in the message display
+ * @param {string} text - The message
+ */
+function setMessage(text) {
+  const messageSpan = document.querySelector("#message-display span");
+  if (messageSpan) {
+    messageSpan.textContent = text;
+  }
+}
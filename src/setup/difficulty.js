@@ -0,0 +1,228 @@
+/**
+ * Difficulty module for the survival game.
+ * A difficulty bundles the tuning knobs the engine already reads from the config:
+ *
+ *   {
+ *     eventChance: 0.3,                       // Chance of an event each turn
+ *     positiveEventProbability: 0.5,          // Share of events that are positive
+ *     initialHealthRange: { min: 50, max: 100 }, // Starting health of normal systems
+ *     turnsPerSystem: 5,                      // Rescue time per selected system
+ *     forceRecoveryChance: 0.1,               // Chance a force recovery succeeds
+ *     undoLimit: 10,                          // Undo steps kept (0 disables undo)
+ *   }
+ *
+ * The setup page offers the Easy, Normal and Hard presets and a Custom editor.
+ * The choice travels to the game page in the URL (`?difficulty=hard`, plus every
+ * setting for custom difficulties) and is applied to the config with
+ * `applyDifficulty`. Normal matches the engine's defaults.
+ */
+
+import { DEFAULT_UNDO_LIMIT } from "../mechanics/stateHistory.js";
+
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    label: "Easy",
+    settings: {
+      eventChance: 0.25,
+      positiveEventProbability: 0.65,
+      initialHealthRange: { min: 70, max: 100 },
+      turnsPerSystem: 4,
+      forceRecoveryChance: 0.2,
+      undoLimit: DEFAULT_UNDO_LIMIT,
+    },
+  },
+  normal: {
+    label: "Normal",
+    settings: {
+      eventChance: 0.3,
+      positiveEventProbability: 0.5,
+      initialHealthRange: { min: 50, max: 100 },
+      turnsPerSystem: 5,
+      forceRecoveryChance: 0.1,
+      undoLimit: DEFAULT_UNDO_LIMIT,
+    },
+  },
+  hard: {
+    label: "Hard",
+    settings: {
+      eventChance: 0.4,
+      positiveEventProbability: 0.35,
+      initialHealthRange: { min: 40, max: 80 },
+      turnsPerSystem: 6,
+      forceRecoveryChance: 0.05,
+      undoLimit: 1,
+    },
+  },
+};
+
+export const DEFAULT_DIFFICULTY = "normal";
+
+// URL parameter of each setting (the health range uses healthMin/healthMax)
+const SETTING_PARAMS = {
+  eventChance: "eventChance",
+  positiveEventProbability: "positiveChance",
+  turnsPerSystem: "turnsPerSystem",
+  forceRecoveryChance: "recoveryChance",
+  undoLimit: "undo",
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Copies a preset's settings
+ * @param {string} id - The preset id (easy, normal or hard)
+ * @returns {Object} The settings (Normal's for unknown ids)
+ */
+export function getPresetSettings(id) {
+  const preset =
+    DIFFICULTY_PRESETS[id] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+  return {
+    ...preset.settings,
+    initialHealthRange: { ...preset.settings.initialHealthRange },
+  };
+}
+
+/**
+ * Brings settings into range: chances to 0..1, health to 1..100 with min <= max,
+ * at least 1 turn per system and a whole, non-negative undo limit
+ * @param {Object} settings - The settings (missing values fall back to Normal)
+ * @returns {Object} The normalized settings
+ */
+export function normalizeDifficulty(settings) {
+  const fallback = getPresetSettings(DEFAULT_DIFFICULTY);
+  const number = (value, defaultValue) =>
+    Number.isFinite(value) ? value : defaultValue;
+  const range = settings.initialHealthRange || {};
+  const min = clamp(
+    Math.round(number(range.min, fallback.initialHealthRange.min)),
+    1,
+    100
+  );
+  const max = clamp(
+    Math.round(number(range.max, fallback.initialHealthRange.max)),
+    min,
+    100
+  );
+
+  return {
+    eventChance: clamp(
+      number(settings.eventChance, fallback.eventChance),
+      0,
+      1
+    ),
+    positiveEventProbability: clamp(
+      number(
+        settings.positiveEventProbability,
+        fallback.positiveEventProbability
+      ),
+      0,
+      1
+    ),
+    initialHealthRange: { min, max },
+    turnsPerSystem: Math.max(
+      1,
+      Math.round(number(settings.turnsPerSystem, fallback.turnsPerSystem))
+    ),
+    forceRecoveryChance: clamp(
+      number(settings.forceRecoveryChance, fallback.forceRecoveryChance),
+      0,
+      1
+    ),
+    undoLimit: Math.max(
+      0,
+      Math.floor(number(settings.undoLimit, fallback.undoLimit))
+    ),
+  };
+}
+
+/**
+ * Builds a difficulty from a preset id, or a custom one from settings
+ * @param {string} id - easy, normal, hard or custom
+ * @param {Object} settings - The settings of a custom difficulty
+ * @returns {Object} `{ id, label, settings }`
+ */
+export function createDifficulty(id, settings = {}) {
+  if (DIFFICULTY_PRESETS[id]) {
+    return {
+      id,
+      label: DIFFICULTY_PRESETS[id].label,
+      settings: getPresetSettings(id),
+    };
+  }
+  return {
+    id: "custom",
+    label: "Custom",
+    settings: normalizeDifficulty(settings),
+  };
+}
+
+/**
+ * URL parameters carrying a difficulty to the game page
+ * @param {Object} difficulty - `{ id, settings }`
+ * @returns {Object} Parameters for URLSearchParams
+ */
+export function difficultyToParams(difficulty) {
+  const params = { difficulty: difficulty.id };
+  const { settings } = difficulty;
+
+  // Presets only need their id
+  if (difficulty.id !== "custom") return params;
+  Object.entries(SETTING_PARAMS).forEach(([key, param]) => {
+    params[param] = String(settings[key]);
+  });
+  params.healthMin = String(settings.initialHealthRange.min);
+  params.healthMax = String(settings.initialHealthRange.max);
+  return params;
+}
+
+/**
+ * Reads the difficulty from the game page's URL parameters. Links without a
+ * difficulty play Normal; an `undo` parameter overrides the preset's undo limit.
+ * @param {URLSearchParams} urlParams - The page's parameters
+ * @returns {Object} `{ id, label, settings }`
+ */
+export function difficultyFromParams(urlParams) {
+  const id = urlParams.get("difficulty") || DEFAULT_DIFFICULTY;
+  const read = (param) =>
+    urlParams.has(param) ? Number(urlParams.get(param)) : undefined;
+
+  let difficulty;
+  if (DIFFICULTY_PRESETS[id]) {
+    difficulty = createDifficulty(id);
+  } else {
+    const settings = {};
+    Object.entries(SETTING_PARAMS).forEach(([key, param]) => {
+      settings[key] = read(param);
+    });
+    settings.initialHealthRange = {
+      min: read("healthMin"),
+      max: read("healthMax"),
+    };
+    difficulty = createDifficulty("custom", settings);
+  }
+
+  // Links from before difficulties only carry the undo limit
+  const undoLimit = read("undo");
+  if (Number.isFinite(undoLimit)) {
+    difficulty.settings = normalizeDifficulty({
+      ...difficulty.settings,
+      undoLimit,
+    });
+  }
+  return difficulty;
+}
+
+/**
+ * Applies a difficulty's settings to a game config
+ * @param {Object} config - The game configuration
+ * @param {Object} difficulty - `{ id, label, settings }`
+ * @returns {Object} The config with the settings and `difficulty: { id, label }`
+ */
+export function applyDifficulty(config, difficulty) {
+  return {
+    ...config,
+    ...difficulty.settings,
+    initialHealthRange: { ...difficulty.settings.initialHealthRange },
+    difficulty: { id: difficulty.id, label: difficulty.label },
+  };
+}
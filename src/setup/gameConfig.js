@@ -0,0 +1,191 @@
+/**
+ * Game Config module for the survival game.
+ * Turns the player's selections into the config a game runs with. The setup page
+ * previews it, the game page and the replay viewer start games with it, so the
+ * rescue time and settings shown during setup are the ones the game uses:
+ *
+ *   resolveGameConfig(fullConfig, {
+ *     systems: ["lifeSupport", "power", "shields"],  // Module IDs
+ *     events: ["meteorShower"],
+ *     difficulty: createDifficulty("hard"),          // Defaults to Normal
+ *     settings: { eventChance: 0.5 },                // Overrides (e.g. from a replay)
+ *     seed: "42",
+ *   });
+ *
+ * The resolved config holds the selected modules, every difficulty setting
+ * (see difficulty.js) and `maxTurns`, computed by `getRescueTurns`. Selections are
+ * module IDs (see moduleIds.js); system names and event descriptions from older
+ * links and replays are still accepted.
+ */
+
+import {
+  createDifficulty,
+  applyDifficulty,
+  difficultyFromParams,
+  difficultyToParams,
+  DEFAULT_DIFFICULTY,
+} from "./difficulty.js";
+import { findModule, getModuleId } from "./moduleIds.js";
+
+export const SYSTEM_LIMITS = { min: 3, max: 8 };
+export const DEFAULT_TURNS_PER_SYSTEM = 5;
+
+/**
+ * Rescue time: the number of turns to survive
+ * @param {number} systemCount - Number of systems in the game
+ * @param {number} turnsPerSystem - Turns each system adds (default 5)
+ * @returns {number} The turn on which rescue arrives
+ */
+export function getRescueTurns(
+  systemCount,
+  turnsPerSystem = DEFAULT_TURNS_PER_SYSTEM
+) {
+  const perSystem =
+    typeof turnsPerSystem === "number"
+      ? turnsPerSystem
+      : DEFAULT_TURNS_PER_SYSTEM;
+  return systemCount * perSystem;
+}
+
+/**
+ * Matches selections against the available modules
+ * @param {Array} modules - The available modules
+ * @param {string[]} refs - The selected IDs (or legacy names/descriptions)
+ * @returns {Object} `{ ids, unknown }`: the IDs of the matched modules, and the
+ * references that matched none
+ */
+function matchSelections(modules, refs = []) {
+  const ids = [];
+  const unknown = [];
+  refs.forEach((ref) => {
+    const module = findModule(modules, ref);
+    if (module) ids.push(getModuleId(module));
+    else unknown.push(ref);
+  });
+  return { ids, unknown };
+}
+
+/**
+ * Lists the problems of a set of selections
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} selections - `{ systems, events }` (module IDs)
+ * @returns {string[]} The problems (empty when the selections can be played)
+ */
+export function validateSelections(fullConfig, selections) {
+  const problems = [];
+  const systemRefs = selections.systems || [];
+  const allEvents = [...fullConfig.positiveEvents, ...fullConfig.negativeEvents];
+
+  matchSelections(fullConfig.systems, systemRefs).unknown.forEach((ref) =>
+    problems.push(`Unknown system: ${ref}`)
+  );
+  matchSelections(allEvents, selections.events).unknown.forEach((ref) =>
+    problems.push(`Unknown event: ${ref}`)
+  );
+
+  if (
+    systemRefs.length < SYSTEM_LIMITS.min ||
+    systemRefs.length > SYSTEM_LIMITS.max
+  ) {
+    problems.push(
+      `Select ${SYSTEM_LIMITS.min}-${SYSTEM_LIMITS.max} systems (${systemRefs.length} selected)`
+    );
+  }
+  return problems;
+}
+
+/**
+ * Converts selections to module IDs, dropping unknown ones
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} selections - `{ systems, events }` (IDs, names or descriptions)
+ * @returns {Object} `{ systems, events }` as module IDs
+ */
+export function normalizeSelections(fullConfig, selections) {
+  return {
+    systems: matchSelections(fullConfig.systems, selections.systems).ids,
+    events: matchSelections(
+      [...fullConfig.positiveEvents, ...fullConfig.negativeEvents],
+      selections.events
+    ).ids,
+  };
+}
+
+/**
+ * Builds the config for a set of selections without rejecting invalid ones, for
+ * previews
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} selections - `{ systems, events, difficulty, settings, seed }`
+ * @returns {Object} `{ config, problems }`
+ */
+export function previewGameConfig(fullConfig, selections = {}) {
+  const { systems, events } = normalizeSelections(fullConfig, selections);
+  const selected = (ids) => (module) => ids.includes(getModuleId(module));
+  const difficulty =
+    selections.difficulty || createDifficulty(DEFAULT_DIFFICULTY);
+
+  const config = {
+    ...applyDifficulty(fullConfig, difficulty),
+    ...(selections.settings || {}),
+    systems: fullConfig.systems.filter(selected(systems)),
+    positiveEvents: fullConfig.positiveEvents.filter(selected(events)),
+    negativeEvents: fullConfig.negativeEvents.filter(selected(events)),
+  };
+  if (selections.seed !== undefined) config.seed = selections.seed;
+  config.maxTurns = getRescueTurns(config.systems.length, config.turnsPerSystem);
+
+  return { config, problems: validateSelections(fullConfig, selections) };
+}
+
+/**
+ * Builds the config for a set of selections
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} selections - `{ systems, events, difficulty, settings, seed }`
+ * @returns {Object} The game configuration
+ * @throws {Error} If a selection is unknown or the system count is out of range
+ */
+export function resolveGameConfig(fullConfig, selections = {}) {
+  const { config, problems } = previewGameConfig(fullConfig, selections);
+  if (problems.length > 0) {
+    throw new Error(`Invalid game setup: ${problems.join("; ")}`);
+  }
+  return config;
+}
+
+/**
+ * URL parameters carrying selections from the setup page to the game page
+ * (`?systems=lifeSupport,power,shields&events=meteorShower,solarFlare`)
+ * @param {Object} selections - `{ systems, events, difficulty, seed }` (module IDs)
+ * @returns {URLSearchParams} The parameters
+ */
+export function selectionsToParams(selections) {
+  const params = new URLSearchParams({
+    systems: (selections.systems || []).join(","),
+    events: (selections.events || []).join(","),
+    ...difficultyToParams(
+      selections.difficulty || createDifficulty(DEFAULT_DIFFICULTY)
+    ),
+  });
+  if (selections.seed !== undefined) params.set("seed", selections.seed);
+  return params;
+}
+
+/**
+ * Reads selections from the game page's URL parameters
+ * @param {URLSearchParams} urlParams - The page's parameters
+ * @returns {Object} `{ systems, events, difficulty, seed }`
+ */
+export function selectionsFromParams(urlParams) {
+  const events = urlParams.get("events") || "";
+  // Older links carry encoded descriptions joined by "|" (IDs contain neither "|" nor "%")
+  const legacyEvents = events.includes("|") || events.includes("%");
+
+  return {
+    systems: urlParams.get("systems")?.split(",").filter(Boolean) || [],
+    events: legacyEvents
+      ? events.split("|").filter(Boolean).map(decodeURIComponent)
+      : events.split(",").filter(Boolean),
+    difficulty: difficultyFromParams(urlParams),
+    // Optional seed to reproduce a run (a fresh seed is rolled when omitted)
+    seed: urlParams.get("seed") || undefined,
+  };
+}
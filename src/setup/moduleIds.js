@@ -0,0 +1,60 @@
+/**
+ * Module IDs for the survival game.
+ * Every module loaded by the ModuleRegistry has a stable `id` ("lifeSupport",
+ * "meteorShower"): declared by the module, or taken from its file name. IDs are
+ * unique across systems and events. URLs, saves, damage modifiers and DOM attributes
+ * refer to modules by ID, so renaming a system or rewording an event keeps links and
+ * saves working.
+ */
+
+export const MODULE_ID_PATTERN = /^[a-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Derives a module's ID from its file name ("../../systems/lifeSupport.json" =>
+ * "lifeSupport")
+ * @param {string} modulePath - The module path
+ * @returns {string} The ID
+ */
+export function deriveModuleId(modulePath) {
+  const fileName = modulePath.split(/[\\/]/).pop();
+  return fileName.replace(/\.[^.]+$/, "");
+}
+
+/**
+ * Checks a module ID and throws a descriptive error if it is invalid
+ * @param {*} id - The ID
+ * @param {string} label - Name used in error messages
+ */
+export function validateModuleId(id, label = "Module") {
+  if (typeof id !== "string" || !MODULE_ID_PATTERN.test(id)) {
+    throw new Error(
+      `${label}: id "${id}" must start with a lowercase letter and contain only letters, digits, "-" and "_"`
+    );
+  }
+}
+
+/**
+ * A module's ID. Modules built outside the registry (tests, ad-hoc configs) fall
+ * back to their name or description.
+ * @param {Object} module - The system or event
+ * @returns {string} The ID
+ */
+export function getModuleId(module) {
+  return module.id || module.name || module.description;
+}
+
+/**
+ * Finds a module by ID. Names and event descriptions are accepted too, for links,
+ * replays and saves made before modules had IDs.
+ * @param {Array} modules - The modules to search
+ * @param {string} ref - The ID (or legacy name/description)
+ * @returns {Object|undefined} The module
+ */
+export function findModule(modules, ref) {
+  return (
+    (modules || []).find((module) => getModuleId(module) === ref) ||
+    (modules || []).find(
+      (module) => module.name === ref || module.description === ref
+    )
+  );
+}
@@ -3,12 +3,23 @@
  *
  * Features:
  * - Dynamic module discovery and loading
+ * - JSON manifests for data-driven normal systems and effect-only events
  * - Interface validation for type safety
  * - Caching for performance optimization
  * - Comprehensive error handling
  * - Static Hosting compatible (no file system scanning)
  */
 
+import { LIFECYCLE_HOOKS } from "../mechanics/lifecycleHooks.js";
+import { createNormalSystem } from "./systemManifest.js";
+import { defineEvent } from "../mechanics/eventEffects.js";
+import { validateRequirements } from "../mechanics/eventRequirements.js";
+import { validateCosts } from "../mechanics/resources.js";
+import { validateRepairs } from "../mechanics/repairTypes.js";
+import { validateRepairDuration } from "../mechanics/repairQueue.js";
+import { validateDependencies } from "../mechanics/dependencies.js";
+import { deriveModuleId, validateModuleId } from "./moduleIds.js";
+
 /**
  * Module interface definitions for validation
  */
@@ -16,6 +27,7 @@ const MODULE_INTERFACES = {
   system: {
     required: ["name", "type"],
     optional: [
+      "id",
       "icon",
       "critical",
       "caveat",
@@ -23,19 +35,66 @@ const MODULE_INTERFACES = {
       "fix",
       "renderUI",
       "handleInteraction",
+      "getAvailableActions",
       "update",
       "initialize",
+      "renderEffect",
+      "onSystemsSelected",
+      "canSelectSystem",
+      "winLoseRules",
+      "tags",
+      "costs",
+      "repairs",
+      "repairDuration",
+      "influences",
+      "dependsOn",
+      "actionPointBonus",
+      ...LIFECYCLE_HOOKS,
     ],
     methods: ["deteriorate", "fix"],
   },
   positiveEvent: {
     required: ["description"],
-    optional: ["apply"],
+    optional: [
+      "id",
+      "apply",
+      "effects",
+      "weight",
+      "cooldown",
+      "maxOccurrences",
+      "minTurn",
+      "maxTurn",
+      "name",
+      "duration",
+      "requires",
+      "renderEffect",
+      "onSystemsSelected",
+      "canSelectSystem",
+      "winLoseRules",
+      ...LIFECYCLE_HOOKS,
+    ],
     methods: ["apply"],
   },
   negativeEvent: {
     required: ["description"],
-    optional: ["apply"],
+    optional: [
+      "id",
+      "apply",
+      "effects",
+      "weight",
+      "cooldown",
+      "maxOccurrences",
+      "minTurn",
+      "maxTurn",
+      "name",
+      "duration",
+      "requires",
+      "renderEffect",
+      "onSystemsSelected",
+      "canSelectSystem",
+      "winLoseRules",
+      ...LIFECYCLE_HOOKS,
+    ],
     methods: ["apply"],
   },
 };
@@ -58,6 +117,16 @@ class ModuleRegistry {
     };
     this.loadedModules = new Map();
     this.loadingPromises = new Map();
+    this.modulesById = new Map();
+  }
+
+  /**
+   * Finds a loaded module by its ID (see moduleIds.js)
+   * @param {string} id - The module ID
+   * @returns {Object|undefined} The module
+   */
+  getModuleById(id) {
+    return this.modulesById.get(id);
   }
 
   /**
@@ -76,6 +145,18 @@ class ModuleRegistry {
         this.loadModules(config.negativeEvents, "negativeEvent"),
       ]);
 
+      // Index the modules by ID, which must be unique across all types
+      this.modulesById = new Map();
+      [...systems, ...positiveEvents, ...negativeEvents].forEach((module) => {
+        const existing = this.modulesById.get(module.id);
+        if (existing) {
+          throw new Error(
+            `Duplicate module id "${module.id}": ${existing._modulePath} and ${module._modulePath}`
+          );
+        }
+        this.modulesById.set(module.id, module);
+      });
+
       const result = {
         systems,
         positiveEvents,
@@ -172,17 +253,59 @@ class ModuleRegistry {
    */
   async _loadModuleInternal(modulePath, expectedType) {
     try {
-      const module = await import(modulePath);
-      const moduleName = Object.keys(module)[0];
-      const moduleData = module[moduleName];
+      const isJson = modulePath.endsWith(".json");
+      let moduleData;
+      if (isJson) {
+        const manifest = await import(modulePath, { with: { type: "json" } });
+        moduleData = manifest.default;
+      } else {
+        const module = await import(modulePath);
+        const moduleName = Object.keys(module)[0];
+        moduleData = module[moduleName];
+      }
 
       if (!moduleData) {
         throw new Error(`Module ${modulePath} has no export`);
       }
 
+      // Data-driven modules: system manifests (systemManifest.js) and events
+      // written purely as effects (eventEffects.js)
+      if (isJson && expectedType === "system") {
+        moduleData = createNormalSystem(moduleData);
+      } else if (
+        expectedType !== "system" &&
+        (isJson || typeof moduleData.apply !== "function")
+      ) {
+        moduleData = defineEvent(moduleData);
+      }
+      if (expectedType !== "system" && moduleData.requires !== undefined) {
+        validateRequirements(moduleData.requires, moduleData.description);
+      }
+      if (expectedType === "system" && moduleData.costs !== undefined) {
+        validateCosts(moduleData.costs, moduleData.name);
+      }
+      if (expectedType === "system" && moduleData.repairs !== undefined) {
+        validateRepairs(moduleData.repairs, moduleData.name);
+      }
+      if (
+        expectedType === "system" &&
+        moduleData.repairDuration !== undefined
+      ) {
+        validateRepairDuration(moduleData.repairDuration, moduleData.name);
+      }
+      if (expectedType === "system") {
+        validateDependencies(moduleData);
+      }
+
+      // Stable ID (see moduleIds.js), declared or taken from the file name
+      const id = moduleData.id || deriveModuleId(modulePath);
+      validateModuleId(id, modulePath);
+
       return {
         ...moduleData,
+        id,
         _modulePath: modulePath,
+        _moduleType: expectedType,
         _loadedAt: new Date().toISOString(),
       };
     } catch (error) {
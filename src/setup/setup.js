@@ -3,6 +3,12 @@
  * This module handles the game setup interface where players select
  * which systems and events to include in their game.
  * The setup determines the maximum turns based on selected systems.
+ * Selected events that can never fire with the selected systems (their
+ * `requires`, see eventRequirements.js) are flagged with a warning.
+ * The difficulty (a preset or custom settings, see difficulty.js) is passed to the
+ * game page in the URL. The summary previews the config the game page will resolve
+ * from these selections (see gameConfig.js); systems and events are referred to by
+ * their module IDs (see moduleIds.js).
  */
 export async function initializeSetup() {
   try {
@@ -14,6 +20,15 @@ export async function initializeSetup() {
     // Get all available systems and events from registry
     const { loadGameModules } = await import("../../registry.js");
     const config = await loadGameModules();
+    const { getSetupWarning } = await import(
+      "../mechanics/eventRequirements.js"
+    );
+    const { createDifficulty, DEFAULT_DIFFICULTY } = await import(
+      "./difficulty.js"
+    );
+    const { previewGameConfig, selectionsToParams } = await import(
+      "./gameConfig.js"
+    );
 
     // Available systems and events
     const availableSystems = config.systems;
@@ -25,6 +40,7 @@ export async function initializeSetup() {
     // Selected items
     let selectedSystems = [];
     let selectedEvents = [];
+    let difficulty = createDifficulty(DEFAULT_DIFFICULTY);
 
     // DOM elements
     const systemsGrid = document.getElementById("systems-grid");
@@ -35,6 +51,19 @@ export async function initializeSetup() {
     const rescueTime = document.getElementById("rescue-time");
     const selectedSystemsDisplay = document.getElementById("selected-systems");
     const selectedEventsDisplay = document.getElementById("selected-events");
+    const undoSummary = document.getElementById("undo-summary");
+    const eventWarnings = document.getElementById("event-warnings");
+    const difficultySelect = document.getElementById("difficulty-select");
+    const difficultySummary = document.getElementById("difficulty-summary");
+    const turnsPerSystemText = document.getElementById("turns-per-system-text");
+    // Difficulty editor inputs: id => [setting, percent]
+    const difficultyInputs = {
+      "event-chance": ["eventChance", true],
+      "positive-chance": ["positiveEventProbability", true],
+      "turns-per-system": ["turnsPerSystem", false],
+      "recovery-chance": ["forceRecoveryChance", true],
+      "undo-limit": ["undoLimit", false],
+    };
 
     // Create system selection cards
     availableSystems.forEach((system) => {
@@ -48,13 +77,35 @@ export async function initializeSetup() {
       eventsGrid.appendChild(card);
     });
 
+    // Current selections, in the form the game page receives them
+    function currentSelections() {
+      return {
+        systems: selectedSystems.map((s) => s.id),
+        events: selectedEvents.map((e) => e.id),
+        difficulty,
+      };
+    }
+
     // Update UI function
     function updateUI() {
       systemsCount.textContent = selectedSystems.length;
       eventsCount.textContent = selectedEvents.length;
 
-      const maxTurns = selectedSystems.length * 5;
-      rescueTime.textContent = `${maxTurns} turns`;
+      // Preview the config the game will run with
+      const { config: preview, problems } = previewGameConfig(
+        config,
+        currentSelections()
+      );
+      const { turnsPerSystem } = preview;
+      rescueTime.textContent = `${preview.maxTurns} turns`;
+      if (turnsPerSystemText) {
+        turnsPerSystemText.textContent = `${turnsPerSystem} turn${
+          turnsPerSystem === 1 ? "" : "s"
+        }`;
+      }
+      if (difficultySummary) {
+        difficultySummary.textContent = preview.difficulty.label;
+      }
 
       selectedSystemsDisplay.textContent =
         selectedSystems.length > 0
@@ -68,9 +119,89 @@ export async function initializeSetup() {
               .join(", ")
           : "None";
 
-      // Enable/disable begin button based on system selection (3-8 systems required)
-      beginButton.disabled =
-        selectedSystems.length < 3 || selectedSystems.length > 8;
+      updateEventWarnings();
+
+      if (undoSummary) {
+        const { undoLimit } = preview;
+        undoSummary.textContent =
+          undoLimit === 0
+            ? "Disabled (hardcore)"
+            : `${undoLimit} step${undoLimit === 1 ? "" : "s"}`;
+      }
+
+      // Enable/disable begin button based on the selections (3-8 systems required)
+      beginButton.disabled = problems.length > 0;
+      beginButton.title = problems.join("\n");
+    }
+
+    // Flag selected events that can never fire with the selected systems
+    function updateEventWarnings() {
+      const warnings = [];
+      availableEvents.forEach((event) => {
+        const card = eventsGrid.querySelector(
+          `[data-event-id="${CSS.escape(event.id)}"]`
+        );
+        const warning = selectedEvents.includes(event)
+          ? getSetupWarning(event, selectedSystems)
+          : null;
+        if (card) {
+          card.classList.toggle("unfireable", Boolean(warning));
+          card.title = warning ? `Can never fire: ${warning}` : "";
+        }
+        if (warning) {
+          warnings.push(`${event.name || event.description} (${warning})`);
+        }
+      });
+
+      if (eventWarnings) {
+        eventWarnings.classList.toggle("hidden", warnings.length === 0);
+        eventWarnings.innerHTML = warnings.length
+          ? `<i class="fas fa-exclamation-triangle"></i> Can never fire with these systems: ${warnings.join(", ")}`
+          : "";
+      }
+    }
+
+    // Show the difficulty's settings in the editor (editable for Custom only)
+    function fillDifficultyEditor() {
+      const { settings } = difficulty;
+      Object.entries(difficultyInputs).forEach(([id, [key, percent]]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.value = percent ? Math.round(settings[key] * 100) : settings[key];
+        input.disabled = difficulty.id !== "custom";
+      });
+      [
+        ["health-min", settings.initialHealthRange.min],
+        ["health-max", settings.initialHealthRange.max],
+      ].forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.value = value;
+        input.disabled = difficulty.id !== "custom";
+      });
+    }
+
+    // Read a custom difficulty from the editor (out-of-range values are clamped)
+    function readDifficultyEditor() {
+      const settings = {};
+      Object.entries(difficultyInputs).forEach(([id, [key, percent]]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        const value = Number(input.value);
+        settings[key] = percent ? value / 100 : value;
+      });
+      settings.initialHealthRange = {
+        min: Number(document.getElementById("health-min")?.value),
+        max: Number(document.getElementById("health-max")?.value),
+      };
+      return settings;
+    }
+
+    // Pick a preset, or start a custom difficulty from the current settings
+    function selectDifficulty(id) {
+      difficulty = createDifficulty(id, difficulty.settings);
+      fillDifficultyEditor();
+      updateUI();
     }
 
     // Toggle system selection
@@ -97,7 +228,7 @@ export async function initializeSetup() {
     function createSystemCard(system) {
       const card = document.createElement("div");
       card.className = "selection-card system-card";
-      card.dataset.systemName = system.name;
+      card.dataset.systemId = system.id;
 
       const icon = system.icon;
       const isSelected = selectedSystems.includes(system);
@@ -132,7 +263,7 @@ export async function initializeSetup() {
     function createEventCard(eventObj) {
       const card = document.createElement("div");
       card.className = `selection-card event-card ${eventObj.type}`;
-      card.dataset.eventDescription = eventObj.description;
+      card.dataset.eventId = eventObj.id;
 
       const icon =
         eventObj.type === "positive"
@@ -170,23 +301,34 @@ export async function initializeSetup() {
 
     // Handle begin game button
     beginButton.addEventListener("click", () => {
-      if (selectedSystems.length >= 3 && selectedSystems.length <= 8) {
-        // Create URL parameters
-        const systemNames = selectedSystems.map((s) => s.name);
-        const eventDescriptions = selectedEvents.map((e) =>
-          encodeURIComponent(e.description)
-        );
-
-        const params = new URLSearchParams({
-          systems: systemNames.join(","),
-          events: eventDescriptions.join("|"),
-        });
-
+      const selections = currentSelections();
+      if (previewGameConfig(config, selections).problems.length === 0) {
         // Navigate to game page with selections
-        window.location.href = `game.html?${params.toString()}`;
+        window.location.href = `game.html?${selectionsToParams(
+          selections
+        ).toString()}`;
       }
     });
 
+    // Game options: difficulty presets and the custom difficulty editor
+    if (difficultySelect) {
+      difficultySelect.addEventListener("change", () =>
+        selectDifficulty(difficultySelect.value)
+      );
+    }
+    [...Object.keys(difficultyInputs), "health-min", "health-max"].forEach(
+      (id) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener("change", () => {
+          difficulty = createDifficulty("custom", readDifficultyEditor());
+          fillDifficultyEditor();
+          updateUI();
+        });
+      }
+    );
+    fillDifficultyEditor();
+
     // Initialize UI
     updateUI();
 
@@ -0,0 +1,348 @@
+/**
+ * System Manifest module for the survival game.
+ * Normal systems can be declared as data instead of code: a JSON manifest (loaded by
+ * the ModuleRegistry like a JS module) or a plain object passed to
+ * `createNormalSystem`. The manifest gives the system's name, icon, caveat, critical
+ * flag, deterioration per turn, fix amount, declarative side effects and the action
+ * points it grants (see src/mechanics/actionPoints.js):
+ *
+ *   {
+ *     "name": "Power",
+ *     "type": "normal",
+ *     "icon": "fas fa-bolt",
+ *     "caveat": "Provides energy to all systems.",
+ *     "deterioration": 10,
+ *     "fixAmount": 100,
+ *     "influences": [
+ *       { "to": "all", "effect": "damage", "amount": 5,
+ *         "when": { "healthBelow": 50 } }
+ *     ],
+ *     "actionPoints": [{ "amount": 1, "when": { "healthAtLeast": 50 } }]
+ *   }
+ *
+ * Effects run after the system's own deterioration, in order, when their `when`
+ * conditions hold for the system's health at that point. Action point grants add
+ * up (negative amounts drain) when their conditions hold at the start of a turn.
+ * `influences` and `dependsOn` are dependency graph edges the engine evaluates
+ * (see src/mechanics/dependencies.js).
+ *
+ * `hooks` runs effects on lifecycle hooks (see src/mechanics/lifecycleHooks.js),
+ * with `when` conditions on the system's health at that point. Shields raises its
+ * event damage modifier this way:
+ *
+ *   "hooks": {
+ *     "afterDeterioration": [
+ *       { "type": "removeModifiers", "source": "shields" },
+ *       { "type": "addModifier", "target": "all", "modifier": 0.5,
+ *         "damageType": "negative_events", "turns": 1, "source": "shields",
+ *         "when": { "healthAtLeast": 90 } }
+ *     ]
+ *   }
+ *
+ * JS system modules can spread `createNormalSystem(...)` and add hooks for behavior
+ * a manifest cannot express.
+ */
+
+import { calculateModifiedDamage } from "../mechanics/deteriorationUtils.js";
+import {
+  addDamageModifier,
+  removeDamageModifiersBySource,
+} from "../mechanics/damageModifiers.js";
+import { LIFECYCLE_HOOKS } from "../mechanics/lifecycleHooks.js";
+import { getMaxHealth } from "../mechanics/wear.js";
+import { dispatch, damageSystem, setSystemHealth } from "../core/store.js";
+
+/**
+ * Conditions usable in an effect's `when`: condition => test(health, value)
+ */
+export const CONDITIONS = {
+  healthBelow: (health, value) => health < value,
+  healthAtLeast: (health, value) => health >= value,
+};
+
+/**
+ * Side effect types usable in a manifest's `effects` and `hooks`:
+ * type => apply(gameState, system, effect), returning the updated state
+ */
+export const MANIFEST_EFFECTS = {
+  /**
+   * Deterioration damage to the other systems (or to `targets`), reduced by
+   * their deterioration damage modifiers
+   */
+  damageOthers(gameState, system, effect) {
+    let updatedState = gameState;
+    for (const other of gameState.systems) {
+      if (other.name === system.name) continue;
+      if (effect.targets && !effect.targets.includes(other.name)) continue;
+
+      const actualDamage = calculateModifiedDamage(
+        other,
+        effect.amount,
+        updatedState
+      );
+      if (actualDamage > 0) {
+        updatedState = dispatch(
+          updatedState,
+          damageSystem(other.name, actualDamage)
+        );
+      }
+    }
+    return updatedState;
+  },
+
+  /**
+   * Adds a damage modifier (`modifier`, `damageType`, `turns`, `source`) to
+   * `target`: "all" (a global modifier), a system ID or name, or the system
+   * itself by default
+   */
+  addModifier(gameState, system, effect) {
+    return addDamageModifier(
+      gameState,
+      effect.target || system.name,
+      effect.modifier,
+      effect.damageType,
+      effect.turns,
+      effect.source
+    );
+  },
+
+  /** Removes every damage modifier from `source` */
+  removeModifiers(gameState, system, effect) {
+    return removeDamageModifiersBySource(gameState, effect.source);
+  },
+};
+
+// Fields each effect type needs: [field, typeof]
+const EFFECT_FIELDS = {
+  damageOthers: [["amount", "number"]],
+  addModifier: [
+    ["modifier", "number"],
+    ["damageType", "string"],
+    ["turns", "number"],
+    ["source", "string"],
+  ],
+  removeModifiers: [["source", "string"]],
+};
+
+const DEFAULTS = {
+  type: "normal",
+  icon: "fas fa-cog",
+  critical: false,
+  caveat: "",
+  fixAmount: 100,
+  effects: [],
+  hooks: {},
+  actionPoints: [],
+};
+
+/**
+ * Checks a manifest and throws a descriptive error for the first problem
+ * @param {Object} manifest - The system manifest
+ */
+export function validateManifest(manifest) {
+  const label = manifest && manifest.name ? manifest.name : "System manifest";
+  const fail = (problem) => {
+    throw new Error(`${label}: ${problem}`);
+  };
+
+  if (!manifest || typeof manifest !== "object") fail("expected an object");
+  if (typeof manifest.name !== "string" || !manifest.name) {
+    fail("name is required");
+  }
+  if (manifest.type !== undefined && manifest.type !== "normal") {
+    fail(`only normal systems can be declared as data (got ${manifest.type})`);
+  }
+  if (typeof manifest.deterioration !== "number" || manifest.deterioration < 0) {
+    fail("deterioration must be a number of at least 0");
+  }
+  if (
+    manifest.fixAmount !== undefined &&
+    (typeof manifest.fixAmount !== "number" || manifest.fixAmount <= 0)
+  ) {
+    fail("fixAmount must be a positive number");
+  }
+  if (manifest.effects !== undefined && !Array.isArray(manifest.effects)) {
+    fail("effects must be an array");
+  }
+
+  if (
+    manifest.actionPoints !== undefined &&
+    !Array.isArray(manifest.actionPoints)
+  ) {
+    fail("actionPoints must be an array");
+  }
+
+  if (
+    manifest.hooks !== undefined &&
+    (!manifest.hooks ||
+      typeof manifest.hooks !== "object" ||
+      Array.isArray(manifest.hooks))
+  ) {
+    fail("hooks must be an object");
+  }
+
+  checkEffects(manifest.effects || [], "effect", fail);
+  Object.entries(manifest.hooks || {}).forEach(([hookName, effects]) => {
+    if (!LIFECYCLE_HOOKS.includes(hookName)) {
+      fail(`hooks has unknown hook ${hookName}`);
+    }
+    if (!Array.isArray(effects)) fail(`${hookName} effects must be an array`);
+    checkEffects(effects, `${hookName} effect`, fail);
+  });
+  (manifest.actionPoints || []).forEach((grant, index) => {
+    if (typeof grant.amount !== "number") {
+      fail(`action point grant ${index} needs a numeric amount`);
+    }
+    checkConditions(grant, `action point grant ${index}`, fail);
+  });
+}
+
+/**
+ * Fails on unknown effect types, missing fields and unknown conditions
+ * @param {Array} effects - The manifest effects
+ * @param {string} label - Name of an effect in error messages
+ * @param {Function} fail - Throws the error
+ */
+function checkEffects(effects, label, fail) {
+  effects.forEach((effect, index) => {
+    if (!MANIFEST_EFFECTS[effect.type]) {
+      fail(`${label} ${index} has unknown type ${effect.type}`);
+    }
+    for (const [field, kind] of EFFECT_FIELDS[effect.type]) {
+      if (typeof effect[field] !== kind) {
+        fail(
+          `${label} ${index} needs a ${
+            kind === "number" ? "numeric" : kind
+          } ${field}`
+        );
+      }
+    }
+    checkConditions(effect, `${label} ${index}`, fail);
+  });
+}
+
+/**
+ * Fails on unknown conditions in an effect's or grant's `when`
+ * @param {Object} entry - The manifest effect or action point grant
+ * @param {string} label - Name of the entry in error messages
+ * @param {Function} fail - Throws the error
+ */
+function checkConditions(entry, label, fail) {
+  Object.keys(entry.when || {}).forEach((condition) => {
+    if (!CONDITIONS[condition]) {
+      fail(`${label} has unknown condition ${condition}`);
+    }
+  });
+}
+
+/**
+ * Checks an effect's (or grant's) `when` conditions against the system's health
+ * @param {Object} effect - The manifest effect or action point grant
+ * @param {number} health - The system's health
+ * @returns {boolean} True if every condition holds
+ */
+export function conditionsHold(effect, health) {
+  return Object.entries(effect.when || {}).every(([condition, value]) =>
+    CONDITIONS[condition](health, value)
+  );
+}
+
+/**
+ * Builds a normal system module from a manifest
+ * @param {Object} manifest - The system manifest (see above)
+ * @returns {Object} The system module with `deteriorate`, `fix` and
+ * `actionPointBonus`
+ */
+export function createNormalSystem(manifest) {
+  validateManifest(manifest);
+  const {
+    deterioration,
+    fixAmount,
+    effects,
+    hooks,
+    actionPoints,
+    ...properties
+  } = { ...DEFAULTS, ...manifest };
+  const findHealth = (state, name) =>
+    state.systems.find((sys) => sys.name === name).health;
+
+  // Applies the effects whose conditions hold for the system's current health
+  const runEffects = (state, system, list) => {
+    let updatedState = state;
+    for (const effect of list) {
+      if (conditionsHold(effect, findHealth(updatedState, system.name))) {
+        updatedState = MANIFEST_EFFECTS[effect.type](
+          updatedState,
+          system,
+          effect
+        );
+      }
+    }
+    return updatedState;
+  };
+
+  // One lifecycle hook per declared hook name (see lifecycleHooks.js)
+  const hookHandlers = {};
+  Object.entries(hooks).forEach(([hookName, list]) => {
+    hookHandlers[hookName] = function (state) {
+      if (!state.systems.some((sys) => sys.name === this.name)) return state;
+      return runEffects({ ...state }, this, list);
+    };
+  });
+
+  return {
+    ...properties,
+    ...hookHandlers,
+
+    /**
+     * Deteriorates the system, then applies the manifest's side effects.
+     * @param {Object} state - The current game state
+     * @returns {Object} The updated game state
+     */
+    deteriorate(state) {
+      let updatedState = { ...state };
+      if (!updatedState.systems.some((sys) => sys.name === this.name)) {
+        return updatedState;
+      }
+
+      updatedState = dispatch(
+        updatedState,
+        damageSystem(this.name, deterioration)
+      );
+
+      return runEffects(updatedState, this, effects);
+    },
+
+    /**
+     * The action points the system grants this turn (see actionPoints.js).
+     * @param {Object} state - The current game state
+     * @returns {number} The points (negative when it drains them)
+     */
+    actionPointBonus(state) {
+      if (!state.systems.some((sys) => sys.name === this.name)) return 0;
+      const health = findHealth(state, this.name);
+      return actionPoints
+        .filter((grant) => conditionsHold(grant, health))
+        .reduce((total, grant) => total + grant.amount, 0);
+    },
+
+    /**
+     * Repairs the system by its fix amount (full health by default).
+     * @param {Object} state - The current game state
+     * @returns {Object} The updated game state
+     */
+    fix(state) {
+      const updatedState = { ...state };
+      const system = updatedState.systems.find((sys) => sys.name === this.name);
+      if (!system) return updatedState;
+
+      return dispatch(
+        updatedState,
+        setSystemHealth(
+          this.name,
+          Math.min(getMaxHealth(system), system.health + fixAmount)
+        )
+      );
+    },
+  };
+}
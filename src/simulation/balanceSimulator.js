@@ -0,0 +1,353 @@
+/**
+ * Balance Simulator module for the survival game.
+ * Plays many games headlessly with a strategy and reports how balanced a
+ * configuration is: win rate, average turns survived, causes of loss and how often
+ * each event fires. Results are broken down by system/event combination and can be
+ * printed as JSON or as a readable table (see simulate.js for the Node entry point).
+ * Systems and events are referred to by their module IDs (see moduleIds.js).
+ */
+
+import {
+  startGame,
+  applyPlayerAction,
+  getLegalActions,
+  takeEffects,
+} from "../core/engine.js";
+import { normalizeSeed } from "../mechanics/rng.js";
+import { createBotContext } from "../bots/strategies.js";
+import { previewGameConfig } from "../setup/gameConfig.js";
+import { findModule, getModuleId } from "../setup/moduleIds.js";
+
+/**
+ * Converts references to module IDs
+ * @param {Array} modules - The available modules
+ * @param {string[]} refs - IDs (or legacy names/descriptions)
+ * @param {string} label - "system" or "event", for the error message
+ * @returns {string[]} The module IDs
+ * @throws {Error} If a reference matches no module
+ */
+function toModuleIds(modules, refs, label) {
+  return refs.map((ref) => {
+    const module = findModule(modules, ref);
+    if (!module) throw new Error(`Unknown ${label}: ${ref}`);
+    return getModuleId(module);
+  });
+}
+
+/**
+ * Builds the system/event combinations to simulate
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} options - Combination options
+ * @param {Array} [options.systems] - System IDs (defaults to all systems); names
+ *   are accepted too
+ * @param {Array} [options.events] - Event IDs (defaults to all events);
+ *   descriptions are accepted too
+ * @param {string} [options.vary="none"] - "none", "events" (one event at a time),
+ *   "systems" (every 3-system subset) or "both" (cross product)
+ * @returns {Array} Combinations `{ systems: [ids], events: [ids] }`
+ * @throws {Error} If a system or event is unknown
+ */
+export function buildCombinations(fullConfig, options = {}) {
+  const allEvents = [...fullConfig.positiveEvents, ...fullConfig.negativeEvents];
+  const systems = toModuleIds(
+    fullConfig.systems,
+    options.systems || fullConfig.systems.map(getModuleId),
+    "system"
+  );
+  const events = toModuleIds(
+    allEvents,
+    options.events || allEvents.map(getModuleId),
+    "event"
+  );
+  const vary = options.vary || "none";
+
+  const systemSets =
+    vary === "systems" || vary === "both" ? subsetsOfSize(systems, 3) : [systems];
+  const eventSets =
+    vary === "events" || vary === "both"
+      ? events.map((event) => [event])
+      : [events];
+
+  const combinations = [];
+  systemSets.forEach((systemSet) => {
+    eventSets.forEach((eventSet) => {
+      combinations.push({ systems: systemSet, events: eventSet });
+    });
+  });
+  return combinations;
+}
+
+/**
+ * Returns every subset of the given size, in order
+ * @param {Array} items - The items
+ * @param {number} size - The subset size
+ * @returns {Array} The subsets
+ */
+function subsetsOfSize(items, size) {
+  if (size === 0) return [[]];
+  if (items.length < size) return [];
+
+  const [first, ...rest] = items;
+  return [
+    ...subsetsOfSize(rest, size - 1).map((subset) => [first, ...subset]),
+    ...subsetsOfSize(rest, size),
+  ];
+}
+
+/**
+ * Builds the game configuration for one combination
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} combination - `{ systems, events }`
+ * @param {Object} settings - Extra config values (eventChance, ...)
+ * @returns {Object} The game configuration
+ */
+function buildCombinationConfig(fullConfig, combination, settings) {
+  // Combinations may use any number of systems, so setup problems are ignored
+  return previewGameConfig(fullConfig, { ...combination, settings }).config;
+}
+
+/**
+ * Describes why a finished game was lost
+ * @param {Object} gameState - The final game state
+ * @param {Object|null} lastEvent - The event triggered on the final step, if any
+ * @returns {string} The cause of loss
+ */
+function describeLossCause(gameState, lastEvent) {
+  // Name the failed system for the default rules, otherwise the rule itself
+  const rule = gameState.endedBy || {};
+  const failedCritical = gameState.systems.find(
+    (system) => system.critical && system.health <= 0
+  );
+  let failure = rule.description || "Unknown";
+  if (rule.id === "keepCriticalSystemsAlive" && failedCritical) {
+    failure = `${getModuleId(failedCritical)} failure`;
+  } else if (rule.id === "keepAnySystemAlive") {
+    failure = "All systems failed";
+  }
+
+  const source =
+    lastEvent && !lastEvent.isPositive ? getModuleId(lastEvent) : "deterioration";
+  return `${failure} (${source})`;
+}
+
+/**
+ * Plays one game to the end with a strategy
+ * @param {Object} config - The game configuration (including its seed)
+ * @param {Object} strategy - The bot playing the game (see src/bots/strategies.js)
+ * @param {number} maxSteps - Safety limit on player actions
+ * @returns {Promise<Object>} `{ win, turns, lossCause, eventCounts }`, with the
+ *   event counts keyed by event ID
+ */
+export async function simulateGame(config, strategy, maxSteps = 1000) {
+  const context = createBotContext(config, config.seed);
+  const eventCounts = {};
+  let lastEvent = null;
+
+  let gameState = takeEffects(await startGame(config)).state;
+  let steps = 0;
+
+  while (!gameState.gameOver && steps < maxSteps) {
+    steps++;
+    const action = await strategy.chooseAction(
+      gameState,
+      getLegalActions(gameState),
+      context
+    );
+    const drained = takeEffects(
+      await applyPlayerAction(gameState, config, action)
+    );
+    gameState = drained.state;
+
+    lastEvent = null;
+    drained.effects
+      .filter((effect) => effect.type === "eventTriggered")
+      .forEach((effect) => {
+        const eventId = getModuleId(effect.event);
+        eventCounts[eventId] = (eventCounts[eventId] || 0) + 1;
+        lastEvent = effect.event;
+      });
+  }
+
+  const win = gameState.gameOver && gameState.win;
+  let lossCause = null;
+  if (!gameState.gameOver) {
+    lossCause = "Step limit reached";
+  } else if (!win) {
+    lossCause = describeLossCause(gameState, lastEvent);
+  }
+
+  return { win, turns: gameState.turn, lossCause, eventCounts };
+}
+
+/**
+ * Runs the simulation for every combination
+ * @param {Object} fullConfig - The full configuration loaded by the registry
+ * @param {Object} options - Simulation options
+ * @param {Object} options.strategy - The strategy playing the games
+ * @param {number} [options.games=1000] - Games per combination
+ * @param {number|string} [options.seed=1] - Base seed; game i uses seed + i
+ * @param {Array} [options.combinations] - Combinations (defaults to all modules)
+ * @param {Object} [options.settings] - Extra config values (eventChance, ...)
+ * @param {Function} [options.onProgress] - Called with (completedGames, totalGames)
+ * @returns {Promise<Object>} The simulation report
+ */
+export async function runBalanceSimulation(fullConfig, options) {
+  const {
+    strategy,
+    games = 1000,
+    seed = 1,
+    settings = {},
+    onProgress = null,
+  } = options;
+  const combinations = options.combinations || buildCombinations(fullConfig);
+  const baseSeed = normalizeSeed(seed);
+  const totalGames = combinations.length * games;
+  let completedGames = 0;
+
+  const results = [];
+  for (const combination of combinations) {
+    const config = buildCombinationConfig(fullConfig, combination, settings);
+    const result = {
+      systems: combination.systems,
+      events: combination.events,
+      games,
+      wins: 0,
+      winRate: 0,
+      averageTurnsSurvived: 0,
+      lossCauses: {},
+      eventCounts: {},
+      eventsPerGame: {},
+    };
+    let totalTurns = 0;
+
+    for (let i = 0; i < games; i++) {
+      const outcome = await simulateGame(
+        { ...config, seed: (baseSeed + i) >>> 0 },
+        strategy
+      );
+
+      if (outcome.win) result.wins++;
+      if (outcome.lossCause) {
+        result.lossCauses[outcome.lossCause] =
+          (result.lossCauses[outcome.lossCause] || 0) + 1;
+      }
+      Object.entries(outcome.eventCounts).forEach(([eventId, count]) => {
+        result.eventCounts[eventId] = (result.eventCounts[eventId] || 0) + count;
+      });
+      totalTurns += outcome.turns;
+
+      completedGames++;
+      if (onProgress) onProgress(completedGames, totalGames);
+    }
+
+    result.winRate = result.wins / games;
+    result.averageTurnsSurvived = totalTurns / games;
+    Object.entries(result.eventCounts).forEach(([eventId, count]) => {
+      result.eventsPerGame[eventId] = count / games;
+    });
+    results.push(result);
+  }
+
+  return {
+    strategy: strategy.id,
+    gamesPerCombination: games,
+    seed: baseSeed,
+    settings,
+    results,
+  };
+}
+
+/**
+ * Formats rows as a text table with aligned columns
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows of cell strings
+ * @returns {string} The table
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => String(cell).padEnd(widths[column]))
+      .join(" | ")
+      .trimEnd();
+
+  return [
+    formatRow(headers),
+    widths.map((width) => "-".repeat(width)).join("-+-"),
+    ...rows.map(formatRow),
+  ].join("\n");
+}
+
+/**
+ * Formats a simulation report as readable tables
+ * @param {Object} report - The report from runBalanceSimulation
+ * @returns {string} The formatted report
+ */
+export function formatReportTable(report) {
+  const sections = [
+    `Strategy: ${report.strategy} | Games per combination: ${report.gamesPerCombination} | Seed: ${report.seed}`,
+  ];
+
+  const summaryRows = report.results.map((result) => {
+    const topCause = Object.entries(result.lossCauses).sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    return [
+      result.systems.join(", "),
+      result.events.length > 2
+        ? `${result.events.length} events`
+        : result.events.join(", ") || "none",
+      `${(result.winRate * 100).toFixed(1)}%`,
+      result.averageTurnsSurvived.toFixed(1),
+      topCause ? `${topCause[0]} (${topCause[1]})` : "-",
+    ];
+  });
+  sections.push(
+    formatTable(
+      ["Systems", "Events", "Win rate", "Avg turns", "Top cause of loss"],
+      summaryRows
+    )
+  );
+
+  const eventRows = [];
+  report.results.forEach((result, index) => {
+    Object.entries(result.eventsPerGame)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([eventId, perGame]) => {
+        eventRows.push([
+          `#${index + 1}`,
+          eventId,
+          result.eventCounts[eventId],
+          perGame.toFixed(2),
+        ]);
+      });
+  });
+  if (eventRows.length > 0) {
+    sections.push(
+      formatTable(["Combination", "Event", "Fired", "Per game"], eventRows)
+    );
+  }
+
+  const causeRows = [];
+  report.results.forEach((result, index) => {
+    Object.entries(result.lossCauses)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([cause, count]) => {
+        causeRows.push([
+          `#${index + 1}`,
+          cause,
+          count,
+          `${((count / result.games) * 100).toFixed(1)}%`,
+        ]);
+      });
+  });
+  if (causeRows.length > 0) {
+    sections.push(
+      formatTable(["Combination", "Cause of loss", "Games", "Share"], causeRows)
+    );
+  }
+
+  return sections.join("\n\n");
+}
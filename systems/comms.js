@@ -2,12 +2,18 @@
  * Comms system module.
  * This module contains all data and functionality for the Comms system.
  * The Comms system handles communication and provides extra turn chances.
- * It can also counter navigation system turn decrements when healthy.
+ * Navigation depends on it: while Comms works, Navigation cannot delay the rescue.
  */
+
+import { random } from "../src/mechanics/rng.js";
+import { dispatch, damageSystem, setSystemHealth } from "../src/core/store.js";
+
 export const comms = {
+  id: "comms",
   name: "Comms",
   type: "normal",
   icon: "fas fa-signal",
+  tags: ["electrical"],
   caveat:
     "Handles communication systems. Provides chance for extra turns and protects against navigation failures.",
 
@@ -17,17 +23,19 @@ export const comms = {
    * @returns {Object} The updated game state
    */
   deteriorate(state) {
-    const updatedState = { ...state };
+    let updatedState = { ...state };
     const commsSystem = updatedState.systems.find(
       (sys) => sys.name === this.name
     );
 
     if (commsSystem) {
       // Deteriorate comms by 20 points
-      commsSystem.health = Math.max(0, commsSystem.health - 20);
+      updatedState = dispatch(updatedState, damageSystem(this.name, 20));
 
       // 25% chance to give an extra turn
-      if (Math.random() < 0.25) {
+      const extraTurnRoll = random(updatedState);
+      updatedState = extraTurnRoll.state;
+      if (extraTurnRoll.value < 0.25) {
         updatedState.turn += 1;
       }
     }
@@ -41,15 +49,6 @@ export const comms = {
    * @returns {Object} The updated game state
    */
   fix(state) {
-    const updatedState = { ...state };
-    const commsSystem = updatedState.systems.find(
-      (sys) => sys.name === this.name
-    );
-
-    if (commsSystem) {
-      commsSystem.health = 100;
-    }
-
-    return updatedState;
+    return dispatch({ ...state }, setSystemHealth(this.name, 100));
   },
 };
@@ -7,18 +7,33 @@
 
 // Import dependencies at module level for better performance
 import { enterSystemSelectionMode } from "../src/mechanics/systemSelection.js";
+import { emitEffect } from "../src/mechanics/presentationEffects.js";
+import {
+  getSystemCost,
+  describeResources,
+} from "../src/mechanics/resources.js";
+import { GAME_EVENTS } from "../src/core/eventBus.js";
 import {
   addDamageModifier,
   removeDamageModifiersBySource,
 } from "../src/mechanics/damageModifiers.js";
+import { getModuleId } from "../src/setup/moduleIds.js";
+import { findSystemElement } from "../src/core/ui/systemElements.js";
+
+// Event bus subscriptions that live while a protection target is being selected
+let selectionScope = null;
 
 export const protection = {
+  id: "protection",
   name: "Protection",
   type: "active",
   icon: "fas fa-shield-alt",
   caveat:
     "Active protection system. Can shield one normal system from deterioration damage and negative events for 3 turns, then requires 5 turns to recharge.",
 
+  // Activating costs energy (see src/mechanics/resources.js)
+  costs: { activate: { energy: 2 } },
+
   /**
    * Initialize the protection system with default state
    */
@@ -44,14 +59,14 @@ export const protection = {
    */
   renderUI(container, gameState) {
     container.className = "system active-system";
-    container.id = `system-${this.name.toLowerCase().replace(" ", "-")}`;
-    container.setAttribute("data-system-name", this.name);
+    container.id = `system-${getModuleId(this)}`;
+    container.setAttribute("data-system-id", getModuleId(this));
 
     const icon = this.icon || "fas fa-shield-alt";
     const { statusText, statusClass, isAvailable } =
       this.getProtectionStatus(gameState);
     const buttonHtml = isAvailable
-      ? `<button class="action-button" data-action="activate">Activate</button>`
+      ? `<button class="action-button" data-action="activate">${this.getActivateLabel()}</button>`
       : "";
 
     container.innerHTML = `
@@ -66,6 +81,11 @@ export const protection = {
       </div>
     `;
 
+    // Draw the overlay once the whole systems grid is in the document
+    requestAnimationFrame(() => {
+      this.updateProtectionOverlay(gameState);
+    });
+
     return container;
   },
 
@@ -84,6 +104,22 @@ export const protection = {
 
     // Update activation button
     this.renderActivationButton(container, isAvailable);
+
+    // Update protection overlay based on current state
+    this.updateProtectionOverlay(gameState);
+  },
+
+  /**
+   * Render presentation effects emitted by this system
+   * @param {Object} effect - The presentation effect
+   * @param {Object} gameState - The current game state
+   * @param {Object} config - The game configuration (carries the event bus)
+   */
+  renderEffect(effect, gameState, config) {
+    if (effect.type === "protectionSelectionStarted") {
+      // Set up visual indicators for system selection
+      this.setupProtectionSelectionIndicators(gameState, config?.eventBus);
+    }
   },
 
   /**
@@ -105,71 +141,80 @@ export const protection = {
       }
 
       // Enter system selection mode for normal systems
-      const selectionCallback = async (selectedSystems) => {
-        if (selectedSystems.length === 0) {
-          return updatedState; // No system selected
-        }
-
-        const targetSystemName = selectedSystems[0];
-        const targetSystem = updatedState.systems.find(
-          (sys) => sys.name === targetSystemName
-        );
+      updatedState = enterSystemSelectionMode(updatedState, config, {
+        allowedTypes: ["normal"],
+        multiSelect: false,
+        message: "Select a system to protect:",
+        owner: this, // onSystemsSelected applies the protection
+      });
 
-        if (!targetSystem || targetSystem.type !== "normal") {
-          updatedState.message = "Invalid target system selected.";
-          return updatedState;
-        }
+      // Ask the browser shell to set up selection indicators
+      updatedState = emitEffect(updatedState, "protectionSelectionStarted");
+    }
 
-        // Apply protection
-        const currentCount = updatedState.deteriorationCount;
-        updatedState.protectionState = {
-          ...protectionState,
-          isProtecting: true,
-          targetSystem: targetSystemName,
-          startDeteriorationCount: currentCount,
-          endProtectionCount: currentCount + 3,
-          endCooldownCount: currentCount + 3 + 5,
-        };
+    return updatedState;
+  },
 
-        // Add damage modifiers for immunity to both deterioration and negative events
-        updatedState = addDamageModifier(
-          updatedState,
-          targetSystemName,
-          0, // Complete immunity
-          "deterioration",
-          3, // 3 deterioration cycles
-          "protection" // Source identifier
-        );
+  /**
+   * List the interactions currently available (used by automated players)
+   */
+  getAvailableActions(gameState) {
+    return this.getProtectionStatus(gameState).isAvailable ? ["activate"] : [];
+  },
 
-        updatedState = addDamageModifier(
-          updatedState,
-          targetSystemName,
-          0, // Complete immunity
-          "negative_events",
-          3, // 3 deterioration cycles
-          "protection" // Source identifier
-        );
+  /**
+   * Apply protection to the system picked in selection mode
+   * @param {Array} selectedSystems - Names of the selected systems
+   * @param {Object} gameState - The current game state
+   * @returns {Object} The updated game state
+   */
+  onSystemsSelected(selectedSystems, gameState) {
+    let updatedState = { ...gameState };
+    if (selectedSystems.length === 0) {
+      return updatedState; // No system selected
+    }
 
-        // Immediately update protection overlay (use rAF to batch with render)
-        requestAnimationFrame(() => {
-          this.updateProtectionOverlay(updatedState);
-        });
+    const targetSystemName = selectedSystems[0];
+    const targetSystem = updatedState.systems.find(
+      (sys) => sys.name === targetSystemName
+    );
 
-        updatedState.message = `Protection activated! ${targetSystemName} is now protected for 3 turns!`;
-        return updatedState;
-      };
+    if (!targetSystem || targetSystem.type !== "normal") {
+      updatedState.message = "Invalid target system selected.";
+      return updatedState;
+    }
 
-      updatedState = enterSystemSelectionMode(updatedState, config, {
-        allowedTypes: ["normal"],
-        multiSelect: false,
-        message: "Select a system to protect:",
-        callback: selectionCallback,
-      });
+    // Apply protection
+    const currentCount = updatedState.deteriorationCount;
+    updatedState.protectionState = {
+      ...updatedState.protectionState,
+      isProtecting: true,
+      targetSystem: targetSystemName,
+      startDeteriorationCount: currentCount,
+      endProtectionCount: currentCount + 3,
+      endCooldownCount: currentCount + 3 + 5,
+    };
 
-      // Set up visual indicators for system selection
-      this.setupProtectionSelectionIndicators(updatedState);
-    }
+    // Add damage modifiers for immunity to both deterioration and negative events
+    updatedState = addDamageModifier(
+      updatedState,
+      targetSystemName,
+      0, // Complete immunity
+      "deterioration",
+      3, // 3 deterioration cycles
+      "protection" // Source identifier
+    );
+
+    updatedState = addDamageModifier(
+      updatedState,
+      targetSystemName,
+      0, // Complete immunity
+      "negative_events",
+      3, // 3 deterioration cycles
+      "protection" // Source identifier
+    );
 
+    updatedState.message = `Protection activated! ${targetSystemName} is now protected for 3 turns!`;
     return updatedState;
   },
 
@@ -207,9 +252,6 @@ export const protection = {
       }
     }
 
-    // Update protection overlay based on current state
-    this.updateProtectionOverlay(updatedState);
-
     return updatedState;
   },
 
@@ -249,6 +291,16 @@ export const protection = {
     return { statusText, statusClass, isAvailable };
   },
 
+  /**
+   * Label of the activation button, with its cost ("Activate (2 energy)")
+   */
+  getActivateLabel() {
+    const cost = getSystemCost(this, "activate");
+    return Object.keys(cost).length > 0
+      ? `Activate (${describeResources(cost)})`
+      : "Activate";
+  },
+
   /**
    * Render or update the activation button
    */
@@ -260,7 +312,7 @@ export const protection = {
       button = document.createElement("button");
       button.className = "action-button";
       button.setAttribute("data-action", "activate");
-      button.textContent = "Activate";
+      button.textContent = this.getActivateLabel();
       buttonContainer.appendChild(button);
     } else if (!isAvailable && button) {
       button.remove();
@@ -269,41 +321,39 @@ export const protection = {
 
   /**
    * Set up visual indicators for protection system selection
+   * @param {Object} gameState - The current game state
+   * @param {EventBus} eventBus - The game's event bus
    */
-  setupProtectionSelectionIndicators(gameState) {
+  setupProtectionSelectionIndicators(gameState, eventBus) {
     // Inject CSS animation if not already present
     injectProtectionAnimationCSS();
 
-    // Remove any existing event listeners to prevent accumulation
-    document.removeEventListener(
-      "systemSelectionChanged",
-      handleProtectionSelection
-    );
-    document.removeEventListener(
-      "systemSelectionConfirmed",
-      cleanupProtectionSelection
-    );
-    document.removeEventListener(
-      "systemSelectionCancelled",
-      cleanupProtectionSelection
-    );
+    // Drop listeners from a previous selection to prevent accumulation
+    disposeSelectionScope();
 
-    // Add event listeners for system selection lifecycle
-    document.addEventListener(
-      "systemSelectionChanged",
-      handleProtectionSelection
-    );
-    document.addEventListener(
-      "systemSelectionConfirmed",
-      cleanupProtectionSelection
-    );
-    document.addEventListener(
-      "systemSelectionCancelled",
-      cleanupProtectionSelection
-    );
+    // Listen for the selection lifecycle until the selection ends
+    if (eventBus) {
+      selectionScope = eventBus.createScope();
+      selectionScope.on(
+        GAME_EVENTS.SYSTEM_SELECTION_CHANGED,
+        ({ selectedSystems }) =>
+          updateProtectionSelectionIndicators(gameState.systems, selectedSystems)
+      );
+      selectionScope.on(
+        GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED,
+        cleanupProtectionSelection
+      );
+      selectionScope.on(
+        GAME_EVENTS.SYSTEM_SELECTION_CANCELLED,
+        cleanupProtectionSelection
+      );
+    }
 
     // Initially update selection indicators based on current selection
-    updateProtectionSelectionIndicators(gameState.selectedSystems || []);
+    updateProtectionSelectionIndicators(
+      gameState.systems,
+      gameState.selectedSystems || []
+    );
   },
 
   /**
@@ -320,8 +370,9 @@ export const protection = {
 
     // Add overlay if protection is active
     if (protectionState.isProtecting && protectionState.targetSystem) {
-      const targetSystemElement = document.querySelector(
-        `[data-system-name="${protectionState.targetSystem}"]`
+      const targetSystemElement = findSystemElement(
+        gameState.systems,
+        protectionState.targetSystem
       );
 
       if (targetSystemElement) {
@@ -401,18 +452,12 @@ function injectProtectionAnimationCSS() {
   document.head.appendChild(style);
 }
 
-/**
- * Handle system selection change events to update protection selection indicators
- */
-function handleProtectionSelection(event) {
-  const selectedSystems = event.detail.selectedSystems;
-  updateProtectionSelectionIndicators(selectedSystems);
-}
-
 /**
  * Update protection selection indicators to show shield icon on selected systems
+ * @param {Array} systems - The systems in play
+ * @param {Array} selectedSystems - Names of the selected systems
  */
-function updateProtectionSelectionIndicators(selectedSystems) {
+function updateProtectionSelectionIndicators(systems, selectedSystems) {
   // Remove any existing selection shield overlays
   const existingSelectionOverlays = document.querySelectorAll(
     ".protection-selection-shield"
@@ -421,9 +466,7 @@ function updateProtectionSelectionIndicators(selectedSystems) {
 
   // Add shield overlay to selected systems
   selectedSystems.forEach((systemName) => {
-    const systemElement = document.querySelector(
-      `[data-system-name="${systemName}"]`
-    );
+    const systemElement = findSystemElement(systems, systemName);
     if (systemElement) {
       createSelectionShieldOverlay(systemElement);
     }
@@ -537,16 +580,15 @@ function cleanupProtectionSelection() {
   selectionOverlays.forEach((overlay) => overlay.remove());
 
   // Remove event listeners
-  document.removeEventListener(
-    "systemSelectionChanged",
-    handleProtectionSelection
-  );
-  document.removeEventListener(
-    "systemSelectionConfirmed",
-    cleanupProtectionSelection
-  );
-  document.removeEventListener(
-    "systemSelectionCancelled",
-    cleanupProtectionSelection
-  );
+  disposeSelectionScope();
+}
+
+/**
+ * Remove the listeners of the current selection, if any
+ */
+function disposeSelectionScope() {
+  if (selectionScope) {
+    selectionScope.dispose();
+    selectionScope = null;
+  }
 }
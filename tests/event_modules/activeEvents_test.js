@@ -0,0 +1,102 @@
+(async () => {
+  console.log = () => {};
+
+  const { triggerEvent, tickActiveEvents } = await import('../../src/mechanics/triggerEvent.js');
+  const { getEventEligibility } = await import('../../src/mechanics/eventTable.js');
+  const { createRngState } = await import('../../src/mechanics/rng.js');
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, serializeGame, deserializeGame } = await import('../../src/core/engine.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Active events test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const ionStorm = fullConfig.negativeEvents.find((e) => e.name === 'Ion Storm');
+  const solarWind = fullConfig.positiveEvents.find((e) => e.name === 'Solar Wind');
+  if (!ionStorm || !solarWind) fail('multi-turn events not registered');
+
+  // A system reacting to each tick through onEvent
+  const ticks = [];
+  const listener = {
+    name: 'Sensor',
+    type: 'normal',
+    tags: ['electrical'],
+    onEvent(state, event, config, stateBeforeEvent, tick) {
+      ticks.push([event.name, tick.number, tick.duration, tick.turnsLeft]);
+      return state;
+    },
+  };
+  const config = { positiveEvents: [], negativeEvents: [ionStorm], eventChance: 1, positiveEventProbability: 0 };
+  let state = {
+    turn: 3,
+    deteriorationCount: 2,
+    rng: createRngState(1),
+    message: '',
+    damageModifiers: [],
+    eventLog: [],
+    systems: [
+      { ...listener, health: 100 },
+      { name: 'Life Support', type: 'normal', health: 100 },
+    ],
+  };
+  const health = (s, name) => s.systems.find((sys) => sys.name === name).health;
+
+  // Firing is the first tick
+  ({ state } = await triggerEvent(state, config));
+  if (health(state, 'Sensor') !== 90 || health(state, 'Life Support') !== 100) {
+    fail('first tick damage wrong', state.systems);
+  }
+  if (state.activeEvents.length !== 1 || state.activeEvents[0].turnsLeft !== 2 || state.activeEvents[0].name !== 'Ion Storm') {
+    fail('event not tracked as active', state.activeEvents);
+  }
+  if (getEventEligibility(ionStorm, state).reason !== 'Active (2 turns left)') {
+    fail('a running event should not be drawn again');
+  }
+
+  // Following turns tick until the duration is used up
+  state = await tickActiveEvents({ ...state, turn: 4, deteriorationCount: 3 }, config);
+  state = await tickActiveEvents({ ...state, turn: 5, deteriorationCount: 4 }, config);
+  if (health(state, 'Sensor') !== 70 || state.activeEvents.length !== 0) {
+    fail('ticks wrong', health(state, 'Sensor'), state.activeEvents);
+  }
+  if (JSON.stringify(ticks) !== JSON.stringify([['Ion Storm', 1, 3, 2], ['Ion Storm', 2, 3, 1], ['Ion Storm', 3, 3, 0]])) {
+    fail('onEvent did not see every tick', ticks);
+  }
+  if (!state.eventLog.some((entry) => entry.text === 'Ion Storm continues (3/3)')) {
+    fail('ticks not logged', state.eventLog);
+  }
+  if (getEventEligibility(ionStorm, state).eligible !== true) {
+    fail('a finished event should be eligible again');
+  }
+
+  // Through the engine: Solar Wind halves two deteriorations and survives a save
+  const windConfig = {
+    systems: fullConfig.systems.filter((s) => s.name === 'Life Support' || s.name === 'Power'),
+    positiveEvents: [{ ...solarWind, cooldown: 20 }],
+    negativeEvents: [],
+    eventChance: 1,
+    positiveEventProbability: 1,
+    seed: 4,
+  };
+  let game = await startGame(windConfig);
+  const lost = [];
+  for (let turn = 0; turn < 4; turn++) {
+    const before = health(game, 'Life Support');
+    // Fix Power, then end the turn if action points are left
+    const fixed = await applyPlayerAction(game, windConfig, { type: 'fix', systemName: 'Power' });
+    game = fixed.turn === game.turn ? await applyPlayerAction(fixed, windConfig, { type: 'endTurn' }) : fixed;
+    lost.push(before - health(game, 'Life Support'));
+    if (turn === 0) {
+      if (game.activeEvents.length !== 1) fail('solar wind should still be running', game.activeEvents);
+      const restored = await deserializeGame(JSON.parse(JSON.stringify(serializeGame(game, windConfig))), fullConfig.registry);
+      game = restored.gameState;
+    }
+  }
+  if (JSON.stringify(lost) !== JSON.stringify([15, 8, 8, 15])) {
+    fail('solar wind did not halve deterioration for 2 turns', lost);
+  }
+
+  process.stdout.write('Active events tests PASSED\n');
+})();
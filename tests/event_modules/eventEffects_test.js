@@ -0,0 +1,152 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { applyEffects, selectTargets, defineEvent, validateEffects } = await import('../../src/mechanics/eventEffects.js');
+  const { addDamageModifier } = await import('../../src/mechanics/damageModifiers.js');
+  const { createRngState } = await import('../../src/mechanics/rng.js');
+  const { freezeState } = await import('../../src/core/store.js');
+  const { triggerEvent } = await import('../../src/mechanics/triggerEvent.js');
+  const { powerSurge } = await import('../../events/negative/powerSurge.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Event effects test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const makeState = () => ({
+    turn: 1,
+    rng: createRngState(42),
+    damageModifiers: [],
+    systems: [
+      { name: 'Life Support', type: 'normal', critical: true, health: 80 },
+      { name: 'Power', type: 'normal', tags: ['electrical'], health: 60 },
+      { name: 'Comms', type: 'normal', tags: ['electrical'], health: 30 },
+      { name: 'Protection', type: 'active', health: 100 },
+    ],
+  });
+  const healths = (state) => state.systems.map((s) => s.health);
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  // Target selectors
+  const state = freezeState(makeState());
+  const checks = [
+    ['all', ['Life Support', 'Power', 'Comms', 'Protection']],
+    [{ name: 'Power' }, ['Power']],
+    [{ name: ['Comms', 'Hull'] }, ['Comms']],
+    [{ tag: 'electrical' }, ['Power', 'Comms']],
+    [{ tag: 'critical' }, ['Life Support']],
+    [{ tag: 'active' }, ['Protection']],
+    ['lowest_health', ['Comms']],
+    [{ select: 'lowest_health', exclude: ['Comms'] }, ['Power']],
+    [{ select: 'all', exclude: ['Power', 'Comms'] }, ['Life Support', 'Protection']],
+  ];
+  for (const [target, expected] of checks) {
+    if (!same(selectTargets(state, target).targets, expected)) {
+      fail('selector picked the wrong systems', target, selectTargets(state, target).targets);
+    }
+  }
+  const picked = selectTargets(state, 'random');
+  if (picked.targets.length !== 1 || picked.state.rng.cursor !== state.rng.cursor + 1 || !same(selectTargets(state, 'random').targets, picked.targets)) {
+    fail('random selector should draw once from the seeded RNG');
+  }
+
+  // Operations
+  let result = applyEffects(state, [
+    { type: 'damage', amount: 20, target: { tag: 'electrical' } },
+    { type: 'heal', amount: 30, target: { name: 'Life Support' } },
+    { type: 'set_health', value: 50, target: 'lowest_health' },
+  ]);
+  if (!same(healths(result), [100, 40, 50, 100]) || !same(healths(state), [80, 60, 30, 100])) {
+    fail('operations applied wrong', healths(result));
+  }
+  const worn = { ...state, systems: state.systems.map((s) => (s.name === 'Life Support' ? { ...s, maxHealth: 85 } : s)) };
+  if (
+    applyEffects(worn, [{ type: 'heal', amount: 30, target: { name: 'Life Support' } }]).systems[0].health !== 85 ||
+    applyEffects(worn, [{ type: 'set_health', value: 100, target: { name: 'Life Support' } }]).systems[0].health !== 85
+  ) {
+    fail('heal and set_health should stop at the worn maximum health');
+  }
+  result = applyEffects(state, [{ type: 'add_modifier', modifier: 0, damageType: 'negative_events', turns: 2, target: { name: 'Power' } }]);
+  if (result.damageModifiers.length !== 1 || result.damageModifiers[0].systemName !== 'Power') {
+    fail('add_modifier did not add a modifier', result.damageModifiers);
+  }
+  result = applyEffects(result, [{ type: 'damage', amount: 20, target: 'all' }]);
+  if (!same(healths(result), [60, 60, 10, 80])) {
+    fail('damage ignored immunity', healths(result));
+  }
+  const halved = addDamageModifier(makeState(), 'all', 0.5, 'negative_events', 2);
+  if (!same(healths(applyEffects(halved, [{ type: 'damage', amount: 15, target: 'all' }])), [72, 52, 22, 92])) {
+    fail('damage ignored a partial modifier');
+  }
+  if (applyEffects(halved, [{ type: 'damage', amount: 15, damageType: 'deterioration' }]).systems[0].health !== 65) {
+    fail('damage type not respected');
+  }
+  result = applyEffects(state, [
+    { type: 'random_target', target: { tag: 'normal' }, effects: [{ type: 'set_health', value: 0 }, { type: 'heal', amount: 10 }] },
+  ]);
+  const changed = result.systems.filter((s, i) => s.health !== state.systems[i].health);
+  if (changed.length !== 1 || changed[0].health !== 10 || changed[0].name === 'Protection') {
+    fail('random_target should apply its effects to one system', healths(result));
+  }
+
+  // Hand-coded events got the same numbers from triggerEvent's modifier pass
+  const surged = powerSurge.apply(addDamageModifier(makeState(), 'Comms', 0, 'negative_events', 2));
+  if (!same(healths(surged), [65, 30, 30, 85])) {
+    fail('power surge damage wrong', healths(surged));
+  }
+
+  // triggerEvent applies modifiers to effect events once
+  const leak = defineEvent({ description: 'Leak', effects: [{ type: 'damage', amount: 35, target: { name: 'Life Support' } }] });
+  const { state: afterLeak } = await triggerEvent(halved, { systems: [], positiveEvents: [], negativeEvents: [leak], eventChance: 1, positiveEventProbability: 0 });
+  if (afterLeak.systems[0].health !== 80 - (35 - Math.floor(35 * 0.5))) {
+    fail('modifier applied more than once', afterLeak.systems[0].health);
+  }
+
+  // Invalid effects are rejected with a reason
+  const invalid = [
+    [[], 'non-empty'],
+    [[{ type: 'explode' }], 'unknown type explode'],
+    [[{ type: 'damage' }], 'needs amount'],
+    [[{ type: 'heal', amount: 5, target: 'strongest' }], 'unknown target strongest'],
+    [[{ type: 'random_target', effects: [{ type: 'set_health' }] }], 'needs value'],
+  ];
+  for (const [effects, reason] of invalid) {
+    try {
+      validateEffects(effects);
+      fail('invalid effects accepted', effects);
+    } catch (error) {
+      if (!error.message.includes(reason)) fail('unexpected validation error', error.message);
+    }
+  }
+
+  // The registry accepts events written purely as effects
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-effects-'));
+  const jsonPath = path.join(dir, 'hullBreach.json');
+  fs.writeFileSync(jsonPath, JSON.stringify({ description: 'Hull breach!', effects: [{ type: 'damage', amount: 10, target: 'lowest_health' }] }));
+  const objectPath = path.join(dir, 'calm.js');
+  fs.writeFileSync(objectPath, "export const calm = { description: 'Calm', effects: [{ type: 'heal', amount: 5 }] };\n");
+  try {
+    const registry = new ModuleRegistry({ strictMode: true });
+    const breach = await registry.loadModule(jsonPath, 'negativeEvent');
+    const calm = await registry.loadModule(objectPath, 'positiveEvent');
+    if (breach.apply(state).systems[2].health !== 20 || calm.apply(state).systems[0].health !== 85) {
+      fail('registry events apply wrong');
+    }
+    try {
+      fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ description: 'Broken', effects: [{ type: 'nope' }] }));
+      await registry.loadModule(path.join(dir, 'broken.json'), 'negativeEvent');
+      fail('invalid effect event loaded');
+    } catch (error) {
+      if (!error.message.includes('unknown type nope')) throw error;
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  process.stdout.write('Event effects tests PASSED\n');
+})();
@@ -0,0 +1,108 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { checkEventRequirements, getSetupWarning, validateRequirements } = await import('../../src/mechanics/eventRequirements.js');
+  const { getEventEligibility } = await import('../../src/mechanics/eventTable.js');
+  const { triggerEvent } = await import('../../src/mechanics/triggerEvent.js');
+  const { createRngState } = await import('../../src/mechanics/rng.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+  const { loadGameModules } = await import('../../registry.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Event requirements test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const system = (name, health, extra = {}) => ({ name, type: 'normal', health, ...extra });
+  const stateWith = (systems, extra = {}) => ({ turn: 5, deteriorationCount: 4, systems, eventHistory: [], ...extra });
+
+  // Requirements are checked against the current ship
+  const event = {
+    description: 'Test event',
+    apply: (s) => s,
+    requires: {
+      systems: ['Life Support'],
+      tags: ['electrical'],
+      health: { Power: { healthBelow: 50, healthAtLeast: 10 } },
+      condition: (gameState) => gameState.turn > 3,
+    },
+  };
+  const ship = [system('Life Support', 80), system('Power', 40, { tags: ['electrical'] })];
+  const expectations = [
+    [stateWith(ship), true, null],
+    [stateWith(ship.slice(1)), false, 'Needs Life Support'],
+    [stateWith([system('Life Support', 80), system('Power', 40)]), false, 'Needs a system tagged electrical'],
+    [stateWith([ship[0], { ...ship[1], health: 60 }]), false, 'Needs Power health below 50'],
+    [stateWith([ship[0], { ...ship[1], health: 5 }]), false, 'Needs Power health at least 10'],
+    [stateWith(ship, { turn: 2 }), false, 'Condition not met'],
+  ];
+  for (const [state, met, reason] of expectations) {
+    const result = checkEventRequirements(event, state);
+    if (result.met !== met || result.reason !== reason) fail('requirements wrong', reason, result);
+    const eligibility = getEventEligibility(event, state);
+    if (eligibility.eligible !== met || eligibility.reason !== reason) fail('eligibility ignores requirements', reason, eligibility);
+  }
+
+  // Setup warnings only cover what the chosen systems decide
+  if (getSetupWarning(event, ship) !== null) fail('warned about a possible event');
+  if (getSetupWarning(event, [ship[1]]) !== 'Needs Life Support') fail('missing system not warned');
+  if (getSetupWarning(event, [ship[0]]) !== 'Needs Power') fail('health condition system not warned');
+  if (getSetupWarning({ description: 'Any' }, []) !== null) fail('event without requirements warned');
+
+  // Bundled events declare what they need
+  const config = await loadGameModules();
+  const find = (name) => config.negativeEvents.find((e) => e._modulePath.includes(name));
+  const noPower = config.systems.filter((s) => s.name === 'Life Support' || s.name === 'Hull');
+  // Power Surge damages every system, so it fires without Power too
+  if (getSetupWarning(find('powerSurge'), noPower) !== null) fail('power surge should fire without Power');
+  if (getSetupWarning(find('oxygenLeak'), noPower) !== null) fail('oxygen leak should fire with Life Support');
+  if (getSetupWarning(find('oxygenLeak'), config.systems.filter((s) => s.name === 'Power')) !== 'Needs Life Support') {
+    fail('oxygen leak needs Life Support');
+  }
+  if (getSetupWarning(find('ionStorm'), noPower) !== 'Needs a system tagged electrical') fail('ion storm needs electrical systems');
+
+  // triggerEvent only draws events whose requirements hold
+  const triggerConfig = {
+    positiveEvents: [],
+    negativeEvents: [find('oxygenLeak'), find('ionStorm')],
+    eventChance: 1,
+    positiveEventProbability: 0,
+  };
+  for (let seed = 1; seed <= 10; seed++) {
+    const state = stateWith(noPower.map((s) => ({ ...s, health: 100 })), { rng: createRngState(seed), message: '', damageModifiers: [] });
+    const { event: fired } = await triggerEvent(state, triggerConfig);
+    if (!fired || !fired._modulePath.includes('oxygenLeak')) fail('drew an event whose requirements fail', seed);
+  }
+
+  // Malformed requirements are rejected at load time
+  const invalid = [
+    [{ system: ['Power'] }, 'requires has unknown key system'],
+    [{ tags: 'electrical' }, 'requires tags must be an array'],
+    [{ health: { Power: { healthAbove: 5 } } }, 'requires health of Power has unknown condition healthAbove'],
+    [{ condition: true }, 'requires condition must be a function'],
+  ];
+  for (const [requires, message] of invalid) {
+    try {
+      validateRequirements(requires, 'Broken');
+      fail('accepted invalid requirements', requires);
+    } catch (error) {
+      if (error.message !== `Broken: ${message}`) fail('wrong validation error', error.message);
+    }
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-requirements-'));
+  try {
+    const brokenPath = path.join(dir, 'broken.json');
+    fs.writeFileSync(brokenPath, JSON.stringify({ description: 'Broken', effects: [{ type: 'heal', amount: 5 }], requires: { tags: 'x' } }));
+    await new ModuleRegistry({ strictMode: true }).loadModule(brokenPath, 'negativeEvent');
+    fail('registry loaded an event with invalid requirements');
+  } catch (error) {
+    if (!error.message.includes('Broken: requires tags must be an array')) fail('registry error unclear', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  process.stdout.write('Event requirements tests PASSED\n');
+})();
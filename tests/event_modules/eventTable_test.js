@@ -0,0 +1,123 @@
+(async () => {
+  console.log = () => {};
+
+  const { pickWeightedEvent, getEventEligibility, getEventProbabilities, recordEventOccurrence } = await import('../../src/mechanics/eventTable.js');
+  const { createRngState, randomIndex } = await import('../../src/mechanics/rng.js');
+  const { triggerEvent } = await import('../../src/mechanics/triggerEvent.js');
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction } = await import('../../src/core/engine.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Event table test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const event = (description, settings = {}) => ({ description, apply: (s) => s, ...settings });
+  const stateAt = (turn, cycle, extra = {}) => ({ turn, deteriorationCount: cycle, systems: [], eventHistory: [], ...extra });
+
+  // Equal weights draw the same event as the former uniform pick
+  const uniform = [event('A'), event('B'), event('C')];
+  for (let seed = 1; seed <= 50; seed++) {
+    const a = { ...stateAt(1, 0), rng: createRngState(seed) };
+    const b = { ...stateAt(1, 0), rng: createRngState(seed) };
+    const picked = pickWeightedEvent(a, uniform);
+    const index = randomIndex(b, uniform.length);
+    if (picked.event !== uniform[index.value] || picked.state.rng.cursor !== index.state.rng.cursor || a.rng.cursor !== 0) {
+      fail('equal weights changed the seeded draw', seed);
+    }
+  }
+
+  // Weights shift the odds
+  const weighted = [event('Common', { weight: 3 }), event('Rare', { weight: 1 })];
+  let draws = { ...stateAt(1, 0), rng: createRngState(7) };
+  let common = 0;
+  for (let i = 0; i < 2000; i++) {
+    const picked = pickWeightedEvent(draws, weighted);
+    draws = picked.state;
+    if (picked.event.description === 'Common') common++;
+  }
+  if (common < 1400 || common > 1600) fail('weight 3:1 drew Common', common, 'of 2000');
+
+  // Eligibility
+  const limited = event('Limited', { minTurn: 3, maxTurn: 6, cooldown: 2, maxOccurrences: 2 });
+  const expectations = [
+    [stateAt(2, 1), false, 'From turn 3'],
+    [stateAt(7, 6), false, 'Until turn 6'],
+    [stateAt(3, 2), true, null],
+  ];
+  let history = recordEventOccurrence(stateAt(3, 2), limited, false);
+  expectations.push(
+    [{ ...history, turn: 4, deteriorationCount: 3 }, false, 'Cooling down (2 turns)'],
+    // A Navigation rollback lowers the turn but not the cycle count
+    [{ ...history, turn: 3, deteriorationCount: 4 }, false, 'Cooling down (1 turn)'],
+    [{ ...history, turn: 5, deteriorationCount: 5 }, true, null]
+  );
+  history = recordEventOccurrence({ ...history, turn: 5, deteriorationCount: 5 }, limited, false);
+  expectations.push(
+    [{ ...history, turn: 6, deteriorationCount: 9 }, false, 'Limit reached (2/2)'],
+    [stateAt(4, 3), true, null]
+  );
+  for (const [state, eligible, reason] of expectations) {
+    const result = getEventEligibility(limited, state);
+    if (result.eligible !== eligible || result.reason !== reason) {
+      fail('eligibility wrong', state.turn, state.deteriorationCount, result);
+    }
+  }
+  if (getEventEligibility(event('Off', { weight: 0 }), stateAt(1, 0)).eligible) {
+    fail('weight 0 should never fire');
+  }
+  if (history.eventHistory.length !== 2 || history.eventHistory[1].turn !== 5 || history.eventHistory[1].positive !== false) {
+    fail('history entry wrong', history.eventHistory);
+  }
+
+  // Effective probabilities
+  const config = {
+    eventChance: 0.5,
+    positiveEventProbability: 0.5,
+    positiveEvents: weighted,
+    negativeEvents: [limited],
+  };
+  const rows = getEventProbabilities(stateAt(1, 0), config);
+  const odds = Object.fromEntries(rows.map((row) => [row.description, row.probability]));
+  if (odds.Common !== 0.1875 || odds.Rare !== 0.0625 || odds.Limited !== 0 || rows[2].reason !== 'From turn 3') {
+    fail('probabilities wrong', rows);
+  }
+
+  // triggerEvent skips ineligible events and keeps the history
+  const onlyCooldown = { positiveEvents: [], negativeEvents: [event('Storm', { cooldown: 1 })], eventChance: 1, positiveEventProbability: 0 };
+  let state = stateAt(1, 1, { rng: createRngState(3), message: '' });
+  const fired = [];
+  for (let cycle = 1; cycle <= 5; cycle++) {
+    const result = await triggerEvent({ ...state, turn: cycle, deteriorationCount: cycle }, onlyCooldown);
+    state = result.state;
+    fired.push(result.event ? 1 : 0);
+    if (!result.event && state.message !== 'No unusual events this turn.') fail('message not reset', state.message);
+  }
+  if (fired.join('') !== '10101' || state.eventHistory.length !== 3) {
+    fail('cooldown not respected by triggerEvent', fired, state.eventHistory);
+  }
+
+  // Whole games: meteor showers given a cooldown are never drawn within it
+  const fullConfig = await loadGameModules();
+  const gameConfig = {
+    ...fullConfig,
+    systems: fullConfig.systems.filter((s) => s.type === 'normal'),
+    negativeEvents: fullConfig.negativeEvents.map((e) => (e.id === 'meteorShower' ? { ...e, cooldown: 3 } : e)),
+    eventChance: 1,
+    positiveEventProbability: 0,
+  };
+  for (let seed = 1; seed <= 3; seed++) {
+    let game = await startGame({ ...gameConfig, seed });
+    for (let step = 0; step < 30 && !game.gameOver; step++) {
+      const damaged = [...game.systems].sort((a, b) => a.health - b.health)[0];
+      game = await applyPlayerAction(game, gameConfig, { type: 'fix', systemName: damaged.name });
+    }
+    const showers = game.eventHistory.filter((entry) => entry.event.includes('meteorShower'));
+    for (let i = 1; i < showers.length; i++) {
+      if (showers[i].cycle - showers[i - 1].cycle <= 3) fail('meteor showers within cooldown', seed, showers);
+    }
+    if (game.eventHistory.length === 0) fail('no events recorded', seed);
+  }
+
+  process.stdout.write('Event table tests PASSED\n');
+})();
@@ -0,0 +1,102 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, createFixAction, getLegalActions, PLAYER_ACTIONS } =
+    await import('../../src/core/engine.js');
+  const { getActionPointBudget } = await import('../../src/mechanics/actionPoints.js');
+  const { createNormalSystem, validateManifest } = await import('../../src/setup/systemManifest.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Action points test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 11,
+    // Plenty of resources, so only action points limit the turn
+    startingResources: { parts: 10, energy: 5 },
+  };
+  const withHealth = (state, name, health) => ({
+    ...state,
+    systems: state.systems.map((s) => (s.name === name ? { ...s, health } : s)),
+  });
+
+  // One point per turn, plus one from a healthy Power system
+  const game = withHealth(await startGame(config), 'Power', 80);
+  if (getActionPointBudget(game, config) !== 2) fail('healthy Power should grant a point');
+  if (getActionPointBudget(withHealth(game, 'Power', 40), config) !== 1) fail('damaged Power should not grant a point');
+  if (getActionPointBudget(game, { ...config, actionPointsPerTurn: 3 }) !== 4) fail('actionPointsPerTurn ignored');
+  const state = { ...game, actionPoints: 2, actionPointBudget: 2 };
+
+  // Fixes draw from the points; the turn ends once they are used up
+  const once = await applyPlayerAction(state, config, createFixAction(state, 'Shields'));
+  if (once.turn !== state.turn || once.actionPoints !== 1) fail('first fix should leave the turn running', once.turn, once.actionPoints);
+  const twice = await applyPlayerAction(once, config, createFixAction(once, 'Comms'));
+  if (twice.turn <= state.turn) fail('turn did not end when the points ran out');
+  if (twice.actionPoints !== twice.actionPointBudget || twice.actionPoints < 1) fail('points not refilled for the new turn', twice.actionPoints);
+
+  // Ending the turn early gives up the points left and runs the turn sequence
+  const ended = await applyPlayerAction(once, config, { type: PLAYER_ACTIONS.END_TURN });
+  if (ended.turn <= once.turn || ended.actionLog.at(-1).type !== PLAYER_ACTIONS.END_TURN) fail('end turn did not run the turn');
+  for (const blocked of [{ ...once, interactiveMode: true }, { ...once, gameOver: true }]) {
+    if ((await applyPlayerAction(blocked, config, { type: PLAYER_ACTIONS.END_TURN })) !== blocked) fail('refused end turn was recorded');
+  }
+
+  // Actions the points cannot pay for are refused
+  const expensive = { ...config, actionPointCosts: { overhaul: 3 } };
+  const costly = { ...(await startGame(expensive)), actionPoints: 2 };
+  const refused = await applyPlayerAction(costly, expensive, createFixAction(costly, 'Shields'));
+  if (!refused.message.startsWith('Not enough action points to overhaul Shields: needs 3 action points, you have 2 action points.')) {
+    fail('refusal message unclear', refused.message);
+  }
+  if (refused.actionLog.length !== costly.actionLog.length || refused.actionPoints !== 2) fail('refused action changed the game');
+  const legal = getLegalActions({ ...state, actionPoints: 0 });
+  if (legal.at(-1).type !== PLAYER_ACTIONS.END_TURN || !legal.slice(0, -1).every((a) => a.repair === 'patch')) {
+    fail('without points only quick patches and ending the turn are legal', legal);
+  }
+
+  // Active actions cost points too, given back when their selection is cancelled
+  const activate = { type: PLAYER_ACTIONS.SYSTEM_ACTION, systemName: 'Protection', action: 'activate' };
+  const selecting = await applyPlayerAction(state, config, activate);
+  if (!selecting.systemSelectionMode || selecting.actionPoints !== 1) fail('activation should cost a point', selecting.actionPoints);
+  const cancelled = await applyPlayerAction(selecting, config, { type: PLAYER_ACTIONS.CANCEL_SELECTION });
+  if (cancelled.actionPoints !== 2 || !cancelled.message.includes('1 action point')) fail('cancelled activation not refunded', cancelled.message);
+
+  // Confirming the selection of the last point ends the turn
+  const lastPoint = { ...state, actionPoints: 1 };
+  const shielding = await applyPlayerAction(lastPoint, config, activate);
+  if (shielding.turn !== state.turn) fail('turn ended before the selection was made');
+  const confirmed = await applyPlayerAction(shielding, config, { type: PLAYER_ACTIONS.CONFIRM_SELECTION, systems: ['Shields'] });
+  if (confirmed.turn <= state.turn) fail('turn did not end after the selection');
+
+  // Costs are configurable per kind of action
+  const freeShield = { ...config, actionPointCosts: { systemAction: 0 } };
+  const freeState = { ...(await startGame(freeShield)), actionPoints: 1 };
+  if ((await applyPlayerAction(freeState, freeShield, activate)).actionPoints !== 1) fail('free activation cost a point');
+
+  // Systems can drain points, and manifests declare their grants
+  const leech = { ...fullConfig.systems[0], name: 'Leech', actionPointBonus: () => -3 };
+  if (getActionPointBudget({ ...game, systems: [...game.systems, leech] }, config) !== 0) fail('drained budget should not go below 0');
+  const generator = createNormalSystem({
+    name: 'Generator', deterioration: 5, actionPoints: [{ amount: 2, when: { healthAtLeast: 90 } }, { amount: -1, when: { healthBelow: 20 } }],
+  });
+  const generatorState = (health) => ({ systems: [{ ...generator, health }] });
+  if (generator.actionPointBonus(generatorState(95)) !== 2 || generator.actionPointBonus(generatorState(10)) !== -1) {
+    fail('manifest grants wrong');
+  }
+  try {
+    validateManifest({ name: 'Broken', deterioration: 5, actionPoints: [{ amount: 1, when: { healthAbove: 5 } }] });
+    fail('accepted an unknown grant condition');
+  } catch (error) {
+    if (!error.message.includes('action point grant 0 has unknown condition healthAbove')) fail('grant error unclear', error.message);
+  }
+
+  process.stdout.write('Action points tests PASSED\n');
+})();
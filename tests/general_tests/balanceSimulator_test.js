@@ -0,0 +1,114 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { buildCombinations, runBalanceSimulation, simulateGame, formatReportTable } =
+    await import('../../src/simulation/balanceSimulator.js');
+  const { getStrategy } = await import('../../src/bots/strategies.js');
+
+  const fullConfig = await loadGameModules();
+  const strategy = getStrategy('fixLowestHealth');
+
+  // Combinations
+  const allEvents = [...fullConfig.positiveEvents, ...fullConfig.negativeEvents];
+  if (buildCombinations(fullConfig).length !== 1) {
+    console.error('Balance simulator test FAILED: default should be one combination');
+    process.exit(2);
+  }
+  const perEvent = buildCombinations(fullConfig, { vary: 'events' });
+  if (perEvent.length !== allEvents.length || perEvent.some((c) => c.events.length !== 1)) {
+    console.error('Balance simulator test FAILED: vary events should give one event per combination');
+    process.exit(2);
+  }
+  const subsets = buildCombinations(fullConfig, {
+    systems: ['lifeSupport', 'power', 'navigation', 'shields'],
+    vary: 'systems',
+  });
+  if (subsets.length !== 4 || subsets.some((c) => c.systems.length !== 3)) {
+    console.error('Balance simulator test FAILED: expected every 3-system subset', subsets);
+    process.exit(2);
+  }
+
+  // Combinations use module IDs; names and descriptions are converted
+  const [legacy] = buildCombinations(fullConfig, {
+    systems: ['Life Support', 'power'],
+    events: [fullConfig.negativeEvents[0].description],
+  });
+  if (legacy.systems.join() !== 'lifeSupport,power' || legacy.events.join() !== fullConfig.negativeEvents[0].id) {
+    console.error('Balance simulator test FAILED: combinations should list module IDs', legacy);
+    process.exit(2);
+  }
+  if (perEvent.some((c) => !allEvents.some((e) => e.id === c.events[0]))) {
+    console.error('Balance simulator test FAILED: default combinations should use event IDs');
+    process.exit(2);
+  }
+  let unknownError = null;
+  try {
+    buildCombinations(fullConfig, { events: ['noSuchEvent'] });
+  } catch (error) {
+    unknownError = error;
+  }
+  if (!unknownError || unknownError.message !== 'Unknown event: noSuchEvent') {
+    console.error('Balance simulator test FAILED: unknown events should be rejected', unknownError);
+    process.exit(2);
+  }
+
+  // Single games are reproducible
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    eventChance: 0.5,
+    seed: 99,
+  };
+  const first = await simulateGame(config, strategy);
+  const second = await simulateGame(config, strategy);
+  if (JSON.stringify(first) !== JSON.stringify(second)) {
+    console.error('Balance simulator test FAILED: same seed gave different games');
+    process.exit(2);
+  }
+
+  // Aggregated report
+  const options = {
+    strategy,
+    games: 20,
+    seed: 7,
+    combinations: perEvent.slice(-2),
+    settings: { eventChance: 1 },
+  };
+  const report = await runBalanceSimulation(fullConfig, options);
+  const again = await runBalanceSimulation(fullConfig, options);
+  if (JSON.stringify(report) !== JSON.stringify(again)) {
+    console.error('Balance simulator test FAILED: report is not reproducible');
+    process.exit(2);
+  }
+
+  for (const result of report.results) {
+    const losses = Object.values(result.lossCauses).reduce((a, b) => a + b, 0);
+    if (result.games !== 20 || result.wins + losses !== 20) {
+      console.error('Balance simulator test FAILED: wins and losses should cover every game', result);
+      process.exit(2);
+    }
+    if (result.winRate !== result.wins / 20 || result.averageTurnsSurvived <= 0) {
+      console.error('Balance simulator test FAILED: bad win rate or average turns', result);
+      process.exit(2);
+    }
+    const fired = Object.keys(result.eventCounts);
+    if (fired.length !== 1 || fired[0] !== result.events[0]) {
+      console.error('Balance simulator test FAILED: only the combination event should fire', result.eventCounts);
+      process.exit(2);
+    }
+    if (Math.abs(result.eventsPerGame[fired[0]] - result.eventCounts[fired[0]] / 20) > 1e-9) {
+      console.error('Balance simulator test FAILED: bad per-game event rate');
+      process.exit(2);
+    }
+  }
+
+  const table = formatReportTable(report);
+  if (!table.includes('Win rate') || !table.includes('Avg turns')) {
+    console.error('Balance simulator test FAILED: table is missing columns');
+    process.exit(2);
+  }
+
+  process.stdout.write('Balance simulator test PASSED\n');
+})();
@@ -0,0 +1,95 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, getLegalActions, PLAYER_ACTIONS } =
+    await import('../../src/core/engine.js');
+  const { STRATEGIES, getStrategy, createBotContext } =
+    await import('../../src/bots/strategies.js');
+  const { runBalanceSimulation } = await import('../../src/simulation/balanceSimulator.js');
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    eventChance: 0.5,
+    seed: 4242,
+  };
+  const sameAction = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  // Legal actions: an overhaul per normal system plus Protection's activation
+  let gameState = await startGame(config);
+  const legal = getLegalActions(gameState);
+  const normalCount = gameState.systems.filter((s) => s.type === 'normal').length;
+  if (legal.filter((a) => a.type === PLAYER_ACTIONS.FIX && a.repair === 'overhaul').length !== normalCount) {
+    console.error('Bots test FAILED: expected one overhaul per normal system', legal);
+    process.exit(2);
+  }
+  const activate = legal.find((a) => a.type === PLAYER_ACTIONS.SYSTEM_ACTION);
+  if (!activate || activate.systemName !== 'Protection' || activate.action !== 'activate') {
+    console.error('Bots test FAILED: expected the Protection activate action', legal);
+    process.exit(2);
+  }
+
+  // Selection mode offers each selectable system plus cancel
+  const selecting = await applyPlayerAction(gameState, config, activate);
+  const selectionActions = getLegalActions(selecting);
+  const confirms = selectionActions.filter((a) => a.type === PLAYER_ACTIONS.CONFIRM_SELECTION);
+  if (confirms.length !== normalCount || confirms.some((a) => a.systems.length !== 1) ||
+      !selectionActions.some((a) => a.type === PLAYER_ACTIONS.CANCEL_SELECTION)) {
+    console.error('Bots test FAILED: bad selection actions', selectionActions);
+    process.exit(2);
+  }
+
+  // Once protection is running it cannot be activated again
+  const protectedState = await applyPlayerAction(selecting, config, confirms[0]);
+  if (getLegalActions(protectedState).some((a) => a.type === PLAYER_ACTIONS.SYSTEM_ACTION)) {
+    console.error('Bots test FAILED: protection should not be available while active');
+    process.exit(2);
+  }
+
+  // Every bot picks a legal action without touching the game state
+  for (const strategy of STRATEGIES) {
+    for (const state of [gameState, selecting]) {
+      const before = JSON.stringify({ systems: state.systems, rng: state.rng, turn: state.turn });
+      const actions = getLegalActions(state);
+      const action = await strategy.chooseAction(state, actions, createBotContext(config, 1));
+      if (!actions.some((a) => sameAction(a, action))) {
+        console.error(`Bots test FAILED: ${strategy.id} picked an illegal action`, action);
+        process.exit(2);
+      }
+      if (JSON.stringify({ systems: state.systems, rng: state.rng, turn: state.turn }) !== before) {
+        console.error(`Bots test FAILED: ${strategy.id} changed the game state`);
+        process.exit(2);
+      }
+    }
+  }
+
+  // Protect critical shields Life Support
+  const shieldTarget = getStrategy('protectCritical').chooseAction(selecting, selectionActions);
+  if (!sameAction(shieldTarget.systems, ['Life Support'])) {
+    console.error('Bots test FAILED: protectCritical should shield Life Support', shieldTarget);
+    process.exit(2);
+  }
+
+  // Smarter bots beat the random bot
+  const winRate = async (id) => {
+    const report = await runBalanceSimulation(fullConfig, {
+      strategy: getStrategy(id),
+      games: 10,
+      seed: 500,
+      settings: { eventChance: 0.5 },
+    });
+    return report.results[0].winRate;
+  };
+  const randomRate = await winRate('random');
+  const lookaheadRate = await winRate('lookahead');
+  const protectRate = await winRate('protectCritical');
+  if (lookaheadRate <= randomRate || protectRate <= randomRate) {
+    console.error('Bots test FAILED: expected planning bots to beat random', { randomRate, lookaheadRate, protectRate });
+    process.exit(2);
+  }
+
+  process.stdout.write('Bots tests PASSED\n');
+})();
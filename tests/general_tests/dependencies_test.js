@@ -0,0 +1,126 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  // The registry logs the load failure this test provokes
+  const logError = console.error;
+  console.error = () => {};
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { loadGameModules } = await import('../../registry.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+  const { startGame } = await import('../../src/core/engine.js');
+  const { applySystemDeterioration } = await import('../../src/mechanics/deteriorationUtils.js');
+  const { getDependencyEdges, getDependencyNodes, isEdgeActive, validateDependencies } = await import(
+    '../../src/mechanics/dependencies.js'
+  );
+
+  const fail = (message, ...details) => {
+    logError(`Dependencies test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 12,
+  };
+  const system = (state, name) => state.systems.find((s) => s.name === name);
+  const withHealth = (state, healths) => ({
+    ...state,
+    systems: state.systems.map((s) => (s.name in healths ? { ...s, health: healths[s.name] } : s)),
+  });
+  // Past turn 2, so no system counts as freshly fixed (lastFixedTurn: 0)
+  const game = { ...withHealth(await startGame(config), { Power: 80, Comms: 80, Navigation: 90 }), turn: 3 };
+
+  // Power influences every other system; Navigation depends on Comms
+  const edges = getDependencyEdges(game.systems);
+  const fromPower = edges.filter((e) => e.from === 'Power' && e.kind === 'influence');
+  const onComms = edges.filter((e) => e.kind === 'dependency');
+  if (fromPower.length !== game.systems.length - 1 || fromPower.some((e) => e.to === 'Power')) fail('Power edges wrong', fromPower);
+  if (onComms.length !== 1 || onComms[0].from !== 'Comms' || onComms[0].to !== 'Navigation') fail('Comms dependency wrong', onComms);
+  if (isEdgeActive(game, fromPower[0]) || !isEdgeActive(withHealth(game, { Power: 30 }), fromPower[0])) {
+    fail('Power influence should be active below 50 health only');
+  }
+  if (isEdgeActive(game, onComms[0]) || !isEdgeActive(withHealth(game, { Comms: 0 }), onComms[0])) {
+    fail('Navigation dependency should be active while Comms is down');
+  }
+  const commsRepair = { ...game, repairQueue: [{ systemName: 'Comms', repair: 'overhaul', turns: 2, progress: 0, paid: {} }] };
+  if (!isEdgeActive(commsRepair, onComms[0])) fail('Comms under repair should not meet the dependency');
+
+  // Navigation only rolls for a delayed rescue without working Comms
+  const navigation = fullConfig.systems.find((s) => s.name === 'Navigation');
+  const deteriorate = (state) => applySystemDeterioration(system(state, 'Navigation'), state, navigation.deteriorate);
+  const covered = deteriorate(game);
+  if (system(covered, 'Navigation').health !== 70 || covered.rng.cursor !== game.rng.cursor) {
+    fail('Comms should cover Navigation', covered.rng, game.rng);
+  }
+  const uncovered = deteriorate(withHealth(game, { Comms: 0 }));
+  if (uncovered.rng.cursor !== game.rng.cursor + 1) fail('failed Comms should leave Navigation uncovered');
+  const alone = { ...game, systems: game.systems.filter((s) => s.name !== 'Comms') };
+  if (deteriorate(alone).rng.cursor !== game.rng.cursor + 1) fail('missing Comms should leave Navigation uncovered');
+  const missing = getDependencyEdges(alone.systems).find((e) => e.kind === 'dependency');
+  if (!missing.missing || !getDependencyNodes(alone.systems).some((n) => n.name === 'comms' && n.missing)) {
+    fail('missing dependency not shown', missing);
+  }
+
+  // Declared edges: targets, conditions, function effects and offline systems
+  const relay = {
+    name: 'Relay',
+    type: 'normal',
+    deteriorate: (state) => state,
+    fix: (state) => state,
+    influences: [{ to: ['comms'], effect: 'damage', amount: 7 }],
+    dependsOn: [
+      { system: 'Power', when: { healthAtLeast: 50 }, effect: 'damage', amount: 4 },
+      { system: 'Shields', effect: (state) => ({ ...state, turn: state.turn + 10 }) },
+    ],
+  };
+  const withRelay = { ...game, systems: [...game.systems, { ...relay, health: 60 }] };
+  let state = applySystemDeterioration(relay, withRelay, relay.deteriorate);
+  if (system(state, 'Comms').health !== 73 || system(state, 'Relay').health !== 60 || state.turn !== game.turn) {
+    fail('edges applied wrong', system(state, 'Comms').health, system(state, 'Relay').health, state.turn);
+  }
+  state = applySystemDeterioration(relay, withHealth(withRelay, { Power: 40, Shields: 0 }), relay.deteriorate);
+  if (system(state, 'Relay').health !== 56 || state.turn !== game.turn + 10) fail('unmet dependencies not applied');
+  const offline = { ...withHealth(withRelay, { Power: 40 }), repairQueue: [{ systemName: 'Relay', repair: 'overhaul', turns: 2, progress: 0, paid: {} }] };
+  state = applySystemDeterioration(relay, offline, relay.deteriorate);
+  if (system(state, 'Comms').health !== 80 || system(state, 'Relay').health !== 60) fail('offline system applied its edges');
+
+  // Invalid declarations are rejected with a reason
+  const invalid = [
+    [{ name: 'X', influences: {} }, 'influences must be an array'],
+    [{ name: 'X', influences: [{ to: 'all', effect: 'explode', amount: 1 }] }, 'unknown effect explode'],
+    [{ name: 'X', influences: [{ to: 'all', effect: 'damage' }] }, 'needs a numeric amount'],
+    [{ name: 'X', influences: [{ effect: 'damage', amount: 1 }] }, 'needs "to"'],
+    [{ name: 'X', dependsOn: [{ effect: 'damage', amount: 1 }] }, 'needs a system'],
+    [{ name: 'X', dependsOn: [{ system: 'power' }] }, 'needs an effect'],
+    [{ name: 'X', dependsOn: [{ system: 'comms', effect: 'delayRescue', chances: [{ when: {} }] }] }, 'needs a list of numeric chances'],
+    [{ name: 'X', dependsOn: [{ system: 'comms', effect: 'delayRescue', chances: [{ chance: 1, when: { turnAbove: 2 } }] }] }, 'unknown condition turnAbove'],
+    [{ name: 'X', dependsOn: [{ system: 'power', effect: 'damage', amount: 1, when: { turnAbove: 2 } }] }, 'unknown condition turnAbove'],
+  ];
+  for (const [module, reason] of invalid) {
+    try {
+      validateDependencies(module);
+      fail('invalid dependencies accepted', module);
+    } catch (error) {
+      if (!error.message.includes(reason)) fail('unexpected validation error', error.message);
+    }
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependencies-'));
+  try {
+    const file = path.join(dir, 'duct.json');
+    fs.writeFileSync(file, JSON.stringify({ name: 'Duct', type: 'normal', deterioration: 5, influences: [{ to: 'all', effect: 'damage' }] }));
+    await new ModuleRegistry({ strictMode: true }).loadModule(file, 'system');
+    fail('loaded a system with an invalid influence');
+  } catch (error) {
+    if (!error.message.includes('Duct: influence 0 needs a numeric amount')) fail('registry error unclear', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  process.stdout.write('Dependencies tests PASSED\n');
+})();
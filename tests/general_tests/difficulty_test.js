@@ -0,0 +1,70 @@
+(async () => {
+  console.log = () => {};
+
+  const { DIFFICULTY_PRESETS, createDifficulty, normalizeDifficulty, difficultyToParams, difficultyFromParams, applyDifficulty } = await import('../../src/setup/difficulty.js');
+  const { resolveGameConfig } = await import('../../src/setup/gameConfig.js');
+  const { attemptForceRecovery } = await import('../../src/mechanics/forceRecovery.js');
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame } = await import('../../src/core/engine.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Difficulty test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  // Normal matches the engine defaults
+  const normal = DIFFICULTY_PRESETS.normal.settings;
+  if (normal.eventChance !== 0.3 || normal.positiveEventProbability !== 0.5 || normal.turnsPerSystem !== 5 ||
+      normal.forceRecoveryChance !== 0.1 || normal.undoLimit !== 10 || normal.initialHealthRange.min !== 50 || normal.initialHealthRange.max !== 100) {
+    fail('normal preset drifted from the defaults', normal);
+  }
+
+  // Custom settings are brought into range
+  const clamped = normalizeDifficulty({ eventChance: 2, positiveEventProbability: -1, initialHealthRange: { min: 90, max: 60 }, turnsPerSystem: 0, forceRecoveryChance: 0.5, undoLimit: 2.7 });
+  if (clamped.eventChance !== 1 || clamped.positiveEventProbability !== 0 || clamped.initialHealthRange.min !== 90 ||
+      clamped.initialHealthRange.max !== 90 || clamped.turnsPerSystem !== 1 || clamped.undoLimit !== 2) {
+    fail('custom settings not normalized', clamped);
+  }
+
+  // The difficulty survives the trip through the URL
+  const roundTrip = (difficulty) => difficultyFromParams(new URLSearchParams(difficultyToParams(difficulty)));
+  const hard = roundTrip(createDifficulty('hard'));
+  if (hard.id !== 'hard' || hard.label !== 'Hard' || JSON.stringify(hard.settings) !== JSON.stringify(DIFFICULTY_PRESETS.hard.settings)) {
+    fail('preset lost in the URL', hard);
+  }
+  if (Object.keys(difficultyToParams(createDifficulty('easy'))).join() !== 'difficulty') fail('presets should only carry their id');
+  const custom = createDifficulty('custom', { eventChance: 0.6, positiveEventProbability: 0.2, initialHealthRange: { min: 30, max: 70 }, turnsPerSystem: 3, forceRecoveryChance: 0.25, undoLimit: 0 });
+  const customBack = roundTrip(custom);
+  if (customBack.label !== 'Custom' || JSON.stringify(customBack.settings) !== JSON.stringify(custom.settings)) {
+    fail('custom difficulty lost in the URL', customBack);
+  }
+  // Links without a difficulty play Normal, keeping their undo limit
+  const legacy = difficultyFromParams(new URLSearchParams('systems=Power&undo=3'));
+  if (legacy.id !== 'normal' || legacy.settings.undoLimit !== 3 || legacy.settings.eventChance !== 0.3) fail('legacy link wrong', legacy);
+
+  const applied = applyDifficulty({ eventChance: 0.9, seed: 3 }, createDifficulty('easy'));
+  if (applied.eventChance !== 0.25 || applied.seed !== 3 || applied.difficulty.id !== 'easy') fail('applyDifficulty wrong', applied);
+
+  // The settings reach the engine through the filtered config
+  const fullConfig = await loadGameModules();
+  const names = ['Life Support', 'Power', 'Shields'];
+  const config = resolveGameConfig(fullConfig, { systems: names, events: [], difficulty: createDifficulty('hard') });
+  if (config.difficulty.label !== 'Hard' || config.eventChance !== 0.4 || config.undoLimit !== 1) fail('difficulty not applied', config.difficulty);
+  for (let seed = 1; seed <= 5; seed++) {
+    const game = await startGame({ ...config, seed, eventChance: 0 });
+    if (game.maxTurns !== 18) fail('turns per system ignored', game.maxTurns);
+    // Initial deterioration has already run, so only the upper bound is exact
+    if (game.systems.some((s) => s.type === 'normal' && s.health > 80)) fail('initial health range ignored', seed);
+  }
+
+  // Force recovery uses the difficulty's chance
+  const power = fullConfig.systems.find((s) => s.name === 'Power');
+  const dead = { turn: 2, maxTurns: 15, deteriorationCount: 1, systems: [{ ...power, health: 0 }], damageModifiers: [], eventLog: [], rng: { seed: 1, cursor: 0 } };
+  const recoveryConfig = (forceRecoveryChance) => ({ systems: [power], positiveEvents: [], negativeEvents: [], eventChance: 0, forceRecoveryChance });
+  const recovered = await attemptForceRecovery('Power', dead, recoveryConfig(1));
+  if (recovered.systems[0].health === 0) fail('force recovery chance 1 failed');
+  const failed = await attemptForceRecovery('Power', dead, recoveryConfig(0));
+  if (failed.systems[0].health !== 0) fail('force recovery chance 0 succeeded');
+
+  process.stdout.write('Difficulty tests PASSED\n');
+})();
@@ -0,0 +1,104 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  // Listener errors are logged by the bus; keep the real logger for failures
+  const reportError = console.error;
+  console.error = () => {};
+
+  const { EventBus, GAME_EVENTS, WILDCARD } = await import('../../src/core/eventBus.js');
+
+  const fail = (message, ...details) => {
+    reportError(`Event bus test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  // Unknown event types and missing payload fields are rejected
+  const bus = new EventBus();
+  const expectThrow = (fn, message) => {
+    try {
+      fn();
+    } catch (error) {
+      return;
+    }
+    fail(message);
+  };
+  expectThrow(() => bus.emit('systemSelectd', { systemName: 'Hull' }), 'unknown event type was emitted');
+  expectThrow(() => bus.on('systemSelectd', () => {}), 'unknown event type was subscribed');
+  expectThrow(() => bus.emit(GAME_EVENTS.SYSTEM_SELECTED, {}), 'missing systemName was accepted');
+
+  // Typed listeners run before wildcard listeners, with (payload, type)
+  const received = [];
+  bus.on(GAME_EVENTS.SYSTEM_SELECTED, (payload) => received.push(['typed', payload.systemName]));
+  bus.on(WILDCARD, (payload, type) => received.push(['wildcard', type]));
+  bus.emit(GAME_EVENTS.SYSTEM_SELECTED, { systemName: 'Hull' });
+  bus.emit(GAME_EVENTS.UI_UPDATED);
+  const expected = [['typed', 'Hull'], ['wildcard', 'systemSelected'], ['wildcard', 'uiUpdated']];
+  if (JSON.stringify(received) !== JSON.stringify(expected)) {
+    fail('wrong delivery', received);
+  }
+
+  // once() fires a single time
+  let onceCount = 0;
+  bus.once(GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED, () => onceCount++);
+  bus.emit(GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED);
+  bus.emit(GAME_EVENTS.SYSTEM_SELECTION_CONFIRMED);
+  if (onceCount !== 1) fail('once listener fired', onceCount);
+
+  // A throwing listener does not stop the others
+  let afterError = false;
+  bus.on(GAME_EVENTS.SYSTEM_SELECTION_CANCELLED, () => {
+    throw new Error('boom');
+  });
+  bus.on(GAME_EVENTS.SYSTEM_SELECTION_CANCELLED, () => (afterError = true));
+  bus.emit(GAME_EVENTS.SYSTEM_SELECTION_CANCELLED);
+  if (!afterError) fail('listener error stopped delivery');
+
+  // An async listener's rejection is logged like a thrown error, not left unhandled
+  const logged = [];
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  console.error = (...args) => logged.push(args);
+  const asyncBus = new EventBus();
+  asyncBus.on(GAME_EVENTS.UI_UPDATED, async () => {
+    throw new Error('async boom');
+  });
+  asyncBus.emit(GAME_EVENTS.UI_UPDATED);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  console.error = () => {};
+  process.off('unhandledRejection', onUnhandled);
+  if (unhandled.length || logged.length !== 1 || logged[0][0] !== 'Error in uiUpdated listener:' || logged[0][1].message !== 'async boom') {
+    fail('async listener error not reported', logged, unhandled);
+  }
+
+  // Disposing a scope removes only its subscriptions
+  const countBefore = bus.listenerCount;
+  let scoped = 0;
+  const scope = bus.createScope();
+  scope.on(GAME_EVENTS.SYSTEM_SELECTION_CHANGED, () => scoped++);
+  scope.once(GAME_EVENTS.SYSTEM_SELECTION_CHANGED, () => scoped++);
+  scope.dispose();
+  bus.emit(GAME_EVENTS.SYSTEM_SELECTION_CHANGED, { selectedSystems: [] });
+  if (scoped !== 0 || bus.listenerCount !== countBefore) {
+    fail('scope dispose left listeners', { scoped, count: bus.listenerCount, countBefore });
+  }
+
+  // A disposed bus delivers nothing and accepts no new listeners,
+  // so a retried game never sees listeners of the previous one
+  let stale = 0;
+  bus.on(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, () => stale++);
+  bus.dispose();
+  bus.on(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, () => stale++);
+  bus.emit(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, { action: {} });
+  if (stale !== 0 || bus.listenerCount !== 0) fail('disposed bus still delivered events');
+
+  const nextBus = new EventBus();
+  let fresh = 0;
+  nextBus.on(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, () => fresh++);
+  nextBus.emit(GAME_EVENTS.INTERACTIVE_EVENT_COMPLETED, { action: {} });
+  if (fresh !== 1 || stale !== 0 || nextBus.gameId === bus.gameId) {
+    fail('listeners leaked between games', { fresh, stale });
+  }
+
+  process.stdout.write('Event bus tests PASSED\n');
+})();
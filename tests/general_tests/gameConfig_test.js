@@ -0,0 +1,68 @@
+(async () => {
+  console.log = () => {};
+
+  const { getRescueTurns, validateSelections, previewGameConfig, resolveGameConfig, selectionsToParams, selectionsFromParams } = await import('../../src/setup/gameConfig.js');
+  const { createDifficulty } = await import('../../src/setup/difficulty.js');
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame } = await import('../../src/core/engine.js');
+  const { createReplay, buildReplayConfig } = await import('../../src/replay/replayFormat.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Game config test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const systems = ['lifeSupport', 'power', 'shields', 'comms'];
+  const events = fullConfig.negativeEvents.slice(0, 2).map((e) => e.id);
+
+  // One rescue-time formula
+  if (getRescueTurns(4) !== 20 || getRescueTurns(4, 6) !== 24 || getRescueTurns(3, undefined) !== 15) {
+    fail('rescue turns wrong');
+  }
+
+  // Selections are validated
+  const problems = validateSelections(fullConfig, { systems: ['Power', 'Warp Drive'], events: ['Nothing happens!'] });
+  if (JSON.stringify(problems) !== JSON.stringify(['Unknown system: Warp Drive', 'Unknown event: Nothing happens!', 'Select 3-8 systems (2 selected)'])) {
+    fail('validation problems wrong', problems);
+  }
+  try {
+    resolveGameConfig(fullConfig, { systems: ['Power'] });
+    fail('resolved an invalid setup');
+  } catch (error) {
+    if (error.message !== 'Invalid game setup: Select 3-8 systems (1 selected)') fail('unclear error', error.message);
+  }
+
+  // The setup preview matches what the game page resolves and runs
+  for (const difficulty of ['easy', 'normal', 'hard'].map((id) => createDifficulty(id)).concat(createDifficulty('custom', { turnsPerSystem: 7 }))) {
+    const selections = { systems, events, difficulty };
+    const { config: preview, problems: none } = previewGameConfig(fullConfig, selections);
+    if (none.length !== 0) fail('valid selections reported problems', none);
+
+    const fromUrl = selectionsFromParams(new URLSearchParams(selectionsToParams({ ...selections, seed: '42' }).toString()));
+    const config = resolveGameConfig(fullConfig, fromUrl);
+    if (JSON.stringify(fromUrl.events) !== JSON.stringify(events) || config.seed !== '42') fail('selections lost in the URL', fromUrl);
+    for (const key of ['maxTurns', 'eventChance', 'positiveEventProbability', 'turnsPerSystem', 'forceRecoveryChance', 'undoLimit']) {
+      if (preview[key] !== config[key]) fail(`preview ${key} differs from the game`, difficulty.id, preview[key], config[key]);
+    }
+    if (config.systems.map((s) => s.name).join() !== 'Life Support,Power,Shields,Comms' || config.negativeEvents.length !== 2 || config.positiveEvents.length !== 0) {
+      fail('selected modules wrong', difficulty.id);
+    }
+    const game = await startGame(config);
+    if (game.maxTurns !== preview.maxTurns) fail('game rescue time differs from the preview', difficulty.id, game.maxTurns, preview.maxTurns);
+  }
+
+  // Explicit settings (e.g. a replay's) win over the difficulty
+  const overridden = resolveGameConfig(fullConfig, { systems, events, difficulty: createDifficulty('hard'), settings: { eventChance: 0.9 } });
+  if (overridden.eventChance !== 0.9 || overridden.turnsPerSystem !== 6) fail('settings override wrong', overridden.eventChance);
+
+  // Replays rebuild the config they were recorded with
+  const recorded = resolveGameConfig(fullConfig, { systems, events, difficulty: createDifficulty('hard'), seed: 'replay' });
+  const replayGame = await startGame(recorded);
+  const replayConfig = await buildReplayConfig(JSON.parse(JSON.stringify(createReplay(replayGame, recorded))), fullConfig);
+  if (replayConfig.maxTurns !== recorded.maxTurns || replayConfig.difficulty.label !== 'Hard' || replayConfig.seed !== replayGame.rng.seed) {
+    fail('replay config differs', replayConfig.maxTurns, replayConfig.difficulty);
+  }
+
+  process.stdout.write('Game config tests PASSED\n');
+})();
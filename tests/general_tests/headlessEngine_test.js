@@ -0,0 +1,80 @@
+(async () => {
+  // No DOM mocks: the engine must run unchanged in Node
+  if (typeof document !== 'undefined') {
+    console.error('Headless engine test FAILED: document should not exist in Node');
+    process.exit(2);
+  }
+
+  const errors = [];
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = (...args) => errors.push(args);
+
+  const { loadGameModules } = await import('../../registry.js');
+  const {
+    startGame,
+    handleNormalInteraction,
+    handleActiveInteraction,
+    executeTurnSequence,
+    selectSystem,
+    confirmSystemSelection,
+    takeEffects,
+  } = await import('../../src/core/engine.js');
+  const { isSystemSelectable } = await import('../../src/mechanics/systemSelection.js');
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    eventChance: 0.6,
+    seed: 2025,
+  };
+
+  let gameState = await startGame(config);
+  const seenEffects = new Set();
+  let actions = 0;
+
+  while (!gameState.gameOver && actions < 200) {
+    actions++;
+
+    if (gameState.systemSelectionMode) {
+      // Pick the first selectable system (motivated / protection selection)
+      const candidate = gameState.systems.find((s) => isSystemSelectable(gameState, s));
+      if (candidate) gameState = selectSystem(gameState, candidate.name);
+      gameState = await confirmSystemSelection(gameState);
+    } else if (actions === 3) {
+      const protection = gameState.systems.find((s) => s.name === 'Protection');
+      gameState = await handleActiveInteraction(protection, 'activate', gameState, config);
+    } else {
+      const target = gameState.systems
+        .filter((s) => s.type === 'normal')
+        .sort((a, b) => a.health - b.health)[0];
+      // A fix no longer ends the turn; run the turn sequence after it
+      gameState = await handleNormalInteraction(target.name, gameState, config);
+      gameState = await executeTurnSequence(gameState, config);
+    }
+
+    const drained = takeEffects(gameState);
+    drained.effects.forEach((effect) => seenEffects.add(effect.type));
+    gameState = drained.state;
+  }
+
+  console.error = originalError;
+
+  if (errors.length > 0) {
+    console.error('Headless engine test FAILED: engine logged errors', errors[0]);
+    process.exit(2);
+  }
+  if (!gameState.gameOver) {
+    console.error('Headless engine test FAILED: game did not finish within 200 actions');
+    process.exit(2);
+  }
+  if (!seenEffects.has('protectionSelectionStarted') || !seenEffects.has('eventTriggered')) {
+    console.error('Headless engine test FAILED: expected presentation effects missing', [...seenEffects]);
+    process.exit(2);
+  }
+
+  process.stdout.write(`Game finished after ${actions} actions (win: ${gameState.win}), effects: ${[...seenEffects].join(', ')}\n`);
+  process.stdout.write('Headless engine tests PASSED\n');
+})();
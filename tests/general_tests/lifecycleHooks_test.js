@@ -0,0 +1,117 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, takeEffects } = await import('../../src/core/engine.js');
+  const { getDamageModifier } = await import('../../src/mechanics/damageModifiers.js');
+
+  const fullConfig = await loadGameModules();
+  const calls = [];
+  let modifierDuringEvent = null;
+  let shieldsHealthDuringEvent = null;
+
+  // Event module that records every hook and knocks Power out
+  const probe = {
+    description: 'Probe event',
+    apply(state) {
+      return {
+        ...state,
+        systems: state.systems.map((s) => (s.name === 'Power' ? { ...s, health: 0 } : s)),
+      };
+    },
+    onTurnStart: (state) => (calls.push('onTurnStart'), state),
+    beforeDeterioration: (state) => (calls.push('beforeDeterioration'), state),
+    afterDeterioration: (state) => (calls.push('afterDeterioration'), state),
+    beforeEvent(state, context) {
+      calls.push(`beforeEvent:${context.event.description}`);
+      const shieldsSystem = state.systems.find((s) => s.name === 'Shields');
+      if (shieldsSystem) {
+        modifierDuringEvent = getDamageModifier('Power', 'negative_events', state);
+        shieldsHealthDuringEvent = shieldsSystem.health;
+      }
+      return state;
+    },
+    afterEvent: (state, context) => (calls.push(`afterEvent:${context.event.description}`), state),
+    onFix: (state, context) => (calls.push(`onFix:${context.systemName}`), state),
+    onSystemFailed: (state, context) => (calls.push(`onSystemFailed:${context.systemName}:${context.cause}`), state),
+    onTurnEnd: (state, context) => {
+      calls.push('onTurnEnd');
+      return context.config ? { ...state, probeTurnEnded: state.turn } : state;
+    },
+  };
+
+  // Shields would soften the probe's damage, so it gets its own game below
+  const config = {
+    systems: fullConfig.systems.filter((s) => s.name !== 'Protection' && s.name !== 'Shields'),
+    positiveEvents: [],
+    negativeEvents: [probe],
+    eventChance: 1,
+    positiveEventProbability: 0,
+    seed: 2024,
+  };
+
+  // Fix, then end the turn if action points are left
+  const fixAndEndTurn = async (state, cfg, systemName) => {
+    const fixed = await applyPlayerAction(state, cfg, { type: 'fix', systemName });
+    return fixed.turn === state.turn ? applyPlayerAction(fixed, cfg, { type: 'endTurn' }) : fixed;
+  };
+
+  let gameState = takeEffects(await startGame(config)).state;
+  const startCalls = calls.splice(0);
+  if (startCalls.join(',') !== 'onTurnStart,beforeDeterioration,afterDeterioration') {
+    console.error('Lifecycle hooks test FAILED: bad startGame hooks', startCalls);
+    process.exit(2);
+  }
+
+  gameState = await fixAndEndTurn(gameState, config, 'Life Support');
+  const expected = [
+    'onFix:Life Support',
+    'onTurnStart',
+    'beforeDeterioration',
+    'afterDeterioration',
+    'beforeEvent:Probe event',
+    'onSystemFailed:Power:event',
+    'afterEvent:Probe event',
+    'onTurnEnd',
+  ];
+  if (calls.join(',') !== expected.join(',')) {
+    console.error('Lifecycle hooks test FAILED: bad turn hook order', calls);
+    process.exit(2);
+  }
+  if (gameState.probeTurnEnded !== gameState.turn) {
+    console.error('Lifecycle hooks test FAILED: hook state updates were lost');
+    process.exit(2);
+  }
+
+  // Shields' modifier is raised after deterioration and covers the event phase
+  const shieldsConfig = { ...config, systems: fullConfig.systems, seed: 77 };
+  let shieldsState = takeEffects(await startGame(shieldsConfig)).state;
+  shieldsState = await fixAndEndTurn(shieldsState, shieldsConfig, 'Life Support');
+  const expectedModifier = shieldsHealthDuringEvent >= 90 ? 0.5
+    : shieldsHealthDuringEvent >= 75 ? 0.75
+    : shieldsHealthDuringEvent >= 50 ? 0.9 : 1;
+  if (shieldsHealthDuringEvent === null || modifierDuringEvent !== expectedModifier) {
+    console.error('Lifecycle hooks test FAILED: shields modifier does not match shields health',
+      { modifierDuringEvent, shieldsHealthDuringEvent });
+    process.exit(2);
+  }
+  const shieldModifiers = shieldsState.damageModifiers.filter((m) => m.source === 'shields');
+  if (shieldModifiers.length > 1 || shieldModifiers.some((m) => m.turnsLeft !== 1)) {
+    console.error('Lifecycle hooks test FAILED: shields modifiers should not pile up', shieldModifiers);
+    process.exit(2);
+  }
+
+  // Failing hooks are logged and skipped
+  const originalError = console.error;
+  console.error = () => {};
+  probe.onTurnStart = () => { throw new Error('boom'); };
+  calls.length = 0;
+  gameState = await fixAndEndTurn(takeEffects(gameState).state, config, 'Navigation');
+  console.error = originalError;
+  if (!calls.includes('onTurnEnd')) {
+    console.error('Lifecycle hooks test FAILED: a throwing hook stopped the turn');
+    process.exit(2);
+  }
+
+  process.stdout.write('Lifecycle hooks tests PASSED\n');
+})();
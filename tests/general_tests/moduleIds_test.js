@@ -0,0 +1,115 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  // The registry logs the load failures this test provokes
+  const logError = console.error;
+  console.error = () => {};
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { deriveModuleId, findModule } = await import('../../src/setup/moduleIds.js');
+  const { resolveGameConfig, selectionsToParams, selectionsFromParams } = await import('../../src/setup/gameConfig.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, serializeGame, deserializeGame } = await import('../../src/core/engine.js');
+  const { addDamageModifier, getDamageModifier, removeDamageModifiers } = await import('../../src/mechanics/damageModifiers.js');
+  const { createReplay, buildReplayConfig } = await import('../../src/replay/replayFormat.js');
+
+  const fail = (message, ...details) => {
+    logError(`Module IDs test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  // Every registered module has a unique ID
+  const fullConfig = await loadGameModules();
+  const modules = [...fullConfig.systems, ...fullConfig.positiveEvents, ...fullConfig.negativeEvents];
+  for (const module of modules) {
+    if (module.id !== deriveModuleId(module._modulePath)) fail('module id should match its file name', module._modulePath, module.id);
+    if (fullConfig.registry.getModuleById(module.id) !== module) fail('registry does not index', module.id);
+  }
+  if (findModule(fullConfig.systems, 'Life Support')?.id !== 'lifeSupport') fail('legacy names should still resolve');
+
+  // Duplicate and malformed IDs are rejected
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'module-ids-'));
+  try {
+    const write = (name, data) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, JSON.stringify(data));
+      return file;
+    };
+    const event = { description: 'Test', effects: [{ type: 'heal', amount: 5 }] };
+    const first = write('first.json', { ...event, id: 'twin' });
+    const second = write('second.json', { ...event, id: 'twin' });
+    try {
+      await new ModuleRegistry().load({ systems: [], positiveEvents: [first], negativeEvents: [second] });
+      fail('loaded two modules with the same id');
+    } catch (error) {
+      if (!error.message.includes('Duplicate module id "twin"')) fail('duplicate error unclear', error.message);
+    }
+    try {
+      await new ModuleRegistry({ strictMode: true }).loadModule(write('bad.json', { ...event, id: 'Bad Id' }), 'negativeEvent');
+      fail('loaded a module with an invalid id');
+    } catch (error) {
+      if (!error.message.includes('id "Bad Id" must start with a lowercase letter')) fail('invalid id error unclear', error.message);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // URLs carry IDs, so rewording an event keeps links working
+  const selections = { systems: ['lifeSupport', 'power', 'shields'], events: ['meteorShower', 'solarFlare'], seed: '7' };
+  const url = selectionsToParams(selections).toString();
+  if (!url.includes('events=meteorShower%2CsolarFlare')) fail('url should carry event ids', url);
+  const reworded = {
+    ...fullConfig,
+    negativeEvents: fullConfig.negativeEvents.map((e) => (e.id === 'meteorShower' ? { ...e, description: 'Rocks!' } : e)),
+  };
+  const config = resolveGameConfig(reworded, selectionsFromParams(new URLSearchParams(url)));
+  if (config.negativeEvents.map((e) => e.id).join() !== 'meteorShower' || config.positiveEvents.map((e) => e.id).join() !== 'solarFlare') {
+    fail('reworded event lost from the link');
+  }
+
+  // Links from before IDs still open
+  const meteor = fullConfig.negativeEvents.find((e) => e.id === 'meteorShower');
+  const legacy = new URLSearchParams({ systems: 'Life Support,Power,Shields', events: [meteor.description].map(encodeURIComponent).join('|') });
+  const legacySelections = selectionsFromParams(legacy);
+  const legacyConfig = resolveGameConfig(fullConfig, legacySelections);
+  if (legacyConfig.systems.length !== 3 || legacyConfig.negativeEvents[0] !== meteor) fail('legacy link lost selections', legacySelections);
+
+  // Damage modifiers target system IDs, whichever reference they were added with
+  const game = await startGame({ ...config, seed: 1 });
+  let state = addDamageModifier(game, 'Power', 0.5, 'all', 3, 'test');
+  state = addDamageModifier(state, 'lifeSupport', 0, 'deterioration', 3, 'test');
+  const [power, lifeSupport] = state.damageModifiers.filter((m) => m.source === 'test');
+  if (power.systemId !== 'power' || power.systemName !== 'Power' || lifeSupport.systemId !== 'lifeSupport' || lifeSupport.systemName !== 'Life Support') {
+    fail('modifiers should store the system id and name', state.damageModifiers);
+  }
+  if (getDamageModifier('power', 'deterioration', state) !== 0.5 || getDamageModifier('Life Support', 'deterioration', state) !== 0) {
+    fail('modifier lookup by id or name wrong');
+  }
+  const renamed = { ...state, systems: state.systems.map((s) => (s.id === 'power' ? { ...s, name: 'Reactor' } : s)) };
+  if (getDamageModifier('Reactor', 'all', renamed) !== 0.5) fail('modifier lost when its system was renamed');
+  if (removeDamageModifiers(state, 'power').damageModifiers.some((m) => m.systemId === 'power')) fail('removing modifiers by id failed');
+
+  // Saves reference modules by ID; older path-based saves still load
+  const save = JSON.parse(JSON.stringify(serializeGame(state, config)));
+  if (save.gameState.systems[0].$module !== 'lifeSupport' || save.config.negativeEvents[0].$module !== 'meteorShower') {
+    fail('save should reference module ids', save.gameState.systems[0]);
+  }
+  const restored = await deserializeGame(save, fullConfig.registry);
+  if (typeof restored.gameState.systems[1].deteriorate !== 'function' || restored.gameState.systems[1].health !== state.systems[1].health) {
+    fail('module not rehydrated by id');
+  }
+  const pathSave = JSON.parse(JSON.stringify(save).replace(/"\$module":"(\w+)","\$type":"(\w+)","\$path":"([^"]+)"/g, '"$module":"$3","$type":"$2"'));
+  const fromPaths = await deserializeGame(pathSave, fullConfig.registry);
+  if (fromPaths.gameState.systems.map((s) => s.id).join() !== state.systems.map((s) => s.id).join()) fail('path-based save did not load');
+
+  // Replays record IDs and still read names and descriptions
+  const replay = createReplay(game, config);
+  if (replay.systems.join() !== 'lifeSupport,power,shields' || replay.events.join() !== 'solarFlare,meteorShower') fail('replay should record ids', replay.systems, replay.events);
+  const oldReplay = { ...replay, systems: ['Life Support', 'Power', 'Shields'], events: [meteor.description] };
+  const oldReplayConfig = await buildReplayConfig(oldReplay, fullConfig);
+  if (oldReplayConfig.systems.length !== 3 || oldReplayConfig.negativeEvents[0] !== meteor) fail('old replay did not resolve');
+
+  process.stdout.write('Module IDs tests PASSED\n');
+})();
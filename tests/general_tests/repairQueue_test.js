@@ -0,0 +1,145 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  // The registry logs the load failure this test provokes
+  const logError = console.error;
+  console.error = () => {};
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { loadGameModules } = await import('../../registry.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+  const { startGame, applyPlayerAction, createFixAction, getLegalActions, executeTurnSequence, PLAYER_ACTIONS } =
+    await import('../../src/core/engine.js');
+  const { isUnderRepair, advanceRepairs, getRepairDuration } = await import('../../src/mechanics/repairQueue.js');
+  const { getActionPointBudget } = await import('../../src/mechanics/actionPoints.js');
+
+  const fail = (message, ...details) => {
+    logError(`Repair queue test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 21,
+    startingResources: { parts: 10 },
+    actionPointsPerTurn: 5,
+  };
+  const system = (state, name) => state.systems.find((s) => s.name === name);
+  const withHealth = (state, healths) => ({
+    ...state,
+    systems: state.systems.map((s) => (s.name in healths ? { ...s, health: healths[s.name] } : s)),
+  });
+  const game = withHealth(await startGame(config), { 'Life Support': 40, Power: 80, Navigation: 90 });
+
+  // Durations come from the system's health; healthy systems are repaired at once
+  if (getRepairDuration(system(game, 'Life Support'), 'overhaul') !== 2) fail('Life Support duration wrong');
+  if (getRepairDuration({ ...system(game, 'Life Support'), health: 20 }, 'overhaul') !== 3) fail('heavy damage duration wrong');
+  if (getRepairDuration(system(game, 'Life Support'), 'patch') !== 1) fail('patches should stay instant');
+  const instant = await applyPlayerAction(withHealth(game, { 'Life Support': 60 }), config, createFixAction(game, 'Life Support'));
+  if (system(instant, 'Life Support').health !== 98 || instant.repairQueue.length !== 0) fail('healthy overhaul should be instant');
+
+  // A long overhaul is paid up front and waits in the queue
+  const queued = await applyPlayerAction(game, config, createFixAction(game, 'Life Support'));
+  if (queued.repairQueue.length !== 1 || system(queued, 'Life Support').health !== 40 || queued.resources.parts !== 7) {
+    fail('overhaul not queued', queued.repairQueue, queued.resources);
+  }
+  if (queued.message !== 'Overhaul of Life Support started: 2 turns, offline until done.') fail('queue message wrong', queued.message);
+  if (!isUnderRepair(queued, 'Life Support')) fail('front entry should be under repair');
+  const again = await applyPlayerAction(queued, config, createFixAction(queued, 'Life Support', 'patch'));
+  if (again.message !== 'Life Support is already in the repair queue.' || again.actionLog.length !== queued.actionLog.length) {
+    fail('repair of a queued system not refused', again.message);
+  }
+  const legal = getLegalActions(queued);
+  if (legal.some((a) => a.type === 'fix' && a.systemName === 'Life Support')) fail('queued system still offered repairs');
+  if (!legal.some((a) => a.type === PLAYER_ACTIONS.CANCEL_REPAIR && a.systemName === 'Life Support')) fail('cancel not offered');
+
+  // Under repair it takes half its deterioration, then the overhaul completes
+  const first = await executeTurnSequence(queued, config);
+  if (system(first, 'Life Support').health !== 32 || first.repairQueue[0].progress !== 1) {
+    fail('under repair deterioration wrong', system(first, 'Life Support').health, first.repairQueue);
+  }
+  const second = await executeTurnSequence(first, config);
+  if (system(second, 'Life Support').health !== 98 || second.repairQueue.length !== 0) {
+    fail('overhaul did not complete', system(second, 'Life Support').health, second.repairQueue);
+  }
+  if (!second.eventLog.some((e) => e.text === 'Overhaul of Life Support complete')) fail('completion not logged');
+  const third = await executeTurnSequence(second, config);
+  if (system(third, 'Life Support').health !== 98) fail('completed overhaul should skip the next deterioration');
+
+  // Offline systems suspend their effects: no low-power penalty, no action point
+  const lowPower = withHealth(game, { Power: 30 });
+  const penalty = await executeTurnSequence(lowPower, config);
+  const repairing = await applyPlayerAction(lowPower, config, createFixAction(lowPower, 'Power'));
+  const offline = await executeTurnSequence(repairing, config);
+  if (system(penalty, 'Navigation').health !== 65 || system(offline, 'Navigation').health !== 70) {
+    fail('low-power penalty not suspended', system(penalty, 'Navigation').health, system(offline, 'Navigation').health);
+  }
+  if (system(offline, 'Power').health !== 25) fail('Power deterioration not halved', system(offline, 'Power').health);
+  const poweredQueue = { ...game, repairQueue: [{ systemName: 'Power', repair: 'overhaul', turns: 2, progress: 0, paid: {} }] };
+  if (getActionPointBudget(game, config) !== 6 || getActionPointBudget(poweredQueue, config) !== 5) {
+    fail('Power under repair should not grant a point');
+  }
+  const raised = await executeTurnSequence(withHealth(game, { Shields: 95 }), config);
+  const shieldsQueue = {
+    ...withHealth(game, { Shields: 95 }),
+    repairQueue: [{ systemName: 'Shields', repair: 'overhaul', turns: 2, progress: 0, paid: {} }],
+  };
+  const lowered = await executeTurnSequence(shieldsQueue, config);
+  if (!raised.damageModifiers.some((m) => m.source === 'shields') || lowered.damageModifiers.some((m) => m.source === 'shields')) {
+    fail('Shields under repair still raised its modifier', lowered.damageModifiers);
+  }
+
+  // The queue can be reordered; only the front entry is worked on
+  const lowBoth = await applyPlayerAction(withHealth(queued, { Power: 45 }), config, createFixAction(queued, 'Power'));
+  if (lowBoth.message !== 'Overhaul of Power queued (#2): 2 turns.' || isUnderRepair(lowBoth, 'Power')) {
+    fail('second repair should wait', lowBoth.message);
+  }
+  const moved = await applyPlayerAction(lowBoth, config, { type: PLAYER_ACTIONS.MOVE_REPAIR, systemName: 'Power', position: 0 });
+  if (moved.repairQueue.map((e) => e.systemName).join() !== 'Power,Life Support' || !isUnderRepair(moved, 'Power') || isUnderRepair(moved, 'Life Support')) {
+    fail('move did not reorder', moved.repairQueue);
+  }
+  const progressed = await executeTurnSequence(moved, config);
+  if (progressed.repairQueue.find((e) => e.systemName === 'Life Support').progress !== 0) fail('waiting entry progressed');
+  const crews = { ...config, repairCrews: 2 };
+  const twoCrews = await applyPlayerAction(
+    await applyPlayerAction(withHealth(await startGame(crews), { 'Life Support': 40, Power: 45 }), crews, { type: 'fix', systemName: 'Life Support' }),
+    crews,
+    { type: 'fix', systemName: 'Power' }
+  );
+  if (!isUnderRepair(twoCrews, 'Life Support') || !isUnderRepair(twoCrews, 'Power')) fail('two crews should work on two repairs');
+
+  // Cancelling gives back the resources, not the action points
+  const cancelled = await applyPlayerAction(queued, config, { type: PLAYER_ACTIONS.CANCEL_REPAIR, systemName: 'Life Support' });
+  if (cancelled.repairQueue.length !== 0 || cancelled.resources.parts !== 10 || cancelled.actionPoints !== queued.actionPoints) {
+    fail('cancel wrong', cancelled.repairQueue, cancelled.resources, cancelled.actionPoints);
+  }
+  if (cancelled.message !== 'Overhaul of Life Support cancelled (refunded 3 spare parts).') fail('cancel message wrong', cancelled.message);
+  const unknown = await applyPlayerAction(game, config, { type: PLAYER_ACTIONS.CANCEL_REPAIR, systemName: 'Comms' });
+  if (unknown.message !== 'Comms is not in the repair queue.' || unknown.actionLog.length !== game.actionLog.length) {
+    fail('cancel of an unqueued system not refused', unknown.message);
+  }
+
+  // A system that fails drops out of the queue
+  const failed = await advanceRepairs(withHealth(queued, { 'Life Support': 0 }), config);
+  if (failed.repairQueue.length !== 0 || !failed.eventLog.some((e) => e.text.includes('abandoned'))) fail('failed system kept in the queue');
+
+  // Declared durations are validated when systems load
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'durations-'));
+  try {
+    const file = path.join(dir, 'duct.json');
+    fs.writeFileSync(file, JSON.stringify({ name: 'Duct', type: 'normal', deterioration: 5, repairDuration: [{ turns: 0 }] }));
+    await new ModuleRegistry({ strictMode: true }).loadModule(file, 'system');
+    fail('loaded a system with a zero-turn repair');
+  } catch (error) {
+    if (!error.message.includes('Duct: repair duration 0 needs a whole number of turns')) fail('duration error unclear', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  process.stdout.write('Repair queue tests PASSED\n');
+})();
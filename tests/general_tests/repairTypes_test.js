@@ -0,0 +1,106 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  // The registry logs the load failure this test provokes
+  const logError = console.error;
+  console.error = () => {};
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { loadGameModules } = await import('../../registry.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+  const { startGame, applyPlayerAction, createFixAction, getLegalActions, getActionCost, executeTurnSequence } =
+    await import('../../src/core/engine.js');
+  const { getSupportedRepairs } = await import('../../src/mechanics/repairTypes.js');
+
+  const fail = (message, ...details) => {
+    logError(`Repair types test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 8,
+    startingResources: { parts: 10 },
+    actionPointsPerTurn: 3,
+  };
+  const system = (state, name) => state.systems.find((s) => s.name === name);
+  const withHealth = (state, name, health) => ({
+    ...state,
+    systems: state.systems.map((s) => (s.name === name ? { ...s, health } : s)),
+  });
+  const game = withHealth(await startGame(config), 'Navigation', 40);
+
+  // A quick patch adds 30 health and takes no action point, wearing 3 capacity
+  const patched = await applyPlayerAction(game, config, createFixAction(game, 'Navigation', 'patch'));
+  if (system(patched, 'Navigation').health !== 70 || patched.actionPoints !== game.actionPoints) {
+    fail('patch wrong', system(patched, 'Navigation').health, patched.actionPoints);
+  }
+  if (patched.resources.parts !== 9 || patched.message !== 'Navigation patched to 70 health.') fail('patch cost or message wrong');
+  const capped = await applyPlayerAction(withHealth(game, 'Navigation', 90), config, createFixAction(game, 'Navigation', 'patch'));
+  if (system(capped, 'Navigation').health !== 97) fail('patch went over the worn maximum health');
+  const full = withHealth(game, 'Navigation', 100);
+  const wasted = await applyPlayerAction(full, config, createFixAction(full, 'Navigation', 'patch'));
+  if (wasted.message !== 'Navigation is already at full health.' || wasted.actionLog.length !== full.actionLog.length) {
+    fail('patch at full health not refused', wasted.message);
+  }
+
+  // An overhaul restores full health (less 2 worn capacity) and halves deterioration after the skipped cycle
+  const overhauled = await applyPlayerAction(game, config, createFixAction(game, 'Navigation', 'overhaul'));
+  if (system(overhauled, 'Navigation').health !== 98 || overhauled.resources.parts !== 8) fail('overhaul wrong');
+  const resistance = overhauled.damageModifiers.filter((m) => m.source === 'overhaul');
+  if (resistance.length !== 1 || resistance[0].modifier !== 0.5 || resistance[0].type !== 'deterioration') {
+    fail('overhaul resistance missing', overhauled.damageModifiers);
+  }
+  const again = await applyPlayerAction(overhauled, config, createFixAction(overhauled, 'Navigation', 'overhaul'));
+  if (again.damageModifiers.filter((m) => m.source === 'overhaul').length !== 1) fail('overhaul resistance stacked');
+  let turns = await executeTurnSequence(overhauled, config);
+  if (system(turns, 'Navigation').health !== 98) fail('overhauled system should skip its next deterioration');
+  turns = await executeTurnSequence(turns, config);
+  if (system(turns, 'Navigation').health !== 88) fail('overhaul did not halve deterioration', system(turns, 'Navigation').health);
+
+  // A plain fix action is an overhaul
+  if (getActionCost(game, { type: 'fix', systemName: 'Navigation' }).label !== 'overhaul Navigation') fail('default repair wrong');
+
+  // Maintenance halves the next deterioration once, and does not stack
+  const maintained = await applyPlayerAction(game, config, createFixAction(game, 'Navigation', 'maintenance'));
+  if (system(maintained, 'Navigation').health !== 40) fail('maintenance should not repair');
+  const twice = await applyPlayerAction(maintained, config, createFixAction(maintained, 'Navigation', 'maintenance'));
+  if (!twice.message.includes('already maintained') || twice.actionLog.length !== maintained.actionLog.length) {
+    fail('second maintenance not refused', twice.message);
+  }
+  const next = await executeTurnSequence(maintained, config);
+  if (system(next, 'Navigation').health !== 30 || next.damageModifiers.some((m) => m.source === 'maintenance')) {
+    fail('maintenance did not halve one deterioration', system(next, 'Navigation').health, next.damageModifiers);
+  }
+
+  // Systems declare the repairs they support and what each costs
+  const sealed = { ...system(game, 'Navigation'), name: 'Sealed', repairs: ['maintenance'], costs: { maintenance: { energy: 1 } } };
+  const sealedGame = { ...game, systems: [...game.systems, { ...sealed, health: 50 }] };
+  const sealedFixes = getLegalActions(sealedGame).filter((a) => a.systemName === 'Sealed');
+  if (sealedFixes.length !== 1 || sealedFixes[0].repair !== 'maintenance') fail('unsupported repairs offered', sealedFixes);
+  if (getActionCost(sealedGame, sealedFixes[0]).cost.energy !== 1) fail('declared repair cost ignored');
+  const unsupported = await applyPlayerAction(sealedGame, config, createFixAction(sealedGame, 'Sealed', 'patch'));
+  if (unsupported.message !== 'Sealed does not support Quick Patch.') fail('unsupported repair not refused', unsupported.message);
+  if (getSupportedRepairs(system(game, 'Power')).join() !== 'patch,overhaul,maintenance,refit') fail('default repairs wrong');
+  if (getActionCost(game, createFixAction(game, 'Life Support')).cost.parts !== 3) fail('Life Support overhaul cost wrong');
+
+  // Declared repairs are validated when systems load
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repairs-'));
+  try {
+    const file = path.join(dir, 'duct.json');
+    fs.writeFileSync(file, JSON.stringify({ name: 'Duct', type: 'normal', deterioration: 5, repairs: ['tape'] }));
+    await new ModuleRegistry({ strictMode: true }).loadModule(file, 'system');
+    fail('loaded a system with an unknown repair type');
+  } catch (error) {
+    if (!error.message.includes('Duct: unknown repair type tape')) fail('repair error unclear', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  process.stdout.write('Repair types tests PASSED\n');
+})();
@@ -0,0 +1,123 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, createFixAction, getLegalActions, PLAYER_ACTIONS } =
+    await import('../../src/core/engine.js');
+  const { createReplay, encodeReplay, decodeReplay, buildReplayConfig } =
+    await import('../../src/replay/replayFormat.js');
+  const { buildReplayFrames, describeAction } = await import('../../src/replay/replayPlayer.js');
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    seed: 31337,
+    eventChance: 0.5,
+  };
+
+  // Play a game through player actions, including selections
+  let gameState = await startGame(config);
+  let steps = 0;
+  while (!gameState.gameOver && steps < 200) {
+    steps++;
+    let action;
+    if (gameState.systemSelectionMode) {
+      const candidate = gameState.systems.find((s) => s.type === 'normal' && s.health < 100);
+      action = { type: PLAYER_ACTIONS.CONFIRM_SELECTION, systems: candidate ? [candidate.name] : [] };
+    } else if (steps === 2) {
+      action = { type: PLAYER_ACTIONS.SYSTEM_ACTION, systemName: 'Protection', action: 'activate' };
+    } else {
+      const target = gameState.systems
+        .filter((s) => s.type === 'normal')
+        .sort((a, b) => a.health - b.health)[0];
+      action = createFixAction(gameState, target.name);
+      // End the turn when the fix cannot be afforded, so every action is applied
+      if (!getLegalActions(gameState).some((a) => JSON.stringify(a) === JSON.stringify(action))) {
+        action = { type: PLAYER_ACTIONS.END_TURN };
+      }
+    }
+    gameState = await applyPlayerAction(gameState, config, action);
+  }
+
+  if (gameState.actionLog.length !== steps) {
+    console.error('Replay test FAILED: not every action was recorded');
+    process.exit(2);
+  }
+  if (!gameState.actionLog.some((a) => a.type === PLAYER_ACTIONS.CONFIRM_SELECTION)) {
+    console.error('Replay test FAILED: expected a recorded selection confirm');
+    process.exit(2);
+  }
+
+  // Replays survive encoding (code, link and raw JSON)
+  const replay = createReplay(gameState, config);
+  const code = encodeReplay(replay);
+  const fromCode = decodeReplay(code);
+  const fromLink = decodeReplay(`https://example.com/replay.html#${code}`);
+  const fromJson = decodeReplay(JSON.stringify(replay));
+  if (![fromCode, fromLink, fromJson].every((r) => JSON.stringify(r) === JSON.stringify(replay))) {
+    console.error('Replay test FAILED: encoding round trip changed the replay');
+    process.exit(2);
+  }
+  if (replay.settings.eventChance !== 0.5) {
+    console.error('Replay test FAILED: settings were not recorded', replay.settings);
+    process.exit(2);
+  }
+
+  // Re-running the replay reproduces the run exactly
+  const replayConfig = await buildReplayConfig(fromCode, fullConfig);
+  const frames = await buildReplayFrames(fromCode, replayConfig);
+  const finalState = frames[frames.length - 1].state;
+  const summarize = (state) => JSON.stringify({
+    turn: state.turn,
+    win: state.win,
+    gameOver: state.gameOver,
+    health: state.systems.map((s) => s.health),
+    eventLog: state.eventLog,
+    rng: state.rng,
+  });
+  if (frames.length !== steps + 1 || summarize(finalState) !== summarize(gameState)) {
+    console.error('Replay test FAILED: replayed run diverged from the original');
+    process.exit(2);
+  }
+
+  // Replays recorded before action points end turns with `wait`
+  const legacy = decodeReplay(JSON.stringify({ ...replay, actions: [{ type: 'wait' }, { type: 'wait' }] }));
+  if (legacy.actions.some((action) => action.type !== 'endTurn')) {
+    console.error('Replay test FAILED: legacy wait actions were not read as endTurn', legacy.actions);
+    process.exit(2);
+  }
+  const legacyFrames = await buildReplayFrames(legacy, replayConfig);
+  if (legacyFrames.length !== 3 || legacyFrames[1].state.rng.cursor === legacyFrames[0].state.rng.cursor) {
+    console.error('Replay test FAILED: legacy replay did not run its turns');
+    process.exit(2);
+  }
+
+  // Every action type reads as a step label
+  const labels = [
+    [{ type: 'fix', systemName: 'Power', repair: 'patch' }, 'Quick Patch: Power'],
+    [{ type: 'fix', systemName: 'Power', repair: 'overhaul' }, 'Overhaul: Power'],
+    [{ type: 'fix', systemName: 'Power', repair: 'maintenance' }, 'Maintenance: Power'],
+    [{ type: 'fix', systemName: 'Power', repair: 'refit' }, 'Refit: Power'],
+    [{ type: 'fix', systemName: 'Power' }, 'Overhaul: Power'],
+    [{ type: 'endTurn' }, 'End turn'],
+    [{ type: 'cancelRepair', systemName: 'Comms' }, 'Cancel Comms repair'],
+    [{ type: 'moveRepair', systemName: 'Comms', position: 0 }, 'Move Comms repair to queue position 1'],
+  ];
+  for (const [action, label] of labels) {
+    if (describeAction(action) !== label) {
+      console.error('Replay test FAILED: wrong action label', describeAction(action), label);
+      process.exit(2);
+    }
+  }
+
+  // Earlier frames are unaffected by later steps
+  if (frames[0].state.turn !== 1 || frames[0].state.actionLog.length !== 0) {
+    console.error('Replay test FAILED: first frame was modified');
+    process.exit(2);
+  }
+
+  process.stdout.write(`Replayed ${steps} actions (win: ${gameState.win})\n`);
+  process.stdout.write('Replay tests PASSED\n');
+})();
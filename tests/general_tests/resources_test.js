@@ -0,0 +1,106 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  // The registry logs the load failure this test provokes
+  const logError = console.error;
+  console.error = () => {};
+  const fs = await import('node:fs');
+  const os = await import('node:os');
+  const path = await import('node:path');
+  const { loadGameModules } = await import('../../registry.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+  const { startGame, applyPlayerAction, createFixAction, getLegalActions, getActionCost, PLAYER_ACTIONS } =
+    await import('../../src/core/engine.js');
+
+  const fail = (message, ...details) => {
+    logError(`Resources test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    seed: 5,
+    eventChance: 0,
+    startingResources: { parts: 5 },
+    // Enough action points that no action here ends the turn by itself
+    actionPointsPerTurn: 10,
+  };
+  const withResources = (state, resources) => ({ ...state, resources: { ...state.resources, ...resources } });
+  const health = (state, name) => state.systems.find((s) => s.name === name).health;
+
+  // Games start with the configured resources (defaults fill the gaps)
+  const game = await startGame(config);
+  if (game.resources.parts !== 5 || game.resources.energy !== 2 || game.resourceLimits.parts !== 10) {
+    fail('starting resources wrong', game.resources, game.resourceLimits);
+  }
+
+  // Overhauls cost the system's declared cost (or 2 spare parts); each turn adds income
+  let state = await applyPlayerAction(game, config, createFixAction(game, 'Shields'));
+  if (state.resources.parts !== 3) fail('default overhaul cost wrong', state.resources);
+  state = await applyPlayerAction(state, config, createFixAction(state, 'Life Support'));
+  if (state.resources.parts !== 0) fail('declared overhaul cost not charged', state.resources);
+  state = await applyPlayerAction(state, config, { type: PLAYER_ACTIONS.END_TURN });
+  if (state.resources.parts !== 1 || state.resources.energy !== 3) fail('income wrong', state.resources);
+
+  // Unaffordable actions are refused with a message and leave the game untouched
+  const poor = withResources(state, { parts: 1 });
+  const refused = await applyPlayerAction(poor, config, createFixAction(poor, 'Life Support'));
+  if (refused.message !== 'Not enough resources to overhaul Life Support: needs 3 spare parts, you have 1 spare part.') {
+    fail('refusal message unclear', refused.message);
+  }
+  if (refused.turn !== poor.turn || refused.actionLog.length !== poor.actionLog.length || refused.resources.parts !== 1 ||
+    health(refused, 'Life Support') !== health(poor, 'Life Support')) {
+    fail('refused action changed the game');
+  }
+
+  // Force recovery costs 2 spare parts by default
+  const failed = { ...withResources(state, { parts: 1 }), systems: state.systems.map((s) => (s.name === 'Shields' ? { ...s, health: 0 } : s)) };
+  const recovery = getActionCost(failed, createFixAction(failed, 'Shields'));
+  if (recovery.label !== 'recover Shields' || recovery.cost.parts !== 2) fail('force recovery cost wrong', recovery);
+  if (!(await applyPlayerAction(failed, config, createFixAction(failed, 'Shields'))).message.startsWith('Not enough resources to recover Shields')) {
+    fail('unaffordable recovery not refused');
+  }
+
+  // The legal actions only hold what the player can afford, and ending the turn is always legal
+  const broke = withResources(state, { parts: 0, energy: 0 });
+  const legal = getLegalActions(broke);
+  if (legal.length !== 1 || legal[0].type !== PLAYER_ACTIONS.END_TURN) fail('legal actions should only offer ending the turn', legal);
+  if (!getLegalActions(state).some((a) => a.type === PLAYER_ACTIONS.FIX)) fail('affordable fixes missing from legal actions');
+
+  // Income stops at the limits
+  const full = withResources(state, { parts: 10, energy: 4 });
+  const nextTurn = await applyPlayerAction(full, config, { type: PLAYER_ACTIONS.END_TURN });
+  if (nextTurn.resources.parts !== 10 || nextTurn.resources.energy !== 5) fail('income exceeded the limits', nextTurn.resources);
+
+  // Activating Protection costs energy, refunded when the selection is cancelled
+  const charged = withResources(state, { energy: 2 });
+  const selecting = await applyPlayerAction(charged, config, { type: PLAYER_ACTIONS.SYSTEM_ACTION, systemName: 'Protection', action: 'activate' });
+  if (!selecting.systemSelectionMode || selecting.resources.energy !== 0) fail('activation not charged', selecting.resources);
+  const cancelled = await applyPlayerAction(selecting, config, { type: PLAYER_ACTIONS.CANCEL_SELECTION });
+  if (cancelled.resources.energy !== 2 || !cancelled.message.includes('refunded 2 energy')) fail('cancelled activation not refunded', cancelled.message);
+
+  // Supply caches grant spare parts, up to the limit
+  const supplyCache = fullConfig.positiveEvents.find((e) => e.id === 'supplyCache');
+  if (supplyCache.apply(withResources(state, { parts: 2 })).resources.parts !== 5) fail('supply cache did not grant parts');
+  if (supplyCache.apply(withResources(state, { parts: 9 })).resources.parts !== 10) fail('granted parts exceeded the limit');
+
+  // Declared costs are validated when systems load
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resources-'));
+  try {
+    const file = path.join(dir, 'goldPlated.json');
+    fs.writeFileSync(file, JSON.stringify({
+      name: 'Gold Plated', type: 'normal', caveat: 'Shiny.', deterioration: 5, costs: { overhaul: { gold: 1 } },
+    }));
+    await new ModuleRegistry({ strictMode: true }).loadModule(file, 'system');
+    fail('loaded a system with an unknown resource');
+  } catch (error) {
+    if (!error.message.includes('Gold Plated: cost of overhaul has unknown resource gold')) fail('cost error unclear', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  process.stdout.write('Resources tests PASSED\n');
+})();
@@ -0,0 +1,100 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, handleActiveInteraction, selectSystem, confirmSystemSelection, executeTurnSequence } =
+    await import('../../src/core/engine.js');
+  const { saveGame, hasSavedGame, getSavedGameSummary, loadSavedGame, clearSavedGame } =
+    await import('../../src/core/saveGame.js');
+
+  // In-memory stand-in for localStorage
+  const store = new Map();
+  const storage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    registry: fullConfig.registry,
+    seed: 99,
+  };
+
+  // Play into the middle of a protection selection
+  let gameState = await startGame(config);
+  gameState = await executeTurnSequence(gameState, config);
+  const protection = gameState.systems.find((s) => s.name === 'Protection');
+  gameState = await handleActiveInteraction(protection, 'activate', gameState, config);
+  gameState = selectSystem(gameState, 'Life Support');
+
+  if (!saveGame(gameState, config, storage) || !hasSavedGame(storage)) {
+    console.error('Save game test FAILED: game was not saved');
+    process.exit(2);
+  }
+  const summary = getSavedGameSummary(storage);
+  if (summary.turn !== gameState.turn || summary.maxTurns !== gameState.maxTurns) {
+    console.error('Save game test FAILED: unexpected summary', summary);
+    process.exit(2);
+  }
+
+  const restored = await loadSavedGame(fullConfig.registry, storage);
+  let loadedState = restored.gameState;
+
+  // Data round-trips
+  const dataOf = (state) => JSON.stringify({
+    turn: state.turn,
+    health: state.systems.map((s) => [s.name, s.health, s.lastFixedTurn]),
+    damageModifiers: state.damageModifiers,
+    protectionState: state.protectionState,
+    deteriorationCount: state.deteriorationCount,
+    rng: state.rng,
+    selectedSystems: state.selectedSystems,
+  });
+  if (dataOf(loadedState) !== dataOf(gameState) || !loadedState.systemSelectionMode) {
+    console.error('Save game test FAILED: restored data differs');
+    process.exit(2);
+  }
+
+  // Behavior is rehydrated from the registry modules
+  const systemsHaveBehavior = loadedState.systems.every(
+    (s) => s.type !== 'normal' || typeof s.deteriorate === 'function'
+  );
+  const eventsHaveBehavior = restored.config.negativeEvents.every((e) => typeof e.apply === 'function');
+  if (!systemsHaveBehavior || !eventsHaveBehavior) {
+    console.error('Save game test FAILED: module functions were not rehydrated');
+    process.exit(2);
+  }
+
+  // The pending selection still works after loading
+  loadedState = await confirmSystemSelection(loadedState);
+  gameState = await confirmSystemSelection(gameState);
+  if (
+    loadedState.protectionState.targetSystem !== 'Life Support' ||
+    dataOf(loadedState) !== dataOf(gameState)
+  ) {
+    console.error('Save game test FAILED: restored selection did not apply protection');
+    process.exit(2);
+  }
+
+  // Both games continue identically
+  for (let i = 0; i < 3; i++) {
+    gameState = await executeTurnSequence(gameState, config);
+    loadedState = await executeTurnSequence(loadedState, restored.config);
+  }
+  if (dataOf(loadedState) !== dataOf(gameState)) {
+    console.error('Save game test FAILED: restored game diverged');
+    process.exit(2);
+  }
+
+  clearSavedGame(storage);
+  if (hasSavedGame(storage) || (await loadSavedGame(fullConfig.registry, storage)) !== null) {
+    console.error('Save game test FAILED: save was not cleared');
+    process.exit(2);
+  }
+
+  process.stdout.write('Save game tests PASSED\n');
+})();
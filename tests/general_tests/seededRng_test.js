@@ -0,0 +1,68 @@
+(async () => {
+  const { createGameState } = await import('../../src/core/gameState.js');
+  const { triggerEvent } = await import('../../src/mechanics/triggerEvent.js');
+  const { createRngState, random } = await import('../../src/mechanics/rng.js');
+  const { freezeState } = await import('../../src/core/store.js');
+
+  const config = {
+    systems: [ { name: 'A', type: 'normal' }, { name: 'B', type: 'normal' }, { name: 'C', type: 'normal' } ],
+    positiveEvents: [ { description: 'Positive boost', apply: (s) => ({ ...s }) } ],
+    negativeEvents: [ { description: 'Negative hit', apply: (s) => ({ ...s }) }, { description: 'Other hit', apply: (s) => ({ ...s }) } ],
+    seed: 12345,
+  };
+
+  // Same seed => same initial healths
+  const gs1 = await createGameState(config);
+  const gs2 = await createGameState(config);
+  console.log('Seeded healths:', gs1.systems.map(s => s.health), gs2.systems.map(s => s.health));
+  if (JSON.stringify(gs1.systems.map(s => s.health)) !== JSON.stringify(gs2.systems.map(s => s.health))) {
+    console.error('Seeded RNG test FAILED: initial healths differ for the same seed');
+    process.exit(2);
+  }
+  if (gs1.rng.seed !== 12345 || gs1.rng.cursor !== 3) {
+    console.error('Seeded RNG test FAILED: unexpected rng state', gs1.rng);
+    process.exit(2);
+  }
+
+  // Same seed => same event sequence
+  async function rollEvents(state) {
+    const descriptions = [];
+    for (let i = 0; i < 20; i++) {
+      const result = await triggerEvent(state, { ...config, eventChance: 0.5 });
+      state = result.state;
+      descriptions.push(result.event ? result.event.description : null);
+    }
+    return descriptions;
+  }
+  const run1 = await rollEvents(gs1);
+  const run2 = await rollEvents(gs2);
+  console.log('Event sequence:', run1);
+  if (JSON.stringify(run1) !== JSON.stringify(run2)) {
+    console.error('Seeded RNG test FAILED: event sequences differ for the same seed');
+    process.exit(2);
+  }
+
+  // String seeds are hashed deterministically and draws stay in [0, 1)
+  let holderA = { rng: createRngState('meteor-run') };
+  let holderB = { rng: createRngState('meteor-run') };
+  for (let i = 0; i < 100; i++) {
+    const a = random(holderA);
+    const b = random(holderB);
+    holderA = a.state;
+    holderB = b.state;
+    if (a.value !== b.value || a.value < 0 || a.value >= 1) {
+      console.error('Seeded RNG test FAILED: string seed draws differ or out of range');
+      process.exit(2);
+    }
+  }
+
+  // A draw leaves the passed state alone and returns the advanced copy
+  const frozen = freezeState({ ...gs1, rng: createRngState(99) });
+  const draw = random(frozen);
+  if (frozen.rng.cursor !== 0 || draw.state.rng.cursor !== 1 || random(frozen).value !== draw.value || draw.state.systems !== frozen.systems) {
+    console.error('Seeded RNG test FAILED: draw changed the passed state', frozen.rng, draw.state.rng);
+    process.exit(2);
+  }
+
+  console.log('Seeded RNG tests PASSED');
+})();
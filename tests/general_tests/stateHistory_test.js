@@ -0,0 +1,77 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, handleNormalInteraction, executeTurnSequence } = await import('../../src/core/engine.js');
+  const { StateHistory } = await import('../../src/mechanics/stateHistory.js');
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems.filter((s) => s.type === 'normal'),
+    positiveEvents: [],
+    negativeEvents: fullConfig.negativeEvents,
+    eventChance: 1,
+    positiveEventProbability: 0,
+    seed: 7,
+  };
+
+  // Undo restores health, turn, RNG cursor and event log
+  const history = new StateHistory(3);
+  let gameState = await startGame(config);
+  const before = JSON.stringify({
+    turn: gameState.turn,
+    health: gameState.systems.map((s) => s.health),
+    rng: gameState.rng,
+    eventLog: gameState.eventLog,
+  });
+
+  history.push(gameState);
+  gameState = await handleNormalInteraction(gameState.systems[0].name, gameState, config);
+  gameState = await executeTurnSequence(gameState, config);
+  if (gameState.turn !== 2 || gameState.eventLog.length < 2) {
+    console.error('State history test FAILED: ending the turn after a fix did not advance the turn and log an event');
+    process.exit(2);
+  }
+
+  // In-place changes to the live state must not leak into the snapshot
+  gameState.systems[1].health = -50;
+
+  const restored = history.undo();
+  const after = JSON.stringify({
+    turn: restored.turn,
+    health: restored.systems.map((s) => s.health),
+    rng: restored.rng,
+    eventLog: restored.eventLog,
+  });
+  if (after !== before || typeof restored.systems[0].fix !== 'function') {
+    console.error('State history test FAILED: undo did not restore the snapshot', before, after);
+    process.exit(2);
+  }
+  if (history.canUndo()) {
+    console.error('State history test FAILED: history should be empty after undo');
+    process.exit(2);
+  }
+
+  // Ring buffer keeps only the newest `limit` snapshots
+  for (let turn = 1; turn <= 5; turn++) {
+    history.push({ turn });
+  }
+  const undone = [];
+  while (history.canUndo()) {
+    undone.push(history.undo().turn);
+  }
+  if (JSON.stringify(undone) !== JSON.stringify([5, 4, 3])) {
+    console.error('State history test FAILED: ring buffer order wrong', undone);
+    process.exit(2);
+  }
+
+  // A limit of 0 disables undo
+  const disabled = new StateHistory(0);
+  disabled.push(gameState);
+  if (disabled.enabled || disabled.canUndo() || disabled.undo() !== null) {
+    console.error('State history test FAILED: undo limit 0 should disable undo');
+    process.exit(2);
+  }
+
+  process.stdout.write('State history tests PASSED\n');
+})();
@@ -0,0 +1,142 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, getLegalActions, fixSystem } = await import('../../src/core/engine.js');
+  const { dispatch, damageSystem, setSystemHealth, updateSystem, freezeState } = await import('../../src/core/store.js');
+  const { addDamageModifier } = await import('../../src/mechanics/damageModifiers.js');
+  const { applySystemDeterioration } = await import('../../src/mechanics/deteriorationUtils.js');
+  const { triggerEvent } = await import('../../src/mechanics/triggerEvent.js');
+  const { randomBot, createBotContext } = await import('../../src/bots/strategies.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Store test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const event = (name) =>
+    [...fullConfig.positiveEvents, ...fullConfig.negativeEvents].find((e) => e._modulePath.includes(name));
+  const normalSystems = fullConfig.systems.filter((s) => s.type === 'normal');
+  // Without Shields, whose modifier would soften the event damage checked below
+  const config = {
+    systems: normalSystems.filter((s) => s.name !== 'Shields'),
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 5,
+  };
+
+  // Reducers return new branches and leave the given state untouched
+  const base = freezeState(await startGame(config));
+  const damaged = dispatch(base, damageSystem('Life Support', 500), updateSystem('Power', { lastFixedTurn: 3 }));
+  const lifeSupportIndex = base.systems.findIndex((s) => s.name === 'Life Support');
+  const otherIndex = base.systems.findIndex((s) => s.name === 'Comms');
+  if (
+    damaged.systems[lifeSupportIndex].health !== 0 ||
+    damaged.systems.find((s) => s.name === 'Power').lastFixedTurn !== 3 ||
+    damaged.systems[otherIndex] !== base.systems[otherIndex] ||
+    damaged.damageModifiers !== base.damageModifiers
+  ) {
+    fail('reducers did not update the right branches');
+  }
+  if (dispatch(base, setSystemHealth('Hull', 10)) !== base) {
+    fail('an unknown system should leave the state as it is');
+  }
+  try {
+    dispatch(base, { type: 'heal' });
+    fail('unknown action was accepted');
+  } catch (error) {
+    if (!error.message.includes('Unknown state action')) throw error;
+  }
+
+  // Mechanics that used to write into shared systems now work on frozen states
+  // (a write into a frozen object throws in strict mode)
+  const health = (state, name) => state.systems.find((s) => s.name === name).health;
+  const frozen = () => freezeState(dispatch(base, setSystemHealth('Life Support', 60)));
+  try {
+    const before = frozen();
+    const fixed = fixSystem(before, 'Life Support');
+    if (health(fixed, 'Life Support') !== 98 || fixed.systems[lifeSupportIndex].lastFixedTurn !== fixed.turn) {
+      fail('fixSystem result wrong');
+    }
+    for (const system of normalSystems) {
+      system.deteriorate(frozen());
+      system.fix(frozen());
+    }
+    if (health(event('oxygenLeak').apply(frozen()), 'Life Support') !== 25) {
+      fail('oxygen leak damage wrong');
+    }
+    const cached = event('supplyCache').apply(frozen());
+    if (!cached.systems.some((s) => s.health === 100 && s.health !== health(base, s.name))) {
+      fail('supply cache repaired nothing');
+    }
+    const motivated = event('motivated').onSystemsSelected(['Life Support'], frozen());
+    if (health(motivated, 'Life Support') !== 100) {
+      fail('motivated repair wrong');
+    }
+    const modified = addDamageModifier(frozen(), 'Power', 0.5, 'deterioration', 2);
+    if (modified.damageModifiers.length !== 1 || base.damageModifiers.length !== 0) {
+      fail('damage modifier was added in place');
+    }
+  } catch (error) {
+    fail('a mechanic wrote into a frozen state', error);
+  }
+
+  // Modifier math compares against the real pre-damage health
+  const lifeSupport = fullConfig.systems.find((s) => s.name === 'Life Support');
+  const halved = freezeState(
+    addDamageModifier(frozen(), 'Life Support', 0.5, 'all', 2)
+  );
+  const deteriorated = applySystemDeterioration(lifeSupport, halved, lifeSupport.deteriorate);
+  if (health(deteriorated, 'Life Support') !== 60 - (15 - Math.floor(15 * 0.5))) {
+    fail('deterioration ignored the damage modifier', health(deteriorated, 'Life Support'));
+  }
+
+  let beforeEventHealth = null;
+  const recorder = {
+    description: 'Recorder',
+    afterEvent(state, context) {
+      beforeEventHealth = health(context.stateBeforeEvent, 'Life Support');
+      return state;
+    },
+  };
+  const eventConfig = {
+    ...config,
+    positiveEvents: [recorder],
+    negativeEvents: [event('oxygenLeak')],
+    eventChance: 1,
+    positiveEventProbability: 0,
+  };
+  const { state: afterLeak } = await triggerEvent(halved, eventConfig);
+  if (health(afterLeak, 'Life Support') !== 60 - (35 - Math.floor(35 * 0.5))) {
+    fail('event damage ignored the damage modifier', health(afterLeak, 'Life Support'));
+  }
+  if (beforeEventHealth !== 60) {
+    fail('stateBeforeEvent already contained the damage', beforeEventHealth);
+  }
+
+  // Whole games with every module never write into a state they were given
+  const gameConfig = {
+    systems: fullConfig.systems,
+    positiveEvents: fullConfig.positiveEvents,
+    negativeEvents: fullConfig.negativeEvents,
+    eventChance: 0.8,
+    seed: 11,
+  };
+  for (let game = 0; game < 5; game++) {
+    let gameState = await startGame({ ...gameConfig, seed: 11 + game });
+    const context = createBotContext(gameConfig, 11 + game);
+    try {
+      for (let step = 0; step < 200 && !gameState.gameOver; step++) {
+        freezeState(gameState);
+        const action = await randomBot.chooseAction(gameState, getLegalActions(gameState), context);
+        gameState = await applyPlayerAction(gameState, gameConfig, action);
+      }
+    } catch (error) {
+      fail(`game ${game} wrote into a frozen state`, error);
+    }
+  }
+
+  process.stdout.write('Store tests PASSED\n');
+})();
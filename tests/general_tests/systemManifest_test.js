@@ -0,0 +1,147 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { createNormalSystem, validateManifest } = await import('../../src/setup/systemManifest.js');
+  const { startGame } = await import('../../src/core/engine.js');
+  const { dispatch, setSystemHealth, freezeState } = await import('../../src/core/store.js');
+  const { addDamageModifier } = await import('../../src/mechanics/damageModifiers.js');
+  const { applySystemDeterioration } = await import('../../src/mechanics/deteriorationUtils.js');
+  const { default: ModuleRegistry } = await import('../../src/setup/registryUtils.js');
+
+  const fail = (message, ...details) => {
+    console.error(`System manifest test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  // JSON manifests load through the registry next to JS modules
+  const fullConfig = await loadGameModules();
+  const lifeSupport = fullConfig.systems.find((s) => s.name === 'Life Support');
+  const power = fullConfig.systems.find((s) => s.name === 'Power');
+  if (!lifeSupport || !power || fullConfig.systems.length !== 6) {
+    fail('manifest systems missing from the registry', fullConfig.systems.map((s) => s.name));
+  }
+  if (!power._modulePath.endsWith('.json') || typeof power.deteriorate !== 'function' || !lifeSupport.critical) {
+    fail('manifest system not built as a module', power);
+  }
+  const manifestSystems = ['Life Support', 'Power', 'Navigation', 'Shields'];
+  if (fullConfig.systems.filter((s) => s._modulePath.endsWith('.json')).map((s) => s.name).join() !== manifestSystems.join()) {
+    fail('normal systems not loaded from manifests', fullConfig.systems.map((s) => s._modulePath));
+  }
+  if (power.icon !== 'fas fa-bolt' || 'effects' in power || 'deterioration' in power) {
+    fail('manifest fields not mapped onto the module', Object.keys(power));
+  }
+  const eventRegistry = new ModuleRegistry({ strictMode: true });
+  try {
+    await eventRegistry.loadModule('../../systems/power.json', 'positiveEvent');
+    fail('a system manifest loaded as an event');
+  } catch (error) {
+    if (!error.message.includes('effects must be a non-empty array')) throw error;
+  }
+
+  // Power's declared low-power influence matches the former JS module
+  const config = {
+    systems: fullConfig.systems.filter((s) => s.type === 'normal' && s.name !== 'Shields'),
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 7,
+  };
+  const base = await startGame(config);
+  const health = (state, name) => state.systems.find((s) => s.name === name).health;
+  const full = dispatch(base, ...base.systems.map((s) => setSystemHealth(s.name, 100)));
+
+  let state = power.deteriorate(freezeState(full));
+  if (health(state, 'Power') !== 90 || health(state, 'Navigation') !== 100) {
+    fail('healthy power should only damage itself');
+  }
+  let lowPower = dispatch(full, setSystemHealth('Power', 55));
+  lowPower = addDamageModifier(lowPower, 'Navigation', 0.5, 'deterioration', 2);
+  lowPower = freezeState(addDamageModifier(lowPower, 'Comms', 0, 'deterioration', 2));
+  state = applySystemDeterioration(power, lowPower, power.deteriorate);
+  if (
+    health(state, 'Power') !== 45 ||
+    health(state, 'Life Support') !== 95 ||
+    health(state, 'Navigation') !== 97 ||
+    health(state, 'Comms') !== 100
+  ) {
+    fail('low power side effect wrong', state.systems.map((s) => [s.name, s.health]));
+  }
+  state = lifeSupport.fix(lifeSupport.deteriorate(freezeState(full)));
+  if (health(state, 'Life Support') !== 100 || health(lifeSupport.deteriorate(full), 'Life Support') !== 85) {
+    fail('life support deterioration or fix wrong');
+  }
+
+  // Shields' afterDeterioration hook raises one modifier tier for its health
+  const shields = fullConfig.systems.find((s) => s.name === 'Shields');
+  const shieldsState = (shieldsHealth) =>
+    freezeState({ ...full, systems: [...full.systems, { ...shields, health: shieldsHealth }] });
+  for (const [shieldsHealth, expected] of [[95, 0.5], [80, 0.75], [60, 0.9], [40, null], [0, null]]) {
+    const raised = await shields.afterDeterioration(shieldsState(shieldsHealth));
+    const raisedAgain = await shields.afterDeterioration(raised);
+    const modifiers = raisedAgain.damageModifiers.filter((m) => m.source === 'shields');
+    const modifier = modifiers.length ? modifiers[0] : null;
+    if (
+      modifiers.length > 1 ||
+      (expected === null ? modifier !== null : !modifier || modifier.modifier !== expected || modifier.systemId !== 'all' || modifier.type !== 'negative_events' || modifier.turnsLeft !== 1)
+    ) {
+      fail(`shields modifier wrong at ${shieldsHealth} health`, modifiers);
+    }
+  }
+  if ('hooks' in shields || (await shields.afterDeterioration(full)) !== full) {
+    fail('shields hook should be a module hook that skips games without Shields');
+  }
+
+  // Plain-object manifests: fix amounts, targets and conditions
+  const hull = createNormalSystem({
+    name: 'Hull',
+    deterioration: 20,
+    fixAmount: 30,
+    effects: [{ type: 'damageOthers', amount: 10, when: { healthAtLeast: 50 }, targets: ['Comms'] }],
+  });
+  if (hull.type !== 'normal' || hull.critical !== false || !hull.icon) {
+    fail('manifest defaults missing', hull);
+  }
+  const withHull = freezeState({ ...full, systems: [...full.systems, { ...hull, health: 60 }] });
+  state = hull.deteriorate(withHull);
+  if (health(state, 'Hull') !== 40 || health(state, 'Comms') !== 100 || health(state, 'Power') !== 100) {
+    fail('effect ran although its condition failed');
+  }
+  state = hull.deteriorate(dispatch(withHull, setSystemHealth('Hull', 90)));
+  if (health(state, 'Comms') !== 90 || health(state, 'Navigation') !== 100) {
+    fail('targeted effect wrong');
+  }
+  if (health(hull.fix(dispatch(withHull, setSystemHealth('Hull', 50))), 'Hull') !== 80 || health(hull.fix(dispatch(withHull, setSystemHealth('Hull', 80))), 'Hull') !== 100) {
+    fail('fix amount wrong');
+  }
+  if (hull.deteriorate(base).systems !== base.systems) {
+    fail('a system not in play changed the state');
+  }
+
+  // Invalid manifests are rejected with a reason
+  const invalid = [
+    [{ deterioration: 5 }, 'name is required'],
+    [{ name: 'X' }, 'deterioration'],
+    [{ name: 'X', type: 'interactive', deterioration: 5 }, 'only normal systems'],
+    [{ name: 'X', deterioration: 5, fixAmount: 0 }, 'fixAmount'],
+    [{ name: 'X', deterioration: 5, effects: [{ type: 'explode', amount: 1 }] }, 'unknown type explode'],
+    [{ name: 'X', deterioration: 5, effects: [{ type: 'damageOthers', amount: 1, when: { turnAbove: 3 } }] }, 'unknown condition turnAbove'],
+    [{ name: 'X', deterioration: 5, effects: [{ type: 'damageOthers' }] }, 'effect 0 needs a numeric amount'],
+    [{ name: 'X', deterioration: 5, hooks: [] }, 'hooks must be an object'],
+    [{ name: 'X', deterioration: 5, hooks: { onExplode: [] } }, 'unknown hook onExplode'],
+    [{ name: 'X', deterioration: 5, hooks: { onTurnEnd: {} } }, 'onTurnEnd effects must be an array'],
+    [{ name: 'X', deterioration: 5, hooks: { onFix: [{ type: 'removeModifiers' }] } }, 'onFix effect 0 needs a string source'],
+    [{ name: 'X', deterioration: 5, hooks: { onFix: [{ type: 'addModifier', modifier: 0.5, damageType: 'all', source: 'x' }] } }, 'needs a numeric turns'],
+  ];
+  for (const [manifest, reason] of invalid) {
+    try {
+      validateManifest(manifest);
+      fail('invalid manifest accepted', manifest);
+    } catch (error) {
+      if (!error.message.includes(reason)) fail('unexpected validation error', error.message);
+    }
+  }
+
+  process.stdout.write('System manifest tests PASSED\n');
+})();
@@ -0,0 +1,111 @@
+(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, createFixAction, getLegalActions } = await import('../../src/core/engine.js');
+  const { dispatch, setSystemHealth } = await import('../../src/core/store.js');
+  const { getMaxHealth, wearSystem, MIN_MAX_HEALTH } = await import('../../src/mechanics/wear.js');
+  const { applyEffects, validateEffects } = await import('../../src/mechanics/eventEffects.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Wear test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems,
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 4,
+    startingResources: { parts: 10 },
+    actionPointsPerTurn: 5,
+    forceRecoveryChance: 1,
+  };
+  const system = (state, name) => state.systems.find((s) => s.name === name);
+  const withHealth = (state, name, health) => ({
+    ...state,
+    systems: state.systems.map((s) => (s.name === name ? { ...s, health } : s)),
+  });
+  const game = withHealth(await startGame(config), 'Navigation', 40);
+  if (game.systems.some((s) => getMaxHealth(s) !== 100)) fail('systems should start at 100 maximum health');
+
+  // Repairs wear the system down, and health is capped at what is left
+  const patched = await applyPlayerAction(game, config, createFixAction(game, 'Navigation', 'patch'));
+  if (system(patched, 'Navigation').maxHealth !== 97) fail('patch wear wrong', system(patched, 'Navigation').maxHealth);
+  const overhauled = await applyPlayerAction(patched, config, createFixAction(patched, 'Navigation', 'overhaul'));
+  if (system(overhauled, 'Navigation').maxHealth !== 95 || system(overhauled, 'Navigation').health !== 95) {
+    fail('overhaul should wear and cap at the worn maximum', system(overhauled, 'Navigation'));
+  }
+  const maintained = await applyPlayerAction(game, config, createFixAction(game, 'Navigation', 'maintenance'));
+  if (getMaxHealth(system(maintained, 'Navigation')) !== 100) fail('maintenance should not wear');
+  if (system(dispatch(overhauled, setSystemHealth('Navigation', 100)), 'Navigation').health !== 95) fail('store did not cap health');
+  const refused = await applyPlayerAction(overhauled, config, createFixAction(overhauled, 'Navigation', 'patch'));
+  if (refused.message !== 'Navigation is already at full health.') fail('patch at the worn maximum not refused', refused.message);
+
+  // Capacity never drops below the floor
+  const wrecked = wearSystem(game, 'Navigation', 500);
+  if (getMaxHealth(system(wrecked, 'Navigation')) !== MIN_MAX_HEALTH || system(wrecked, 'Navigation').health !== 40) {
+    fail('wear floor wrong', system(wrecked, 'Navigation'));
+  }
+
+  // A successful force recovery costs 10 capacity
+  const dead = withHealth(game, 'Comms', 0);
+  const recovered = await applyPlayerAction(dead, config, createFixAction(dead, 'Comms'));
+  if (system(recovered, 'Comms').health !== 50 || system(recovered, 'Comms').maxHealth !== 90) {
+    fail('force recovery wear wrong', system(recovered, 'Comms'));
+  }
+
+  // A refit restores capacity and health; it is only offered for worn systems
+  if (getLegalActions(game).some((a) => a.repair === 'refit')) fail('refit offered without wear');
+  const refitted = await applyPlayerAction(overhauled, config, createFixAction(overhauled, 'Navigation', 'refit'));
+  if (system(refitted, 'Navigation').maxHealth !== 100 || system(refitted, 'Navigation').health !== 100) {
+    fail('refit did not restore capacity', system(refitted, 'Navigation'));
+  }
+  if (refitted.resources.parts !== overhauled.resources.parts - 4 || refitted.message !== 'Navigation has been refitted to full capacity.') {
+    fail('refit cost or message wrong', refitted.message);
+  }
+
+  // With the default single action point (no Power aboard) a refit can be made
+  const defaults = {
+    systems: fullConfig.systems.filter((s) => s.name !== 'Power'),
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 4,
+  };
+  const basic = wearSystem(await startGame(defaults), 'Navigation', 20);
+  if (basic.actionPointBudget !== 1) fail('default budget should be 1', basic.actionPointBudget);
+  if (!getLegalActions(basic).some((a) => a.repair === 'refit' && a.systemName === 'Navigation')) {
+    fail('refit not offered with the default budget');
+  }
+  const basicRefit = await applyPlayerAction(basic, defaults, createFixAction(basic, 'Navigation', 'refit'));
+  if (getMaxHealth(system(basicRefit, 'Navigation')) !== 100 || basicRefit.actionLog.length !== basic.actionLog.length + 1) {
+    fail('refit refused with the default budget', basicRefit.message);
+  }
+
+  // The Refit Drones event restores capacity on the most worn system
+  const drones = fullConfig.positiveEvents.find((e) => e.id === 'refitDrones');
+  if (!drones) fail('Refit Drones not registered');
+  const worn = wearSystem(wearSystem(game, 'Shields', 20), 'Power', 40);
+  const afterDrones = await drones.apply(worn);
+  if (getMaxHealth(system(afterDrones, 'Power')) !== 90 || getMaxHealth(system(afterDrones, 'Shields')) !== 80) {
+    fail('Refit Drones restored the wrong system', afterDrones.systems.map((s) => s.maxHealth));
+  }
+  const capped = applyEffects(worn, [{ type: 'restore_capacity', amount: 500, target: { name: 'Power' } }]);
+  if (getMaxHealth(system(capped, 'Power')) !== 100) fail('capacity restored above 100');
+  try {
+    validateEffects([{ type: 'restore_capacity', target: 'all' }], 'Broken');
+    fail('accepted restore_capacity without an amount');
+  } catch (error) {
+    if (!error.message.includes('(restore_capacity) needs amount')) fail('effect error unclear', error.message);
+  }
+
+  // Motivated crews only pick systems below their worn maximum
+  const motivated = fullConfig.positiveEvents.find((e) => e.id === 'motivated');
+  if (motivated.canSelectSystem(system(overhauled, 'Navigation'))) fail('system at its worn maximum selectable');
+
+  process.stdout.write('Wear tests PASSED\n');
+})();
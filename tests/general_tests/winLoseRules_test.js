@@ -0,0 +1,120 @@
+(async () => {
+  console.log = () => {};
+
+  const { loadGameModules } = await import('../../registry.js');
+  const { startGame, applyPlayerAction, checkWinLose, serializeGame, deserializeGame } = await import('../../src/core/engine.js');
+  const { createRule, resolveRules, evaluateRules } = await import('../../src/core/winLoseRules.js');
+  const { dispatch, setSystemHealth } = await import('../../src/core/store.js');
+  const { createReplay } = await import('../../src/replay/replayFormat.js');
+
+  const fail = (message, ...details) => {
+    console.error(`Win/lose rules test FAILED: ${message}`, ...details);
+    process.exit(2);
+  };
+
+  const fullConfig = await loadGameModules();
+  const config = {
+    systems: fullConfig.systems.filter((s) => s.type === 'normal'),
+    positiveEvents: [],
+    negativeEvents: [],
+    eventChance: 0,
+    seed: 3,
+  };
+  const base = await startGame(config);
+  const withHealth = (state, health) =>
+    dispatch(state, ...Object.entries(health).map(([name, value]) => setSystemHealth(name, value)));
+
+  // Default rules: critical failure loses, all failed loses, rescue wins
+  let state = checkWinLose(withHealth(base, { 'Life Support': 0 }), config);
+  if (!state.gameOver || state.win || state.endedBy.id !== 'keepCriticalSystemsAlive' || !state.message.includes('Life Support')) {
+    fail('critical failure should lose', state.endedBy, state.message);
+  }
+  state = checkWinLose(withHealth(base, { Power: 0, Navigation: 0 }), config);
+  if (state.gameOver) fail('two failed non-critical systems should not end a default game');
+  state = checkWinLose({ ...base, turn: base.maxTurns }, config);
+  if (!state.gameOver || !state.win || state.endedBy.id !== 'surviveTurns') {
+    fail('reaching maxTurns should win', state.endedBy);
+  }
+
+  // Lose rules come first: failing on the rescue turn is a loss
+  state = checkWinLose({ ...withHealth(base, { 'Life Support': 0 }), turn: base.maxTurns }, config);
+  if (state.win || state.endedBy.id !== 'keepCriticalSystemsAlive') {
+    fail('a loss on the rescue turn should not be a win', state.endedBy);
+  }
+
+  // Configured rules replace the defaults
+  const strict = {
+    ...config,
+    rules: [
+      { rule: 'maxFailedSystems', count: 1 },
+      { rule: 'averageHealthAtRescue', min: 60, turns: 4 },
+      { rule: 'surviveTurns', turns: 4 },
+    ],
+  };
+  state = checkWinLose(withHealth(base, { 'Life Support': 0 }), strict);
+  if (state.gameOver) fail('critical failure should not lose without its rule');
+  state = checkWinLose(withHealth(base, { Power: 0, Navigation: 0 }), strict);
+  if (!state.gameOver || state.endedBy.description !== 'No more than 1 failed system') {
+    fail('maxFailedSystems did not end the game', state.endedBy);
+  }
+  const lowHealth = { 'Life Support': 50, Power: 50, Navigation: 50, Shields: 50, Comms: 50 };
+  state = checkWinLose({ ...withHealth(base, lowHealth), turn: 3 }, strict);
+  if (state.gameOver) fail('average health should only count at rescue');
+  state = checkWinLose({ ...withHealth(base, lowHealth), turn: 4 }, strict);
+  if (state.win || state.endedBy.id !== 'averageHealthAtRescue') {
+    fail('low average health at rescue should lose', state.endedBy);
+  }
+  state = checkWinLose({ ...withHealth(base, { ...lowHealth, Comms: 100, Power: 100 }), turn: 4 }, strict);
+  if (!state.win || state.endedBy.id !== 'surviveTurns') {
+    fail('surviving 4 turns with enough health should win', state.endedBy);
+  }
+
+  // Composition with allOf / anyOf
+  const composed = createRule({
+    rule: 'allOf',
+    outcome: 'win',
+    rules: [{ rule: 'surviveTurns', turns: 2 }, { rule: 'anyOf', outcome: 'lose', rules: [{ rule: 'keepAnySystemAlive' }] }],
+  });
+  if (composed.check({ ...base, turn: 2 }) || !composed.check({ ...withHealth(base, lowHealth), turn: 2, systems: base.systems.map((s) => ({ ...s, health: 0 })) })) {
+    fail('allOf/anyOf composition wrong');
+  }
+  for (const spec of [{ rule: 'nope' }, { rule: 'allOf', rules: [] }, { id: 'x', check: () => false }]) {
+    try {
+      createRule(spec);
+      fail('invalid rule accepted', spec);
+    } catch (error) {
+      if (error.message.includes('FAILED')) throw error;
+    }
+  }
+
+  // Modules contribute rules
+  const bonus = {
+    description: 'Bonus',
+    winLoseRules: () => [{ id: 'bonusWin', outcome: 'win', description: 'Reach turn 2', check: (s) => s.turn >= 2 }],
+  };
+  const moduleConfig = { ...config, positiveEvents: [bonus] };
+  if (resolveRules(moduleConfig).length !== 4) fail('module rule not collected');
+  if (evaluateRules({ ...base, turn: 2 }, moduleConfig).rule.id !== 'bonusWin') {
+    fail('module rule did not end the game');
+  }
+
+  // Played through the engine, saved and recorded for replays
+  const game = { ...config, rules: [{ rule: 'surviveTurns', turns: 3 }] };
+  let played = await startGame(game);
+  while (!played.gameOver) {
+    played = await applyPlayerAction(played, game, { type: 'endTurn' });
+  }
+  if (!played.win || played.turn < 3 || played.endedBy.description !== 'Survive 3 turns') {
+    fail('engine did not apply configured rules', played.turn, played.endedBy);
+  }
+  const restored = await deserializeGame(JSON.parse(JSON.stringify(serializeGame(played, game))), fullConfig.registry);
+  if (JSON.stringify(restored.config.rules) !== JSON.stringify(game.rules) || restored.gameState.endedBy.id !== 'surviveTurns') {
+    fail('rules or ending lost in a save');
+  }
+  const replay = createReplay(played, game);
+  if (!replay.settings.rules || replay.result.endedBy.id !== 'surviveTurns') {
+    fail('rules or ending missing from the replay', replay.settings, replay.result);
+  }
+
+  process.stdout.write('Win/lose rules tests PASSED\n');
+})();
@@ -1,6 +1,4 @@
 (async () => {
-  // Mock a minimal document for Node test environment (only dispatchEvent needed)
-  global.document = { dispatchEvent: () => {} };
   const { addDamageModifier, getDamageModifier, updateDamageModifiers } = await import('../../src/mechanics/damageModifiers.js');
 
   // Simulate gameState